@@ -0,0 +1,219 @@
+/**
+ * Mock transactions API for developing against the REST data source offline.
+ *
+ *   npm run mock-server
+ *
+ * Serves `public/transactions.json` as
+ *   GET /api/transactions?page=1&pageSize=100&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&changedSince=CURSOR
+ * answering `{ data, page, pageSize, total, totalPages, cursor }`. `cursor` marks
+ * the latest change to the dataset; sending it back as `changedSince` returns
+ * only transactions changed after it, whatever their date, plus the IDs of
+ * transactions deleted since in `deleted`, for incremental sync. Transactions
+ * may carry an `updatedAt` timestamp (the data file's modification time is used
+ * otherwise), and ones marked `"deleted": true` are only reported as deletions.
+ * `sortBy` (customerId, name, date, product or price) and `order` (asc or desc)
+ * sort before paging, for the transaction table's server-side pagination, along
+ * with its filters: `q` (free text), `customer` (name or ID), `product`,
+ * `minPrice` and `maxPrice`. Responses carry an ETag computed over every page
+ * of the result set and a Last-Modified, and matching If-None-Match requests
+ * get a 304.
+ *
+ * Environment variables:
+ *   PORT            - Port to listen on (default 4000).
+ *   MOCK_API_TOKEN  - When set, requests must send `Authorization: Bearer <token>`.
+ *   MOCK_API_DATA   - Path to an alternative transactions JSON file.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const DEFAULT_DATA_FILE = path.join(__dirname, "..", "public", "transactions.json");
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SORT_FIELDS = ["customerId", "name", "date", "product", "price"];
+
+/**
+ * Loads and date-sorts the transactions served by the mock API.
+ *
+ * @param {string} file - Path to a JSON array of transactions.
+ * @returns {Array<object>}
+ */
+const loadTransactions = (file) =>
+  JSON.parse(fs.readFileSync(file, "utf8"))
+    .sort((a, b) => (a.date === b.date ? 0 : a.date < b.date ? -1 : 1));
+
+/**
+ * Returns a comparator for a field and direction.
+ *
+ * @param {string} field - The field to sort by.
+ * @param {"asc"|"desc"} order - The direction.
+ * @returns {(a: object, b: object) => number}
+ */
+const compareBy = (field, order) => (a, b) => {
+  const result = a[field] === b[field] ? 0 : a[field] < b[field] ? -1 : 1;
+  return order === "desc" ? -result : result;
+};
+
+/**
+ * Builds a predicate for the transaction table's filters, matching
+ * `filterTransactions` in `src/utils/tableFilters.js`.
+ *
+ * @param {URLSearchParams} params - The query parameters.
+ * @returns {(transaction: object) => boolean}
+ */
+const createFilter = (params) => {
+  const text = (name) => (params.get(name) || "").trim().toLowerCase();
+  const number = (name) => (params.get(name) ? Number(params.get(name)) : null);
+  const contains = (value, query) => value !== undefined && value !== null && String(value).toLowerCase().includes(query);
+  const search = text("q");
+  const customer = text("customer");
+  const product = text("product");
+  const minPrice = number("minPrice");
+  const maxPrice = number("maxPrice");
+
+  return (transaction) =>
+    (!search || ["name", "customerId", "product", "category", "transactionId"]
+      .some((field) => contains(transaction[field], search))) &&
+    (!customer || String(transaction.customerId) === customer || contains(transaction.name, customer)) &&
+    (!product || contains(transaction.product, product)) &&
+    (minPrice === null || transaction.price >= minPrice) &&
+    (maxPrice === null || transaction.price <= maxPrice);
+};
+
+/**
+ * Returns when a transaction last changed, in milliseconds.
+ *
+ * @param {object} transaction - The transaction.
+ * @param {Date} lastModified - Used for transactions without `updatedAt`.
+ * @returns {number}
+ */
+const getUpdatedAt = (transaction, lastModified) =>
+  transaction.updatedAt ? Date.parse(transaction.updatedAt) : lastModified.getTime();
+
+/**
+ * Writes a JSON response with CORS headers so the CRA dev server can call it.
+ *
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - HTTP status code.
+ * @param {object|null} body - Response body, or null for none.
+ * @param {Object<string, string>} [headers] - Extra response headers.
+ */
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type, Accept, If-None-Match, If-Modified-Since",
+    "Access-Control-Expose-Headers": "ETag, Last-Modified",
+    ...headers,
+  });
+  res.end(body === null ? undefined : JSON.stringify(body));
+};
+
+/**
+ * Creates the request handler for a set of transactions.
+ *
+ * @param {Array<object>} transactions - Date-sorted transactions to serve.
+ * @param {{token?: string, lastModified?: Date}} [options] - Handler options.
+ * @returns {(req: http.IncomingMessage, res: http.ServerResponse) => void}
+ */
+const createHandler = (transactions, { token, lastModified = new Date() } = {}) => (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204, null);
+    return;
+  }
+  if (req.method !== "GET" || url.pathname !== "/api/transactions") {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    sendJson(res, 401, { error: "Missing or invalid bearer token" });
+    return;
+  }
+
+  const page = Number(url.searchParams.get("page") || 1);
+  const pageSize = Number(url.searchParams.get("pageSize") || 100);
+  const startDate = url.searchParams.get("startDate");
+  const endDate = url.searchParams.get("endDate");
+  const changedSince = url.searchParams.get("changedSince");
+  const sortBy = url.searchParams.get("sortBy") || "date";
+  const order = url.searchParams.get("order") || "asc";
+
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+    sendJson(res, 400, { error: "page and pageSize must be positive whole numbers" });
+    return;
+  }
+  if ([startDate, endDate].some((date) => date && !DATE_PATTERN.test(date))) {
+    sendJson(res, 400, { error: "startDate and endDate must be YYYY-MM-DD" });
+    return;
+  }
+  if (changedSince && Number.isNaN(Date.parse(changedSince))) {
+    sendJson(res, 400, { error: "changedSince must be a cursor from an earlier response" });
+    return;
+  }
+
+  if (["minPrice", "maxPrice"].some((name) => url.searchParams.get(name) && !Number.isFinite(Number(url.searchParams.get(name))))) {
+    sendJson(res, 400, { error: "minPrice and maxPrice must be numbers" });
+    return;
+  }
+  if (!SORT_FIELDS.includes(sortBy) || !["asc", "desc"].includes(order)) {
+    sendJson(res, 400, { error: `sortBy must be one of ${SORT_FIELDS.join(", ")} and order asc or desc` });
+    return;
+  }
+
+  const matchesFilters = createFilter(url.searchParams);
+  const resultSet = transactions.filter((transaction) => !transaction.deleted &&
+    (!startDate || transaction.date >= startDate) && (!endDate || transaction.date <= endDate) && matchesFilters(transaction));
+  if (sortBy !== "date" || order !== "asc") resultSet.sort(compareBy(sortBy, order));
+
+  const since = changedSince ? Date.parse(changedSince) : null;
+  const isChanged = (transaction) => since === null || getUpdatedAt(transaction, lastModified) > since;
+  const matching = resultSet.filter(isChanged);
+  const totalPages = Math.max(1, Math.ceil(matching.length / pageSize));
+  const cursor = new Date(transactions.reduce(
+    (latest, transaction) => Math.max(latest, getUpdatedAt(transaction, lastModified)),
+    lastModified.getTime()
+  )).toISOString();
+
+  const body = {
+    data: matching.slice((page - 1) * pageSize, page * pageSize),
+    page,
+    pageSize,
+    total: matching.length,
+    totalPages,
+    cursor,
+    ...(changedSince
+      ? { deleted: transactions.filter((transaction) => transaction.deleted && isChanged(transaction))
+        .map((transaction) => transaction.transactionId) }
+      : {}),
+  };
+  // The ETag covers the whole result set rather than this page, and ignores
+  // `changedSince`, so a 304 on the first page means nothing changed at all.
+  const validators = {
+    ETag: `"${crypto.createHash("sha1").update(JSON.stringify([pageSize, resultSet])).digest("hex")}"`,
+    "Last-Modified": lastModified.toUTCString(),
+  };
+
+  if (req.headers["if-none-match"] === validators.ETag) {
+    sendJson(res, 304, null, validators);
+    return;
+  }
+  sendJson(res, 200, body, validators);
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4000;
+  const file = process.env.MOCK_API_DATA || DEFAULT_DATA_FILE;
+  const transactions = loadTransactions(file);
+  http
+    .createServer(createHandler(transactions, {
+      token: process.env.MOCK_API_TOKEN,
+      lastModified: fs.statSync(file).mtime,
+    }))
+    .listen(port, () => {
+      console.log(`Mock API serving ${transactions.length} transactions at http://localhost:${port}/api/transactions`);
+    });
+}
+
+module.exports = { createHandler, loadTransactions };
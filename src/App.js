@@ -1,85 +1,415 @@
-import React, { useEffect, useState } from "react";
-import { fetchTransactions } from "./api";
-import { calculateRewardPoints, calculateUserRewards } from "./utils/calculateRewards";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Navigate, Route, Routes, useNavigate, useSearchParams } from "react-router-dom";
+import { Alert, Button } from "@mui/material";
+import { fetchTransactionPage, fetchTransactions, supportsServerPagination } from "./api";
+import { runRewardsTask } from "./utils/rewardsWorkerClient";
+import { scoreTransaction } from "./utils/calculateRewards";
+import {
+  buildEarnEntries,
+  createRedemption,
+  getBalances,
+  loadLedgerEntries,
+  saveLedgerEntries,
+} from "./utils/pointsLedger";
+import {
+  DEFAULT_EXPIRATION_POLICY,
+  buildPointLots,
+  getExpiringPoints,
+} from "./utils/pointsExpiration";
+import { applyLoyaltyTiers } from "./utils/loyaltyTiers";
+import { mergeTransactions } from "./utils/transactionImport";
+import {
+  applyCustomerIdentity,
+  findDuplicateCustomers,
+  findNameConflicts,
+  loadCustomerIdentity,
+  resolveCustomerIds,
+  saveCustomerIdentity,
+} from "./utils/customerIdentity";
+import {
+  loadAnomalyReviews,
+  saveAnomalyReviews,
+  setReviewStatus,
+} from "./utils/anomalyDetection";
+import { appendToAuditLog, createManualAdjustment, loadAuditLog } from "./utils/adjustments";
+import { isAbortError } from "./utils/fetchWithRetry";
+import { addMonths, parseDateString, toDateString, today } from "./utils/dateUtils";
+import { parseFilters, writeFilters } from "./utils/tableFilters";
+import { compareTotalRewards, compareUserRewards, getPreviousRange } from "./utils/periodComparison";
 import TransactionTable from "./components/TransactionTable";
 import UserRewardsTable from "./components/UserRewardsTable";
 import TotalRewardsTable from "./components/TotalRewardsTable";
+import CampaignSummaryPanel from "./components/CampaignSummaryPanel";
+import RedemptionForm from "./components/RedemptionForm";
+import CustomerDetail from "./components/CustomerDetail";
+import TransactionImport from "./components/TransactionImport";
+import FilterBar from "./components/FilterBar";
+import CustomerIdentityPanel from "./components/CustomerIdentityPanel";
+import RewardsDashboard from "./components/RewardsDashboard";
+import LiabilityReport from "./components/LiabilityReport";
+import AnomalyReviewQueue from "./components/AnomalyReviewQueue";
+import AdjustmentForm from "./components/AdjustmentForm";
+import AdjustmentAuditLog from "./components/AdjustmentAuditLog";
 import "./style.css";
 import { Container, Row, Col, Form } from 'react-bootstrap';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 
-const calculateDefaultStartDate = () => {
-  const today = new Date();
-  const currentYear = today.getFullYear();
-  const currentMonth = today.getMonth();
+/**
+ * The first day of the month two months before today in the store's timezone.
+ *
+ * @returns {Date}
+ */
+const calculateDefaultStartDate = () => parseDateString(addMonths(`${today().slice(0, 7)}-01`, -2));
 
-  const startMonth = currentMonth - 2;
-  const startYear = currentYear + Math.floor(startMonth / 12);
-  const adjustedStartMonth = (startMonth % 12 + 12) % 12;
-
-  return new Date(startYear, adjustedStartMonth, 1);
+/**
+ * Reads a 'YYYY-MM-DD' query parameter as a local date.
+ *
+ * @param {string|null} value - The query parameter value.
+ * @param {() => Date} fallback - Returns the date to use when the value is missing or invalid.
+ * @returns {Date}
+ */
+const parseDateParam = (value, fallback) => {
+  const date = value && /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseDateString(value) : null;
+  return date && !isNaN(date) ? date : fallback();
 };
 
 const App = () => {
+  const [fetchedTransactions, setFetchedTransactions] = useState([]);
+  const [importedTransactions, setImportedTransactions] = useState([]);
+  const [scoredTransactions, setScoredTransactions] = useState([]);
   const [transactions, setTransactions] = useState([]);
   const [userRewards, setUserRewards] = useState([]);
   const [totalRewards, setTotalRewards] = useState([]);
+  const [campaignSummary, setCampaignSummary] = useState([]);
+  const [comparisonRewards, setComparisonRewards] = useState(null);
   const [loading, setLoading] = useState(true);
   const [errorMessage, setErrorMessage] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [ledgerEntries, setLedgerEntries] = useState(() => loadLedgerEntries());
+  const [auditLog, setAuditLog] = useState(() => loadAuditLog());
+  const [customerIdentity, setCustomerIdentity] = useState(() => loadCustomerIdentity());
+  const [anomalyReviews, setAnomalyReviews] = useState(() => loadAnomalyReviews());
+
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // The date range lives in the query string (?start=YYYY-MM-DD&end=YYYY-MM-DD)
+  // so every view can be bookmarked and shared with the same range.
+  const startParam = searchParams.get("start");
+  const endParam = searchParams.get("end");
+  const startDate = useMemo(
+    () => parseDateParam(startParam, calculateDefaultStartDate),
+    [startParam]
+  );
+  const endDate = useMemo(() => parseDateParam(endParam, () => parseDateString(today())), [endParam]);
+
+  // An optional second range (?compareStart=...&compareEnd=...) turns on
+  // period-over-period comparison in the reward tables.
+  const compareStartParam = searchParams.get("compareStart");
+  const compareEndParam = searchParams.get("compareEnd");
+  const compareStartDate = useMemo(() => parseDateParam(compareStartParam, () => null), [compareStartParam]);
+  const compareEndDate = useMemo(() => parseDateParam(compareEndParam, () => null), [compareEndParam]);
+  const comparing = Boolean(compareStartDate && compareEndDate);
 
-  const [startDate, setStartDate] = useState(calculateDefaultStartDate());
-  const [endDate, setEndDate] = useState(new Date());
+  /**
+   * Stores a date range bound in the query string.
+   *
+   * @param {"start"|"end"|"compareStart"|"compareEnd"} key - The query parameter to set.
+   * @param {Date|null} date - The new date, or null to reset to the default.
+   */
+  const setDateParam = useCallback((key, date) => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      if (date) {
+        next.set(key, toDateString(date));
+      } else {
+        next.delete(key);
+      }
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  /**
+   * Turns comparison mode on, comparing with the period just before the
+   * selected range, or off.
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The switch change.
+   */
+  const handleCompareToggle = useCallback((event) => {
+    const previousRange = getPreviousRange(startDate, endDate);
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      if (event.target.checked) {
+        next.set("compareStart", previousRange.start);
+        next.set("compareEnd", previousRange.end);
+      } else {
+        next.delete("compareStart");
+        next.delete("compareEnd");
+      }
+      return next;
+    }, { replace: true });
+  }, [startDate, endDate, setSearchParams]);
+
+  // Search and column filters share the query string with the date range.
+  const filters = useMemo(() => parseFilters(searchParams), [searchParams]);
+  const handleFiltersChange = useCallback((nextFilters) => {
+    setSearchParams((previous) => writeFilters(previous, nextFilters), { replace: true });
+  }, [setSearchParams]);
+
+  const handleSelectCustomer = useCallback((customerId) => {
+    navigate({ pathname: `/customers/${customerId}`, search: searchParams.toString() });
+  }, [navigate, searchParams]);
 
   useEffect(() => {
+    // Aborted on retry or unmount, so a slow response can never overwrite
+    // the result of a newer request.
+    const controller = new AbortController();
+
     const getTransactions = async () => {
       setLoading(true);
       setErrorMessage(null);
       try {
-        const data = await fetchTransactions();
+        // Always load the full history: tiers, refunds and expiry look back
+        // beyond the selected range, which is applied to the cached transactions
+        // when rewards are calculated, so changing it never refetches.
+        const data = await fetchTransactions({ signal: controller.signal });
 
-        const transactionsWithPoints = data.map((transaction) => ({
-          ...transaction,
-          rewardPoints: calculateRewardPoints(transaction.price),
-        }));
-
-        setTransactions(transactionsWithPoints);
-
-        const {
-          userRewards: calculatedUserRewards,
-          totalRewards: calculatedTotalRewards,
-        } = calculateUserRewards(transactionsWithPoints, startDate, endDate);
-
-        setUserRewards(calculatedUserRewards);
-        setTotalRewards(calculatedTotalRewards);
+        setFetchedTransactions(data);
       } catch (err) {
+        if (isAbortError(err)) return;
         setErrorMessage(err.message || "Failed to fetch transactions");
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) setLoading(false);
       }
     };
 
     getTransactions();
-  }, [startDate, endDate]);
+    return () => controller.abort();
+  }, [reloadCount]);
+
+  const handleRetry = useCallback(() => {
+    setReloadCount((count) => count + 1);
+  }, []);
+
+  // Imported rows are kept apart from fetched ones so a refetch does not drop them.
+  const rawTransactions = useMemo(
+    () => mergeTransactions(fetchedTransactions, importedTransactions),
+    [fetchedTransactions, importedTransactions]
+  );
+
+  // Scoring and reward calculation run in a worker so large datasets keep the UI
+  // responsive; the cancelled flags drop results that a newer input has replaced.
+  // Customer merges and preferred names are applied first, so tiers and totals
+  // count each customer once.
+  useEffect(() => {
+    let cancelled = false;
+
+    runRewardsTask("scoreTransactions", [applyCustomerIdentity(rawTransactions, customerIdentity)])
+      .then((scored) => {
+        if (!cancelled) setScoredTransactions(scored);
+      })
+      .catch((err) => {
+        if (!cancelled) setErrorMessage(err.message || "Failed to score transactions");
+      });
 
+    return () => {
+      cancelled = true;
+    };
+  }, [rawTransactions, customerIdentity]);
+
+  // Flagged transactions carry their review status; held ones earn nothing
+  // until released, so everything below counts them that way.
   useEffect(() => {
-    if (transactions.length > 0) {
-      const {
+    let cancelled = false;
+
+    runRewardsTask("reviewTransactions", [scoredTransactions, anomalyReviews])
+      .then((reviewed) => {
+        if (!cancelled) setTransactions(reviewed);
+      })
+      .catch((err) => {
+        if (!cancelled) setErrorMessage(err.message || "Failed to check transactions for anomalies");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [scoredTransactions, anomalyReviews]);
+
+  // Manual adjustments are added to the monthly totals as rows of their own.
+  const adjustmentEntries = useMemo(
+    () => resolveCustomerIds(ledgerEntries.filter((entry) => entry.type === "adjust"), customerIdentity),
+    [ledgerEntries, customerIdentity]
+  );
+
+  useEffect(() => {
+    // Without transactions nothing is calculated, so clear what an earlier
+    // dataset left behind rather than keep showing it.
+    if (transactions.length === 0) {
+      setUserRewards([]);
+      setTotalRewards([]);
+      setCampaignSummary([]);
+      return undefined;
+    }
+    let cancelled = false;
+
+    runRewardsTask("calculateUserRewards", [transactions, startDate, endDate, { adjustments: adjustmentEntries }])
+      .then(({
         userRewards: calculatedUserRewards,
         totalRewards: calculatedTotalRewards,
-      } = calculateUserRewards(transactions, startDate, endDate);
+        campaignSummary: calculatedCampaignSummary,
+      }) => {
+        if (cancelled) return;
+        setUserRewards(calculatedUserRewards);
+        setTotalRewards(calculatedTotalRewards);
+        setCampaignSummary(calculatedCampaignSummary);
+      })
+      .catch((err) => {
+        if (!cancelled) setErrorMessage(err.message || "Failed to calculate rewards");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [startDate, endDate, transactions, adjustmentEntries]);
 
-      setUserRewards(calculatedUserRewards);
-      setTotalRewards(calculatedTotalRewards);
+  useEffect(() => {
+    if (!comparing || transactions.length === 0) {
+      setComparisonRewards(null);
+      return undefined;
     }
-  }, [startDate, endDate, transactions]);
+    let cancelled = false;
+
+    runRewardsTask("calculateUserRewards", [
+      transactions,
+      compareStartDate,
+      compareEndDate,
+      { adjustments: adjustmentEntries },
+    ])
+      .then((result) => {
+        if (!cancelled) setComparisonRewards(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setErrorMessage(err.message || "Failed to calculate comparison rewards");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [comparing, compareStartDate, compareEndDate, transactions, adjustmentEntries]);
+
+  // In comparison mode the reward tables show both periods side by side.
+  const comparedUserRewards = useMemo(
+    () => (comparisonRewards
+      ? compareUserRewards(userRewards, comparisonRewards.userRewards, {
+        currentStart: startDate,
+        previousStart: compareStartDate,
+      })
+      : userRewards),
+    [comparisonRewards, userRewards, startDate, compareStartDate]
+  );
+  const comparedTotalRewards = useMemo(
+    () => (comparisonRewards ? compareTotalRewards(totalRewards, comparisonRewards.totalRewards) : totalRewards),
+    [comparisonRewards, totalRewards]
+  );
+
+  // When the data source pages the transaction table itself, its rows are raw
+  // transactions; show the scored copy loaded for the rewards calculation.
+  const serverPagination = useMemo(() => supportsServerPagination(), []);
+  const scoredById = useMemo(
+    () => new Map(transactions.map((transaction) => [transaction.transactionId, transaction])),
+    [transactions]
+  );
+  const fetchScoredPage = useCallback(async (query) => {
+    const result = await fetchTransactionPage(query);
+    return {
+      ...result,
+      data: result.data.map((transaction) =>
+        scoredById.get(transaction.transactionId) || scoreTransaction(transaction)),
+    };
+  }, [scoredById]);
+
+  useEffect(() => {
+    saveLedgerEntries(ledgerEntries);
+  }, [ledgerEntries]);
+
+  useEffect(() => {
+    saveCustomerIdentity(customerIdentity);
+  }, [customerIdentity]);
+
+  useEffect(() => {
+    saveAnomalyReviews(anomalyReviews);
+  }, [anomalyReviews]);
+
+  const nameConflicts = useMemo(
+    () => findNameConflicts(rawTransactions, customerIdentity),
+    [rawTransactions, customerIdentity]
+  );
+  const duplicateCustomers = useMemo(
+    () => findDuplicateCustomers(rawTransactions, customerIdentity),
+    [rawTransactions, customerIdentity]
+  );
+
+  const allLedgerEntries = useMemo(
+    () => [...buildEarnEntries(transactions), ...resolveCustomerIds(ledgerEntries, customerIdentity)],
+    [transactions, ledgerEntries, customerIdentity]
+  );
+
+  const balances = useMemo(() => getBalances(allLedgerEntries), [allLedgerEntries]);
+
+  const { currentTiers, tierHistory } = useMemo(
+    () => applyLoyaltyTiers(transactions),
+    [transactions]
+  );
+
+  const expiringPoints = useMemo(
+    () => getExpiringPoints(buildPointLots(allLedgerEntries)),
+    [allLedgerEntries]
+  );
+
+  const customers = useMemo(() => {
+    const byId = new Map();
+    transactions.forEach(({ customerId, name }) => {
+      if (!byId.has(customerId)) byId.set(customerId, { customerId, name });
+    });
+    return [...byId.values()].sort((a, b) => a.customerId - b.customerId);
+  }, [transactions]);
+
+  const handleImport = useCallback((accepted) => {
+    setImportedTransactions((previous) => [...previous, ...accepted]);
+  }, []);
+
+  const handleReview = useCallback((transactionId, status) => {
+    setAnomalyReviews((previous) => setReviewStatus(previous, transactionId, status));
+  }, []);
+
+  const handleRedeem = useCallback((redemption) => {
+    const entry = createRedemption(allLedgerEntries, redemption);
+    setLedgerEntries((previous) => [...previous, entry]);
+  }, [allLedgerEntries]);
+
+  const handleAdjust = useCallback((adjustment) => {
+    const entry = createManualAdjustment(allLedgerEntries, adjustment);
+    // Log first: if the log cannot be written the adjustment is not applied.
+    setAuditLog(appendToAuditLog(entry));
+    setLedgerEntries((previous) => [...previous, entry]);
+  }, [allLedgerEntries]);
 
   if (loading) {
     return <div>Loading transactions...</div>;
   }
 
   if (errorMessage) {
-    return <div>Error loading transactions: {errorMessage}</div>;
+    return (
+      <Container className="mt-3">
+        <Alert
+          severity="error"
+          action={<Button color="inherit" size="small" onClick={handleRetry}>Retry</Button>}
+        >
+          Error loading transactions: {errorMessage}
+        </Alert>
+      </Container>
+    );
   }
 
   return (
@@ -91,7 +421,7 @@ const App = () => {
           <Form.Label>Start Date</Form.Label>
           <DatePicker
             selected={startDate}
-            onChange={(date) => setStartDate(date)}
+            onChange={(date) => setDateParam("start", date)}
             dateFormat="dd/MM/yyyy"
           />
         </Col>
@@ -99,32 +429,162 @@ const App = () => {
           <Form.Label>End Date</Form.Label>
           <DatePicker
             selected={endDate}
-            onChange={(date) => setEndDate(date)}
+            onChange={(date) => setDateParam("end", date)}
             dateFormat="dd/MM/yyyy"
           />
         </Col>
+        <Col md="auto" className="d-flex align-items-end">
+          <Form.Check
+            type="switch"
+            id="compare-toggle"
+            label="Compare with an earlier period"
+            checked={comparing}
+            onChange={handleCompareToggle}
+          />
+        </Col>
+        {comparing && (
+          <>
+            <Col md="auto">
+              <Form.Label>Compare Start</Form.Label>
+              <DatePicker
+                selected={compareStartDate}
+                onChange={(date) => date && setDateParam("compareStart", date)}
+                dateFormat="dd/MM/yyyy"
+              />
+            </Col>
+            <Col md="auto">
+              <Form.Label>Compare End</Form.Label>
+              <DatePicker
+                selected={compareEndDate}
+                onChange={(date) => date && setDateParam("compareEnd", date)}
+                dateFormat="dd/MM/yyyy"
+              />
+            </Col>
+          </>
+        )}
       </Row>
 
-      <h2>Transactions</h2>
-      <TransactionTable
-        transactions={transactions}
-        startDate={startDate}
-        endDate={endDate}
-      />
+      <Routes>
+        <Route
+          path="/"
+          element={
+            <>
+              <h2>Dashboard</h2>
+              <RewardsDashboard
+                userRewards={userRewards}
+                totalRewards={totalRewards}
+                transactions={transactions}
+                startDate={startDate}
+                endDate={endDate}
+              />
+
+              <br />
+
+              <FilterBar filters={filters} onChange={handleFiltersChange} />
+
+              <h2>Transactions</h2>
+              <TransactionImport transactions={transactions} onImport={handleImport} />
+              <TransactionTable
+                transactions={transactions}
+                startDate={startDate}
+                endDate={endDate}
+                filters={filters}
+                fetchPage={serverPagination ? fetchScoredPage : undefined}
+              />
+
+              <br />
+
+              <h2>User Rewards (by Month)</h2>
+              <UserRewardsTable
+                userRewards={comparedUserRewards}
+                comparing={Boolean(comparisonRewards)}
+                startDate={startDate}
+                endDate={endDate}
+                filters={filters}
+                expiringPoints={expiringPoints}
+                expiringWindows={DEFAULT_EXPIRATION_POLICY.expiringSoonWindows}
+                onSelectCustomer={handleSelectCustomer}
+              />
+
+              <br />
+
+              <h2>Total Rewards</h2>
+              <TotalRewardsTable
+                totalRewards={comparedTotalRewards}
+                comparing={Boolean(comparisonRewards)}
+                filters={filters}
+                balances={balances}
+                currentTiers={currentTiers}
+                tierHistory={tierHistory}
+                onSelectCustomer={handleSelectCustomer}
+              />
+
+              <br />
+
+              <h2>Reward Liability</h2>
+              <LiabilityReport entries={allLedgerEntries} startDate={startDate} endDate={endDate} />
+
+              <br />
+
+              <h2>Anomaly Review</h2>
+              <AnomalyReviewQueue transactions={transactions} onReview={handleReview} />
+
+              <br />
+
+              <h2>Redeem Points</h2>
+              <RedemptionForm
+                customers={customers}
+                balances={balances}
+                onRedeem={handleRedeem}
+              />
+
+              <br />
+
+              <h2>Point Adjustments</h2>
+              <AdjustmentForm
+                customers={customers}
+                balances={balances}
+                onAdjust={handleAdjust}
+              />
+
+              <br />
+
+              <h2>Adjustment Audit Log</h2>
+              <AdjustmentAuditLog entries={auditLog} customers={customers} />
 
-      <br />
+              <br />
 
-      <h2>User Rewards (by Month)</h2>
-      <UserRewardsTable
-        userRewards={userRewards}
-        startDate={startDate}
-        endDate={endDate}
-      />
+              <h2>Campaigns</h2>
+              <CampaignSummaryPanel campaignSummary={campaignSummary} />
 
-      <br />
+              <br />
 
-      <h2>Total Rewards</h2>
-      <TotalRewardsTable totalRewards={totalRewards} />
+              <h2>Customer Records</h2>
+              <CustomerIdentityPanel
+                conflicts={nameConflicts}
+                duplicates={duplicateCustomers}
+                identity={customerIdentity}
+                onChange={setCustomerIdentity}
+              />
+            </>
+          }
+        />
+        <Route
+          path="/customers/:customerId"
+          element={
+            <CustomerDetail
+              transactions={transactions}
+              userRewards={userRewards}
+              startDate={startDate}
+              endDate={endDate}
+              balances={balances}
+              currentTiers={currentTiers}
+              tierHistory={tierHistory}
+            />
+          }
+        />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
     </Container>
   );
 };
@@ -1,23 +1,80 @@
-import logger from "./utils/logger"; 
-export const fetchTransactions = async () => {
-  try {
-    const response = await fetch('/transactions.json');
+import logger from "./utils/logger";
+import { createDataSource, filterByDateRange } from "./utils/dataSources";
+import { createDefaultStore, syncTransactions } from "./utils/transactionCache";
+
+let dataSource = null;
+let cacheStore = null;
+
+/**
+ * Returns the data source configured in `src/config/dataSource.json`,
+ * creating it on first use.
+ *
+ * @returns {import("./utils/dataSources").DataSource}
+ */
+export const getDataSource = () => dataSource || (dataSource = createDataSource());
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+/**
+ * Replaces the data source, e.g. with an in-memory source in tests.
+ *
+ * @param {import("./utils/dataSources").DataSource|null} source - The new source, or null to use the configured one.
+ */
+export const setDataSource = (source) => {
+  dataSource = source;
+};
 
-    const data = await response.json();
+/**
+ * Returns the transaction cache, backed by IndexedDB where available.
+ *
+ * @returns {import("./utils/transactionCache").CacheStore}
+ */
+export const getCacheStore = () => cacheStore || (cacheStore = createDefaultStore());
 
-    const sortedData = data.sort((a, b) => {
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      return dateA.getTime() - dateB.getTime();
-    });
+/**
+ * Replaces the transaction cache, e.g. with a memory store in tests.
+ *
+ * @param {import("./utils/transactionCache").CacheStore|null} store - The new store, or null for the default.
+ */
+export const setCacheStore = (store) => {
+  cacheStore = store;
+};
 
-    return sortedData;
+/**
+ * Syncs the transaction cache with the current data source and returns the
+ * cached transactions sorted by date. The date range is applied to the cache,
+ * so it never causes a download of its own.
+ *
+ * @param {import("./utils/dataSources").FetchOptions} [options] - Optional date range and cancellation.
+ * @returns {Promise<import("./utils/calculateRewards").Transaction[]>}
+ */
+export const fetchTransactions = async ({ signal, ...range } = {}) => {
+  try {
+    const { transactions } = await syncTransactions(getDataSource(), getCacheStore(), { signal });
+    return filterByDateRange(transactions, range);
   } catch (error) {
     logger.error("Error fetching transactions:", error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Whether the current data source sorts, filters and pages the transaction
+ * table itself (`serverPagination` in `src/config/dataSource.json`).
+ *
+ * @returns {boolean}
+ */
+export const supportsServerPagination = () => typeof getDataSource().fetchPage === "function";
+
+/**
+ * Loads one page of transactions sorted and filtered by the data source.
+ *
+ * @param {import("./utils/dataSources").PageQuery} query - The page wanted.
+ * @returns {Promise<import("./utils/dataSources").TransactionPage>}
+ */
+export const fetchTransactionPage = async (query) => {
+  try {
+    return await getDataSource().fetchPage(query);
+  } catch (error) {
+    logger.error("Error fetching transaction page:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Box,
+} from "@mui/material";
+import logger from "../utils/logger";
+import { getAuditLog, getReasonLabel } from "../utils/adjustments";
+import { formatDate } from "../utils/dateUtils";
+import { formatDelta } from "../utils/periodComparison";
+import ExportMenu from "./ExportMenu";
+
+/**
+ * Formats when an adjustment was recorded; older entries only have a date.
+ *
+ * @param {import("../utils/pointsLedger").LedgerEntry} entry - The adjustment.
+ * @returns {string}
+ */
+const formatRecordedAt = (entry) =>
+  (entry.createdAt ? new Date(entry.createdAt).toLocaleString("en-GB") : formatDate(entry.date));
+
+/**
+ * AdjustmentAuditLog lists every manual point adjustment, newest first, with
+ * who made it and why. The log is read-only; it can be exported as CSV or XLSX.
+ * Customer IDs are shown as recorded, before any later customer merge.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {import("../utils/pointsLedger").LedgerEntry[]} props.entries - Adjustments from the stored audit log.
+ * @param {Array<{customerId: number, name: string}>} props.customers - Customers, for display names.
+ * @returns {JSX.Element} - Rendered log.
+ */
+const AdjustmentAuditLog = ({ entries, customers }) => {
+  logger.debug("AdjustmentAuditLog: Rendered");
+
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(5);
+
+  const log = useMemo(() => getAuditLog(entries), [entries]);
+  const names = useMemo(
+    () => new Map(customers.map((customer) => [customer.customerId, customer.name])),
+    [customers]
+  );
+
+  /**
+   * Columns written by the CSV/XLSX export.
+   * @type {import("../utils/tableExport").ExportColumn[]}
+   */
+  const exportColumns = useMemo(() => [
+    { header: "Entry ID", value: (entry) => entry.id },
+    { header: "Recorded At", value: (entry) => entry.createdAt },
+    { header: "Date", value: (entry) => entry.date },
+    { header: "Customer ID", value: (entry) => entry.customerId },
+    { header: "Name", value: (entry) => names.get(entry.customerId) },
+    { header: "Points", value: (entry) => entry.points },
+    { header: "Reason Code", value: (entry) => entry.reasonCode },
+    { header: "Reason", value: (entry) => (entry.reasonCode ? getReasonLabel(entry.reasonCode) : undefined) },
+    { header: "Note", value: (entry) => entry.note },
+    { header: "Operator", value: (entry) => entry.operator },
+  ], [names]);
+
+  const displayed = log.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage);
+
+  return (
+    <Paper>
+      <Box sx={{ px: 2, pt: 1, display: "flex", justifyContent: "flex-end" }}>
+        <ExportMenu filename="adjustment-audit-log" columns={exportColumns} rows={log} />
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Recorded</TableCell>
+              <TableCell>Customer</TableCell>
+              <TableCell align="right">Points</TableCell>
+              <TableCell>Reason</TableCell>
+              <TableCell>Note</TableCell>
+              <TableCell>Operator</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {log.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6}>No adjustments recorded.</TableCell>
+              </TableRow>
+            )}
+            {displayed.map((entry) => (
+              <TableRow key={entry.id}>
+                <TableCell>{formatRecordedAt(entry)}</TableCell>
+                <TableCell>
+                  {names.has(entry.customerId)
+                    ? `${names.get(entry.customerId)} (${entry.customerId})`
+                    : entry.customerId}
+                </TableCell>
+                <TableCell align="right">{formatDelta(entry.points)}</TableCell>
+                <TableCell>{entry.reasonCode ? getReasonLabel(entry.reasonCode) : "—"}</TableCell>
+                <TableCell>{entry.note}</TableCell>
+                <TableCell>{entry.operator || "—"}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <TablePagination
+        rowsPerPageOptions={[5, 10, 25]}
+        component="div"
+        count={log.length}
+        rowsPerPage={rowsPerPage}
+        page={page}
+        onPageChange={(event, newPage) => setPage(newPage)}
+        onRowsPerPageChange={(event) => {
+          setRowsPerPage(parseInt(event.target.value, 10));
+          setPage(0);
+        }}
+      />
+    </Paper>
+  );
+};
+
+AdjustmentAuditLog.propTypes = {
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      customerId: PropTypes.number.isRequired,
+      type: PropTypes.string.isRequired,
+      points: PropTypes.number.isRequired,
+      date: PropTypes.string.isRequired,
+      note: PropTypes.string,
+      reasonCode: PropTypes.string,
+      operator: PropTypes.string,
+      createdAt: PropTypes.string,
+    })
+  ).isRequired,
+  customers: PropTypes.arrayOf(
+    PropTypes.shape({
+      customerId: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+};
+
+export default React.memo(AdjustmentAuditLog);
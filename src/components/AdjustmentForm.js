@@ -0,0 +1,151 @@
+import React, { useState, useCallback } from "react";
+import PropTypes from "prop-types";
+import {
+  Paper,
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+} from "@mui/material";
+import logger from "../utils/logger";
+import { DEFAULT_ADJUSTMENT_REASONS } from "../utils/adjustments";
+
+/**
+ * AdjustmentForm lets customer service add goodwill points or correct a
+ * customer's points, recording a reason code, a note and who made the change.
+ * Validation is left to `onAdjust`, whose errors are shown inline. The
+ * operator name is kept after each adjustment so a run of them is quick to enter.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {Array<{customerId: number, name: string}>} props.customers - Customers to choose from.
+ * @param {Object<number, {balance: number}>} props.balances - Balances keyed by customer ID.
+ * @param {(adjustment: import("../utils/adjustments").AdjustmentRequest) => void} props.onAdjust
+ * Records the adjustment; throws to reject it.
+ * @param {import("../utils/adjustments").AdjustmentReason[]} [props.reasons] - Reason codes to choose from.
+ * @returns {JSX.Element} - Rendered form.
+ */
+const AdjustmentForm = ({ customers, balances, onAdjust, reasons = DEFAULT_ADJUSTMENT_REASONS }) => {
+  logger.debug("AdjustmentForm: Rendered");
+
+  const [customerId, setCustomerId] = useState("");
+  const [points, setPoints] = useState("");
+  const [reasonCode, setReasonCode] = useState("");
+  const [note, setNote] = useState("");
+  const [operator, setOperator] = useState("");
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  /**
+   * Submits the adjustment and resets the form, except the operator, when it is accepted.
+   *
+   * @param {React.FormEvent} event - Submit event.
+   */
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const adjustment = { customerId: Number(customerId), points: Number(points), reasonCode, note, operator };
+      onAdjust(adjustment);
+      setSuccess(`Adjusted customer ${adjustment.customerId} by ${adjustment.points > 0 ? "+" : ""}${adjustment.points} points.`);
+      setPoints("");
+      setReasonCode("");
+      setNote("");
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [customerId, points, reasonCode, note, operator, onAdjust]);
+
+  const available = customerId !== "" && balances[customerId]
+    ? balances[customerId].balance
+    : 0;
+  const reason = reasons.find((candidate) => candidate.code === reasonCode);
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box
+        component="form"
+        onSubmit={handleSubmit}
+        sx={{ display: "flex", flexWrap: "wrap", gap: 2, alignItems: "flex-start" }}
+      >
+        <TextField
+          select
+          label="Customer"
+          value={customerId}
+          onChange={(e) => setCustomerId(e.target.value)}
+          sx={{ minWidth: 220 }}
+          required
+        >
+          {customers.map((customer) => (
+            <MenuItem key={customer.customerId} value={String(customer.customerId)}>
+              {`${customer.name} (${customer.customerId})`}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="Points (+/−)"
+          type="number"
+          value={points}
+          onChange={(e) => setPoints(e.target.value)}
+          helperText={customerId !== "" ? `Available: ${available}` : " "}
+          inputProps={{ step: 1 }}
+          required
+        />
+        <TextField
+          select
+          label="Reason"
+          value={reasonCode}
+          onChange={(e) => setReasonCode(e.target.value)}
+          sx={{ minWidth: 220 }}
+          required
+        >
+          {reasons.map((option) => (
+            <MenuItem key={option.code} value={option.code}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="Note"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          required={Boolean(reason && reason.noteRequired)}
+        />
+        <TextField
+          label="Operator"
+          value={operator}
+          onChange={(e) => setOperator(e.target.value)}
+          required
+        />
+        <Button type="submit" variant="contained" sx={{ mt: 1 }}>
+          Adjust
+        </Button>
+      </Box>
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mt: 2 }}>{success}</Alert>}
+    </Paper>
+  );
+};
+
+AdjustmentForm.propTypes = {
+  customers: PropTypes.arrayOf(
+    PropTypes.shape({
+      customerId: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  balances: PropTypes.object.isRequired,
+  onAdjust: PropTypes.func.isRequired,
+  reasons: PropTypes.arrayOf(
+    PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      noteRequired: PropTypes.bool,
+    })
+  ),
+};
+
+export default React.memo(AdjustmentForm);
@@ -0,0 +1,186 @@
+import React, { useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Chip,
+  Tooltip,
+} from "@mui/material";
+import logger from "../utils/logger";
+import { ANOMALY_RULE_LABELS } from "../utils/anomalyDetection";
+import { formatDate } from "../utils/dateUtils";
+import { formatAmount, getTransactionCurrency } from "../utils/currency";
+
+/**
+ * Review statuses the queue can be narrowed to.
+ */
+export const STATUS_OPTIONS = [
+  { value: "pending", label: "Pending" },
+  { value: "held", label: "Held" },
+  { value: "released", label: "Released" },
+  { value: "all", label: "All" },
+];
+
+const STATUS_COLORS = { pending: "warning", held: "error", released: "success" };
+
+/**
+ * The anomaly flags of a transaction as chips, with the reasons on hover.
+ *
+ * @param {Object} props - Component props.
+ * @param {import("../utils/anomalyDetection").Anomaly[]} props.anomalies - The flags.
+ * @returns {JSX.Element}
+ */
+export const AnomalyChips = ({ anomalies }) => (
+  <>
+    {anomalies.map((anomaly) => (
+      <Tooltip key={anomaly.rule} title={anomaly.reason}>
+        <Chip label={ANOMALY_RULE_LABELS[anomaly.rule]} color="warning" size="small" variant="outlined" sx={{ mr: 0.5 }} />
+      </Tooltip>
+    ))}
+  </>
+);
+
+AnomalyChips.propTypes = {
+  anomalies: PropTypes.arrayOf(
+    PropTypes.shape({
+      rule: PropTypes.string.isRequired,
+      reason: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+};
+
+/**
+ * AnomalyReviewQueue lists transactions the anomaly detector flagged so staff
+ * can hold their points or release them. Held points stay withheld from
+ * totals, balances and the ledger until the transaction is released.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {import("../utils/calculateRewards").Transaction[]} props.transactions - Scored transactions with review status applied.
+ * @param {(transactionId: number, status: "held"|"released") => void} props.onReview - Records a decision.
+ * @returns {JSX.Element} - Rendered queue.
+ */
+const AnomalyReviewQueue = ({ transactions, onReview }) => {
+  logger.debug("AnomalyReviewQueue: Rendered");
+
+  const [status, setStatus] = useState("pending");
+
+  const flagged = useMemo(
+    () => transactions.filter((transaction) => transaction.anomalies),
+    [transactions]
+  );
+  const rows = useMemo(
+    () => (status === "all" ? flagged : flagged.filter((transaction) => transaction.reviewStatus === status)),
+    [flagged, status]
+  );
+
+  return (
+    <Paper>
+      <Box sx={{ p: 2 }}>
+        <TextField
+          select
+          label="Status"
+          size="small"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {STATUS_OPTIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {`${option.label} (${option.value === "all"
+                ? flagged.length
+                : flagged.filter((transaction) => transaction.reviewStatus === option.value).length})`}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Transaction</TableCell>
+              <TableCell>Customer</TableCell>
+              <TableCell>Date</TableCell>
+              <TableCell align="right">Price</TableCell>
+              <TableCell align="right">Points</TableCell>
+              <TableCell>Flags</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Action</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={8}>No flagged transactions to show.</TableCell>
+              </TableRow>
+            )}
+            {rows.map((transaction) => (
+              <TableRow key={transaction.transactionId}>
+                <TableCell>{`#${transaction.transactionId}`}</TableCell>
+                <TableCell>{`${transaction.name} (${transaction.customerId})`}</TableCell>
+                <TableCell>{formatDate(transaction.date)}</TableCell>
+                <TableCell align="right">
+                  {formatAmount(transaction.price, getTransactionCurrency(transaction))}
+                </TableCell>
+                <TableCell align="right">
+                  {transaction.held ? transaction.heldPoints : transaction.rewardPoints}
+                </TableCell>
+                <TableCell>
+                  <AnomalyChips anomalies={transaction.anomalies} />
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={STATUS_OPTIONS.find((option) => option.value === transaction.reviewStatus).label}
+                    color={STATUS_COLORS[transaction.reviewStatus]}
+                    size="small"
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  {transaction.reviewStatus !== "held" && (
+                    <Button size="small" color="error" onClick={() => onReview(transaction.transactionId, "held")}>
+                      Hold
+                    </Button>
+                  )}
+                  {transaction.reviewStatus !== "released" && (
+                    <Button size="small" onClick={() => onReview(transaction.transactionId, "released")}>
+                      Release
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+AnomalyReviewQueue.propTypes = {
+  transactions: PropTypes.arrayOf(
+    PropTypes.shape({
+      transactionId: PropTypes.number.isRequired,
+      customerId: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      date: PropTypes.string.isRequired,
+      price: PropTypes.number.isRequired,
+      rewardPoints: PropTypes.number.isRequired,
+      anomalies: PropTypes.array,
+      reviewStatus: PropTypes.oneOf(["pending", "held", "released"]),
+      held: PropTypes.bool,
+      heldPoints: PropTypes.number,
+    })
+  ).isRequired,
+  onReview: PropTypes.func.isRequired,
+};
+
+export default React.memo(AnomalyReviewQueue);
@@ -0,0 +1,118 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Box, Typography } from "@mui/material";
+import logger from "../utils/logger";
+import { getNiceMax } from "../utils/dashboard";
+
+const WIDTH = 600;
+const BAR_SIZE = 22;
+const MAX_LABEL_LENGTH = 18;
+
+/**
+ * Shortens a label to fit under or beside a bar.
+ * @param {string} label - The label.
+ * @returns {string}
+ */
+const shorten = (label) =>
+  label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+
+/**
+ * BarChart draws one bar per item as an SVG that scales to its container.
+ * Vertical bars suit time series; horizontal bars suit long labels such as
+ * customer names. Hovering a bar shows its label and value.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {string} props.title - Chart title, also its accessible name.
+ * @param {{key: string, label: string, value: number}[]} props.data - Bars in display order.
+ * @param {boolean} [props.horizontal] - Draw bars left to right instead of bottom to top.
+ * @param {(value: number) => string} [props.formatValue] - Formats values for tooltips and the axis.
+ * @param {string} [props.color] - Bar colour.
+ * @returns {JSX.Element} - Rendered chart.
+ */
+const BarChart = ({ title, data, horizontal = false, formatValue = String, color = "#1976d2" }) => {
+  logger.debug("BarChart: Rendered");
+
+  const max = getNiceMax(Math.max(0, ...data.map((item) => item.value)));
+  const margin = horizontal
+    ? { top: 8, right: 48, bottom: 8, left: 150 }
+    : { top: 16, right: 8, bottom: 40, left: 56 };
+  const height = horizontal ? margin.top + margin.bottom + data.length * (BAR_SIZE + 6) : 240;
+  const plotWidth = WIDTH - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const band = data.length > 0 ? (horizontal ? plotHeight : plotWidth) / data.length : 0;
+  const length = (value) => (Math.max(0, value) / max) * (horizontal ? plotWidth : plotHeight);
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" component="h3">{title}</Typography>
+      {data.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">No data for the selected range.</Typography>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${height}`} width="100%" role="img" aria-label={title}>
+          {!horizontal && [0, max / 2, max].map((tick) => {
+            const y = margin.top + plotHeight - length(tick);
+            return (
+              <g key={tick}>
+                <line x1={margin.left} x2={WIDTH - margin.right} y1={y} y2={y} stroke="#e0e0e0" />
+                <text x={margin.left - 6} y={y + 4} textAnchor="end" fontSize="11">{formatValue(tick)}</text>
+              </g>
+            );
+          })}
+          {data.map((item, index) => {
+            const size = Math.min(BAR_SIZE * 2, band * 0.7);
+            const offset = index * band + (band - size) / 2;
+            const barLength = length(item.value);
+            return horizontal ? (
+              <g key={item.key}>
+                <title>{`${item.label}: ${formatValue(item.value)}`}</title>
+                <text x={margin.left - 6} y={margin.top + offset + size / 2 + 4} textAnchor="end" fontSize="12">
+                  {shorten(item.label)}
+                </text>
+                <rect x={margin.left} y={margin.top + offset} width={barLength} height={size} fill={color} />
+                <text x={margin.left + barLength + 4} y={margin.top + offset + size / 2 + 4} fontSize="11">
+                  {formatValue(item.value)}
+                </text>
+              </g>
+            ) : (
+              <g key={item.key}>
+                <title>{`${item.label}: ${formatValue(item.value)}`}</title>
+                <rect
+                  x={margin.left + offset}
+                  y={margin.top + plotHeight - barLength}
+                  width={size}
+                  height={barLength}
+                  fill={color}
+                />
+                <text
+                  x={margin.left + index * band + band / 2}
+                  y={height - margin.bottom + 16}
+                  textAnchor="middle"
+                  fontSize="11"
+                >
+                  {shorten(item.label)}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      )}
+    </Box>
+  );
+};
+
+BarChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  data: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      value: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  horizontal: PropTypes.bool,
+  formatValue: PropTypes.func,
+  color: PropTypes.string,
+};
+
+export default React.memo(BarChart);
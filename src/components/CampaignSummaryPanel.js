@@ -0,0 +1,84 @@
+import React from "react";
+import PropTypes from "prop-types";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+} from "@mui/material";
+import logger from "../utils/logger";
+
+/**
+ * CampaignSummaryPanel lists every promotional campaign with the customers
+ * who took part and the extra points it issued within the selected date range.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {Array} props.campaignSummary - Per-campaign results from `calculateUserRewards`.
+ * @returns {JSX.Element} - Rendered panel.
+ */
+const CampaignSummaryPanel = ({ campaignSummary }) => {
+  logger.debug("CampaignSummaryPanel: Rendered");
+
+  return (
+    <Paper>
+      <TableContainer>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Campaign</TableCell>
+              <TableCell>Period</TableCell>
+              <TableCell>Participating Customers</TableCell>
+              <TableCell align="right">Extra Points</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {campaignSummary.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={4}>No campaigns configured.</TableCell>
+              </TableRow>
+            )}
+            {campaignSummary.map((campaign) => (
+              <TableRow key={campaign.campaignId}>
+                <TableCell>{campaign.name}</TableCell>
+                <TableCell>{`${campaign.startDate} - ${campaign.endDate}`}</TableCell>
+                <TableCell>
+                  {campaign.participants.length === 0
+                    ? "No participants in range"
+                    : campaign.participants
+                        .map((p) => `${p.name} (${p.customerId}): +${p.extraPoints}`)
+                        .join(", ")}
+                </TableCell>
+                <TableCell align="right">{campaign.extraPoints}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+CampaignSummaryPanel.propTypes = {
+  campaignSummary: PropTypes.arrayOf(
+    PropTypes.shape({
+      campaignId: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      startDate: PropTypes.string.isRequired,
+      endDate: PropTypes.string.isRequired,
+      participants: PropTypes.arrayOf(
+        PropTypes.shape({
+          customerId: PropTypes.number.isRequired,
+          name: PropTypes.string.isRequired,
+          extraPoints: PropTypes.number.isRequired,
+        })
+      ).isRequired,
+      extraPoints: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+};
+
+export default React.memo(CampaignSummaryPanel);
@@ -0,0 +1,110 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Chip, TableCell, TableSortLabel } from "@mui/material";
+import { formatDelta, formatDeltaPercent } from "../utils/periodComparison";
+
+const STATUS_LABELS = {
+  new: "New",
+  lost: "Lost",
+  growing: "Growing",
+  declining: "Declining",
+  steady: "Steady",
+};
+
+const STATUS_COLORS = {
+  new: "info",
+  lost: "error",
+  growing: "success",
+  declining: "warning",
+  steady: "default",
+};
+
+/**
+ * Sortable columns added to a rewards table in comparison mode.
+ */
+const COLUMNS = [
+  { id: "previousPoints", label: "Previous Points" },
+  { id: "delta", label: "Change" },
+  { id: "deltaPercent", label: "Change %" },
+];
+
+/**
+ * Header cells for the comparison columns.
+ *
+ * @param {Object} props - Component props.
+ * @param {"asc"|"desc"} props.order - Current sort direction.
+ * @param {string} props.orderBy - Current sort column.
+ * @param {(event: React.MouseEvent, property: string) => void} props.onRequestSort - Sorts by a column.
+ * @returns {JSX.Element}
+ */
+export const ComparisonHeaderCells = ({ order, orderBy, onRequestSort }) => (
+  <>
+    {COLUMNS.map((column) => (
+      <TableCell key={column.id} align="right">
+        <TableSortLabel
+          active={orderBy === column.id}
+          direction={orderBy === column.id ? order : "asc"}
+          onClick={(e) => onRequestSort(e, column.id)}
+        >
+          {column.label}
+        </TableSortLabel>
+      </TableCell>
+    ))}
+    <TableCell>
+      <TableSortLabel
+        active={orderBy === "status"}
+        direction={orderBy === "status" ? order : "asc"}
+        onClick={(e) => onRequestSort(e, "status")}
+      >
+        Status
+      </TableSortLabel>
+    </TableCell>
+  </>
+);
+
+ComparisonHeaderCells.propTypes = {
+  order: PropTypes.oneOf(["asc", "desc"]).isRequired,
+  orderBy: PropTypes.string.isRequired,
+  onRequestSort: PropTypes.func.isRequired,
+};
+
+/**
+ * Body cells showing a row's points in the comparison period, the change and
+ * whether the customer is new, lost, growing, declining or steady.
+ *
+ * @param {Object} props - Component props.
+ * @param {import("../utils/periodComparison").ComparisonFields} props.row - The compared row.
+ * @returns {JSX.Element}
+ */
+const ComparisonCells = ({ row }) => (
+  <>
+    <TableCell align="right">{row.previousPoints}</TableCell>
+    <TableCell align="right">{formatDelta(row.delta)}</TableCell>
+    <TableCell align="right">{formatDeltaPercent(row.deltaPercent)}</TableCell>
+    <TableCell>
+      <Chip label={STATUS_LABELS[row.status]} color={STATUS_COLORS[row.status]} size="small" />
+    </TableCell>
+  </>
+);
+
+ComparisonCells.propTypes = {
+  row: PropTypes.shape({
+    previousPoints: PropTypes.number.isRequired,
+    delta: PropTypes.number.isRequired,
+    deltaPercent: PropTypes.number,
+    status: PropTypes.oneOf(Object.keys(STATUS_LABELS)).isRequired,
+  }).isRequired,
+};
+
+/**
+ * Export columns matching the comparison cells.
+ * @type {import("../utils/tableExport").ExportColumn[]}
+ */
+export const comparisonExportColumns = [
+  { header: "Previous Points", value: (row) => row.previousPoints },
+  { header: "Change", value: (row) => row.delta },
+  { header: "Change %", value: (row) => row.deltaPercent },
+  { header: "Status", value: (row) => STATUS_LABELS[row.status] },
+];
+
+export default ComparisonCells;
@@ -0,0 +1,175 @@
+import React, { useMemo } from "react";
+import PropTypes from "prop-types";
+import { Link, useLocation, useParams } from "react-router-dom";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Box,
+  Typography,
+  Chip,
+} from "@mui/material";
+import logger from "../utils/logger";
+import { findTier } from "../utils/loyaltyTiers";
+import { getUserRewardKey } from "../utils/calculateRewards";
+import { getPeriodName } from "../utils/dateUtils";
+import TransactionTable from "./TransactionTable";
+import TierBadge from "./TierBadge";
+
+/**
+ * CustomerDetail shows one customer's transactions, monthly points with a
+ * running total, and their current tier and balance. The customer is taken
+ * from the `:customerId` route parameter; the date range is the one selected
+ * in the app, so the back link keeps the current query string.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {Array} props.transactions - All scored transactions.
+ * @param {Array} props.userRewards - Monthly rewards for the selected date range.
+ * @param {Date|null} [props.startDate] - Start of the selected date range.
+ * @param {Date|null} [props.endDate] - End of the selected date range.
+ * @param {Object<number, {balance: number, expired: number}>} [props.balances] - Balances keyed by customer ID.
+ * @param {Object<number, string>} [props.currentTiers] - Current loyalty tier IDs keyed by customer ID.
+ * @param {Object<number, Array>} [props.tierHistory] - Loyalty tier changes keyed by customer ID.
+ * @returns {JSX.Element} - Rendered detail view.
+ */
+const CustomerDetail = ({
+  transactions,
+  userRewards,
+  startDate,
+  endDate,
+  balances = {},
+  currentTiers = {},
+  tierHistory = {},
+}) => {
+  logger.debug("CustomerDetail: Rendered");
+
+  const { search } = useLocation();
+  const params = useParams();
+  const customerId = Number(params.customerId);
+
+  const customerTransactions = useMemo(
+    () => transactions.filter((txn) => txn.customerId === customerId),
+    [transactions, customerId]
+  );
+
+  /**
+   * Monthly points in chronological order, each with the running total so far.
+   */
+  const monthlyPoints = useMemo(() => {
+    let runningTotal = 0;
+    return userRewards
+      .filter((reward) => reward.customerId === customerId)
+      .sort((a, b) => a.year - b.year || a.month - b.month || Boolean(a.type) - Boolean(b.type))
+      .map((reward) => {
+        runningTotal += reward.totalPoints;
+        return { ...reward, runningTotal };
+      });
+  }, [userRewards, customerId]);
+
+  const backLink = <Link to={{ pathname: "/", search }}>Back to all customers</Link>;
+
+  // A customer with only manual adjustments has reward rows or a balance but
+  // no transactions, and is still shown.
+  const known = customerTransactions.length > 0 || monthlyPoints.length > 0 || Boolean(balances[customerId]);
+  if (!known) {
+    logger.warn("CustomerDetail: Unknown customer", customerId);
+    return (
+      <Box>
+        <p>No transactions found for customer {params.customerId}.</p>
+        {backLink}
+      </Box>
+    );
+  }
+
+  const { name } = customerTransactions[0] || monthlyPoints[0] || { name: `Customer ${customerId}` };
+  const tier = findTier(currentTiers[customerId]);
+  const balance = balances[customerId] || { balance: 0, expired: 0 };
+
+  return (
+    <Box>
+      {backLink}
+
+      <Typography variant="h4" component="h2" sx={{ mt: 2 }}>
+        {name}
+        <TierBadge tierId={currentTiers[customerId]} history={tierHistory[customerId]} />
+      </Typography>
+      <Typography color="text.secondary" sx={{ mb: 2 }}>
+        {`Customer ${customerId} · Tier: ${tier ? tier.name : "None"} · ` +
+          `Balance: ${balance.balance} points · Expired: ${balance.expired} points`}
+      </Typography>
+
+      <h3>Monthly Points</h3>
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Year</TableCell>
+                <TableCell>Month</TableCell>
+                <TableCell align="right">Points</TableCell>
+                <TableCell align="right">Running Total</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {monthlyPoints.map((reward) => (
+                <TableRow key={getUserRewardKey(reward)}>
+                  <TableCell>{reward.year}</TableCell>
+                  <TableCell>
+                    {reward.periodName || getPeriodName(reward.month)}
+                    {reward.type === "adjustment" && (
+                      <Chip label="Adjustment" color="secondary" size="small" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{reward.totalPoints}</TableCell>
+                  <TableCell align="right">{reward.runningTotal}</TableCell>
+                </TableRow>
+              ))}
+              {monthlyPoints.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={4}>No points earned in the selected date range.</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <h3 className="mt-4">Transactions</h3>
+      <TransactionTable
+        transactions={customerTransactions}
+        startDate={startDate}
+        endDate={endDate}
+      />
+    </Box>
+  );
+};
+
+CustomerDetail.propTypes = {
+  transactions: PropTypes.arrayOf(
+    PropTypes.shape({
+      customerId: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  userRewards: PropTypes.arrayOf(
+    PropTypes.shape({
+      customerId: PropTypes.number.isRequired,
+      month: PropTypes.number.isRequired,
+      year: PropTypes.number.isRequired,
+      totalPoints: PropTypes.number.isRequired,
+      type: PropTypes.oneOf(["adjustment"]),
+    })
+  ).isRequired,
+  startDate: PropTypes.object,
+  endDate: PropTypes.object,
+  balances: PropTypes.object,
+  currentTiers: PropTypes.object,
+  tierHistory: PropTypes.object,
+};
+
+export default React.memo(CustomerDetail);
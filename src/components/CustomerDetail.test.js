@@ -0,0 +1,73 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import CustomerDetail from './CustomerDetail';
+
+describe('CustomerDetail', () => {
+  const transactions = [
+    { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-10', product: 'Laptop', price: 120, rewardPoints: 90 },
+    { transactionId: 2, customerId: 101, name: 'John Doe', date: '2024-02-05', product: 'Mouse', price: 70, rewardPoints: 20 },
+    { transactionId: 3, customerId: 102, name: 'Jane Smith', date: '2024-01-15', product: 'Desk', price: 75, rewardPoints: 25 },
+  ];
+  const userRewards = [
+    { year: 2024, month: 2, customerId: 101, name: 'John Doe', totalPoints: 20 },
+    { year: 2024, month: 1, customerId: 101, name: 'John Doe', totalPoints: 90 },
+    { year: 2024, month: 1, customerId: 102, name: 'Jane Smith', totalPoints: 25 },
+    { year: 2024, month: 2, customerId: 103, name: 'Ann Lee', type: 'adjustment', totalPoints: 40 },
+  ];
+
+  const renderAt = (path) =>
+    render(
+      <MemoryRouter initialEntries={[path]}>
+        <Routes>
+          <Route
+            path="/customers/:customerId"
+            element={
+              <CustomerDetail
+                transactions={transactions}
+                userRewards={userRewards}
+                balances={{ 101: { balance: 110, expired: 0 }, 103: { balance: 40, expired: 0 } }}
+                currentTiers={{ 101: 'bronze' }}
+              />
+            }
+          />
+        </Routes>
+      </MemoryRouter>
+    );
+
+  test('shows monthly points in order with a running total', () => {
+    renderAt('/customers/101?start=2024-01-01&end=2024-02-29');
+
+    expect(screen.getByRole('heading', { name: /John Doe/ })).toBeInTheDocument();
+    expect(screen.getByText(/Balance: 110 points/)).toBeInTheDocument();
+
+    const january = screen.getByRole('row', { name: /January/ });
+    const february = screen.getByRole('row', { name: /February/ });
+    expect(january).toHaveTextContent('90');
+    expect(february).toHaveTextContent('20');
+    expect(february).toHaveTextContent('110');
+    expect(screen.queryByText('Jane Smith')).toBeNull();
+  });
+
+  test('keeps the date range in the back link', () => {
+    renderAt('/customers/101?start=2024-01-01&end=2024-02-29');
+
+    expect(screen.getByRole('link', { name: /Back to all customers/ }))
+      .toHaveAttribute('href', '/?start=2024-01-01&end=2024-02-29');
+  });
+
+  test('shows a customer who only has manual adjustments', () => {
+    renderAt('/customers/103');
+
+    expect(screen.getByRole('heading', { name: /Ann Lee/ })).toBeInTheDocument();
+    expect(screen.getByText(/Balance: 40 points/)).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: /February/ })).toHaveTextContent('Adjustment');
+    expect(screen.queryByText(/No transactions found/)).toBeNull();
+  });
+
+  test('reports an unknown customer', () => {
+    renderAt('/customers/999');
+
+    expect(screen.getByText(/No transactions found for customer 999/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,220 @@
+import React, { useState, useCallback } from "react";
+import PropTypes from "prop-types";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Box,
+  TextField,
+  Button,
+  Alert,
+} from "@mui/material";
+import logger from "../utils/logger";
+import {
+  CustomerMergeError,
+  mergeCustomers,
+  setPreferredName,
+  unmergeCustomer,
+} from "../utils/customerIdentity";
+
+/**
+ * CustomerIdentityPanel lists customer records that look inconsistent and
+ * lets staff resolve them: pick the name for an ID used under several names,
+ * merge IDs that belong to one customer under a chosen name, or undo earlier
+ * merges and names.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {import("../utils/customerIdentity").NameConflict[]} props.conflicts - IDs used under several names.
+ * @param {import("../utils/customerIdentity").DuplicateCandidate[]} props.duplicates - Names used by several IDs.
+ * @param {import("../utils/customerIdentity").CustomerIdentity} props.identity - Current merges and preferred names.
+ * @param {(identity: import("../utils/customerIdentity").CustomerIdentity) => void} props.onChange - Stores the updated identity.
+ * @returns {JSX.Element} - Rendered panel.
+ */
+const CustomerIdentityPanel = ({ conflicts, duplicates, identity, onChange }) => {
+  logger.debug("CustomerIdentityPanel: Rendered");
+
+  const [fromId, setFromId] = useState("");
+  const [intoId, setIntoId] = useState("");
+  const [keepName, setKeepName] = useState("");
+  const [error, setError] = useState(null);
+
+  /**
+   * Merges customer records, showing the reason if the merge is refused.
+   *
+   * @param {number[]} duplicateIds - IDs to merge away.
+   * @param {number} keepId - The ID to keep.
+   * @param {string} name - The name to show for the merged customer.
+   * @returns {boolean} Whether the merge was applied.
+   */
+  const merge = useCallback((duplicateIds, keepId, name) => {
+    setError(null);
+    try {
+      onChange(duplicateIds.reduce((next, id) => mergeCustomers(next, id, keepId, name), identity));
+      return true;
+    } catch (err) {
+      if (!(err instanceof CustomerMergeError)) throw err;
+      setError(err.message);
+      return false;
+    }
+  }, [identity, onChange]);
+
+  /**
+   * Submits the manual merge form.
+   *
+   * @param {React.FormEvent} event - Submit event.
+   */
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+    if (merge([Number(fromId)], Number(intoId), keepName)) {
+      setFromId("");
+      setIntoId("");
+      setKeepName("");
+    }
+  }, [fromId, intoId, keepName, merge]);
+
+  const aliases = Object.entries(identity.aliases);
+  const names = Object.entries(identity.names);
+  const nothingToShow = conflicts.length + duplicates.length + aliases.length + names.length === 0;
+
+  return (
+    <Paper>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Issue</TableCell>
+              <TableCell>Customer IDs</TableCell>
+              <TableCell>Names</TableCell>
+              <TableCell align="right">Action</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {nothingToShow && (
+              <TableRow>
+                <TableCell colSpan={4}>No duplicate customer records found.</TableCell>
+              </TableRow>
+            )}
+            {conflicts.map(({ customerId, names: usages }) => (
+              <TableRow key={`conflict-${customerId}`}>
+                <TableCell>One ID, several names</TableCell>
+                <TableCell>{customerId}</TableCell>
+                <TableCell>
+                  {usages.map((usage) => `${usage.name} (${usage.count})`).join(", ")}
+                </TableCell>
+                <TableCell align="right">
+                  {usages.map((usage) => (
+                    <Button
+                      key={usage.name}
+                      size="small"
+                      onClick={() => onChange(setPreferredName(identity, customerId, usage.name))}
+                    >
+                      {`Use "${usage.name}"`}
+                    </Button>
+                  ))}
+                </TableCell>
+              </TableRow>
+            ))}
+            {duplicates.map(({ name, customerIds }) => (
+              <TableRow key={`duplicate-${customerIds.join("-")}`}>
+                <TableCell>Possible duplicate</TableCell>
+                <TableCell>{customerIds.join(", ")}</TableCell>
+                <TableCell>{name}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" onClick={() => merge(customerIds.slice(1), customerIds[0], name)}>
+                    {`Merge into ${customerIds[0]} as "${name}"`}
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+            {aliases.map(([alias, customerId]) => (
+              <TableRow key={`alias-${alias}`}>
+                <TableCell>Merged</TableCell>
+                <TableCell>{`${alias} → ${customerId}`}</TableCell>
+                <TableCell />
+                <TableCell align="right">
+                  <Button size="small" onClick={() => onChange(unmergeCustomer(identity, Number(alias)))}>
+                    Undo merge
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+            {names.map(([customerId, name]) => (
+              <TableRow key={`name-${customerId}`}>
+                <TableCell>Preferred name</TableCell>
+                <TableCell>{customerId}</TableCell>
+                <TableCell>{name}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" onClick={() => onChange(setPreferredName(identity, Number(customerId), ""))}>
+                    Reset name
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Box component="form" onSubmit={handleSubmit} sx={{ p: 2, display: "flex", gap: 2, alignItems: "center" }}>
+        <TextField
+          label="Merge customer ID"
+          type="number"
+          size="small"
+          value={fromId}
+          onChange={(e) => setFromId(e.target.value)}
+          required
+        />
+        <TextField
+          label="into customer ID"
+          type="number"
+          size="small"
+          value={intoId}
+          onChange={(e) => setIntoId(e.target.value)}
+          required
+        />
+        <TextField
+          label="as name"
+          size="small"
+          value={keepName}
+          onChange={(e) => setKeepName(e.target.value)}
+          required
+        />
+        <Button type="submit" variant="contained">
+          Merge
+        </Button>
+      </Box>
+      {error && <Alert severity="error" sx={{ m: 2, mt: 0 }}>{error}</Alert>}
+    </Paper>
+  );
+};
+
+CustomerIdentityPanel.propTypes = {
+  conflicts: PropTypes.arrayOf(
+    PropTypes.shape({
+      customerId: PropTypes.number.isRequired,
+      names: PropTypes.arrayOf(
+        PropTypes.shape({
+          name: PropTypes.string.isRequired,
+          count: PropTypes.number.isRequired,
+        })
+      ).isRequired,
+    })
+  ).isRequired,
+  duplicates: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      customerIds: PropTypes.arrayOf(PropTypes.number).isRequired,
+    })
+  ).isRequired,
+  identity: PropTypes.shape({
+    aliases: PropTypes.object.isRequired,
+    names: PropTypes.object.isRequired,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default React.memo(CustomerIdentityPanel);
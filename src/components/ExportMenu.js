@@ -0,0 +1,90 @@
+import React, { useState, useCallback } from "react";
+import PropTypes from "prop-types";
+import { Alert, Button, Menu, MenuItem, Tooltip } from "@mui/material";
+import logger from "../utils/logger";
+import { EXPORT_FORMATS, downloadTable } from "../utils/tableExport";
+
+/**
+ * ExportMenu offers CSV and XLSX downloads of a table's rows. Tables pass the
+ * full filtered and sorted row list, not just the current page. Tables whose
+ * rows live at the data source pass `loadRows` instead, which is called on
+ * export to fetch them all.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {string} props.filename - File name without extension.
+ * @param {import("../utils/tableExport").ExportColumn[]} props.columns - Columns to export.
+ * @param {Array<object>} [props.rows] - Rows in display order.
+ * @param {() => Promise<Array<object>>} [props.loadRows] - Loads every row to export, in display order.
+ * @param {number} [props.rowCount] - Number of rows `loadRows` will return; defaults to `rows.length`.
+ * @param {string} [props.disabledReason] - Why export is unavailable; disables the button and is shown on hover.
+ * @returns {JSX.Element} - Rendered export button and menu.
+ */
+const ExportMenu = ({ filename, columns, rows = [], loadRows, rowCount = rows.length, disabledReason }) => {
+  logger.debug("ExportMenu: Rendered");
+
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Downloads the rows in the chosen format and closes the menu, loading them
+   * first when they live at the data source.
+   *
+   * @param {import("../utils/tableExport").ExportFormat} format - The file format.
+   */
+  const handleExport = useCallback(async (format) => {
+    setAnchorEl(null);
+    setError(null);
+    setExporting(true);
+    try {
+      await downloadTable({ filename, format, columns, rows: loadRows ? await loadRows() : rows });
+    } catch (err) {
+      logger.error("ExportMenu: Could not export rows:", err);
+      setError(err.message || "Could not export the rows");
+    } finally {
+      setExporting(false);
+    }
+  }, [filename, columns, rows, loadRows]);
+
+  return (
+    <>
+      {error && <Alert severity="error" sx={{ mr: 2, py: 0 }}>{`Export failed: ${error}`}</Alert>}
+      <Tooltip title={disabledReason || ""}>
+        <span>
+          <Button
+            size="small"
+            onClick={(e) => setAnchorEl(e.currentTarget)}
+            disabled={rowCount === 0 || exporting || Boolean(disabledReason)}
+          >
+            {exporting ? "Exporting…" : "Export"}
+          </Button>
+        </span>
+      </Tooltip>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {EXPORT_FORMATS.map((format) => (
+          <MenuItem key={format} onClick={() => handleExport(format)}>
+            {format.toUpperCase()}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+ExportMenu.propTypes = {
+  filename: PropTypes.string.isRequired,
+  columns: PropTypes.arrayOf(
+    PropTypes.shape({
+      header: PropTypes.string.isRequired,
+      value: PropTypes.func.isRequired,
+      numberFormat: PropTypes.string,
+    })
+  ).isRequired,
+  rows: PropTypes.array,
+  loadRows: PropTypes.func,
+  rowCount: PropTypes.number,
+  disabledReason: PropTypes.string,
+};
+
+export default React.memo(ExportMenu);
@@ -0,0 +1,138 @@
+import React, { useCallback } from "react";
+import PropTypes from "prop-types";
+import { Paper, Box, TextField, MenuItem, Button } from "@mui/material";
+import logger from "../utils/logger";
+import { EMPTY_FILTERS, hasActiveFilters } from "../utils/tableFilters";
+import { getPeriodName } from "../utils/dateUtils";
+import { DEFAULT_CURRENCY_CONFIG } from "../utils/currency";
+
+const { baseCurrency } = DEFAULT_CURRENCY_CONFIG;
+
+const MONTHS = Array.from({ length: 12 }, (_, index) => ({
+  value: index + 1,
+  label: getPeriodName(index + 1),
+}));
+
+/**
+ * Fields shown for the numeric range filters.
+ */
+const rangeFields = [
+  { key: "minPrice", label: `Min price (${baseCurrency})` },
+  { key: "maxPrice", label: `Max price (${baseCurrency})` },
+  { key: "minPoints", label: "Min points" },
+  { key: "maxPoints", label: "Max points" },
+];
+
+/**
+ * FilterBar holds the search box and column filters shared by the transaction
+ * and reward tables. It is fully controlled: every change is passed to
+ * `onChange`, which stores the filters (in the URL, for the main page).
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {import("../utils/tableFilters").TableFilters} props.filters - Current filters.
+ * @param {(filters: import("../utils/tableFilters").TableFilters) => void} props.onChange - Receives the updated filters.
+ * @returns {JSX.Element} - Rendered filter bar.
+ */
+const FilterBar = ({ filters, onChange }) => {
+  logger.debug("FilterBar: Rendered");
+
+  /**
+   * Updates one filter.
+   *
+   * @param {string} key - The filter to change.
+   * @param {string|number|null} value - Its new value.
+   */
+  const setFilter = useCallback((key, value) => {
+    onChange({ ...filters, [key]: value });
+  }, [filters, onChange]);
+
+  /**
+   * Reads a number field, treating an empty field as "no filter".
+   *
+   * @param {string} value - The field's text.
+   * @returns {number|null}
+   */
+  const toNumber = (value) => (value === "" ? null : Number(value));
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 2, alignItems: "center" }}>
+        <TextField
+          label="Search"
+          type="search"
+          size="small"
+          value={filters.search}
+          onChange={(e) => setFilter("search", e.target.value)}
+          sx={{ minWidth: 220 }}
+        />
+        <TextField
+          label="Customer name or ID"
+          size="small"
+          value={filters.customer}
+          onChange={(e) => setFilter("customer", e.target.value)}
+        />
+        <TextField
+          label="Product"
+          size="small"
+          value={filters.product}
+          onChange={(e) => setFilter("product", e.target.value)}
+        />
+        {rangeFields.map(({ key, label }) => (
+          <TextField
+            key={key}
+            label={label}
+            type="number"
+            size="small"
+            value={filters[key] ?? ""}
+            onChange={(e) => setFilter(key, toNumber(e.target.value))}
+            inputProps={{ min: 0 }}
+            sx={{ width: 130 }}
+          />
+        ))}
+        <TextField
+          select
+          label="Month"
+          size="small"
+          value={filters.month ?? ""}
+          onChange={(e) => setFilter("month", toNumber(e.target.value))}
+          sx={{ width: 150 }}
+        >
+          <MenuItem value="">All months</MenuItem>
+          {MONTHS.map(({ value, label }) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="Year"
+          type="number"
+          size="small"
+          value={filters.year ?? ""}
+          onChange={(e) => setFilter("year", toNumber(e.target.value))}
+          inputProps={{ min: 1900, step: 1 }}
+          sx={{ width: 110 }}
+        />
+        <Button onClick={() => onChange({ ...EMPTY_FILTERS })} disabled={!hasActiveFilters(filters)}>
+          Clear filters
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+FilterBar.propTypes = {
+  filters: PropTypes.shape({
+    search: PropTypes.string.isRequired,
+    customer: PropTypes.string.isRequired,
+    product: PropTypes.string.isRequired,
+    minPrice: PropTypes.number,
+    maxPrice: PropTypes.number,
+    minPoints: PropTypes.number,
+    maxPoints: PropTypes.number,
+    month: PropTypes.number,
+    year: PropTypes.number,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default React.memo(FilterBar);
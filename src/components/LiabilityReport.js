@@ -0,0 +1,189 @@
+import React, { useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableFooter,
+  TableHead,
+  TableRow,
+  Paper,
+  Box,
+  TextField,
+} from "@mui/material";
+import logger from "../utils/logger";
+import {
+  DEFAULT_LIABILITY_CONFIG,
+  getLiabilityConfigErrors,
+  getLiabilityFlows,
+  getLiabilityTotals,
+  valueLiabilityRows,
+} from "../utils/liabilityReport";
+import { DEFAULT_CURRENCY_CONFIG, formatAmount } from "../utils/currency";
+import ExportMenu from "./ExportMenu";
+
+const { baseCurrency } = DEFAULT_CURRENCY_CONFIG;
+
+/**
+ * Columns written by the CSV/XLSX export; amounts are in the base currency.
+ * @type {import("../utils/tableExport").ExportColumn[]}
+ */
+const exportColumns = [
+  { header: "Year", value: (row) => row.year },
+  { header: "Month", value: (row) => row.month },
+  { header: "From", value: (row) => row.start },
+  { header: "To", value: (row) => row.end },
+  { header: "Issued", value: (row) => row.issued },
+  { header: `Issued (${baseCurrency})`, value: (row) => row.issuedValue, numberFormat: "0.00" },
+  { header: "Redeemed", value: (row) => row.redeemed },
+  { header: `Redeemed (${baseCurrency})`, value: (row) => row.redeemedValue, numberFormat: "0.00" },
+  { header: "Adjusted", value: (row) => row.adjusted },
+  { header: "Expired", value: (row) => row.expired },
+  { header: `Expired (${baseCurrency})`, value: (row) => row.expiredValue, numberFormat: "0.00" },
+  { header: "Outstanding", value: (row) => row.outstanding },
+  { header: `Outstanding (${baseCurrency})`, value: (row) => row.outstandingValue, numberFormat: "0.00" },
+  { header: `Liability (${baseCurrency})`, value: (row) => row.liability, numberFormat: "0.00" },
+];
+
+/**
+ * Cells shared by month rows and the totals row.
+ *
+ * @param {Object} props - Component props.
+ * @param {Object} props.row - A report row or the totals.
+ * @returns {JSX.Element}
+ */
+const AmountCells = ({ row }) => (
+  <>
+    <TableCell align="right">{row.issued}</TableCell>
+    <TableCell align="right">{formatAmount(row.issuedValue)}</TableCell>
+    <TableCell align="right">{row.redeemed}</TableCell>
+    <TableCell align="right">{formatAmount(row.redeemedValue)}</TableCell>
+    <TableCell align="right">{row.adjusted}</TableCell>
+    <TableCell align="right">{row.expired}</TableCell>
+    <TableCell align="right">{formatAmount(row.expiredValue)}</TableCell>
+    <TableCell align="right">{row.outstanding}</TableCell>
+    <TableCell align="right">{formatAmount(row.outstandingValue)}</TableCell>
+    <TableCell align="right">{formatAmount(row.liability)}</TableCell>
+  </>
+);
+
+AmountCells.propTypes = {
+  row: PropTypes.object.isRequired,
+};
+
+/**
+ * LiabilityReport values the points programme for finance: per month of the
+ * selected range, the points issued, redeemed, adjusted and expired, the points
+ * outstanding at month end and the liability they represent after expected
+ * breakage. The point value and breakage rate start from
+ * `src/config/liability.json` and can be changed to try other assumptions.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {import("../utils/pointsLedger").LedgerEntry[]} props.entries - Earn, redeem and adjust entries.
+ * @param {Date} props.startDate - Start of the selected date range.
+ * @param {Date} props.endDate - End of the selected date range.
+ * @returns {JSX.Element} - Rendered report.
+ */
+const LiabilityReport = ({ entries, startDate, endDate }) => {
+  logger.debug("LiabilityReport: Rendered");
+
+  const [pointValue, setPointValue] = useState(String(DEFAULT_LIABILITY_CONFIG.pointValue));
+  const [breakagePercent, setBreakagePercent] = useState(String(DEFAULT_LIABILITY_CONFIG.breakageRate * 100));
+
+  const config = useMemo(() => ({
+    pointValue: Number(pointValue),
+    breakageRate: Number(breakagePercent) / 100,
+  }), [pointValue, breakagePercent]);
+  const errors = useMemo(() => getLiabilityConfigErrors(config), [config]);
+
+  // Replaying the ledger depends only on the entries and range; the assumptions
+  // above only re-value the rows, so typing in them stays quick.
+  const flows = useMemo(
+    () => (startDate <= endDate ? getLiabilityFlows(entries, startDate, endDate) : []),
+    [entries, startDate, endDate]
+  );
+  const rows = useMemo(
+    () => (errors.length === 0 ? valueLiabilityRows(flows, config) : []),
+    [flows, config, errors]
+  );
+  const totals = useMemo(() => getLiabilityTotals(rows), [rows]);
+
+  return (
+    <Paper>
+      <Box sx={{ p: 2, display: "flex", gap: 2, alignItems: "center" }}>
+        <TextField
+          label={`Point value (${baseCurrency})`}
+          type="number"
+          size="small"
+          value={pointValue}
+          onChange={(e) => setPointValue(e.target.value)}
+          error={errors.some((error) => error.startsWith("pointValue"))}
+          inputProps={{ min: 0, step: 0.001 }}
+        />
+        <TextField
+          label="Breakage rate (%)"
+          type="number"
+          size="small"
+          value={breakagePercent}
+          onChange={(e) => setBreakagePercent(e.target.value)}
+          error={errors.some((error) => error.startsWith("breakageRate"))}
+          inputProps={{ min: 0, max: 100, step: 1 }}
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <ExportMenu filename="reward-liability" columns={exportColumns} rows={rows} />
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Month</TableCell>
+              <TableCell align="right">Issued</TableCell>
+              <TableCell align="right">Value</TableCell>
+              <TableCell align="right">Redeemed</TableCell>
+              <TableCell align="right">Value</TableCell>
+              <TableCell align="right">Adjusted</TableCell>
+              <TableCell align="right">Expired</TableCell>
+              <TableCell align="right">Value</TableCell>
+              <TableCell align="right">Outstanding</TableCell>
+              <TableCell align="right">Value</TableCell>
+              <TableCell align="right">Liability</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={row.key}>
+                <TableCell>{`${row.periodName} ${row.year}`}</TableCell>
+                <AmountCells row={row} />
+              </TableRow>
+            ))}
+          </TableBody>
+          {rows.length > 0 && (
+            <TableFooter>
+              <TableRow>
+                <TableCell>Total</TableCell>
+                <AmountCells row={totals} />
+              </TableRow>
+            </TableFooter>
+          )}
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+LiabilityReport.propTypes = {
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      customerId: PropTypes.number.isRequired,
+      type: PropTypes.oneOf(["earn", "redeem", "adjust"]).isRequired,
+      points: PropTypes.number.isRequired,
+      date: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  startDate: PropTypes.object.isRequired,
+  endDate: PropTypes.object.isRequired,
+};
+
+export default React.memo(LiabilityReport);
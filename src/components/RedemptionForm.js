@@ -0,0 +1,115 @@
+import React, { useState, useCallback } from "react";
+import PropTypes from "prop-types";
+import {
+  Paper,
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+} from "@mui/material";
+import logger from "../utils/logger";
+
+/**
+ * RedemptionForm lets staff redeem points for a customer. Validation and
+ * overdraft checks are left to `onRedeem`, whose errors are shown inline.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {Array<{customerId: number, name: string}>} props.customers - Customers to choose from.
+ * @param {Object<number, {balance: number}>} props.balances - Balances keyed by customer ID.
+ * @param {(redemption: {customerId: number, points: number, note: string}) => void} props.onRedeem
+ * Records the redemption; throws to reject it.
+ * @returns {JSX.Element} - Rendered form.
+ */
+const RedemptionForm = ({ customers, balances, onRedeem }) => {
+  logger.debug("RedemptionForm: Rendered");
+
+  const [customerId, setCustomerId] = useState("");
+  const [points, setPoints] = useState("");
+  const [note, setNote] = useState("");
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  /**
+   * Submits the redemption and resets the form when it is accepted.
+   *
+   * @param {React.FormEvent} event - Submit event.
+   */
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const redemption = { customerId: Number(customerId), points: Number(points), note };
+      onRedeem(redemption);
+      setSuccess(`Redeemed ${redemption.points} points for customer ${redemption.customerId}.`);
+      setPoints("");
+      setNote("");
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [customerId, points, note, onRedeem]);
+
+  const available = customerId !== "" && balances[customerId]
+    ? balances[customerId].balance
+    : 0;
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box
+        component="form"
+        onSubmit={handleSubmit}
+        sx={{ display: "flex", flexWrap: "wrap", gap: 2, alignItems: "flex-start" }}
+      >
+        <TextField
+          select
+          label="Customer"
+          value={customerId}
+          onChange={(e) => setCustomerId(e.target.value)}
+          sx={{ minWidth: 220 }}
+          required
+        >
+          {customers.map((customer) => (
+            <MenuItem key={customer.customerId} value={String(customer.customerId)}>
+              {`${customer.name} (${customer.customerId})`}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="Points"
+          type="number"
+          value={points}
+          onChange={(e) => setPoints(e.target.value)}
+          helperText={customerId !== "" ? `Available: ${available}` : " "}
+          inputProps={{ min: 1, step: 1 }}
+          required
+        />
+        <TextField
+          label="Note"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+        <Button type="submit" variant="contained" sx={{ mt: 1 }}>
+          Redeem
+        </Button>
+      </Box>
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mt: 2 }}>{success}</Alert>}
+    </Paper>
+  );
+};
+
+RedemptionForm.propTypes = {
+  customers: PropTypes.arrayOf(
+    PropTypes.shape({
+      customerId: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  balances: PropTypes.object.isRequired,
+  onRedeem: PropTypes.func.isRequired,
+};
+
+export default React.memo(RedemptionForm);
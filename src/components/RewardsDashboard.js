@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { Box, Paper, TextField, MenuItem } from "@mui/material";
+import logger from "../utils/logger";
+import { getMonthlyTrend, getPointsHistogram, getTopCustomers } from "../utils/dashboard";
+import { DEFAULT_CURRENCY_CONFIG, formatAmount } from "../utils/currency";
+import BarChart from "./BarChart";
+import ScatterChart from "./ScatterChart";
+
+export const TOP_CUSTOMER_OPTIONS = [5, 10, 20];
+
+/**
+ * Formats a number of points with thousands separators.
+ * @param {number} points - The points.
+ * @returns {string}
+ */
+const formatPoints = (points) => points.toLocaleString("en-US");
+
+/**
+ * RewardsDashboard charts the rewards of the selected date range: points
+ * issued per month, the customers with the most points, purchases and points
+ * per reward tier, and spend against points per customer. The charts follow
+ * the rewards passed in, so they redraw whenever the date range changes.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {import("../utils/calculateRewards").UserReward[]} props.userRewards - Monthly rewards for the range.
+ * @param {import("../utils/calculateRewards").TotalReward[]} props.totalRewards - Customer totals for the range.
+ * @param {import("../utils/calculateRewards").Transaction[]} props.transactions - Scored transactions.
+ * @param {Date|null} [props.startDate] - Start of the selected date range.
+ * @param {Date|null} [props.endDate] - End of the selected date range.
+ * @returns {JSX.Element} - Rendered dashboard.
+ */
+const RewardsDashboard = ({ userRewards, totalRewards, transactions, startDate = null, endDate = null }) => {
+  logger.debug("RewardsDashboard: Rendered");
+
+  const [topCount, setTopCount] = useState(TOP_CUSTOMER_OPTIONS[0]);
+
+  const trend = useMemo(
+    () => getMonthlyTrend(userRewards).map((month) => ({ key: month.key, label: month.label, value: month.points })),
+    [userRewards]
+  );
+
+  const topCustomers = useMemo(
+    () => getTopCustomers(totalRewards, topCount).map((reward) => ({
+      key: String(reward.customerId),
+      label: `${reward.name} (${reward.customerId})`,
+      value: reward.totalPoints,
+    })),
+    [totalRewards, topCount]
+  );
+
+  const histogram = useMemo(
+    () => getPointsHistogram(transactions, { start: startDate, end: endDate }).map((bucket) => ({
+      key: bucket.label,
+      label: `${bucket.label} (${bucket.transactions} purchases)`,
+      value: bucket.points,
+    })),
+    [transactions, startDate, endDate]
+  );
+
+  const spendVsPoints = useMemo(
+    () => totalRewards.map((reward) => ({
+      key: String(reward.customerId),
+      label: reward.name,
+      x: reward.spend || 0,
+      y: reward.totalPoints,
+    })),
+    [totalRewards]
+  );
+
+  return (
+    <Box
+      sx={{
+        display: "grid",
+        gridTemplateColumns: { xs: "1fr", md: "1fr 1fr" },
+        gap: 2,
+      }}
+    >
+      <Paper sx={{ p: 2 }}>
+        <BarChart title="Points issued per month" data={trend} formatValue={formatPoints} />
+      </Paper>
+      <Paper sx={{ p: 2 }}>
+        <TextField
+          select
+          size="small"
+          label="Customers shown"
+          value={topCount}
+          onChange={(e) => setTopCount(Number(e.target.value))}
+          sx={{ float: "right", minWidth: 140 }}
+        >
+          {TOP_CUSTOMER_OPTIONS.map((count) => (
+            <MenuItem key={count} value={count}>{`Top ${count}`}</MenuItem>
+          ))}
+        </TextField>
+        <BarChart
+          title={`Top ${topCount} customers by points`}
+          data={topCustomers}
+          formatValue={formatPoints}
+          horizontal
+          color="#2e7d32"
+        />
+      </Paper>
+      <Paper sx={{ p: 2 }}>
+        <BarChart
+          title={`Points by price tier (${DEFAULT_CURRENCY_CONFIG.baseCurrency})`}
+          data={histogram}
+          formatValue={formatPoints}
+          horizontal
+          color="#ed6c02"
+        />
+      </Paper>
+      <Paper sx={{ p: 2 }}>
+        <ScatterChart
+          title="Spend versus points per customer"
+          data={spendVsPoints}
+          xLabel={`Spend (${DEFAULT_CURRENCY_CONFIG.baseCurrency})`}
+          yLabel="Points"
+          formatX={(value) => formatAmount(value)}
+          formatY={formatPoints}
+        />
+      </Paper>
+    </Box>
+  );
+};
+
+RewardsDashboard.propTypes = {
+  userRewards: PropTypes.arrayOf(
+    PropTypes.shape({
+      month: PropTypes.number.isRequired,
+      year: PropTypes.number.isRequired,
+      totalPoints: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  totalRewards: PropTypes.arrayOf(
+    PropTypes.shape({
+      customerId: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      totalPoints: PropTypes.number.isRequired,
+      spend: PropTypes.number,
+    })
+  ).isRequired,
+  transactions: PropTypes.arrayOf(PropTypes.object).isRequired,
+  startDate: PropTypes.object,
+  endDate: PropTypes.object,
+};
+
+export default React.memo(RewardsDashboard);
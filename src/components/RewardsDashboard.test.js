@@ -0,0 +1,44 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import RewardsDashboard from './RewardsDashboard';
+
+describe('RewardsDashboard', () => {
+  const userRewards = [
+    { customerId: 101, name: 'John Doe', year: 2024, month: 1, totalPoints: 90, campaignPoints: 0 },
+    { customerId: 102, name: 'Jane Smith', year: 2024, month: 2, totalPoints: 25, campaignPoints: 0 },
+  ];
+  const totalRewards = [
+    { customerId: 101, name: 'John Doe', totalPoints: 90, spend: 120 },
+    { customerId: 102, name: 'Jane Smith', totalPoints: 25, spend: 75 },
+  ];
+  const transactions = [
+    { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-10', price: 120, rewardPoints: 90 },
+    { transactionId: 2, customerId: 102, name: 'Jane Smith', date: '2024-02-10', price: 75, rewardPoints: 25 },
+  ];
+
+  test('draws the four charts from the rewards of the range', () => {
+    render(<RewardsDashboard userRewards={userRewards} totalRewards={totalRewards} transactions={transactions} />);
+
+    expect(screen.getByLabelText('Points issued per month')).toBeInTheDocument();
+    expect(screen.getByLabelText('Top 5 customers by points')).toBeInTheDocument();
+    expect(screen.getByLabelText('Points by price tier (USD)')).toBeInTheDocument();
+    expect(screen.getByLabelText('Spend versus points per customer')).toBeInTheDocument();
+    expect(screen.getByText('January 2024: 90')).toBeInTheDocument();
+    expect(screen.getByText('John Doe (101): 90')).toBeInTheDocument();
+    expect(screen.getByText('Jane Smith: $75.00, 25')).toBeInTheDocument();
+  });
+
+  test('redraws when the rewards change', () => {
+    const { rerender } = render(
+      <RewardsDashboard userRewards={userRewards} totalRewards={totalRewards} transactions={transactions} />
+    );
+
+    rerender(
+      <RewardsDashboard userRewards={[]} totalRewards={[]} transactions={transactions} startDate={new Date(2025, 0, 1)} />
+    );
+
+    expect(screen.queryByText('January 2024: 90')).not.toBeInTheDocument();
+    expect(screen.getAllByText('No data for the selected range.')).toHaveLength(3);
+    expect(screen.getByText('Up to 50 (0 purchases): 0')).toBeInTheDocument();
+  });
+});
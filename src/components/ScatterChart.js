@@ -0,0 +1,90 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Box, Typography } from "@mui/material";
+import logger from "../utils/logger";
+import { getNiceMax } from "../utils/dashboard";
+
+const WIDTH = 600;
+const HEIGHT = 260;
+const MARGIN = { top: 16, right: 16, bottom: 40, left: 56 };
+
+/**
+ * ScatterChart plots one dot per item against two value axes as an SVG that
+ * scales to its container. Hovering a dot shows its label and values.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {string} props.title - Chart title, also its accessible name.
+ * @param {{key: string, label: string, x: number, y: number}[]} props.data - Dots to plot.
+ * @param {string} props.xLabel - Name of the horizontal axis.
+ * @param {string} props.yLabel - Name of the vertical axis.
+ * @param {(value: number) => string} [props.formatX] - Formats x values.
+ * @param {(value: number) => string} [props.formatY] - Formats y values.
+ * @returns {JSX.Element} - Rendered chart.
+ */
+const ScatterChart = ({ title, data, xLabel, yLabel, formatX = String, formatY = String }) => {
+  logger.debug("ScatterChart: Rendered");
+
+  const maxX = getNiceMax(Math.max(0, ...data.map((item) => item.x)));
+  const maxY = getNiceMax(Math.max(0, ...data.map((item) => item.y)));
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const toX = (value) => MARGIN.left + (Math.max(0, value) / maxX) * plotWidth;
+  const toY = (value) => MARGIN.top + plotHeight - (Math.max(0, value) / maxY) * plotHeight;
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" component="h3">{title}</Typography>
+      {data.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">No data for the selected range.</Typography>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img" aria-label={title}>
+          {[0, maxY / 2, maxY].map((tick) => (
+            <g key={`y-${tick}`}>
+              <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={toY(tick)} y2={toY(tick)} stroke="#e0e0e0" />
+              <text x={MARGIN.left - 6} y={toY(tick) + 4} textAnchor="end" fontSize="11">{formatY(tick)}</text>
+            </g>
+          ))}
+          {[0, maxX / 2, maxX].map((tick) => (
+            <text key={`x-${tick}`} x={toX(tick)} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" fontSize="11">
+              {formatX(tick)}
+            </text>
+          ))}
+          <text x={MARGIN.left + plotWidth / 2} y={HEIGHT - 4} textAnchor="middle" fontSize="12">{xLabel}</text>
+          <text
+            x={12}
+            y={MARGIN.top + plotHeight / 2}
+            textAnchor="middle"
+            fontSize="12"
+            transform={`rotate(-90 12 ${MARGIN.top + plotHeight / 2})`}
+          >
+            {yLabel}
+          </text>
+          {data.map((item) => (
+            <circle key={item.key} cx={toX(item.x)} cy={toY(item.y)} r={5} fill="#9c27b0" fillOpacity={0.7}>
+              <title>{`${item.label}: ${formatX(item.x)}, ${formatY(item.y)}`}</title>
+            </circle>
+          ))}
+        </svg>
+      )}
+    </Box>
+  );
+};
+
+ScatterChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  data: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      x: PropTypes.number.isRequired,
+      y: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  xLabel: PropTypes.string.isRequired,
+  yLabel: PropTypes.string.isRequired,
+  formatX: PropTypes.func,
+  formatY: PropTypes.func,
+};
+
+export default React.memo(ScatterChart);
@@ -0,0 +1,44 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Chip, Tooltip } from "@mui/material";
+import { findTier } from "../utils/loyaltyTiers";
+
+/**
+ * Renders a customer's current loyalty tier as a badge, with their tier
+ * history in a tooltip.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} [props.tierId] - The current tier ID.
+ * @param {Array} [props.history] - The customer's tier changes.
+ * @returns {JSX.Element|null}
+ */
+const TierBadge = ({ tierId, history = [] }) => {
+  const tier = tierId && findTier(tierId);
+  if (!tier) return null;
+
+  const title = history.length === 0
+    ? "No tier changes"
+    : history.map((change) => `${change.date}: ${change.reason}`).join("\n");
+
+  return (
+    <Tooltip title={<span style={{ whiteSpace: "pre-line" }}>{title}</span>}>
+      <Chip
+        label={tier.name}
+        size="small"
+        sx={{ ml: 1, backgroundColor: tier.color, color: "#fff", fontWeight: "bold" }}
+      />
+    </Tooltip>
+  );
+};
+
+TierBadge.propTypes = {
+  tierId: PropTypes.string,
+  history: PropTypes.arrayOf(
+    PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      reason: PropTypes.string.isRequired,
+    })
+  ),
+};
+
+export default TierBadge;
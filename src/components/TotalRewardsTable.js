@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useCallback } from "react";
+import React, { useState, useMemo, useCallback, useEffect } from "react";
 import PropTypes from "prop-types";
 import {
   Table,
@@ -10,9 +10,15 @@ import {
   Paper,
   TableSortLabel,
   TablePagination,
+  Box,
 } from "@mui/material";
 import logger from "../utils/logger";
 import { getComparator } from "../utils/calculateRewards";
+import { findTier } from "../utils/loyaltyTiers";
+import { filterTotalRewards } from "../utils/tableFilters";
+import TierBadge from "./TierBadge";
+import ExportMenu from "./ExportMenu";
+import ComparisonCells, { ComparisonHeaderCells, comparisonExportColumns } from "./ComparisonCells";
 
 /**
  * TotalRewardsTable component displays a sortable and paginated
@@ -21,9 +27,23 @@ import { getComparator } from "../utils/calculateRewards";
  * @component
  * @param {Object} props - Component props.
  * @param {Array} props.totalRewards - Array of total rewards by customer.
+ * @param {Partial<import("../utils/tableFilters").TableFilters>} [props.filters] - Search, customer and points filters.
+ * @param {Object<number, {balance: number, expired: number}>} [props.balances] - Balances keyed by customer ID.
+ * @param {Object<number, string>} [props.currentTiers] - Current loyalty tier IDs keyed by customer ID.
+ * @param {Object<number, Array>} [props.tierHistory] - Loyalty tier changes keyed by customer ID.
+ * @param {(customerId: number) => void} [props.onSelectCustomer] - Called with the customer ID when a row is clicked.
+ * @param {boolean} [props.comparing] - Rows come from `compareTotalRewards`; show the comparison columns.
  * @returns {JSX.Element} - Rendered table component.
  */
-const TotalRewardsTable = ({ totalRewards }) => {
+const TotalRewardsTable = ({
+  totalRewards,
+  filters,
+  balances = {},
+  currentTiers = {},
+  tierHistory = {},
+  onSelectCustomer,
+  comparing = false,
+}) => {
   logger.debug("TotalRewardsTable: Rendered");
 
   const [order, setOrder] = useState("asc");
@@ -67,14 +87,20 @@ const TotalRewardsTable = ({ totalRewards }) => {
     setPage(0);
   }, []);
 
+  // Changing the filters starts from the first page again.
+  useEffect(() => {
+    setPage(0);
+  }, [filters]);
+
   /**
-   * Memoized and sorted reward data based on current sort settings.
+   * Memoized, filtered and sorted reward data based on current filter and sort settings.
    */
   const sortedRewards = useMemo(() => {
-    const sorted = [...totalRewards].sort(getComparator(order, orderBy));
+    const filtered = filters ? filterTotalRewards(totalRewards, filters) : totalRewards;
+    const sorted = [...filtered].sort(getComparator(order, orderBy));
     logger.debug("TotalRewardsTable: Sorted rewards:", sorted);
     return sorted;
-  }, [totalRewards, order, orderBy]);
+  }, [totalRewards, filters, order, orderBy]);
 
   /**
    * Memoized paginated data for display.
@@ -88,12 +114,49 @@ const TotalRewardsTable = ({ totalRewards }) => {
     return paginated;
   }, [sortedRewards, page, rowsPerPage]);
 
+  /**
+   * Columns written by the CSV/XLSX export.
+   */
+  const exportColumns = useMemo(() => [
+    { header: "Customer ID", value: (reward) => reward.customerId },
+    { header: "Customer Name", value: (reward) => reward.name },
+    {
+      header: "Tier",
+      value: (reward) => {
+        const tier = findTier(currentTiers[reward.customerId]);
+        return tier ? tier.name : "";
+      },
+    },
+    { header: "Total Reward Points", value: (reward) => reward.totalPoints },
+    {
+      header: "Expired",
+      value: (reward) => (balances[reward.customerId] ? balances[reward.customerId].expired : 0),
+    },
+    {
+      header: "Balance",
+      value: (reward) => (balances[reward.customerId] ? balances[reward.customerId].balance : 0),
+    },
+    ...(comparing ? comparisonExportColumns : []),
+  ], [balances, currentTiers, comparing]);
+
   return (
     <Paper>
+      <Box sx={{ px: 2, pt: 1, display: "flex", justifyContent: "flex-end" }}>
+        <ExportMenu filename="total-rewards" columns={exportColumns} rows={sortedRewards} />
+      </Box>
       <TableContainer>
         <Table>
           <TableHead>
             <TableRow>
+              <TableCell>
+                <TableSortLabel
+                  active={orderBy === "customerId"}
+                  direction={orderBy === "customerId" ? order : "asc"}
+                  onClick={(e) => handleRequestSort(e, "customerId")}
+                >
+                  Customer ID
+                </TableSortLabel>
+              </TableCell>
               <TableCell>
                 <TableSortLabel
                   active={orderBy === "name"}
@@ -112,13 +175,37 @@ const TotalRewardsTable = ({ totalRewards }) => {
                   Total Reward Points
                 </TableSortLabel>
               </TableCell>
+              {comparing && (
+                <ComparisonHeaderCells order={order} orderBy={orderBy} onRequestSort={handleRequestSort} />
+              )}
+              <TableCell align="right">Expired</TableCell>
+              <TableCell align="right">Balance</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
             {displayedRewards.map((reward) => (
-              <TableRow key={reward.name}>
-                <TableCell>{reward.name}</TableCell>
+              <TableRow
+                key={reward.customerId}
+                hover={Boolean(onSelectCustomer)}
+                onClick={onSelectCustomer ? () => onSelectCustomer(reward.customerId) : undefined}
+                sx={onSelectCustomer ? { cursor: "pointer" } : undefined}
+              >
+                <TableCell>{reward.customerId}</TableCell>
+                <TableCell>
+                  {reward.name}
+                  <TierBadge
+                    tierId={currentTiers[reward.customerId]}
+                    history={tierHistory[reward.customerId]}
+                  />
+                </TableCell>
                 <TableCell align="right">{reward.totalPoints}</TableCell>
+                {comparing && <ComparisonCells row={reward} />}
+                <TableCell align="right">
+                  {balances[reward.customerId] ? balances[reward.customerId].expired : 0}
+                </TableCell>
+                <TableCell align="right">
+                  {balances[reward.customerId] ? balances[reward.customerId].balance : 0}
+                </TableCell>
               </TableRow>
             ))}
           </TableBody>
@@ -128,7 +215,7 @@ const TotalRewardsTable = ({ totalRewards }) => {
       <TablePagination
         rowsPerPageOptions={[5, 10, 25]}
         component="div"
-        count={totalRewards.length}
+        count={sortedRewards.length}
         rowsPerPage={rowsPerPage}
         page={page}
         onPageChange={handleChangePage}
@@ -141,10 +228,17 @@ const TotalRewardsTable = ({ totalRewards }) => {
 TotalRewardsTable.propTypes = {
   totalRewards: PropTypes.arrayOf(
     PropTypes.shape({
+      customerId: PropTypes.number.isRequired,
       name: PropTypes.string.isRequired,
       totalPoints: PropTypes.number.isRequired,
     })
   ).isRequired,
+  filters: PropTypes.object,
+  balances: PropTypes.object,
+  currentTiers: PropTypes.object,
+  tierHistory: PropTypes.object,
+  onSelectCustomer: PropTypes.func,
+  comparing: PropTypes.bool,
 };
 
 export default React.memo(TotalRewardsTable);
\ No newline at end of file
@@ -0,0 +1,118 @@
+import React, { useState, useCallback } from "react";
+import PropTypes from "prop-types";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Box,
+  Button,
+  Alert,
+} from "@mui/material";
+import logger from "../utils/logger";
+import { getImportFormat, parseImportFile, validateImport } from "../utils/transactionImport";
+
+/**
+ * TransactionImport uploads a CSV or JSON export from a point of sale, validates
+ * every row and hands the accepted rows to `onImport`. Rejected rows are listed
+ * with the reasons they failed.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {Array} props.transactions - Transactions already loaded, used to detect duplicate IDs.
+ * @param {(accepted: Array) => void} props.onImport - Merges the accepted transactions into the dataset.
+ * @returns {JSX.Element} - Rendered upload control and report.
+ */
+const TransactionImport = ({ transactions, onImport }) => {
+  logger.debug("TransactionImport: Rendered");
+
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reads, validates and imports the selected file.
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} event - Change event.
+   */
+  const handleFileChange = useCallback(async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setError(null);
+    setResult(null);
+
+    const format = getImportFormat(file.name);
+    if (!format) {
+      setError(`${file.name} is not a CSV or JSON file.`);
+      return;
+    }
+
+    try {
+      const records = parseImportFile(await file.text(), format);
+      const importResult = validateImport(records, transactions);
+      if (importResult.accepted.length > 0) onImport(importResult.accepted);
+      setResult({ filename: file.name, ...importResult });
+    } catch (err) {
+      logger.error("TransactionImport: Could not read", file.name, err);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  }, [transactions, onImport]);
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Button variant="outlined" size="small" component="label">
+        Import CSV / JSON
+        <input type="file" accept=".csv,.json" hidden onChange={handleFileChange} />
+      </Button>
+
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+
+      {result && (
+        <Alert severity={result.rejected.length > 0 ? "warning" : "success"} sx={{ mt: 2 }}>
+          {`Imported ${result.accepted.length} of ${result.accepted.length + result.rejected.length} rows from ${result.filename}.`}
+          {result.rejected.length > 0 && ` ${result.rejected.length} rejected:`}
+        </Alert>
+      )}
+
+      {result && result.rejected.length > 0 && (
+        <Paper sx={{ mt: 1 }}>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Row</TableCell>
+                  <TableCell>Transaction ID</TableCell>
+                  <TableCell>Reasons</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {result.rejected.map(({ row, data, errors }) => (
+                  <TableRow key={row}>
+                    <TableCell>{row}</TableCell>
+                    <TableCell>{data && data.transactionId !== undefined ? String(data.transactionId) : ""}</TableCell>
+                    <TableCell>{errors.join("; ")}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+TransactionImport.propTypes = {
+  transactions: PropTypes.arrayOf(
+    PropTypes.shape({
+      transactionId: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  onImport: PropTypes.func.isRequired,
+};
+
+export default React.memo(TransactionImport);
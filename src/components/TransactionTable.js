@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useCallback } from "react";
+import React, { useState, useMemo, useCallback, useEffect, useRef } from "react";
 import PropTypes from "prop-types";
 import {
   Table,
@@ -7,42 +7,272 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  TablePagination,
   Paper,
   Button,
   Box,
   TableSortLabel,
+  TextField,
+  Chip,
+  LinearProgress,
+  Alert,
 } from "@mui/material";
 import { visuallyHidden } from "@mui/utils";
 import logger from "../utils/logger";
 import { getComparator } from "../utils/calculateRewards";
+import { isRefund } from "../utils/refunds";
+import { formatDate, toDateString } from "../utils/dateUtils";
+import { DEFAULT_CURRENCY_CONFIG, formatAmount, getTransactionCurrency } from "../utils/currency";
+import { isAbortError } from "../utils/fetchWithRetry";
+import { getVirtualWindow } from "../utils/virtualization";
+import { filterTransactions, getServerFilters } from "../utils/tableFilters";
+import { ANOMALY_RULE_LABELS } from "../utils/anomalyDetection";
+import ExportMenu from "./ExportMenu";
+import { AnomalyChips } from "./AnomalyReviewQueue";
 
 /**
- * Table header configuration for the TransactionTable.
+ * Table header configuration for the TransactionTable. Only `serverSortable`
+ * columns can be sorted when the data source pages the table.
  */
 const headCells = [
-  { id: "customerId", numeric: true, disablePadding: false, label: "Customer ID" },
-  { id: "name", numeric: false, disablePadding: false, label: "Name" },
-  { id: "date", numeric: false, disablePadding: false, label: "Date" },
-  { id: "price", numeric: true, disablePadding: false, label: "Price" },
+  { id: "customerId", numeric: true, disablePadding: false, label: "Customer ID", serverSortable: true },
+  { id: "name", numeric: false, disablePadding: false, label: "Name", serverSortable: true },
+  { id: "date", numeric: false, disablePadding: false, label: "Date", serverSortable: true },
+  { id: "product", numeric: false, disablePadding: false, label: "Product", serverSortable: true },
+  { id: "price", numeric: true, disablePadding: false, label: "Price", serverSortable: true },
+  { id: "basePoints", numeric: true, disablePadding: false, label: "Base Points" },
+  { id: "bonusPoints", numeric: true, disablePadding: false, label: "Bonus Points" },
   { id: "rewardPoints", numeric: true, disablePadding: false, label: "Reward Points" },
+  { id: "programVersion", numeric: false, disablePadding: false, label: "Program" },
 ];
 
+const { baseCurrency } = DEFAULT_CURRENCY_CONFIG;
+
+/**
+ * Signs an amount negative for refunds.
+ *
+ * @param {Object} txn - The transaction.
+ * @param {number} amount - The amount.
+ * @returns {number}
+ */
+const signed = (txn, amount) => (isRefund(txn) ? -Math.abs(amount) : amount);
+
+/**
+ * Columns written by the CSV/XLSX export. Prices stay numeric, signed negative for refunds.
+ * @type {import("../utils/tableExport").ExportColumn[]}
+ */
+const exportColumns = [
+  { header: "Transaction ID", value: (txn) => txn.transactionId },
+  { header: "Customer ID", value: (txn) => txn.customerId },
+  { header: "Name", value: (txn) => txn.name },
+  { header: "Date", value: (txn) => txn.date },
+  { header: "Product", value: (txn) => txn.product },
+  { header: "Category", value: (txn) => txn.category },
+  { header: "Type", value: (txn) => txn.type || "purchase" },
+  { header: "Original Transaction ID", value: (txn) => txn.originalTransactionId },
+  { header: "Currency", value: (txn) => getTransactionCurrency(txn) },
+  {
+    header: "Price",
+    value: (txn) => signed(txn, txn.price),
+    numberFormat: "0.00",
+  },
+  {
+    header: `Price (${baseCurrency})`,
+    value: (txn) => (typeof txn.baseAmount === "number" ? signed(txn, txn.baseAmount) : undefined),
+    numberFormat: "0.00",
+  },
+  { header: "Base Points", value: (txn) => txn.basePoints },
+  { header: "Bonus Points", value: (txn) => (txn.bonusPoints || 0) + (txn.tierBonusPoints || 0) },
+  { header: "Reward Points", value: (txn) => txn.rewardPoints },
+  { header: "Program", value: (txn) => txn.programVersion },
+  {
+    header: "Flags",
+    value: (txn) => (txn.anomalies ? txn.anomalies.map((anomaly) => ANOMALY_RULE_LABELS[anomaly.rule]).join("; ") : undefined),
+  },
+  { header: "Review Status", value: (txn) => txn.reviewStatus },
+  { header: "Held Points", value: (txn) => (txn.held ? txn.heldPoints : undefined) },
+];
+
+export const PAGE_SIZE_OPTIONS = [5, 10, 25, 50, 100, 500];
+
+/**
+ * In server-side mode the export fetches every matching row in pages of
+ * `EXPORT_PAGE_SIZE`. Above `MAX_EXPORT_ROWS` rows export is turned off, so the
+ * filters have to narrow the result first.
+ */
+export const EXPORT_PAGE_SIZE = 500;
+export const MAX_EXPORT_ROWS = 100000;
+
+/**
+ * Estimated row height and the height of the scrolling body. Only the rows in
+ * view are rendered, so even a 500-row page stays cheap.
+ */
+const ROW_HEIGHT = 73;
+const VIEWPORT_HEIGHT = 600;
+
+const idCellSx = {
+  backgroundColor: "#e3f2fd",
+  fontWeight: "bold",
+  fontSize: "1.05rem",
+  color: "#0d47a1",
+  textAlign: "center",
+};
+
+const transactionShape = PropTypes.shape({
+  transactionId: PropTypes.number.isRequired,
+  customerId: PropTypes.number.isRequired,
+  name: PropTypes.string.isRequired,
+  date: PropTypes.string.isRequired,
+  product: PropTypes.string,
+  category: PropTypes.string,
+  price: PropTypes.number.isRequired,
+  currency: PropTypes.string,
+  baseAmount: PropTypes.number,
+  currencyError: PropTypes.string,
+  basePoints: PropTypes.number,
+  bonusPoints: PropTypes.number,
+  tierBonusPoints: PropTypes.number,
+  rewardPoints: PropTypes.number.isRequired,
+  programVersion: PropTypes.string,
+  type: PropTypes.oneOf(["purchase", "refund"]),
+  originalTransactionId: PropTypes.number,
+  refundError: PropTypes.string,
+  anomalies: PropTypes.arrayOf(
+    PropTypes.shape({
+      rule: PropTypes.string.isRequired,
+      reason: PropTypes.string.isRequired,
+    })
+  ),
+  reviewStatus: PropTypes.oneOf(["pending", "held", "released"]),
+  held: PropTypes.bool,
+  heldPoints: PropTypes.number,
+});
+
+/**
+ * Row background: red for refunds, amber for transactions flagged and not yet released.
+ *
+ * @param {Object} txn - The transaction.
+ * @returns {Object} The row's `sx` background.
+ */
+const getRowBackground = (txn) => {
+  if (isRefund(txn)) return { backgroundColor: "#fdecea" };
+  if (txn.anomalies && txn.reviewStatus !== "released") return { backgroundColor: "#fff4e5" };
+  return {};
+};
+
 /**
- * TransactionTable component displays a paginated and sortable table of transactions.
+ * A single transaction row.
+ *
+ * @param {Object} props - The component props.
+ * @param {Object} props.txn - The transaction.
+ * @returns {JSX.Element}
+ */
+const TransactionRow = React.memo(({ txn }) => (
+  <TableRow
+    sx={{ height: ROW_HEIGHT, ...getRowBackground(txn) }}
+  >
+    <TableCell component="th" scope="row" padding="normal" sx={idCellSx}>
+      {txn.customerId}
+    </TableCell>
+    <TableCell>{txn.name}</TableCell>
+    <TableCell>
+      {formatDate(txn.date)}
+    </TableCell>
+    <TableCell>
+      {txn.product}
+      {isRefund(txn) && (
+        <Chip
+          label={`Refund of #${txn.originalTransactionId}`}
+          color="error"
+          size="small"
+          sx={{ ml: 1 }}
+        />
+      )}
+      {txn.anomalies && txn.reviewStatus !== "released" && (
+        <Box component="span" sx={{ display: "block" }}>
+          <AnomalyChips anomalies={txn.anomalies} />
+        </Box>
+      )}
+      {txn.refundError && (
+        <Box component="span" sx={{ display: "block", fontSize: "0.8rem", color: "error.main" }}>
+          {txn.refundError}
+        </Box>
+      )}
+      {txn.category && (
+        <Box component="span" sx={{ display: "block", fontSize: "0.8rem", color: "text.secondary" }}>
+          {txn.category}
+        </Box>
+      )}
+    </TableCell>
+    <TableCell align="right">
+      {formatAmount(signed(txn, txn.price), getTransactionCurrency(txn))}
+      {getTransactionCurrency(txn) !== baseCurrency && typeof txn.baseAmount === "number" && (
+        <Box component="span" sx={{ display: "block", fontSize: "0.8rem", color: "text.secondary" }}>
+          {formatAmount(signed(txn, txn.baseAmount))}
+        </Box>
+      )}
+      {txn.currencyError && (
+        <Box component="span" sx={{ display: "block", fontSize: "0.8rem", color: "error.main" }}>
+          {txn.currencyError}
+        </Box>
+      )}
+    </TableCell>
+    <TableCell align="right">{txn.basePoints}</TableCell>
+    <TableCell align="right">
+      {(txn.bonusPoints || 0) + (txn.tierBonusPoints || 0)}
+    </TableCell>
+    <TableCell align="right">
+      {txn.rewardPoints}
+      {txn.held && (
+        <Box component="span" sx={{ display: "block", fontSize: "0.8rem", color: "error.main" }}>
+          {`${txn.heldPoints} held`}
+        </Box>
+      )}
+    </TableCell>
+    <TableCell>{txn.programVersion || "None"}</TableCell>
+  </TableRow>
+));
+
+TransactionRow.displayName = "TransactionRow";
+
+TransactionRow.propTypes = {
+  txn: transactionShape.isRequired,
+};
+
+/**
+ * TransactionTable component displays a paginated, sortable and virtualized table of transactions.
+ *
+ * By default it filters, sorts and pages `transactions` in the browser. When
+ * `fetchPage` is given, the table instead asks it for each page, so sorting,
+ * date filtering and paging happen at the data source; `transactions` is then ignored.
  *
  * @param {Object} props - The component props.
  * @param {Array} props.transactions - List of transaction objects.
  * @param {Date} [props.startDate] - Optional start date to filter transactions.
  * @param {Date} [props.endDate] - Optional end date to filter transactions.
+ * @param {Partial<import("../utils/tableFilters").TableFilters>} [props.filters] - Search and column filters.
+ * In server-side mode only the filters in `SERVER_FILTERS` apply.
+ * @param {(query: import("../utils/dataSources").PageQuery) => Promise<import("../utils/dataSources").TransactionPage>} [props.fetchPage]
+ * Loads one page from the data source (server-side mode).
  * @returns {JSX.Element} Rendered TransactionTable component.
  */
-const TransactionTable = ({ transactions, startDate, endDate }) => {
+const TransactionTable = ({ transactions, startDate, endDate, filters, fetchPage }) => {
   logger.debug("TransactionTable: Rendered");
 
-  const [currentPage, setCurrentPage] = useState(1);
+  const serverMode = Boolean(fetchPage);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZE_OPTIONS[0]);
   const [order, setOrder] = useState("asc");
   const [orderBy, setOrderBy] = useState("customerId");
-  const itemsPerPage = 5;
+  const [jumpTarget, setJumpTarget] = useState("");
+  const [scrollTop, setScrollTop] = useState(0);
+  const [serverPage, setServerPage] = useState({ rows: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const containerRef = useRef(null);
+
+  const startKey = startDate ? toDateString(startDate) : null;
+  const endKey = endDate ? toDateString(endDate) : null;
 
   /**
    * Handles sorting of the table based on the selected column.
@@ -53,37 +283,31 @@ const TransactionTable = ({ transactions, startDate, endDate }) => {
     const isAsc = orderBy === property && order === "asc";
     setOrder(isAsc ? "desc" : "asc");
     setOrderBy(property);
+    setPage(0);
   }, [order, orderBy]);
 
   /**
-   * Moves to the next page of the table.
+   * Changes the number of transactions per page, going back to the first page.
    */
-  const handleNextPage = useCallback(() => {
-    setCurrentPage((prev) => prev + 1);
+  const handlePageSizeChange = useCallback((event) => {
+    setPageSize(parseInt(event.target.value, 10));
+    setPage(0);
   }, []);
 
-  /**
-   * Moves to the previous page of the table.
-   */
-  const handlePreviousPage = useCallback(() => {
-    setCurrentPage((prev) => prev - 1);
-  }, []);
+  // A new date range or filter starts from the first page again.
+  useEffect(() => {
+    setPage(0);
+  }, [startKey, endKey, filters]);
 
   /**
-   * Filters transactions based on the provided start and end dates.
+   * Filters transactions by date range, comparing 'YYYY-MM-DD' strings, then by the table filters.
    */
   const filteredTransactions = useMemo(() => {
-    return transactions.filter((txn) => {
-      if (!txn.date) return false;
-      const [year, month, day] = txn.date.split("-").map(Number);
-      const transactionDate = new Date(year, month - 1, day);
-
-      const isAfterOrEqualStart = !startDate || transactionDate >= startDate;
-      const isBeforeOrEqualEnd = !endDate || transactionDate <= endDate;
-
-      return isAfterOrEqualStart && isBeforeOrEqualEnd;
-    });
-  }, [transactions, startDate, endDate]);
+    if (serverMode) return [];
+    const inRange = transactions.filter((txn) =>
+      Boolean(txn.date) && (!startKey || txn.date >= startKey) && (!endKey || txn.date <= endKey));
+    return filters ? filterTransactions(inRange, filters) : inRange;
+  }, [serverMode, transactions, startKey, endKey, filters]);
 
   /**
    * Sorts the filtered transactions.
@@ -92,121 +316,205 @@ const TransactionTable = ({ transactions, startDate, endDate }) => {
     return [...filteredTransactions].sort(getComparator(order, orderBy));
   }, [filteredTransactions, order, orderBy]);
 
+  // Server-side mode: load the requested page, dropping responses for pages
+  // the user has already moved away from.
+  useEffect(() => {
+    if (!fetchPage) return undefined;
+    const controller = new AbortController();
+
+    setLoading(true);
+    setLoadError(null);
+    fetchPage({
+      page: page + 1,
+      pageSize,
+      sortBy: orderBy,
+      order,
+      ...(startKey ? { startDate: startKey } : {}),
+      ...(endKey ? { endDate: endKey } : {}),
+      ...(filters ? getServerFilters(filters) : {}),
+      signal: controller.signal,
+    })
+      .then((result) => setServerPage({ rows: result.data, total: result.total }))
+      .catch((err) => {
+        if (!isAbortError(err)) setLoadError(err.message || "Failed to load transactions");
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [fetchPage, page, pageSize, orderBy, order, startKey, endKey, filters]);
+
   /**
-   * Gets the current page’s slice of transactions.
+   * Server-side mode: fetches every row matching the current date range,
+   * filters and sort order, page by page, for the export.
    */
-  const currentTransactions = useMemo(() => {
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    return sortedTransactions.slice(startIndex, startIndex + itemsPerPage);
-  }, [sortedTransactions, currentPage, itemsPerPage]);
-
-  const totalPages = useMemo(
-    () => Math.ceil(sortedTransactions.length / itemsPerPage),
-    [sortedTransactions.length]
-  );
+  const loadAllRows = useCallback(async () => {
+    const rows = [];
+    for (let exportPage = 1; ; exportPage += 1) {
+      const result = await fetchPage({
+        page: exportPage,
+        pageSize: EXPORT_PAGE_SIZE,
+        sortBy: orderBy,
+        order,
+        ...(startKey ? { startDate: startKey } : {}),
+        ...(endKey ? { endDate: endKey } : {}),
+        ...(filters ? getServerFilters(filters) : {}),
+      });
+      rows.push(...result.data);
+      if (result.data.length === 0 || rows.length >= result.total) return rows;
+    }
+  }, [fetchPage, orderBy, order, startKey, endKey, filters]);
+
+  const total = serverMode ? serverPage.total : sortedTransactions.length;
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  // Imports can shrink or grow the list under the current page; stay in range.
+  const currentPage = Math.min(page, pageCount - 1);
+
+  /**
+   * Gets the current page's slice of transactions.
+   */
+  const pageTransactions = useMemo(() => {
+    if (serverMode) return serverPage.rows;
+    const startIndex = currentPage * pageSize;
+    return sortedTransactions.slice(startIndex, startIndex + pageSize);
+  }, [serverMode, serverPage.rows, sortedTransactions, currentPage, pageSize]);
+
+  // Each page starts scrolled to the top.
+  useEffect(() => {
+    if (containerRef.current) containerRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [currentPage, pageSize, order, orderBy]);
+
+  const handleScroll = useCallback((event) => {
+    setScrollTop(event.currentTarget.scrollTop);
+  }, []);
+
+  const { start, end, paddingTop, paddingBottom } = getVirtualWindow({
+    rowCount: pageTransactions.length,
+    rowHeight: ROW_HEIGHT,
+    viewportHeight: VIEWPORT_HEIGHT,
+    scrollTop,
+  });
+
+  /**
+   * Moves to the page typed into the "Go to page" field, clamped to the available pages.
+   */
+  const handleJump = useCallback((event) => {
+    event.preventDefault();
+    const target = parseInt(jumpTarget, 10);
+    if (Number.isNaN(target)) return;
+    setPage(Math.min(Math.max(target, 1), pageCount) - 1);
+    setJumpTarget("");
+  }, [jumpTarget, pageCount]);
 
   return (
     <Paper elevation={3} sx={{ borderRadius: "10px", overflow: "hidden" }}>
-      <TableContainer>
-        <Table>
+      <Box sx={{ px: 2, pt: 1, display: "flex", justifyContent: "flex-end" }}>
+        {serverMode ? (
+          <ExportMenu
+            filename="transactions"
+            columns={exportColumns}
+            loadRows={loadAllRows}
+            rowCount={total}
+            disabledReason={total > MAX_EXPORT_ROWS
+              ? `Export is limited to ${MAX_EXPORT_ROWS} rows; narrow the date range or filters (${total} match).`
+              : undefined}
+          />
+        ) : (
+          <ExportMenu filename="transactions" columns={exportColumns} rows={sortedTransactions} />
+        )}
+      </Box>
+      {loading && <LinearProgress />}
+      {loadError && (
+        <Alert severity="error" sx={{ mx: 2 }}>
+          {`Error loading transactions: ${loadError}`}
+        </Alert>
+      )}
+      <TableContainer ref={containerRef} onScroll={handleScroll} sx={{ maxHeight: VIEWPORT_HEIGHT }}>
+        <Table stickyHeader>
           <TableHead>
             <TableRow>
-              {headCells.map((cell) => (
-                <TableCell
-                  key={cell.id}
-                  align={cell.numeric ? "right" : "left"}
-                  padding={cell.disablePadding ? "none" : "normal"}
-                  sortDirection={orderBy === cell.id ? order : false}
-                  sx={
-                    cell.id === "customerId"
-                      ? {
-                          backgroundColor: "#e3f2fd",
-                          fontWeight: "bold",
-                          fontSize: "1.05rem",
-                          color: "#0d47a1",
-                          textAlign: "center",
-                        }
-                      : {}
-                  }
-                >
-                  <TableSortLabel
-                    active={orderBy === cell.id}
-                    direction={orderBy === cell.id ? order : "asc"}
-                    onClick={() => handleRequestSort(cell.id)}
+              {headCells.map((cell) => {
+                const sortable = !serverMode || cell.serverSortable;
+                return (
+                  <TableCell
+                    key={cell.id}
+                    align={cell.numeric ? "right" : "left"}
+                    padding={cell.disablePadding ? "none" : "normal"}
+                    sortDirection={orderBy === cell.id ? order : false}
+                    sx={cell.id === "customerId" ? idCellSx : {}}
                   >
-                    {cell.label}
-                    {orderBy === cell.id && (
-                      <Box component="span" sx={visuallyHidden}>
-                        {order === "desc" ? "sorted descending" : "sorted ascending"}
-                      </Box>
+                    {sortable ? (
+                      <TableSortLabel
+                        active={orderBy === cell.id}
+                        direction={orderBy === cell.id ? order : "asc"}
+                        onClick={() => handleRequestSort(cell.id)}
+                      >
+                        {cell.label}
+                        {orderBy === cell.id && (
+                          <Box component="span" sx={visuallyHidden}>
+                            {order === "desc" ? "sorted descending" : "sorted ascending"}
+                          </Box>
+                        )}
+                      </TableSortLabel>
+                    ) : (
+                      cell.label
                     )}
-                  </TableSortLabel>
-                </TableCell>
-              ))}
+                  </TableCell>
+                );
+              })}
             </TableRow>
           </TableHead>
           <TableBody>
-            {currentTransactions.map((txn) => (
-              <TableRow key={txn.id}>
-                <TableCell
-                  component="th"
-                  scope="row"
-                  padding="normal"
-                  sx={{
-                    backgroundColor: "#e3f2fd",
-                    fontWeight: "bold",
-                    fontSize: "1.05rem",
-                    color: "#0d47a1",
-                    textAlign: "center",
-                  }}
-                >
-                  {txn.customerId}
-                </TableCell>
-                <TableCell>{txn.name}</TableCell>
-                <TableCell>
-                  {new Date(txn.date).toLocaleDateString("en-GB")}
-                </TableCell>
-                <TableCell align="right">
-                  {new Intl.NumberFormat("en-US", {
-                    style: "currency",
-                    currency: "USD",
-                  }).format(txn.price)}
-                </TableCell>
-                <TableCell align="right">{txn.rewardPoints}</TableCell>
-              </TableRow>
+            {paddingTop > 0 && <TableRow aria-hidden="true" sx={{ height: paddingTop }} />}
+            {pageTransactions.slice(start, end).map((txn) => (
+              <TransactionRow key={txn.transactionId} txn={txn} />
             ))}
+            {paddingBottom > 0 && <TableRow aria-hidden="true" sx={{ height: paddingBottom }} />}
           </TableBody>
         </Table>
       </TableContainer>
 
-      {totalPages > 1 && (
-        <Box sx={{ p: 2, display: "flex", justifyContent: "center", alignItems: "center" }}>
-          <Button onClick={handlePreviousPage} disabled={currentPage === 1} sx={{ mr: 2 }}>
-            Previous
-          </Button>
-          <span>{`Page ${currentPage} of ${totalPages}`}</span>
-          <Button onClick={handleNextPage} disabled={currentPage === totalPages} sx={{ ml: 2 }}>
-            Next
-          </Button>
-        </Box>
-      )}
+      <Box sx={{ px: 2, display: "flex", justifyContent: "flex-end", alignItems: "center", flexWrap: "wrap" }}>
+        <TablePagination
+          component="div"
+          count={total}
+          page={currentPage}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={pageSize}
+          rowsPerPageOptions={PAGE_SIZE_OPTIONS}
+          onRowsPerPageChange={handlePageSizeChange}
+          showFirstButton
+          showLastButton
+        />
+        {pageCount > 1 && (
+          <Box component="form" onSubmit={handleJump} sx={{ display: "flex", alignItems: "center", ml: 2 }}>
+            <TextField
+              label="Go to page"
+              type="number"
+              size="small"
+              value={jumpTarget}
+              onChange={(event) => setJumpTarget(event.target.value)}
+              inputProps={{ min: 1, max: pageCount }}
+              sx={{ width: 120 }}
+            />
+            <Button type="submit" sx={{ ml: 1 }}>
+              Go
+            </Button>
+          </Box>
+        )}
+      </Box>
     </Paper>
   );
 };
 
 TransactionTable.propTypes = {
-  transactions: PropTypes.arrayOf(
-    PropTypes.shape({
-      id: PropTypes.number.isRequired,
-      customerId: PropTypes.number.isRequired,
-      name: PropTypes.string.isRequired,
-      date: PropTypes.string.isRequired,
-      price: PropTypes.number.isRequired,
-      rewardPoints: PropTypes.number.isRequired,
-    })
-  ).isRequired,
+  transactions: PropTypes.arrayOf(transactionShape).isRequired,
   startDate: PropTypes.instanceOf(Date),
   endDate: PropTypes.instanceOf(Date),
+  filters: PropTypes.object,
+  fetchPage: PropTypes.func,
 };
 
 export default React.memo(TransactionTable);
@@ -0,0 +1,171 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import TransactionTable from './TransactionTable';
+import { downloadTable } from '../utils/tableExport';
+
+jest.mock('../utils/tableExport', () => ({
+  ...jest.requireActual('../utils/tableExport'),
+  downloadTable: jest.fn(),
+}));
+
+describe('TransactionTable', () => {
+  const makeTransactions = (count) =>
+    Array.from({ length: count }, (_, index) => ({
+      transactionId: index + 1,
+      customerId: 100 + index,
+      name: `Customer ${index + 1}`,
+      date: `2024-01-${String((index % 28) + 1).padStart(2, '0')}`,
+      product: 'Laptop',
+      price: 120,
+      rewardPoints: 90,
+    }));
+
+  const bodyRows = () =>
+    within(screen.getAllByRole('rowgroup')[1]).queryAllByRole('row');
+
+  test('shows five transactions per page by default and lets users pick a page size', () => {
+    render(<TransactionTable transactions={makeTransactions(30)} />);
+
+    expect(bodyRows()).toHaveLength(5);
+    expect(screen.getByText('1–5 of 30')).toBeInTheDocument();
+
+    fireEvent.mouseDown(screen.getByRole('combobox'));
+    fireEvent.click(screen.getByRole('option', { name: '10' }));
+
+    expect(bodyRows()).toHaveLength(10);
+    expect(screen.getByText('1–10 of 30')).toBeInTheDocument();
+  });
+
+  test('jumps to a page, clamping to the last one', () => {
+    render(<TransactionTable transactions={makeTransactions(30)} />);
+
+    fireEvent.change(screen.getByLabelText('Go to page'), { target: { value: '3' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Go' }));
+    expect(screen.getByText('11–15 of 30')).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: /Customer 11\b/ })).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Go to page'), { target: { value: '99' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Go' }));
+    expect(screen.getByText('26–30 of 30')).toBeInTheDocument();
+  });
+
+  test('renders only the visible rows of a large page', () => {
+    render(<TransactionTable transactions={makeTransactions(600)} />);
+
+    fireEvent.mouseDown(screen.getByRole('combobox'));
+    fireEvent.click(screen.getByRole('option', { name: '500' }));
+
+    const rendered = bodyRows().filter((row) => row.getAttribute('aria-hidden') !== 'true');
+    expect(rendered.length).toBeGreaterThan(0);
+    expect(rendered.length).toBeLessThan(30);
+  });
+
+  test('shows foreign prices with their base currency amount', () => {
+    const [transaction] = makeTransactions(1);
+    render(<TransactionTable transactions={[{ ...transaction, price: 100, currency: 'EUR', baseAmount: 110 }]} />);
+
+    expect(screen.getByText('€100.00')).toBeInTheDocument();
+    expect(screen.getByText('$110.00')).toBeInTheDocument();
+    expect(screen.getByText('01/01/2024')).toBeInTheDocument();
+  });
+
+  test('highlights flagged transactions and shows held points', () => {
+    const [transaction] = makeTransactions(1);
+    const anomalies = [{ rule: 'duplicate', reason: 'Same purchase as #7 on the same day' }];
+    render(
+      <TransactionTable
+        transactions={[{ ...transaction, anomalies, reviewStatus: 'held', held: true, heldPoints: 90, rewardPoints: 0 }]}
+      />
+    );
+
+    expect(screen.getByText('Duplicate')).toBeInTheDocument();
+    expect(screen.getByText('90 held')).toBeInTheDocument();
+    expect(bodyRows()[0]).toHaveStyle({ backgroundColor: '#fff4e5' });
+  });
+
+  test('filters by date range', () => {
+    render(
+      <TransactionTable
+        transactions={makeTransactions(3)}
+        startDate={new Date(2024, 0, 2, 15, 30)}
+        endDate={new Date(2024, 0, 2)}
+      />
+    );
+
+    expect(bodyRows()).toHaveLength(1);
+    expect(screen.getByRole('row', { name: /Customer 2/ })).toBeInTheDocument();
+  });
+
+  test('applies search and column filters', () => {
+    render(<TransactionTable transactions={makeTransactions(30)} filters={{ search: 'customer 1', maxPoints: 100 }} />);
+
+    // "Customer 1" and "Customer 10" to "Customer 19"
+    expect(screen.getByText('1–5 of 11')).toBeInTheDocument();
+  });
+
+    test('asks the data source for each page in server-side mode', async () => {
+    const fetchPage = jest.fn(async ({ page, pageSize }) => ({
+      data: makeTransactions(12).slice((page - 1) * pageSize, page * pageSize),
+      page,
+      pageSize,
+      total: 12,
+      totalPages: Math.ceil(12 / pageSize),
+    }));
+
+    render(
+      <TransactionTable
+        transactions={[]}
+        startDate={new Date(2024, 0, 1)}
+        endDate={new Date(2024, 11, 31)}
+        fetchPage={fetchPage}
+      />
+    );
+
+    expect(await screen.findByText('1–5 of 12')).toBeInTheDocument();
+    expect(fetchPage).toHaveBeenLastCalledWith(expect.objectContaining({
+      page: 1, pageSize: 5, sortBy: 'customerId', order: 'asc', startDate: '2024-01-01', endDate: '2024-12-31',
+    }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Go to next page' }));
+    expect(await screen.findByText('6–10 of 12')).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: /Customer 6\b/ })).toBeInTheDocument();
+    expect(fetchPage).toHaveBeenLastCalledWith(expect.objectContaining({ page: 2 }));
+    expect(fetchPage.mock.calls[0][0]).not.toHaveProperty('search');
+
+    fireEvent.click(screen.getByText('Price'));
+    expect(fetchPage).toHaveBeenLastCalledWith(expect.objectContaining({ page: 1, sortBy: 'price' }));
+    expect(within(screen.getAllByRole('rowgroup')[0]).queryByRole('button', { name: 'Reward Points' })).toBeNull();
+  });
+
+  test('exports every matching row from the data source in server-side mode', async () => {
+    const fetchPage = jest.fn(async ({ page, pageSize }) => ({
+      data: makeTransactions(12).slice((page - 1) * pageSize, page * pageSize),
+      page,
+      pageSize,
+      total: 12,
+      totalPages: Math.ceil(12 / pageSize),
+    }));
+    render(<TransactionTable transactions={[]} filters={{ customer: 'Customer' }} fetchPage={fetchPage} />);
+    expect(await screen.findByText('1–5 of 12')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export' }));
+    fireEvent.click(screen.getByText('CSV'));
+
+    await waitFor(() => expect(downloadTable).toHaveBeenCalled());
+    expect(downloadTable.mock.calls[0][0].rows).toHaveLength(12);
+    expect(fetchPage).toHaveBeenLastCalledWith(expect.objectContaining({
+      page: 1, pageSize: 500, sortBy: 'customerId', customer: 'Customer',
+    }));
+  });
+
+  test('turns export off when the data source has too many matching rows', async () => {
+    const fetchPage = jest.fn(async ({ page, pageSize }) => ({
+      data: makeTransactions(5), page, pageSize, total: 250000, totalPages: 50000,
+    }));
+    render(<TransactionTable transactions={[]} fetchPage={fetchPage} />);
+
+    expect(await screen.findByText('1–5 of 250000')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Export' })).toBeDisabled();
+    expect(screen.getByLabelText(/Export is limited to 100000 rows/)).toBeInTheDocument();
+  });
+});
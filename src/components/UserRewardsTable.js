@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useEffect } from "react";
 import PropTypes from "prop-types";
 import {
   Table,
@@ -10,9 +10,15 @@ import {
   Paper,
   TableSortLabel,
   TablePagination,
+  Box,
+  Chip,
 } from "@mui/material";
 import logger from "../utils/logger";
-import { getComparator } from "../utils/calculateRewards";
+import { getComparator, getUserRewardKey } from "../utils/calculateRewards";
+import { filterUserRewards } from "../utils/tableFilters";
+import { getMonthRange, getPeriodName, toDateKey } from "../utils/dateUtils";
+import ExportMenu from "./ExportMenu";
+import ComparisonCells, { ComparisonHeaderCells, comparisonExportColumns } from "./ComparisonCells";
 
 /**
  * Checks if a value is a valid number.
@@ -22,19 +28,6 @@ import { getComparator } from "../utils/calculateRewards";
 const isValidNumber = (value) =>
   !isNaN(value) && value !== null && value !== undefined;
 
-/**
- * Returns the full month name based on the month number.
- * @param {number} monthNumber - The month number (1-12).
- * @returns {string} The full month name.
- */
-const getMonthName = (monthNumber) => {
-  const months = [
-    "January", "February", "March", "April", "May", "June",
-    "July", "August", "September", "October", "November", "December"
-  ];
-  return months[monthNumber - 1]; 
-};
-
 /**
  * Renders a table of user reward data with sorting, pagination, and date filtering.
  *
@@ -43,8 +36,22 @@ const getMonthName = (monthNumber) => {
  * @param {Array} props.userRewards - List of user reward objects.
  * @param {Date|null} props.startDate - Filter rewards from this date.
  * @param {Date|null} props.endDate - Filter rewards up to this date.
+ * @param {Partial<import("../utils/tableFilters").TableFilters>} [props.filters] - Search, customer, points and month/year filters.
+ * @param {Object<string, Object<number, number>>} [props.expiringPoints] - Points expiring per window, keyed by `customerId-year-month`.
+ * @param {number[]} [props.expiringWindows] - Day windows shown in the expiring column.
+ * @param {(customerId: number) => void} [props.onSelectCustomer] - Called with the customer ID when a row is clicked.
+ * @param {boolean} [props.comparing] - Rows come from `compareUserRewards`; show the comparison columns.
  */
-const UserRewardsTable = ({ userRewards, startDate, endDate }) => {
+const UserRewardsTable = ({
+  userRewards,
+  startDate,
+  endDate,
+  filters,
+  expiringPoints = {},
+  expiringWindows = [30, 60, 90],
+  onSelectCustomer,
+  comparing = false,
+}) => {
   logger.debug("UserRewardsTable: Rendered");
 
   const [order, setOrder] = useState("asc");
@@ -80,27 +87,24 @@ const UserRewardsTable = ({ userRewards, startDate, endDate }) => {
     setPage(0);
   };
 
-  const filteredUserRewards = useMemo(() => {
-    return userRewards.filter((reward) => {
-      const rewardDate = new Date(reward.year, reward.month - 1, 1);
-      rewardDate.setHours(0, 0, 0, 0);
-
-      const start = startDate ? new Date(startDate.setHours(0, 0, 0, 0)) : null;
-      const end = endDate ? new Date(endDate.setHours(0, 0, 0, 0)) : null;
-
-      const matchesDateRange =
-        (!start || rewardDate >= start) && (!end || rewardDate <= end);
+  // Changing the filters starts from the first page again.
+  useEffect(() => {
+    setPage(0);
+  }, [filters]);
 
-      logger.debug("UserRewardsTable: Filtering", {
-        reward,
-        rewardDate,
-        start,
-        end,
-      });
+  const filteredUserRewards = useMemo(() => {
+    const start = startDate ? toDateKey(startDate) : null;
+    const end = endDate ? toDateKey(endDate) : null;
 
-      return matchesDateRange;
+    // Keep every month or period that overlaps the range.
+    const inRange = userRewards.filter((reward) => {
+      const period = reward.periodStart
+        ? { start: reward.periodStart, end: reward.periodEnd }
+        : getMonthRange(reward.year, reward.month);
+      return (!start || period.end >= start) && (!end || period.start <= end);
     });
-  }, [userRewards, startDate, endDate]);
+    return filters ? filterUserRewards(inRange, filters) : inRange;
+  }, [userRewards, startDate, endDate, filters]);
 
   const sortedUserRewards = useMemo(() => {
     return [...filteredUserRewards].sort(getComparator(order, orderBy));
@@ -113,8 +117,32 @@ const UserRewardsTable = ({ userRewards, startDate, endDate }) => {
     );
   }, [sortedUserRewards, page, rowsPerPage]);
 
+  /**
+   * Columns written by the CSV/XLSX export, one per expiring window.
+   */
+  const exportColumns = useMemo(() => [
+    { header: "Year", value: (reward) => reward.year },
+    { header: "Month", value: (reward) => reward.month },
+    { header: "Customer ID", value: (reward) => reward.customerId },
+    { header: "Name", value: (reward) => reward.name },
+    { header: "Type", value: (reward) => reward.type || "earned" },
+    { header: "Total Points", value: (reward) => reward.totalPoints },
+    ...expiringWindows.map((days) => ({
+      header: `Expiring in ${days} days`,
+      value: (reward) => {
+        if (reward.type === "adjustment") return undefined;
+        const windows = expiringPoints[`${reward.customerId}-${reward.year}-${reward.month}`];
+        return (windows && windows[days]) || 0;
+      },
+    })),
+    ...(comparing ? comparisonExportColumns : []),
+  ], [expiringPoints, expiringWindows, comparing]);
+
   return (
     <Paper>
+      <Box sx={{ px: 2, pt: 1, display: "flex", justifyContent: "flex-end" }}>
+        <ExportMenu filename="user-rewards" columns={exportColumns} rows={sortedUserRewards} />
+      </Box>
       <TableContainer>
         <Table>
           <TableHead>
@@ -142,23 +170,49 @@ const UserRewardsTable = ({ userRewards, startDate, endDate }) => {
               <TableCell>Customer ID</TableCell>
               <TableCell>Name</TableCell>
               <TableCell align="right">Total Points</TableCell>
+              {comparing && (
+                <ComparisonHeaderCells order={order} orderBy={orderBy} onRequestSort={handleRequestSort} />
+              )}
+              <TableCell align="right">
+                {`Expiring in ${expiringWindows.join(" / ")} days`}
+              </TableCell>
             </TableRow>
           </TableHead>
 
           <TableBody>
             {displayedUserRewards.map((reward) => (
               <TableRow
-                key={`${reward.customerId}-${reward.year}-${reward.month}`}
+                key={getUserRewardKey(reward)}
+                hover={Boolean(onSelectCustomer)}
+                onClick={onSelectCustomer ? () => onSelectCustomer(reward.customerId) : undefined}
+                sx={{
+                  ...(onSelectCustomer ? { cursor: "pointer" } : {}),
+                  ...(reward.type === "adjustment" ? { backgroundColor: "#f3e5f5" } : {}),
+                }}
               >
                 <TableCell>{reward.year}</TableCell>
-                <TableCell>{getMonthName(reward.month)}</TableCell>
+                <TableCell>{reward.periodName || getPeriodName(reward.month)}</TableCell>
                 <TableCell>
                   {isValidNumber(reward.customerId)
                     ? reward.customerId
                     : "Invalid ID"}
                 </TableCell>
-                <TableCell>{reward.name}</TableCell>
+                <TableCell>
+                  {reward.name}
+                  {reward.type === "adjustment" && (
+                    <Chip label="Adjustment" color="secondary" size="small" sx={{ ml: 1 }} />
+                  )}
+                </TableCell>
                 <TableCell align="right">{reward.totalPoints}</TableCell>
+                {comparing && <ComparisonCells row={reward} />}
+                <TableCell align="right">
+                  {reward.type !== "adjustment" && expiringWindows
+                    .map((days) => {
+                      const windows = expiringPoints[`${reward.customerId}-${reward.year}-${reward.month}`];
+                      return (windows && windows[days]) || 0;
+                    })
+                    .join(" / ")}
+                </TableCell>
               </TableRow>
             ))}
           </TableBody>
@@ -185,11 +239,20 @@ UserRewardsTable.propTypes = {
       name: PropTypes.string.isRequired,
       month: PropTypes.number.isRequired,
       year: PropTypes.number.isRequired,
+      periodStart: PropTypes.string,
+      periodEnd: PropTypes.string,
+      periodName: PropTypes.string,
       totalPoints: PropTypes.number.isRequired,
+      type: PropTypes.oneOf(["adjustment"]),
     })
   ).isRequired,
   startDate: PropTypes.object,
   endDate: PropTypes.object,
+  filters: PropTypes.object,
+  expiringPoints: PropTypes.object,
+  expiringWindows: PropTypes.arrayOf(PropTypes.number),
+  onSelectCustomer: PropTypes.func,
+  comparing: PropTypes.bool,
 };
 
 export default React.memo(UserRewardsTable);
@@ -46,4 +46,16 @@ describe('UserRewardsTable', () => {
     // Check if no data rows are present
     expect(screen.queryByText('2024')).toBeNull();
   });
-});
\ No newline at end of file
+
+  test('shows both periods and the change in comparison mode', () => {
+    const compared = [
+      { ...sampleRewards[0], previousPoints: 60, delta: 30, deltaPercent: 50, status: 'growing' },
+      { ...sampleRewards[1], previousPoints: 0, delta: 25, deltaPercent: null, status: 'new' },
+    ];
+    render(<UserRewardsTable userRewards={compared} comparing />);
+
+    expect(screen.getByText('Previous Points')).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: /John Doe/i })).toHaveTextContent('+30+50.0%Growing');
+    expect(screen.getByRole('row', { name: /Jane Smith/i })).toHaveTextContent('+25—New');
+  });
+});
@@ -0,0 +1,245 @@
+import logger from "./logger";
+import defaultReasons from "../config/adjustmentReasons.json";
+import { createAdjustment, getBalance } from "./pointsLedger";
+
+/**
+ * @typedef {object} AdjustmentReason
+ * @property {string} code - Reason code stored on the adjustment.
+ * @property {string} label - Display name.
+ * @property {boolean} [noteRequired] - Whether adjustments with this reason need a note.
+ */
+
+/**
+ * @typedef {object} AdjustmentRequest
+ * @property {number} customerId - The customer to adjust.
+ * @property {number} points - Points to add (positive) or take away (negative).
+ * @property {string} reasonCode - One of the configured reason codes.
+ * @property {string} [note] - Free text explaining the adjustment.
+ * @property {string} operator - Name of the staff member making it.
+ * @property {string} [date] - Date the points count from ('YYYY-MM-DD'); today when omitted.
+ */
+
+export const AUDIT_LOG_STORAGE_KEY = "retailer-reward-program.adjustmentAuditLog";
+
+/**
+ * Error thrown when the adjustment reason codes fail validation. `errors` lists every problem found.
+ */
+export class AdjustmentReasonsValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid adjustment reasons: ${errors.join("; ")}`);
+    this.name = "AdjustmentReasonsValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown when an adjustment request is rejected.
+ */
+export class AdjustmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AdjustmentError";
+  }
+}
+
+/**
+ * Error thrown when a write would change or remove an audit log entry.
+ */
+export class AuditLogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuditLogError";
+  }
+}
+
+/**
+ * Collects validation problems for a list of reason codes without throwing.
+ *
+ * @param {AdjustmentReason[]} reasons - The reasons to check.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getAdjustmentReasonErrors = (reasons) => {
+  if (!Array.isArray(reasons) || reasons.length === 0) return ["reasons must be a non-empty array"];
+
+  const errors = [];
+  const codes = new Set();
+  reasons.forEach((reason, index) => {
+    const label = `reasons[${index}]`;
+    if (typeof reason.code !== "string" || !reason.code.trim()) {
+      errors.push(`${label}.code must be a non-empty string`);
+    } else if (codes.has(reason.code)) {
+      errors.push(`${label}.code "${reason.code}" is used more than once`);
+    } else {
+      codes.add(reason.code);
+    }
+    if (typeof reason.label !== "string" || !reason.label.trim()) {
+      errors.push(`${label}.label must be a non-empty string`);
+    }
+    if (reason.noteRequired !== undefined && typeof reason.noteRequired !== "boolean") {
+      errors.push(`${label}.noteRequired must be true or false`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates reason codes and returns them unchanged.
+ *
+ * @param {AdjustmentReason[]} reasons - The reasons to validate.
+ * @returns {AdjustmentReason[]} The same reasons.
+ * @throws {AdjustmentReasonsValidationError} If the reasons are malformed.
+ */
+export const validateAdjustmentReasons = (reasons) => {
+  const errors = getAdjustmentReasonErrors(reasons);
+  if (errors.length > 0) {
+    logger.error("validateAdjustmentReasons: Rejected adjustment reasons:", errors.join("; "));
+    throw new AdjustmentReasonsValidationError(errors);
+  }
+  return reasons;
+};
+
+/**
+ * The reason codes shipped in `src/config/adjustmentReasons.json`.
+ * @type {AdjustmentReason[]}
+ */
+export const DEFAULT_ADJUSTMENT_REASONS = validateAdjustmentReasons(defaultReasons);
+
+/**
+ * Looks up the display name of a reason code.
+ *
+ * @param {string} code - The reason code.
+ * @param {AdjustmentReason[]} [reasons] - Configured reasons.
+ * @returns {string} The label, or the code itself if it is not configured.
+ */
+export const getReasonLabel = (code, reasons = DEFAULT_ADJUSTMENT_REASONS) => {
+  const reason = reasons.find((candidate) => candidate.code === code);
+  return reason ? reason.label : code;
+};
+
+/**
+ * Records a manual point adjustment made by customer service. Adjustments are
+ * never edited or deleted: a mistake is corrected with a further adjustment,
+ * and each one is also appended to the audit log. A deduction may not take
+ * the customer's spendable balance below zero.
+ *
+ * @param {import("./pointsLedger").LedgerEntry[]} entries - All ledger entries, including earn entries.
+ * @param {AdjustmentRequest} request - The adjustment.
+ * @param {object} [options] - Adjustment options.
+ * @param {AdjustmentReason[]} [options.reasons] - Allowed reason codes.
+ * @param {import("./pointsExpiration").ExpirationPolicy} [options.policy] - Expiration policy for the balance check.
+ * @returns {import("./pointsLedger").LedgerEntry} The new adjust entry, frozen.
+ * @throws {AdjustmentError} If a field is missing or invalid, or a deduction exceeds the balance.
+ */
+export const createManualAdjustment = (
+  entries,
+  { customerId, points, reasonCode, note = "", operator, date },
+  { reasons = DEFAULT_ADJUSTMENT_REASONS, policy } = {}
+) => {
+  if (!Number.isInteger(customerId)) {
+    throw new AdjustmentError("Choose the customer to adjust");
+  }
+  if (!Number.isInteger(points) || points === 0) {
+    throw new AdjustmentError("Adjustment points must be a non-zero whole number");
+  }
+  const reason = reasons.find((candidate) => candidate.code === reasonCode);
+  if (!reason) {
+    throw new AdjustmentError(`Unknown reason code "${reasonCode}"`);
+  }
+  if (reason.noteRequired && !note.trim()) {
+    throw new AdjustmentError(`A note is required for "${reason.label}" adjustments`);
+  }
+  if (!operator || !operator.trim()) {
+    throw new AdjustmentError("Enter the name of the operator making the adjustment");
+  }
+  if (points < 0) {
+    const available = getBalance(entries, customerId, policy ? { policy } : undefined);
+    if (-points > available) {
+      logger.warn("createManualAdjustment: Deduction rejected for customer", customerId);
+      throw new AdjustmentError(`Customer ${customerId} has only ${available} points; cannot deduct ${-points}`);
+    }
+  }
+
+  const entry = createAdjustment({ customerId, points, date, note: note.trim() || undefined });
+  return Object.freeze({
+    ...entry,
+    reasonCode,
+    operator: operator.trim(),
+    createdAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Lists manual adjustments for the audit log, newest first. Entries are
+ * returned frozen so the log cannot be changed through it.
+ *
+ * @param {import("./pointsLedger").LedgerEntry[]} entries - Audit log entries, as recorded.
+ * @returns {ReadonlyArray<import("./pointsLedger").LedgerEntry>}
+ */
+export const getAuditLog = (entries) =>
+  Object.freeze(
+    entries
+      .filter((entry) => entry.type === "adjust")
+      .map((entry) => Object.freeze({ ...entry }))
+      .sort((a, b) => {
+        const aTime = a.createdAt || a.date;
+        const bTime = b.createdAt || b.date;
+        return aTime === bTime ? 0 : aTime < bTime ? 1 : -1;
+      })
+  );
+
+/**
+ * Loads the audit log from localStorage, oldest first. The log is kept apart
+ * from the points ledger and its entries are returned frozen.
+ *
+ * @param {Storage} [storage] - Storage to read from.
+ * @returns {ReadonlyArray<import("./pointsLedger").LedgerEntry>} The recorded adjustments, or none if unreadable.
+ */
+export const loadAuditLog = (storage = window.localStorage) => {
+  try {
+    const raw = storage.getItem(AUDIT_LOG_STORAGE_KEY);
+    const log = raw ? JSON.parse(raw) : [];
+    return Object.freeze(Array.isArray(log) ? log.map((entry) => Object.freeze(entry)) : []);
+  } catch (error) {
+    logger.error("loadAuditLog: Could not read the adjustment audit log:", error);
+    return Object.freeze([]);
+  }
+};
+
+/**
+ * Writes the audit log to localStorage. The log is append-only: a write is
+ * rejected unless it starts with every entry already stored, unchanged.
+ *
+ * @param {import("./pointsLedger").LedgerEntry[]} log - The whole log, oldest first.
+ * @param {Storage} [storage] - Storage to write to.
+ * @throws {AuditLogError} If the write would change or remove a stored entry.
+ */
+export const saveAuditLog = (log, storage = window.localStorage) => {
+  const stored = loadAuditLog(storage);
+  const changed = stored.find((entry, index) => JSON.stringify(entry) !== JSON.stringify(log[index]));
+  if (changed) {
+    logger.error("saveAuditLog: Rejected a change to audit log entry", changed.id);
+    throw new AuditLogError(`Audit log entry ${changed.id} cannot be changed or removed`);
+  }
+  storage.setItem(AUDIT_LOG_STORAGE_KEY, JSON.stringify(log));
+};
+
+/**
+ * Appends an adjustment to the stored audit log and returns the new log.
+ * Storage errors are passed on, so an adjustment is never applied without
+ * being logged.
+ *
+ * @param {import("./pointsLedger").LedgerEntry} entry - The adjust entry from `createManualAdjustment`.
+ * @param {Storage} [storage] - Storage to write to.
+ * @returns {ReadonlyArray<import("./pointsLedger").LedgerEntry>} The log, oldest first.
+ * @throws {AuditLogError} If the entry is already in the log.
+ */
+export const appendToAuditLog = (entry, storage = window.localStorage) => {
+  const stored = loadAuditLog(storage);
+  if (stored.some((logged) => logged.id === entry.id)) {
+    throw new AuditLogError(`Audit log entry ${entry.id} is already recorded`);
+  }
+  const log = [...stored, entry];
+  saveAuditLog(log, storage);
+  return Object.freeze(log.map((logged) => Object.freeze(logged)));
+};
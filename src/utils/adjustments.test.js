@@ -0,0 +1,82 @@
+import {
+  AdjustmentError,
+  AdjustmentReasonsValidationError,
+  AuditLogError,
+  appendToAuditLog,
+  createManualAdjustment,
+  getAuditLog,
+  getReasonLabel,
+  loadAuditLog,
+  saveAuditLog,
+  validateAdjustmentReasons,
+} from './adjustments';
+import { today } from './dateUtils';
+
+describe('adjustments', () => {
+  const entries = [
+    { id: 'e1', customerId: 101, type: 'earn', points: 50, date: today() },
+  ];
+  const request = { customerId: 101, points: 20, reasonCode: 'goodwill', note: 'Late delivery', operator: ' Sam ' };
+
+  test('rejects duplicate or unlabelled reason codes', () => {
+    expect(() => validateAdjustmentReasons([
+      { code: 'goodwill', label: 'Goodwill' },
+      { code: 'goodwill', label: '' },
+    ])).toThrow(AdjustmentReasonsValidationError);
+    expect(getReasonLabel('goodwill')).toBe('Goodwill gesture');
+    expect(getReasonLabel('retired-code')).toBe('retired-code');
+  });
+
+  test('records the reason, note, operator and time of an adjustment', () => {
+    const entry = createManualAdjustment(entries, request);
+
+    expect(entry).toMatchObject({
+      customerId: 101, type: 'adjust', points: 20, reasonCode: 'goodwill', note: 'Late delivery', operator: 'Sam',
+    });
+    expect(entry.createdAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(Object.isFrozen(entry)).toBe(true);
+  });
+
+  test('rejects incomplete adjustments and deductions beyond the balance', () => {
+    expect(() => createManualAdjustment(entries, { ...request, points: 0 })).toThrow(AdjustmentError);
+    expect(() => createManualAdjustment(entries, { ...request, reasonCode: 'bonus' })).toThrow('Unknown reason code "bonus"');
+    expect(() => createManualAdjustment(entries, { ...request, operator: '  ' })).toThrow(AdjustmentError);
+    expect(() => createManualAdjustment(entries, { ...request, reasonCode: 'other', note: '' }))
+      .toThrow('A note is required for "Other" adjustments');
+    expect(() => createManualAdjustment(entries, { ...request, points: -60 }))
+      .toThrow('Customer 101 has only 50 points; cannot deduct 60');
+    expect(createManualAdjustment(entries, { ...request, points: -50 }).points).toBe(-50);
+  });
+
+  test('lists adjustments newest first in a log that cannot be changed', () => {
+    const log = getAuditLog([
+      ...entries,
+      { id: 'a1', customerId: 101, type: 'adjust', points: 5, date: '2024-02-01', createdAt: '2024-02-01T10:00:00.000Z' },
+      { id: 'r1', customerId: 101, type: 'redeem', points: 10, date: '2024-02-02' },
+      { id: 'a2', customerId: 101, type: 'adjust', points: -3, date: '2024-02-03', createdAt: '2024-02-03T09:00:00.000Z' },
+    ]);
+
+    expect(log.map((entry) => entry.id)).toEqual(['a2', 'a1']);
+    expect(Object.isFrozen(log)).toBe(true);
+    expect(() => { log[0].points = 100; }).toThrow(TypeError);
+  });
+
+  test('keeps an append-only audit log that survives a reload', () => {
+    const stored = new Map();
+    const storage = { getItem: (key) => stored.get(key) || null, setItem: (key, value) => stored.set(key, value) };
+    const first = createManualAdjustment(entries, request);
+    const second = createManualAdjustment(entries, { ...request, points: -5 });
+
+    appendToAuditLog(first, storage);
+    expect(appendToAuditLog(second, storage).map((entry) => entry.id)).toEqual([first.id, second.id]);
+
+    const reloaded = loadAuditLog(storage);
+    expect(reloaded).toEqual([first, second]);
+    expect(Object.isFrozen(reloaded[0])).toBe(true);
+
+    expect(() => appendToAuditLog(first, storage)).toThrow(AuditLogError);
+    expect(() => saveAuditLog([{ ...first, points: 500 }, second], storage)).toThrow(`Audit log entry ${first.id} cannot be changed or removed`);
+    expect(() => saveAuditLog([second], storage)).toThrow(AuditLogError);
+    expect(loadAuditLog(storage)).toEqual([first, second]);
+  });
+});
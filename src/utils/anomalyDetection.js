@@ -0,0 +1,340 @@
+import logger from "./logger";
+import defaultAnomalyRules from "../config/anomalyRules.json";
+import { isRefund } from "./refunds";
+import { formatAmount } from "./currency";
+import { getDaysBetween } from "./dateUtils";
+import { DEFAULT_PROGRAM_VERSIONS, getProgramRuleSet, resolveProgramVersion } from "./rewardPrograms";
+
+/**
+ * @typedef {object} AnomalyRules
+ * @property {number} maxPurchasesPerDay - Purchases one customer can make on a day before they are all flagged.
+ * @property {number} thresholdMargin - How far above a reward tier boundary a price counts as "just above" it.
+ * @property {number} minThresholdPurchases - Purchases just above a boundary a customer needs before they are flagged.
+ * @property {number} thresholdWindowDays - Days within which those purchases must fall.
+ * @property {number} outlierZScore - Standard deviations from the mean amount at which a purchase is an outlier.
+ * @property {number} minOutlierSample - Purchases needed before outliers are looked for at all.
+ */
+
+/**
+ * @typedef {"velocity"|"threshold"|"duplicate"|"outlier"} AnomalyRule
+ */
+
+/**
+ * @typedef {object} Anomaly
+ * @property {AnomalyRule} rule - The rule that flagged the transaction.
+ * @property {string} reason - Why it was flagged.
+ */
+
+/**
+ * @typedef {"pending"|"held"|"released"} ReviewStatus
+ */
+
+/**
+ * @typedef {object} AnomalyReview
+ * @property {"held"|"released"} status - The reviewer's decision.
+ * @property {string} reviewedAt - When it was made (ISO timestamp).
+ */
+
+export const REVIEWS_STORAGE_KEY = "retailer-reward-program.anomalyReviews";
+
+/**
+ * Display labels of the anomaly rules.
+ */
+export const ANOMALY_RULE_LABELS = {
+  velocity: "Velocity",
+  threshold: "Just above threshold",
+  duplicate: "Duplicate",
+  outlier: "Outlier amount",
+};
+
+/**
+ * Error thrown when the anomaly rules fail validation. `errors` lists every problem found.
+ */
+export class AnomalyRulesValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid anomaly rules: ${errors.join("; ")}`);
+    this.name = "AnomalyRulesValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Collects validation problems for anomaly rules without throwing.
+ *
+ * @param {AnomalyRules} rules - The rules to check.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getAnomalyRulesErrors = (rules) => {
+  const errors = [];
+
+  ["maxPurchasesPerDay", "minThresholdPurchases", "thresholdWindowDays", "minOutlierSample"].forEach((field) => {
+    if (!Number.isInteger(rules[field]) || rules[field] < 1) {
+      errors.push(`${field} must be a positive whole number`);
+    }
+  });
+  ["thresholdMargin", "outlierZScore"].forEach((field) => {
+    if (typeof rules[field] !== "number" || !(rules[field] > 0)) {
+      errors.push(`${field} must be a positive number`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates anomaly rules and returns them unchanged.
+ *
+ * @param {AnomalyRules} rules - The rules to validate.
+ * @returns {AnomalyRules} The same rules.
+ * @throws {AnomalyRulesValidationError} If the rules are malformed.
+ */
+export const validateAnomalyRules = (rules) => {
+  const errors = getAnomalyRulesErrors(rules);
+  if (errors.length > 0) {
+    logger.error("validateAnomalyRules: Rejected anomaly rules:", errors.join("; "));
+    throw new AnomalyRulesValidationError(errors);
+  }
+  return rules;
+};
+
+/**
+ * The rules shipped in `src/config/anomalyRules.json`.
+ * @type {AnomalyRules}
+ */
+export const DEFAULT_ANOMALY_RULES = validateAnomalyRules(defaultAnomalyRules);
+
+/**
+ * Adds an anomaly to a transaction's list of flags.
+ *
+ * @param {Map<number, Anomaly[]>} flags - Flags by transaction ID.
+ * @param {number} transactionId - The transaction.
+ * @param {AnomalyRule} rule - The rule that flagged it.
+ * @param {string} reason - Why.
+ */
+const flag = (flags, transactionId, rule, reason) => {
+  const list = flags.get(transactionId) || flags.set(transactionId, []).get(transactionId);
+  list.push({ rule, reason });
+};
+
+/**
+ * Groups transactions by a key.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Transactions to group.
+ * @param {(transaction: import("./calculateRewards").Transaction) => string} getKey - Group key.
+ * @returns {import("./calculateRewards").Transaction[][]} Groups in order of first appearance.
+ */
+const groupBy = (transactions, getKey) => {
+  const groups = new Map();
+  transactions.forEach((transaction) => {
+    const key = getKey(transaction);
+    (groups.get(key) || groups.set(key, []).get(key)).push(transaction);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Finds the reward tier boundary a price sits just above, if any.
+ *
+ * @param {number} amount - The price in the base currency.
+ * @param {import("./rewardRules").RuleSet} ruleSet - The rule set in force.
+ * @param {number} margin - How far above a boundary still counts.
+ * @returns {number|undefined} The boundary.
+ */
+const getBoundaryJustBelow = (amount, ruleSet, margin) =>
+  ruleSet.tiers
+    .map((tier) => tier.min)
+    .find((boundary) => boundary > 0 && amount > boundary && amount <= boundary + margin);
+
+/**
+ * Runs the anomaly rules over scored transactions. Only purchases with a
+ * base currency amount are checked; refunds never earn points.
+ *
+ * - Velocity: a customer made more than `maxPurchasesPerDay` purchases on one day.
+ * - Threshold: a customer made at least `minThresholdPurchases` purchases priced
+ *   just above a reward tier boundary (such as $50 or $100) of the program in
+ *   force within `thresholdWindowDays` days.
+ * - Duplicate: the same customer bought the same product at the same price more
+ *   than once on a day; every repeat after the first is flagged.
+ * - Outlier: the amount is more than `outlierZScore` standard deviations from
+ *   the mean of all purchases.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Scored transactions.
+ * @param {object} [options] - Detection options.
+ * @param {AnomalyRules} [options.rules] - Detection thresholds.
+ * @param {import("./rewardPrograms").ProgramVersion[]} [options.programVersions] - Program versions whose tier boundaries are checked.
+ * @returns {Map<number, Anomaly[]>} Flags by transaction ID; unflagged transactions are absent.
+ */
+export const detectAnomalies = (
+  transactions,
+  { rules = DEFAULT_ANOMALY_RULES, programVersions = DEFAULT_PROGRAM_VERSIONS } = {}
+) => {
+  const flags = new Map();
+  const purchases = transactions.filter(
+    (transaction) => !isRefund(transaction) && typeof transaction.baseAmount === "number"
+  );
+
+  groupBy(purchases, (transaction) => `${transaction.customerId}|${transaction.date}`).forEach((day) => {
+    if (day.length <= rules.maxPurchasesPerDay) return;
+    day.forEach((transaction) => flag(
+      flags,
+      transaction.transactionId,
+      "velocity",
+      `${day.length} purchases by customer ${transaction.customerId} on ${transaction.date}`
+    ));
+  });
+
+  const boundaries = new Map();
+  purchases.forEach((transaction) => {
+    const program = resolveProgramVersion(programVersions, transaction.date);
+    const boundary = program
+      ? getBoundaryJustBelow(transaction.baseAmount, getProgramRuleSet(program), rules.thresholdMargin)
+      : undefined;
+    if (boundary !== undefined) boundaries.set(transaction, boundary);
+  });
+  groupBy([...boundaries.keys()], (transaction) => String(transaction.customerId)).forEach((group) => {
+    // Slide a window over the customer's purchases in date order; each purchase
+    // keeps the largest count of any window it falls in.
+    const byDate = [...group].sort((a, b) => (a.date === b.date ? 0 : a.date < b.date ? -1 : 1));
+    const counts = new Map();
+    let first = 0;
+    byDate.forEach((transaction, last) => {
+      while (getDaysBetween(byDate[first].date, transaction.date) >= rules.thresholdWindowDays) first += 1;
+      const count = last - first + 1;
+      if (count < rules.minThresholdPurchases) return;
+      byDate.slice(first, last + 1).forEach((inWindow) => {
+        counts.set(inWindow, Math.max(counts.get(inWindow) || 0, count));
+      });
+    });
+
+    group.forEach((transaction) => {
+      if (!counts.has(transaction)) return;
+      flag(
+        flags,
+        transaction.transactionId,
+        "threshold",
+        `${counts.get(transaction)} purchases by customer ${transaction.customerId} just above ` +
+          `${formatAmount(boundaries.get(transaction))} within ${rules.thresholdWindowDays} days`
+      );
+    });
+  });
+
+  groupBy(
+    purchases,
+    (transaction) => `${transaction.customerId}|${transaction.date}|${transaction.product}|${transaction.baseAmount}`
+  ).forEach(([first, ...repeats]) => {
+    repeats.forEach((transaction) => flag(
+      flags,
+      transaction.transactionId,
+      "duplicate",
+      `Same purchase as #${first.transactionId} on the same day`
+    ));
+  });
+
+  if (purchases.length >= rules.minOutlierSample) {
+    const mean = purchases.reduce((sum, transaction) => sum + transaction.baseAmount, 0) / purchases.length;
+    const deviation = Math.sqrt(
+      purchases.reduce((sum, transaction) => sum + (transaction.baseAmount - mean) ** 2, 0) / purchases.length
+    );
+    if (deviation > 0) {
+      purchases.forEach((transaction) => {
+        const zScore = (transaction.baseAmount - mean) / deviation;
+        if (Math.abs(zScore) <= rules.outlierZScore) return;
+        flag(
+          flags,
+          transaction.transactionId,
+          "outlier",
+          `Amount is ${Math.abs(zScore).toFixed(1)} standard deviations ${zScore > 0 ? "above" : "below"} the mean`
+        );
+      });
+    }
+  }
+
+  if (flags.size > 0) logger.info(`detectAnomalies: Flagged ${flags.size} transactions`);
+  return flags;
+};
+
+/**
+ * Attaches anomaly flags and review status to transactions and withholds the
+ * points of held ones. A held purchase keeps its points in `heldPoints` and
+ * earns nothing, campaign points included, until it is released; refunds of
+ * it claw nothing back. Flagged transactions that were never reviewed are
+ * `pending` and keep their points.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Scored transactions.
+ * @param {Map<number, Anomaly[]>} anomalies - Flags from `detectAnomalies`.
+ * @param {Object<number, AnomalyReview>} reviews - Review decisions by transaction ID.
+ * @returns {import("./calculateRewards").Transaction[]} Transactions; unaffected ones are returned as they are.
+ */
+export const applyAnomalyReviews = (transactions, anomalies, reviews) => {
+  const heldIds = new Set(
+    [...anomalies.keys()].filter((transactionId) => reviews[transactionId]?.status === "held")
+  );
+
+  return transactions.map((transaction) => {
+    const flags = anomalies.get(transaction.transactionId);
+    const held = heldIds.has(transaction.transactionId) ||
+      (isRefund(transaction) && heldIds.has(transaction.originalTransactionId));
+    if (!flags && !held) return transaction;
+
+    const reviewed = flags
+      ? { ...transaction, anomalies: flags, reviewStatus: reviews[transaction.transactionId]?.status || "pending" }
+      : { ...transaction };
+    return held ? { ...reviewed, held: true, heldPoints: transaction.rewardPoints, rewardPoints: 0 } : reviewed;
+  });
+};
+
+/**
+ * Runs the anomaly rules and applies review decisions in one step, so the
+ * rewards worker can do both next to scoring.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Scored transactions.
+ * @param {Object<number, AnomalyReview>} reviews - Review decisions by transaction ID.
+ * @param {object} [options] - Detection options, as for `detectAnomalies`.
+ * @returns {import("./calculateRewards").Transaction[]} Transactions with flags and review status.
+ */
+export const reviewTransactions = (transactions, reviews, options) =>
+  applyAnomalyReviews(transactions, detectAnomalies(transactions, options), reviews);
+
+/**
+ * Records a review decision on a flagged transaction.
+ *
+ * @param {Object<number, AnomalyReview>} reviews - Current decisions.
+ * @param {number} transactionId - The transaction.
+ * @param {"held"|"released"} status - The decision.
+ * @returns {Object<number, AnomalyReview>} The updated decisions.
+ */
+export const setReviewStatus = (reviews, transactionId, status) => {
+  logger.info(`setReviewStatus: Transaction ${transactionId} ${status}`);
+  return { ...reviews, [transactionId]: { status, reviewedAt: new Date().toISOString() } };
+};
+
+/**
+ * Loads review decisions from localStorage.
+ *
+ * @param {Storage} [storage] - Storage to read from.
+ * @returns {Object<number, AnomalyReview>} The stored decisions, or none if unreadable.
+ */
+export const loadAnomalyReviews = (storage = window.localStorage) => {
+  try {
+    const raw = storage.getItem(REVIEWS_STORAGE_KEY);
+    const reviews = raw ? JSON.parse(raw) : {};
+    return reviews && typeof reviews === "object" && !Array.isArray(reviews) ? reviews : {};
+  } catch (error) {
+    logger.error("loadAnomalyReviews: Could not read anomaly reviews:", error);
+    return {};
+  }
+};
+
+/**
+ * Persists review decisions to localStorage.
+ *
+ * @param {Object<number, AnomalyReview>} reviews - The decisions to store.
+ * @param {Storage} [storage] - Storage to write to.
+ */
+export const saveAnomalyReviews = (reviews, storage = window.localStorage) => {
+  try {
+    storage.setItem(REVIEWS_STORAGE_KEY, JSON.stringify(reviews));
+  } catch (error) {
+    logger.error("saveAnomalyReviews: Could not write anomaly reviews:", error);
+  }
+};
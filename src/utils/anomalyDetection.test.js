@@ -0,0 +1,129 @@
+import {
+  AnomalyRulesValidationError,
+  applyAnomalyReviews,
+  detectAnomalies,
+  loadAnomalyReviews,
+  reviewTransactions,
+  saveAnomalyReviews,
+  setReviewStatus,
+  validateAnomalyRules,
+} from './anomalyDetection';
+import { calculateUserRewards, scoreTransactions } from './calculateRewards';
+
+describe('anomalyDetection', () => {
+  const rules = {
+    maxPurchasesPerDay: 3,
+    thresholdMargin: 1,
+    minThresholdPurchases: 3,
+    thresholdWindowDays: 30,
+    outlierZScore: 2,
+    minOutlierSample: 10,
+  };
+  const purchase = (transactionId, customerId, date, baseAmount, product = `Item ${transactionId}`) => ({
+    transactionId, customerId, name: `Customer ${customerId}`, date, product, price: baseAmount, baseAmount, rewardPoints: 0,
+  });
+  const rulesFor = (anomalies, transactionId) => (anomalies.get(transactionId) || []).map((anomaly) => anomaly.rule);
+
+  test('rejects malformed rules', () => {
+    expect(() => validateAnomalyRules({ ...rules, maxPurchasesPerDay: 0, outlierZScore: 'high' }))
+      .toThrow(AnomalyRulesValidationError);
+    expect(() => validateAnomalyRules({ ...rules, thresholdWindowDays: 0 })).toThrow(/thresholdWindowDays/);
+  });
+
+  test('flags every purchase of a customer who buys too often in a day', () => {
+    const transactions = [1, 2, 3, 4].map((id) => purchase(id, 101, '2024-05-01', 20 + id))
+      .concat(purchase(5, 101, '2024-05-02', 20));
+    const anomalies = detectAnomalies(transactions, { rules });
+
+    expect([1, 2, 3, 4].map((id) => rulesFor(anomalies, id))).toEqual([['velocity'], ['velocity'], ['velocity'], ['velocity']]);
+    expect(anomalies.has(5)).toBe(false);
+    expect(anomalies.get(1)[0].reason).toBe('4 purchases by customer 101 on 2024-05-01');
+  });
+
+  test('flags repeated prices just above the $50 and $100 boundaries', () => {
+    const transactions = [
+      purchase(1, 101, '2024-05-01', 100.99),
+      purchase(2, 101, '2024-05-08', 100.5),
+      purchase(3, 101, '2024-05-15', 50.75),
+      purchase(4, 102, '2024-05-01', 100.99),
+      purchase(5, 101, '2024-05-20', 102),
+    ];
+    const anomalies = detectAnomalies(transactions, { rules });
+
+    expect([1, 2, 3].map((id) => rulesFor(anomalies, id))).toEqual([['threshold'], ['threshold'], ['threshold']]);
+    expect(anomalies.get(1)[0].reason).toBe('3 purchases by customer 101 just above $100.00 within 30 days');
+    expect(anomalies.has(4)).toBe(false);
+    expect(anomalies.has(5)).toBe(false);
+  });
+
+  test('only counts purchases just above a boundary that fall within the window', () => {
+    const transactions = [
+      purchase(1, 101, '2024-01-05', 50.5),
+      purchase(2, 101, '2024-03-10', 50.5),
+      purchase(3, 101, '2024-06-20', 50.5),
+      purchase(4, 101, '2024-09-01', 100.5),
+      purchase(5, 101, '2024-09-15', 50.5),
+      purchase(6, 101, '2024-09-30', 100.5),
+    ];
+    const anomalies = detectAnomalies(transactions, { rules });
+
+    expect([1, 2, 3].some((id) => anomalies.has(id))).toBe(false);
+    expect([4, 5, 6].map((id) => rulesFor(anomalies, id))).toEqual([['threshold'], ['threshold'], ['threshold']]);
+    expect(detectAnomalies(transactions, { rules: { ...rules, thresholdWindowDays: 29 } }).size).toBe(0);
+  });
+
+  test('flags repeats of the same purchase on the same day, not the first one', () => {
+    const transactions = [
+      purchase(1, 101, '2024-05-01', 30, 'Mouse'),
+      purchase(2, 101, '2024-05-01', 30, 'Mouse'),
+      purchase(3, 101, '2024-05-02', 30, 'Mouse'),
+      purchase(4, 102, '2024-05-01', 30, 'Mouse'),
+    ];
+    const anomalies = detectAnomalies(transactions, { rules });
+
+    expect([...anomalies.keys()]).toEqual([2]);
+    expect(anomalies.get(2)).toEqual([{ rule: 'duplicate', reason: 'Same purchase as #1 on the same day' }]);
+  });
+
+  test('flags outlier amounts once there are enough purchases', () => {
+    const transactions = Array.from({ length: 11 }, (_, index) => purchase(index + 1, 100 + index, '2024-05-01', 40))
+      .concat(purchase(12, 200, '2024-05-01', 900));
+
+    expect(rulesFor(detectAnomalies(transactions, { rules }), 12)).toEqual(['outlier']);
+    expect(detectAnomalies(transactions.slice(9), { rules }).size).toBe(0);
+  });
+
+  test('held purchases earn nothing until released, and their refunds claw nothing back', () => {
+    const scored = scoreTransactions([
+      { transactionId: 1, customerId: 101, name: 'John', date: '2024-05-01', product: 'Chair', price: 120 },
+      { transactionId: 2, customerId: 101, name: 'John', date: '2024-05-01', product: 'Chair', price: 120 },
+      { transactionId: 3, customerId: 101, name: 'John', date: '2024-05-03', price: 120, type: 'refund', originalTransactionId: 2 },
+    ]);
+    const anomalies = detectAnomalies(scored, { rules });
+    const pending = applyAnomalyReviews(scored, anomalies, {});
+    const held = applyAnomalyReviews(scored, anomalies, setReviewStatus({}, 2, 'held'));
+    const released = applyAnomalyReviews(scored, anomalies, setReviewStatus({}, 2, 'released'));
+
+    expect(pending[1]).toMatchObject({ reviewStatus: 'pending', rewardPoints: 90 });
+    expect(held[1]).toMatchObject({ reviewStatus: 'held', held: true, heldPoints: 90, rewardPoints: 0 });
+    expect(held[2]).toMatchObject({ held: true, rewardPoints: 0 });
+    expect(released[1]).toMatchObject({ reviewStatus: 'released', rewardPoints: 90 });
+    expect(released[0]).toBe(scored[0]);
+    expect(reviewTransactions(scored, setReviewStatus({}, 2, 'held'), { rules })).toEqual(held);
+
+    const total = (transactions) =>
+      calculateUserRewards(transactions, null, null, { campaigns: [] }).totalRewards[0].totalPoints;
+    expect(total(held)).toBe(90);
+    expect(total(released)).toBe(90);
+  });
+
+  test('stores review decisions', () => {
+    const storage = new Map();
+    const fakeStorage = { getItem: (key) => storage.get(key) || null, setItem: (key, value) => storage.set(key, value) };
+    const reviews = setReviewStatus({}, 7, 'held');
+
+    saveAnomalyReviews(reviews, fakeStorage);
+    expect(loadAnomalyReviews(fakeStorage)).toEqual(reviews);
+    expect(loadAnomalyReviews({ getItem: () => '[]' })).toEqual({});
+  });
+});
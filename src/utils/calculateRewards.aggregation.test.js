@@ -0,0 +1,19 @@
+import { calculateUserRewards } from './calculateRewards';
+import { generateTransactions, legacyAggregate } from './calculateRewards.legacy';
+
+// The keyed aggregation must produce the same buckets as the old search-per-transaction one.
+// Timing lives in calculateRewards.bench.js (`npm run benchmark`), outside the gated suite.
+describe('calculateUserRewards keyed aggregation', () => {
+  test('matches the results of the old aggregation', () => {
+    const transactions = generateTransactions(5000, 100);
+    const start = new Date(2024, 1, 1);
+    const end = new Date(2024, 10, 30);
+
+    const { userRewards, totalRewards } = calculateUserRewards(transactions, start, end, { campaigns: [] });
+
+    // The legacy buckets had no period bounds or spend; compare the fields both produce.
+    const withoutPeriods = userRewards.map(({ periodStart, periodEnd, periodName, spend, ...reward }) => reward);
+    expect(withoutPeriods).toEqual(legacyAggregate(transactions, start, end));
+    expect(totalRewards).toHaveLength(100);
+  });
+});
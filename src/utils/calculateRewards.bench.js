@@ -0,0 +1,35 @@
+import { calculateUserRewards } from './calculateRewards';
+import { generateTransactions, legacyAggregate } from './calculateRewards.legacy';
+
+// Timing only; run with `npm run benchmark`. Not part of `npm test`, because
+// wall-clock results vary from machine to machine and run to run.
+const SIZES = [30000, 100000, 500000];
+
+/**
+ * Runs `fn` and returns how long it took in milliseconds.
+ */
+const time = (fn) => {
+  const started = performance.now();
+  fn();
+  return performance.now() - started;
+};
+
+describe('calculateUserRewards benchmark', () => {
+  test.each(SIZES)('aggregates %i transactions faster than the old aggregation', (count) => {
+    const transactions = generateTransactions(count, 500);
+    const start = new Date(2024, 0, 1);
+    const end = new Date(2024, 11, 31);
+
+    let totalRewards;
+    const keyed = time(() => {
+      ({ totalRewards } = calculateUserRewards(transactions, start, end, { campaigns: [] }));
+    });
+    const legacy = time(() => legacyAggregate(transactions, start, end));
+
+    console.log(
+      `${count} transactions: keyed ${keyed.toFixed(0)} ms, old ${legacy.toFixed(0)} ms (${(legacy / keyed).toFixed(1)}x faster)`
+    );
+    expect(totalRewards).toHaveLength(500);
+    expect(keyed).toBeLessThan(legacy);
+  }, 600000);
+});
@@ -1,153 +1,367 @@
 import logger from "./logger";
+import { DEFAULT_RULE_SET, evaluateRuleSet, getPointsBreakdown } from "./rewardRules";
+import { getProductCategory } from "./productCatalog";
+import {
+  DEFAULT_PROGRAM_VERSIONS,
+  getProgramRuleSet,
+  resolveProgramVersion,
+} from "./rewardPrograms";
+import { DEFAULT_CAMPAIGNS, DEFAULT_SEGMENTS, getCampaignAwards } from "./campaigns";
+import { DEFAULT_LOYALTY_CONFIG, applyLoyaltyTiers } from "./loyaltyTiers";
+import { isRefund, resolveRefunds } from "./refunds";
+import { DEFAULT_CALENDAR_CONFIG, getPeriod, toDateKey } from "./dateUtils";
+import { DEFAULT_CURRENCY_CONFIG, convertToBase, getBaseAmount, getTransactionCurrency } from "./currency";
 
 /**
  * @typedef {object} Transaction
+ * @property {number} transactionId - The unique ID of the transaction.
  * @property {number} customerId - The ID of the customer.
  * @property {string} name - The name of the customer.
+ * @property {number} [originalCustomerId] - The recorded customer ID, when a merge moved the transaction to another customer.
+ * @property {string} [originalName] - The recorded name, when the customer's preferred name differs from it.
  * @property {string} date - The date of the transaction in 'YYYY-MM-DD' format.
- * @property {number} price - The price of the transaction.
+ * @property {number} price - The price of the transaction (the amount refunded for refunds).
+ * @property {string} [currency] - ISO 4217 code of `price`; the base currency when omitted.
+ * @property {number|null} [baseAmount] - `price` converted to the base currency, which points are calculated on.
+ * @property {string} [currencyError] - Why the price could not be converted.
+ * @property {"purchase"|"refund"} [type] - The kind of transaction; purchases when omitted.
+ * @property {number} [originalTransactionId] - For refunds, the purchase being refunded.
+ * @property {string} [attributedDate] - For refunds, the original purchase date the clawback is attributed to.
+ * @property {string} [refundError] - Why a refund could not be applied.
+ * @property {string} [product] - The product purchased.
+ * @property {string} [category] - The product category resolved from the catalog.
+ * @property {number} basePoints - The tier points earned for the transaction.
+ * @property {number} bonusPoints - The extra points earned from the product category.
+ * @property {string} [loyaltyTier] - The customer's loyalty tier at the time of purchase.
+ * @property {number} [tierBonusPoints] - The extra points earned from the loyalty tier multiplier.
  * @property {number} rewardPoints - The reward points earned for the transaction.
+ * @property {string|null} programVersion - The reward program version that scored the transaction.
+ * @property {import("./anomalyDetection").Anomaly[]} [anomalies] - Why the anomaly detector flagged the transaction.
+ * @property {import("./anomalyDetection").ReviewStatus} [reviewStatus] - Review status of a flagged transaction.
+ * @property {boolean} [held] - Whether its points are withheld pending review.
+ * @property {number} [heldPoints] - The points withheld.
  */
 
 /**
  * @typedef {object} UserReward
  * @property {number} customerId - The ID of the customer.
  * @property {string} name - The name of the customer.
- * @property {number} month - The month of the rewards (1-12).
- * @property {number} year - The year of the rewards.
+ * @property {number} month - The month of the rewards (1-12), or the fiscal period with a fiscal calendar.
+ * @property {number} year - The year of the rewards, or the fiscal year with a fiscal calendar.
+ * @property {string} periodStart - First day of the month or period ('YYYY-MM-DD').
+ * @property {string} periodEnd - Last day of the month or period ('YYYY-MM-DD').
+ * @property {string} periodName - Display name of the month or period.
+ * @property {number} campaignPoints - The extra points campaigns issued to the customer in that month and year.
  * @property {number} totalPoints - The total reward points for the customer in that month and year.
+ * @property {number} spend - Net spend in the base currency (refunds subtracted) in that month and year.
+ * @property {"adjustment"} [type] - "adjustment" for a row of manual point adjustments; points earned from transactions when omitted.
  */
 
 /**
  * @typedef {object} TotalReward
+ * @property {number} customerId - The ID of the customer.
  * @property {string} name - The name of the customer.
  * @property {number} totalPoints - The total reward points for the customer across all months.
+ * @property {number} spend - Net spend in the base currency across all months.
  */
 
 /**
- * Calculates the reward points earned for a given transaction price.
- * Points are calculated as follows:
- * - $0 - $50: 0 points
- * - $51 - $100: 1 point for every dollar spent over $50
- * - Over $100: 2 points for every dollar spent over $100, plus 50 points for the first $100.
- *
- * @param {number} price The transaction price.
- * @returns {number} The total reward points earned for the price.
- */
-export const calculateRewardPoints = (price) => {
-  logger.debug("calculateRewardPoints: Calculating reward points for price:", price);
-
-  if (isNaN(price)) {
-    logger.error("calculateRewardPoints: Invalid input - price is not a number:", price);
-    return 0;
-  }
-
-  let points = 0;
-  const wholePrice = Math.floor(price);
-
-  if (wholePrice > 100) {
-    points += (wholePrice - 100) * 2;
-    points += 50;
-  } else if (wholePrice > 50) {
-    points += (wholePrice - 50) * 1;
-  }
-
-  logger.info("calculateRewardPoints: Calculated reward points:", points);
-  return points;
+ * Calculates the reward points earned for a given transaction price.
+ * Points come from the supplied rule set; the default rule set awards:
+ * - $0 - $50: 0 points
+ * - $51 - $100: 1 point for every dollar spent over $50
+ * - Over $100: 2 points for every dollar spent over $100, plus 50 points for the first $100.
+ *
+ * @param {number} price The transaction price.
+ * @param {import("./rewardRules").RuleSet} [ruleSet] The rule set to apply (defaults to `src/config/rewardRules.json`).
+ * @returns {number} The total reward points earned for the price.
+ */
+export const calculateRewardPoints = (price, ruleSet = DEFAULT_RULE_SET) => {
+  logger.debug("calculateRewardPoints: Calculating reward points for price:", price);
+
+  if (isNaN(price)) {
+    logger.error("calculateRewardPoints: Invalid input - price is not a number:", price);
+    return 0;
+  }
+
+  const points = evaluateRuleSet(ruleSet, price);
+
+  logger.info("calculateRewardPoints: Calculated reward points:", points);
+  return points;
 };
 
+/**
+ * Scores a transaction with the reward program version active on its date.
+ * Category bonuses from the product catalog are applied on top of the base tier points.
+ * Points are calculated on the price converted to the base currency at the rate in force
+ * on the transaction date. Transactions that fall outside every version, or whose currency
+ * has no rate on their date, earn no points.
+ *
+ * @param {Transaction} transaction The transaction to score.
+ * @param {import("./rewardPrograms").ProgramVersion[]} [programVersions] The program versions to choose from.
+ * @param {import("./currency").CurrencyConfig} [currencyConfig] The base currency and exchange rates.
+ * @returns {Transaction} A copy of the transaction with its points breakdown, `baseAmount` and `programVersion` set.
+ */
+export const scoreTransaction = (
+  transaction,
+  programVersions = DEFAULT_PROGRAM_VERSIONS,
+  currencyConfig = DEFAULT_CURRENCY_CONFIG
+) => {
+  const program = resolveProgramVersion(programVersions, transaction.date);
+  const category = getProductCategory(transaction.product);
+  const currency = getTransactionCurrency(transaction, currencyConfig);
+  const baseAmount = isNaN(transaction.price)
+    ? null
+    : convertToBase(transaction.price, currency, transaction.date, currencyConfig);
+  const currencyError = baseAmount === null && !isNaN(transaction.price)
+    ? `no ${currency} exchange rate on ${transaction.date}`
+    : undefined;
+  if (currencyError) {
+    logger.warn(`scoreTransaction: Transaction ${transaction.transactionId} has ${currencyError}`);
+  }
+  const converted = currencyError ? { baseAmount, currencyError } : { baseAmount };
+
+  if (!program) {
+    logger.warn("scoreTransaction: No reward program in force on", transaction.date);
+    return {
+      ...transaction,
+      ...converted,
+      category,
+      basePoints: 0,
+      bonusPoints: 0,
+      rewardPoints: 0,
+      programVersion: null,
+    };
+  }
+
+  let breakdown = { basePoints: 0, bonusPoints: 0, points: 0 };
+  if (isNaN(transaction.price)) {
+    logger.error("scoreTransaction: Invalid input - price is not a number:", transaction.price);
+  } else if (baseAmount !== null) {
+    breakdown = getPointsBreakdown(getProgramRuleSet(program), baseAmount, category);
+  }
+  const { basePoints, bonusPoints, points } = breakdown;
+
+  return {
+    ...transaction,
+    ...converted,
+    category,
+    basePoints,
+    bonusPoints,
+    rewardPoints: points,
+    programVersion: program.version,
+  };
+};
+
+/**
+ * Scores every transaction with the reward program version active on its date,
+ * resolves refunds against the purchases they reference, then applies each
+ * customer's loyalty tier multiplier.
+ *
+ * @param {Transaction[]} transactions The transactions to score.
+ * @param {import("./rewardPrograms").ProgramVersion[]} [programVersions] The program versions to choose from.
+ * @param {import("./loyaltyTiers").LoyaltyConfig} [loyaltyConfig] The loyalty tier configuration.
+ * @param {object} [options] Optional configuration overrides.
+ * @param {import("./currency").CurrencyConfig} [options.currencyConfig] The base currency and exchange rates.
+ * @returns {Transaction[]} Scored copies of the transactions.
+ */
+export const scoreTransactions = (
+  transactions,
+  programVersions = DEFAULT_PROGRAM_VERSIONS,
+  loyaltyConfig = DEFAULT_LOYALTY_CONFIG,
+  { currencyConfig = DEFAULT_CURRENCY_CONFIG } = {}
+) =>
+  applyLoyaltyTiers(
+    resolveRefunds(
+      transactions.map((transaction) => scoreTransaction(transaction, programVersions, currencyConfig)),
+      currencyConfig
+    ),
+    { config: loyaltyConfig }
+  ).transactions;
+
+/**
+ * Rounds an amount to cents to avoid floating point drift in sums.
+ * @param {number} amount - The amount.
+ * @returns {number}
+ */
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
 /**
  * Calculates the reward points earned by each user per month within the specified date range.
  * Also calculates the total reward points for each user across all months within the date range.
+ * If any transaction has not been scored yet, all of them are scored with the program version active
+ * on their date and the customer's loyalty tier, and matching promotional campaigns add their extra
+ * points while aggregating. Refund clawbacks count toward the month of the original purchase.
+ * "Months" follow the store calendar, so they can be fiscal months or 4-4-5 periods.
+ * Manual adjustments get their own row per customer and month, with `type: "adjustment"`,
+ * and count toward the customer's total.
  *
  * @param {Transaction[]} transactions An array of transaction objects.
  * @param {Date | null} start The start date for filtering transactions (optional).
  * @param {Date | null} end The end date for filtering transactions (optional).
- * @returns {{userRewards: UserReward[], totalRewards: TotalReward[]}} An object containing arrays of user rewards and total rewards.
+ * @param {object} [options] Optional configuration overrides.
+ * @param {import("./rewardPrograms").ProgramVersion[]} [options.programVersions] The program versions used to score unscored transactions.
+ * @param {import("./campaigns").Campaign[]} [options.campaigns] The promotional campaigns to apply.
+ * @param {Object<string, number[]>} [options.segments] Segment name to customer IDs map used by campaigns.
+ * @param {import("./loyaltyTiers").LoyaltyConfig} [options.loyaltyConfig] The loyalty tiers used to score unscored transactions.
+ * @param {import("./currency").CurrencyConfig} [options.currencyConfig] The exchange rates used to score unscored transactions.
+ * @param {import("./dateUtils").CalendarConfig} [options.calendar] The store calendar that defines the months.
+ * @param {import("./pointsLedger").LedgerEntry[]} [options.adjustments] Ledger entries; only adjust entries are counted.
+ * @returns {{userRewards: UserReward[], totalRewards: TotalReward[], campaignSummary: import("./campaigns").CampaignSummary[]}}
+ * An object containing arrays of user rewards, total rewards and per-campaign results.
  */
-export const calculateUserRewards = (transactions, start, end) => {
-  const rewards = transactions.reduce((acc, transaction) => {
-    const dateParts = transaction.date.split("-");
-    const year = parseInt(dateParts[0], 10);
-    const month = parseInt(dateParts[1], 10) - 1;
-    const day = parseInt(dateParts[2], 10);
-    const transactionDate = new Date(year, month, day);
-
-    let startDateObj = start ? new Date(start) : null;
-    let endDateObj = end ? new Date(end) : null;
-
-    let transactionYear = transactionDate.getFullYear();
-    let transactionMonth = transactionDate.getMonth();
-    let transactionDay = transactionDate.getDate();
-
-    let startYear = startDateObj ? startDateObj.getFullYear() : null;
-    let startMonth = startDateObj ? startDateObj.getMonth() : null;
-    let startDay = startDateObj ? startDateObj.getDate() : null;
-
-    let endYear = endDateObj ? endDateObj.getFullYear() : null;
-    let endMonth = endDateObj ? endDateObj.getMonth() : null;
-    let endDay = endDateObj ? endDateObj.getDate() : null;
-
-    const isAfterOrEqualStart =
-      !startDateObj ||
-      transactionYear > startYear ||
-      (transactionYear === startYear && transactionMonth > startMonth) ||
-      (transactionYear === startYear &&
-        transactionMonth === startMonth &&
-        transactionDay >= startDay);
-
-    const isBeforeOrEqualEnd =
-      !endDateObj ||
-      transactionYear < endYear ||
-      (transactionYear === endYear && transactionMonth < endMonth) ||
-      (transactionYear === endYear &&
-        transactionMonth === endMonth &&
-        transactionDay <= endDay);
-
-    if (isAfterOrEqualStart && isBeforeOrEqualEnd) {
-      const existingUserIndex = acc.findIndex(
-        (user) =>
-          user.customerId === transaction.customerId &&
-          user.month === month + 1 &&
-          user.year === year
-      );
-
-      if (existingUserIndex > -1) {
-        acc[existingUserIndex].totalPoints += transaction.rewardPoints;
-      } else {
-        acc.push({
-          customerId: transaction.customerId,
-          name: transaction.name,
-          month: month + 1,
-          year,
-          totalPoints: transaction.rewardPoints,
-        });
-      }
-    }
-
-    return acc;
-  }, []);
-
-  const totalRewardPoints = {};
-  rewards.forEach((reward) => {
-    if (totalRewardPoints[reward.name]) {
-      totalRewardPoints[reward.name] += reward.totalPoints;
-    } else {
-      totalRewardPoints[reward.name] = reward.totalPoints;
-    }
-  });
-
-  const totalRewardsArray = Object.entries(totalRewardPoints).map(
-    ([name, totalPoints]) => ({
-      name,
-      totalPoints,
-    })
-  );
-
-  
-  return { userRewards: rewards, totalRewards: totalRewardsArray };
+export const calculateUserRewards = (
+  transactions,
+  start,
+  end,
+  {
+    programVersions = DEFAULT_PROGRAM_VERSIONS,
+    campaigns = DEFAULT_CAMPAIGNS,
+    segments = DEFAULT_SEGMENTS,
+    loyaltyConfig = DEFAULT_LOYALTY_CONFIG,
+    currencyConfig = DEFAULT_CURRENCY_CONFIG,
+    calendar = DEFAULT_CALENDAR_CONFIG,
+    adjustments = [],
+  } = {}
+) => {
+  const campaignParticipants = {};
+
+  const scoredTransactions = transactions.some((transaction) => transaction.programVersion === undefined)
+    ? scoreTransactions(transactions, programVersions, loyaltyConfig, { currencyConfig })
+    : transactions;
+
+  // Compare 'YYYY-MM-DD' strings instead of building Date objects per transaction.
+  const startKey = start ? toDateKey(start) : null;
+  const endKey = end ? toDateKey(end) : null;
+
+  // One bucket per customer and month, found by key rather than by scanning.
+  const buckets = new Map();
+  // Many transactions share a date; look its period up once.
+  const periods = new Map();
+  const getBucketPeriod = (date) => periods.get(date) || periods.set(date, getPeriod(date, calendar)).get(date);
+
+  scoredTransactions.forEach((transaction) => {
+    const bucketDate = transaction.attributedDate || transaction.date;
+    if ((startKey && bucketDate < startKey) || (endKey && bucketDate > endKey)) return;
+
+    const period = getBucketPeriod(bucketDate);
+    const { year, period: month } = period;
+
+    const awards = getCampaignAwards(transaction, campaigns, segments);
+    const campaignPoints = awards.reduce((sum, award) => sum + award.points, 0);
+
+    awards.forEach(({ campaignId, points }) => {
+      const participants = campaignParticipants[campaignId] || (campaignParticipants[campaignId] = {});
+      const participant = participants[transaction.customerId] || (participants[transaction.customerId] = {
+        customerId: transaction.customerId,
+        name: transaction.name,
+        extraPoints: 0,
+      });
+      participant.extraPoints += points;
+    });
+
+    const key = `${transaction.customerId}-${year}-${month}`;
+    const bucket = buckets.get(key);
+    // A rejected refund claws back no points, so it returns no spend either.
+    const spend = !isRefund(transaction)
+      ? getBaseAmount(transaction)
+      : transaction.refundError ? 0 : -Math.abs(getBaseAmount(transaction));
+
+    if (bucket) {
+      bucket.campaignPoints += campaignPoints;
+      bucket.totalPoints += transaction.rewardPoints + campaignPoints;
+      bucket.spend = roundCents(bucket.spend + spend);
+    } else {
+      buckets.set(key, {
+        customerId: transaction.customerId,
+        name: transaction.name,
+        month,
+        year,
+        periodStart: period.start,
+        periodEnd: period.end,
+        periodName: period.name,
+        campaignPoints,
+        totalPoints: transaction.rewardPoints + campaignPoints,
+        spend,
+      });
+    }
+  });
+
+  const names = adjustments.length > 0
+    ? new Map(scoredTransactions.map((transaction) => [transaction.customerId, transaction.name]))
+    : null;
+  adjustments.forEach((adjustment) => {
+    if (adjustment.type !== "adjust") return;
+    if ((startKey && adjustment.date < startKey) || (endKey && adjustment.date > endKey)) return;
+
+    const period = getBucketPeriod(adjustment.date);
+    const key = `${adjustment.customerId}-${period.year}-${period.period}-adjustment`;
+    const bucket = buckets.get(key);
+
+    if (bucket) {
+      bucket.totalPoints += adjustment.points;
+    } else {
+      buckets.set(key, {
+        customerId: adjustment.customerId,
+        name: names.get(adjustment.customerId) || `Customer ${adjustment.customerId}`,
+        month: period.period,
+        year: period.year,
+        periodStart: period.start,
+        periodEnd: period.end,
+        periodName: period.name,
+        type: "adjustment",
+        campaignPoints: 0,
+        totalPoints: adjustment.points,
+        spend: 0,
+      });
+    }
+  });
+
+  const rewards = [...buckets.values()];
+
+  // Keyed by customer ID: different customers can share a name.
+  const totals = new Map();
+  rewards.forEach((reward) => {
+    const total = totals.get(reward.customerId);
+    if (total) {
+      total.totalPoints += reward.totalPoints;
+      total.spend = roundCents(total.spend + reward.spend);
+    } else {
+      totals.set(reward.customerId, {
+        customerId: reward.customerId,
+        name: reward.name,
+        totalPoints: reward.totalPoints,
+        spend: reward.spend,
+      });
+    }
+  });
+
+  const totalRewardsArray = [...totals.values()];
+
+  const campaignSummary = campaigns.map((campaign) => {
+    const participants = Object.values(campaignParticipants[campaign.id] || {});
+    return {
+      campaignId: campaign.id,
+      name: campaign.name,
+      startDate: campaign.startDate,
+      endDate: campaign.endDate,
+      participants,
+      extraPoints: participants.reduce((sum, participant) => sum + participant.extraPoints, 0),
+    };
+  });
+
+  return { userRewards: rewards, totalRewards: totalRewardsArray, campaignSummary };
 };
 
+/**
+ * Identifies a monthly reward row: customer, year, month and, for adjustment rows, the row type.
+ *
+ * @param {UserReward} reward - The row.
+ * @returns {string}
+ */
+export const getUserRewardKey = (reward) =>
+  `${reward.customerId}-${reward.year}-${reward.month}${reward.type ? `-${reward.type}` : ""}`;
+
 /**
  * Compares two objects in descending order by a given property.
  *
@@ -157,9 +371,9 @@ export const calculateUserRewards = (transactions, start, end) => {
  * @returns {number} - Comparison result.
  */
 export const descendingComparator = (a, b, orderBy) => {
-  if (b[orderBy] < a[orderBy]) return -1;
-  if (b[orderBy] > a[orderBy]) return 1;
-  return 0;
+  if (b[orderBy] < a[orderBy]) return -1;
+  if (b[orderBy] > a[orderBy]) return 1;
+  return 0;
 };
 
 /**
@@ -170,7 +384,7 @@ export const descendingComparator = (a, b, orderBy) => {
  * @returns {(a: Object, b: Object) => number} - Comparator function.
  */
 export const getComparator = (order, orderBy) => {
-  return order === "desc"
-    ? (a, b) => descendingComparator(a, b, orderBy)
-    : (a, b) => -descendingComparator(a, b, orderBy);
+  return order === "desc"
+    ? (a, b) => descendingComparator(a, b, orderBy)
+    : (a, b) => -descendingComparator(a, b, orderBy);
 };
\ No newline at end of file
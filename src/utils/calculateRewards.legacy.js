@@ -0,0 +1,63 @@
+// Shared by calculateRewards.aggregation.test.js and calculateRewards.bench.js;
+// not imported by the app.
+
+/**
+ * The aggregation calculateUserRewards used before it was keyed by customer and
+ * month, kept as a reference: it searches the buckets for every transaction.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Scored transactions.
+ * @param {Date|null} start - Start of the range.
+ * @param {Date|null} end - End of the range.
+ * @returns {Array<object>} One bucket per customer and month.
+ */
+export const legacyAggregate = (transactions, start, end) =>
+  transactions.reduce((acc, transaction) => {
+    const [year, month, day] = (transaction.attributedDate || transaction.date).split("-").map(Number);
+    const transactionDate = new Date(year, month - 1, day);
+    const startDate = start ? new Date(start) : null;
+    const endDate = end ? new Date(end) : null;
+    if (startDate) startDate.setHours(0, 0, 0, 0);
+    if (endDate) endDate.setHours(0, 0, 0, 0);
+    if ((startDate && transactionDate < startDate) || (endDate && transactionDate > endDate)) return acc;
+
+    const existingIndex = acc.findIndex(
+      (user) => user.customerId === transaction.customerId && user.month === month && user.year === year
+    );
+    if (existingIndex > -1) {
+      acc[existingIndex].totalPoints += transaction.rewardPoints;
+    } else {
+      acc.push({
+        customerId: transaction.customerId,
+        name: transaction.name,
+        month,
+        year,
+        campaignPoints: 0,
+        totalPoints: transaction.rewardPoints,
+      });
+    }
+    return acc;
+  }, []);
+
+/**
+ * Generates pre-scored transactions spread over 2024, so only the aggregation
+ * is exercised.
+ *
+ * @param {number} count - Number of transactions.
+ * @param {number} customers - Number of distinct customers.
+ * @returns {import("./calculateRewards").Transaction[]}
+ */
+export const generateTransactions = (count, customers) =>
+  Array.from({ length: count }, (_, index) => {
+    const customerId = 1000 + (index % customers);
+    const month = String(1 + (Math.floor(index / customers) % 12)).padStart(2, "0");
+    const day = String(1 + (index % 28)).padStart(2, "0");
+    return {
+      transactionId: index + 1,
+      customerId,
+      name: `Customer ${customerId}`,
+      date: `2024-${month}-${day}`,
+      price: 50 + (index % 100),
+      programVersion: "v1",
+      rewardPoints: index % 100,
+    };
+  });
@@ -1,4 +1,4 @@
-import { calculateRewardPoints } from './calculateRewards'; // Adjust the path if your file is in a different location
+import { calculateRewardPoints, calculateUserRewards } from './calculateRewards'; // Adjust the path if your file is in a different location
 
 describe('calculateRewardPoints', () => {
   test('should return the correct reward points for a given price', () => {
@@ -6,4 +6,67 @@ describe('calculateRewardPoints', () => {
     const expectedRewardPoints = (120 - 100) * 2 + (100 - 50) * 1; // 40 + 50 = 90
     expect(calculateRewardPoints(price)).toBe(90);
   });
-});
\ No newline at end of file
+});
+
+describe('calculateUserRewards totals', () => {
+  test('keeps customers who share a name apart', () => {
+    const transactions = [
+      { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-10', price: 120, programVersion: 'v1', rewardPoints: 90 },
+      { transactionId: 2, customerId: 202, name: 'John Doe', date: '2024-01-12', price: 70, programVersion: 'v1', rewardPoints: 20 },
+      { transactionId: 3, customerId: 101, name: 'John Doe', date: '2024-02-05', price: 60, programVersion: 'v1', rewardPoints: 10 },
+    ];
+
+    const { totalRewards } = calculateUserRewards(transactions, null, null, { campaigns: [] });
+
+    expect(totalRewards).toEqual([
+      { customerId: 101, name: 'John Doe', totalPoints: 100, spend: 180 },
+      { customerId: 202, name: 'John Doe', totalPoints: 20, spend: 70 },
+    ]);
+  });
+});
+
+describe('calculateUserRewards periods', () => {
+  test('groups points by the periods of the store calendar', () => {
+    const transactions = [
+      { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-27', price: 120, programVersion: 'v1', rewardPoints: 90 },
+      { transactionId: 2, customerId: 101, name: 'John Doe', date: '2024-01-28', price: 70, programVersion: 'v1', rewardPoints: 20 },
+    ];
+    const calendar = { timeZone: null, periods: '4-4-5', yearEndMonth: 12, weekPattern: [4, 4, 5], weekEndDay: 6, yearEndRule: 'last' };
+
+    const byMonth = calculateUserRewards(transactions, null, null, { campaigns: [] });
+    const byPeriod = calculateUserRewards(transactions, null, null, { campaigns: [], calendar });
+
+    expect(byMonth.userRewards).toEqual([
+      expect.objectContaining({ year: 2024, month: 1, periodStart: '2024-01-01', periodName: 'January', totalPoints: 110 }),
+    ]);
+    expect(byPeriod.userRewards).toEqual([
+      expect.objectContaining({ year: 2024, month: 1, periodEnd: '2024-01-27', periodName: 'P1', totalPoints: 90 }),
+      expect.objectContaining({ year: 2024, month: 2, periodStart: '2024-01-28', periodName: 'P2', totalPoints: 20 }),
+    ]);
+  });
+});
+
+describe('calculateUserRewards adjustments', () => {
+  test('adds manual adjustments as separate monthly rows that count toward totals', () => {
+    const transactions = [
+      { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-03-10', price: 120, programVersion: 'v1', rewardPoints: 90 },
+    ];
+    const adjustments = [
+      { id: 'a1', customerId: 101, type: 'adjust', points: 25, date: '2024-03-12', reasonCode: 'goodwill' },
+      { id: 'a2', customerId: 101, type: 'adjust', points: -5, date: '2024-03-20', reasonCode: 'correction' },
+      { id: 'a3', customerId: 101, type: 'adjust', points: 40, date: '2024-05-01', reasonCode: 'goodwill' },
+      { id: 'r1', customerId: 101, type: 'redeem', points: 30, date: '2024-03-15' },
+    ];
+
+    const { userRewards, totalRewards } = calculateUserRewards(
+      transactions, new Date(2024, 0, 1), new Date(2024, 3, 30), { campaigns: [], adjustments }
+    );
+
+    expect(userRewards).toEqual([
+      expect.objectContaining({ month: 3, totalPoints: 90, spend: 120 }),
+      expect.objectContaining({ month: 3, type: 'adjustment', name: 'John Doe', totalPoints: 20, spend: 0 }),
+    ]);
+    expect(userRewards[0].type).toBeUndefined();
+    expect(totalRewards).toEqual([{ customerId: 101, name: 'John Doe', totalPoints: 110, spend: 120 }]);
+  });
+});
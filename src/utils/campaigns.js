@@ -0,0 +1,222 @@
+import logger from "./logger";
+import defaultCampaignConfig from "../config/campaigns.json";
+import { isRefund } from "./refunds";
+import { getDayOfWeek } from "./dateUtils";
+
+/**
+ * @typedef {object} Campaign
+ * @property {string} id - Identifier of the campaign.
+ * @property {string} name - Human readable name of the campaign.
+ * @property {string} startDate - First day of the campaign ('YYYY-MM-DD').
+ * @property {string} endDate - Last day of the campaign ('YYYY-MM-DD').
+ * @property {string[]} [weekdays] - Day names the campaign runs on (every day when omitted).
+ * @property {string[]} [segments] - Customer segments eligible for the campaign (everyone when omitted).
+ * @property {number} [multiplier] - Multiplier applied to the points a transaction earned.
+ * @property {number} [bonusPoints] - Flat points added to every qualifying transaction.
+ */
+
+/**
+ * @typedef {object} CampaignAward
+ * @property {string} campaignId - The campaign that issued the points.
+ * @property {number} points - Extra points issued by the campaign.
+ */
+
+/**
+ * @typedef {object} CampaignParticipant
+ * @property {number} customerId - The ID of the customer.
+ * @property {string} name - The name of the customer.
+ * @property {number} extraPoints - Extra points the campaign issued to the customer.
+ */
+
+/**
+ * @typedef {object} CampaignSummary
+ * @property {string} campaignId - The ID of the campaign.
+ * @property {string} name - The name of the campaign.
+ * @property {string} startDate - First day of the campaign ('YYYY-MM-DD').
+ * @property {string} endDate - Last day of the campaign ('YYYY-MM-DD').
+ * @property {CampaignParticipant[]} participants - Customers who earned extra points.
+ * @property {number} extraPoints - Total extra points issued by the campaign.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const WEEKDAYS = [
+  "Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"
+];
+
+/**
+ * Error thrown when a campaign configuration fails validation. `errors` lists every problem found.
+ */
+export class CampaignValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid campaign configuration: ${errors.join("; ")}`);
+    this.name = "CampaignValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Collects validation problems for campaigns without throwing.
+ *
+ * @param {Campaign[]} campaigns - The campaigns to check.
+ * @param {Object<string, number[]>} segments - Segment name to customer IDs map.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getCampaignErrors = (campaigns, segments) => {
+  if (!Array.isArray(campaigns)) {
+    return ["campaigns must be an array"];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  campaigns.forEach((campaign, index) => {
+    const label = `campaigns[${index}]`;
+
+    if (!campaign.id || typeof campaign.id !== "string") {
+      errors.push(`${label}.id must be a non-empty string`);
+    } else if (seen.has(campaign.id)) {
+      errors.push(`${label}.id "${campaign.id}" is duplicated`);
+    } else {
+      seen.add(campaign.id);
+    }
+
+    if (!DATE_PATTERN.test(campaign.startDate || "")) {
+      errors.push(`${label}.startDate must be a YYYY-MM-DD date`);
+    }
+    if (!DATE_PATTERN.test(campaign.endDate || "")) {
+      errors.push(`${label}.endDate must be a YYYY-MM-DD date`);
+    }
+    if (campaign.endDate < campaign.startDate) {
+      errors.push(`${label}.endDate must not be before startDate`);
+    }
+
+    (campaign.weekdays || []).forEach((weekday) => {
+      if (!WEEKDAYS.includes(weekday)) {
+        errors.push(`${label}.weekdays contains unknown day "${weekday}"`);
+      }
+    });
+
+    (campaign.segments || []).forEach((segment) => {
+      if (!segments[segment]) {
+        errors.push(`${label}.segments references unknown segment "${segment}"`);
+      }
+    });
+
+    const hasMultiplier = campaign.multiplier !== undefined;
+    const hasBonus = campaign.bonusPoints !== undefined;
+    if (!hasMultiplier && !hasBonus) {
+      errors.push(`${label} must define a multiplier or bonusPoints`);
+    }
+    if (hasMultiplier && !(typeof campaign.multiplier === "number" && campaign.multiplier >= 1)) {
+      errors.push(`${label}.multiplier must be a number of at least 1`);
+    }
+    if (hasBonus && !(typeof campaign.bonusPoints === "number" && campaign.bonusPoints >= 0)) {
+      errors.push(`${label}.bonusPoints must be a non-negative number`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates campaigns and returns them unchanged.
+ *
+ * @param {Campaign[]} campaigns - The campaigns to validate.
+ * @param {Object<string, number[]>} segments - Segment name to customer IDs map.
+ * @returns {Campaign[]} The same campaigns.
+ * @throws {CampaignValidationError} If any campaign is malformed.
+ */
+export const validateCampaigns = (campaigns, segments) => {
+  const errors = getCampaignErrors(campaigns, segments);
+  if (errors.length > 0) {
+    logger.error("validateCampaigns: Rejected campaigns:", errors.join("; "));
+    throw new CampaignValidationError(errors);
+  }
+  return campaigns;
+};
+
+/**
+ * Returns the weekday name of a 'YYYY-MM-DD' date.
+ * @param {string} date - The date string.
+ * @returns {string} The weekday name, e.g. "Saturday".
+ */
+const getWeekdayName = (date) => WEEKDAYS[getDayOfWeek(date)];
+
+/**
+ * Checks whether a transaction qualifies for a campaign.
+ *
+ * @param {Campaign} campaign - The campaign.
+ * @param {import("./calculateRewards").Transaction} transaction - The transaction.
+ * @param {Object<string, number[]>} segments - Segment name to customer IDs map.
+ * @returns {boolean}
+ */
+export const isCampaignMatch = (campaign, transaction, segments) => {
+  if (transaction.date < campaign.startDate || transaction.date > campaign.endDate) {
+    return false;
+  }
+
+  if (campaign.weekdays && campaign.weekdays.length > 0 &&
+    !campaign.weekdays.includes(getWeekdayName(transaction.date))) {
+    return false;
+  }
+
+  if (campaign.segments && campaign.segments.length > 0 &&
+    !campaign.segments.some((segment) => (segments[segment] || []).includes(transaction.customerId))) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Calculates the extra points every matching campaign issues for a scored transaction.
+ * Multipliers apply to the points the transaction earned; flat bonuses are added as-is.
+ * Refunds are matched on the original purchase date and claw back the campaign
+ * points proportionally, producing negative awards. Transactions held for fraud
+ * review earn no campaign points.
+ *
+ * @param {import("./calculateRewards").Transaction} transaction - A scored transaction.
+ * @param {Campaign[]} campaigns - The campaigns to match.
+ * @param {Object<string, number[]>} segments - Segment name to customer IDs map.
+ * @returns {CampaignAward[]} One award per matching campaign that issued or clawed back points.
+ */
+export const getCampaignAwards = (transaction, campaigns, segments) => {
+  const refund = isRefund(transaction);
+  if (transaction.held || (refund && transaction.refundError)) return [];
+
+  const matchTarget = refund ? { ...transaction, date: transaction.attributedDate } : transaction;
+
+  return campaigns.reduce((awards, campaign) => {
+    if (!isCampaignMatch(campaign, matchTarget, segments)) return awards;
+
+    const multiplied = campaign.multiplier
+      ? Math.sign(transaction.rewardPoints) *
+        Math.floor(Math.abs(transaction.rewardPoints) * (campaign.multiplier - 1))
+      : 0;
+    const flat = refund
+      ? -Math.round((campaign.bonusPoints || 0) * transaction.refundRatio)
+      : campaign.bonusPoints || 0;
+    const points = multiplied + flat;
+
+    if (points !== 0) {
+      awards.push({ campaignId: campaign.id, points });
+    }
+    return awards;
+  }, []);
+};
+
+/**
+ * Customer segments shipped in `src/config/campaigns.json`.
+ * @type {Object<string, number[]>}
+ */
+export const DEFAULT_SEGMENTS = defaultCampaignConfig.segments || {};
+
+/**
+ * Campaigns shipped in `src/config/campaigns.json`.
+ * @type {Campaign[]}
+ */
+export const DEFAULT_CAMPAIGNS = validateCampaigns(
+  defaultCampaignConfig.campaigns || [],
+  DEFAULT_SEGMENTS
+);
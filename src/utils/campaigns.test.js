@@ -0,0 +1,61 @@
+import { CampaignValidationError, DEFAULT_CAMPAIGNS, getCampaignAwards, validateCampaigns } from './campaigns';
+import { calculateUserRewards } from './calculateRewards';
+
+describe('campaigns', () => {
+  const segments = { vip: [101] };
+  const campaigns = [
+    {
+      id: 'weekends',
+      name: 'Double points weekends',
+      startDate: '2025-06-01',
+      endDate: '2025-06-30',
+      weekdays: ['Saturday', 'Sunday'],
+      multiplier: 2,
+    },
+    {
+      id: 'vip-bonus',
+      name: 'VIP bonus',
+      startDate: '2025-06-01',
+      endDate: '2025-06-30',
+      segments: ['vip'],
+      bonusPoints: 10,
+    },
+  ];
+
+  test('matches on date window, weekday and segment', () => {
+    const saturday = { customerId: 101, date: '2025-06-07', rewardPoints: 30 };
+    const monday = { customerId: 102, date: '2025-06-09', rewardPoints: 30 };
+
+    expect(getCampaignAwards(saturday, campaigns, segments)).toEqual([
+      { campaignId: 'weekends', points: 30 },
+      { campaignId: 'vip-bonus', points: 10 },
+    ]);
+    expect(getCampaignAwards(monday, campaigns, segments)).toEqual([]);
+  });
+
+  test('calculateUserRewards adds campaign points and summarises participants', () => {
+    const { userRewards, campaignSummary } = calculateUserRewards(
+      [{ customerId: 101, name: 'John Doe', date: '2025-06-07', price: 80 }],
+      null,
+      null,
+      { campaigns, segments }
+    );
+
+    expect(userRewards[0]).toMatchObject({ campaignPoints: 40, totalPoints: 70 });
+    expect(campaignSummary[0]).toMatchObject({
+      campaignId: 'weekends',
+      extraPoints: 30,
+      participants: [{ customerId: 101, name: 'John Doe', extraPoints: 30 }],
+    });
+  });
+
+  test('rejects campaigns with unknown segments', () => {
+    const invalid = [{ ...campaigns[1], segments: ['gold'] }];
+
+    expect(() => validateCampaigns(invalid, segments)).toThrow(CampaignValidationError);
+  });
+
+  test('ships with no campaigns running', () => {
+    expect(DEFAULT_CAMPAIGNS).toEqual([]);
+  });
+});
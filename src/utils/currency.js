@@ -0,0 +1,173 @@
+import logger from "./logger";
+import defaultCurrencyConfig from "../config/currencies.json";
+
+/**
+ * @typedef {object} ExchangeRate
+ * @property {string} effectiveFrom - First day the rate applies ('YYYY-MM-DD'); it applies until the next rate.
+ * @property {number} rate - Base currency units per unit of the currency.
+ */
+
+/**
+ * @typedef {object} CurrencyConfig
+ * @property {string} baseCurrency - ISO 4217 code points are calculated in, e.g. "USD".
+ * @property {Object<string, ExchangeRate[]>} rates - Rates by currency code, ordered by `effectiveFrom`.
+ */
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error thrown when the currency configuration fails validation. `errors` lists every problem found.
+ */
+export class CurrencyConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid currency configuration: ${errors.join("; ")}`);
+    this.name = "CurrencyConfigValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks if a value is a three-letter ISO 4217 currency code.
+ *
+ * @param {*} value - Value to check.
+ * @returns {boolean}
+ */
+export const isCurrencyCode = (value) => typeof value === "string" && CURRENCY_PATTERN.test(value);
+
+/**
+ * Collects validation problems for a currency configuration without throwing.
+ *
+ * @param {CurrencyConfig} config - The configuration to check.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getCurrencyConfigErrors = (config) => {
+  const errors = [];
+
+  if (!isCurrencyCode(config.baseCurrency)) {
+    errors.push("baseCurrency must be a three-letter currency code");
+  }
+  if (!config.rates || typeof config.rates !== "object" || Array.isArray(config.rates)) {
+    errors.push("rates must be an object keyed by currency code");
+    return errors;
+  }
+
+  Object.entries(config.rates).forEach(([currency, rates]) => {
+    const label = `rates.${currency}`;
+
+    if (!isCurrencyCode(currency)) {
+      errors.push(`${label} must be keyed by a three-letter currency code`);
+    }
+    if (currency === config.baseCurrency) {
+      errors.push(`${label} must not list the base currency`);
+    }
+    if (!Array.isArray(rates) || rates.length === 0) {
+      errors.push(`${label} must be a non-empty array`);
+      return;
+    }
+
+    rates.forEach((entry, index) => {
+      if (!entry || typeof entry.effectiveFrom !== "string" || !DATE_PATTERN.test(entry.effectiveFrom)) {
+        errors.push(`${label}[${index}].effectiveFrom must be a date in YYYY-MM-DD format`);
+      } else if (index > 0 && !(entry.effectiveFrom > rates[index - 1].effectiveFrom)) {
+        errors.push(`${label}[${index}].effectiveFrom must be after the previous rate's`);
+      }
+      if (!entry || typeof entry.rate !== "number" || !(entry.rate > 0)) {
+        errors.push(`${label}[${index}].rate must be a positive number`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Validates a currency configuration and returns it unchanged.
+ *
+ * @param {CurrencyConfig} config - The configuration to validate.
+ * @returns {CurrencyConfig} The same configuration.
+ * @throws {CurrencyConfigValidationError} If the configuration is malformed.
+ */
+export const validateCurrencyConfig = (config) => {
+  const errors = getCurrencyConfigErrors(config);
+  if (errors.length > 0) {
+    logger.error("validateCurrencyConfig: Rejected currencies:", errors.join("; "));
+    throw new CurrencyConfigValidationError(errors);
+  }
+  return config;
+};
+
+/**
+ * The base currency and exchange rates shipped in `src/config/currencies.json`.
+ * @type {CurrencyConfig}
+ */
+export const DEFAULT_CURRENCY_CONFIG = validateCurrencyConfig(defaultCurrencyConfig);
+
+/**
+ * The currency of a transaction; the base currency when it has none.
+ *
+ * @param {{currency?: string}} transaction - The transaction.
+ * @param {CurrencyConfig} [config] - Base currency and rates.
+ * @returns {string}
+ */
+export const getTransactionCurrency = (transaction, config = DEFAULT_CURRENCY_CONFIG) =>
+  transaction.currency || config.baseCurrency;
+
+/**
+ * The amount of a scored transaction in the base currency, falling back to
+ * its price when it has not been converted.
+ *
+ * @param {import("./calculateRewards").Transaction} transaction - The transaction.
+ * @returns {number}
+ */
+export const getBaseAmount = (transaction) =>
+  Number(typeof transaction.baseAmount === "number" ? transaction.baseAmount : transaction.price) || 0;
+
+/**
+ * Finds the rate in force for a currency on a date.
+ *
+ * @param {string} currency - The currency code.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @param {CurrencyConfig} [config] - Base currency and rates.
+ * @returns {number|null} Base currency units per unit, or null if no rate applies yet.
+ */
+export const getExchangeRate = (currency, date, config = DEFAULT_CURRENCY_CONFIG) => {
+  if (currency === config.baseCurrency) return 1;
+
+  const rates = config.rates[currency] || [];
+  let rate = null;
+  for (let index = 0; index < rates.length && rates[index].effectiveFrom <= date; index += 1) {
+    rate = rates[index].rate;
+  }
+  return rate;
+};
+
+/**
+ * Converts an amount to the base currency at the rate in force on a date,
+ * rounded to cents.
+ *
+ * @param {number} amount - The amount in `currency`.
+ * @param {string} currency - The currency code.
+ * @param {string} date - The date ('YYYY-MM-DD').
+ * @param {CurrencyConfig} [config] - Base currency and rates.
+ * @returns {number|null} The base currency amount, or null if no rate applies.
+ */
+export const convertToBase = (amount, currency, date, config = DEFAULT_CURRENCY_CONFIG) => {
+  const rate = getExchangeRate(currency, date, config);
+  return rate === null ? null : Math.round(amount * rate * 100) / 100;
+};
+
+const formatters = new Map();
+
+/**
+ * Formats an amount in its currency, e.g. "€12.50".
+ *
+ * @param {number} amount - The amount.
+ * @param {string} [currency] - The currency code; the base currency by default.
+ * @returns {string}
+ */
+export const formatAmount = (amount, currency = DEFAULT_CURRENCY_CONFIG.baseCurrency) => {
+  const formatter = formatters.get(currency) ||
+    formatters.set(currency, new Intl.NumberFormat("en-US", { style: "currency", currency })).get(currency);
+  return formatter.format(amount);
+};
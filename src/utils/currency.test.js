@@ -0,0 +1,81 @@
+import {
+  CurrencyConfigValidationError,
+  convertToBase,
+  formatAmount,
+  getCurrencyConfigErrors,
+  getExchangeRate,
+  validateCurrencyConfig,
+} from './currency';
+import { calculateUserRewards, scoreTransaction, scoreTransactions } from './calculateRewards';
+
+const config = {
+  baseCurrency: 'USD',
+  rates: {
+    EUR: [
+      { effectiveFrom: '2024-01-01', rate: 1.1 },
+      { effectiveFrom: '2024-07-01', rate: 1.2 },
+    ],
+  },
+};
+
+describe('currency', () => {
+  test('uses the rate in force on the date', () => {
+    expect(getExchangeRate('USD', '2023-06-01', config)).toBe(1);
+    expect(getExchangeRate('EUR', '2023-12-31', config)).toBeNull();
+    expect(getExchangeRate('EUR', '2024-06-30', config)).toBe(1.1);
+    expect(getExchangeRate('EUR', '2024-07-01', config)).toBe(1.2);
+    expect(getExchangeRate('GBP', '2024-07-01', config)).toBeNull();
+  });
+
+  test('converts to the base currency in cents', () => {
+    expect(convertToBase(100.5, 'EUR', '2024-03-01', config)).toBe(110.55);
+    expect(convertToBase(10, 'EUR', '2023-03-01', config)).toBeNull();
+  });
+
+  test('formats amounts in their own currency', () => {
+    expect(formatAmount(12.5, 'EUR')).toBe('€12.50');
+    expect(formatAmount(-12.5, 'USD')).toBe('-$12.50');
+  });
+
+  test('scores transactions on the base currency amount', () => {
+    const scored = scoreTransaction(
+      { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-03-01', price: 100, currency: 'EUR' },
+      undefined,
+      config
+    );
+    expect(scored).toMatchObject({ price: 100, currency: 'EUR', baseAmount: 110, basePoints: 70 });
+  });
+
+  test('scores a batch with the exchange rates supplied', () => {
+    const transactions = [{ transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-08-01', price: 100, currency: 'EUR' }];
+
+    expect(scoreTransactions(transactions, undefined, undefined, { currencyConfig: config })[0])
+      .toMatchObject({ baseAmount: 120, rewardPoints: 90 });
+    expect(calculateUserRewards(transactions, null, null, { campaigns: [], currencyConfig: config }).totalRewards[0])
+      .toMatchObject({ totalPoints: 90, spend: 120 });
+  });
+
+  test('does not score transactions without a rate', () => {
+    const scored = scoreTransaction(
+      { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-03-01', price: 100, currency: 'GBP' },
+      undefined,
+      config
+    );
+    expect(scored).toMatchObject({ baseAmount: null, rewardPoints: 0, currencyError: 'no GBP exchange rate on 2024-03-01' });
+  });
+
+  test('reports every configuration problem', () => {
+    const invalid = {
+      baseCurrency: 'usd',
+      rates: { EUR: [{ effectiveFrom: '2024-07-01', rate: 1 }, { effectiveFrom: '2024-01-01', rate: 0 }], GB: [] },
+    };
+    expect(getCurrencyConfigErrors(invalid)).toEqual([
+      'baseCurrency must be a three-letter currency code',
+      "rates.EUR[1].effectiveFrom must be after the previous rate's",
+      'rates.EUR[1].rate must be a positive number',
+      'rates.GB must be keyed by a three-letter currency code',
+      'rates.GB must be a non-empty array',
+    ]);
+    expect(() => validateCurrencyConfig(invalid)).toThrow(CurrencyConfigValidationError);
+  });
+});
@@ -0,0 +1,303 @@
+import logger from "./logger";
+
+/**
+ * @typedef {object} CustomerIdentity
+ * @property {Object<number, number>} aliases - Merged customer ID to the customer ID it was merged into.
+ * @property {Object<number, string>} names - Preferred display name by customer ID.
+ * @property {Object<number, number[]>} [movedAliases] - By merged customer ID, the aliases of it that
+ * the merge re-pointed to the kept ID, so that undoing the merge can point them back.
+ */
+
+/**
+ * @typedef {object} NameUsage
+ * @property {string} name - A name used with the customer ID.
+ * @property {number} count - Number of transactions using it.
+ * @property {string} lastSeen - Date of the latest transaction using it ('YYYY-MM-DD').
+ */
+
+/**
+ * @typedef {object} NameConflict
+ * @property {number} customerId - The customer ID.
+ * @property {NameUsage[]} names - The names used with it, most used first.
+ */
+
+/**
+ * @typedef {object} DuplicateCandidate
+ * @property {string} name - The shared name.
+ * @property {number[]} customerIds - Customer IDs using it, most transactions first.
+ */
+
+export const IDENTITY_STORAGE_KEY = "retailer-reward-program.customerIdentity";
+
+/**
+ * An identity with no merges and no preferred names.
+ * @type {CustomerIdentity}
+ */
+export const EMPTY_IDENTITY = Object.freeze({ aliases: {}, names: {}, movedAliases: {} });
+
+/**
+ * Error thrown when two customer records cannot be merged.
+ */
+export class CustomerMergeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CustomerMergeError";
+  }
+}
+
+/**
+ * Normalizes a name for comparison: trimmed, lower case, single spaces.
+ *
+ * @param {string} name - The name.
+ * @returns {string}
+ */
+export const normalizeName = (name) => String(name || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Follows merges to the customer ID a record now belongs to.
+ *
+ * @param {number} customerId - The recorded customer ID.
+ * @param {CustomerIdentity} identity - Merges and preferred names.
+ * @returns {number} The surviving customer ID.
+ */
+export const resolveCustomerId = (customerId, identity) => {
+  let resolved = customerId;
+  const seen = new Set();
+  while (identity.aliases[resolved] !== undefined && !seen.has(resolved)) {
+    seen.add(resolved);
+    resolved = identity.aliases[resolved];
+  }
+  return resolved;
+};
+
+/**
+ * Rewrites `customerId` on records (such as ledger entries) to the surviving
+ * customer ID. Records that are not affected are returned as they are.
+ *
+ * @template {{customerId: number}} T
+ * @param {T[]} records - Records to resolve.
+ * @param {CustomerIdentity} identity - Merges and preferred names.
+ * @returns {T[]}
+ */
+export const resolveCustomerIds = (records, identity) =>
+  records.map((record) => {
+    const customerId = resolveCustomerId(record.customerId, identity);
+    return customerId === record.customerId ? record : { ...record, customerId };
+  });
+
+/**
+ * Counts the names each (resolved) customer ID appears under. Spellings that
+ * differ only in case or spacing count as one name, shown as first seen.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Raw transactions.
+ * @param {CustomerIdentity} identity - Merges and preferred names.
+ * @returns {Map<number, NameUsage[]>} Names by customer ID, most used (then most recent) first.
+ */
+export const getCustomerNames = (transactions, identity) => {
+  const usage = new Map();
+
+  transactions.forEach((transaction) => {
+    const customerId = resolveCustomerId(transaction.customerId, identity);
+    const names = usage.get(customerId) || usage.set(customerId, new Map()).get(customerId);
+    const key = normalizeName(transaction.name);
+    const entry = names.get(key);
+    if (entry) {
+      entry.count += 1;
+      if (transaction.date > entry.lastSeen) entry.lastSeen = transaction.date;
+    } else {
+      names.set(key, { name: String(transaction.name || "").trim(), count: 1, lastSeen: transaction.date });
+    }
+  });
+
+  return new Map([...usage].map(([customerId, names]) => [
+    customerId,
+    [...names.values()].sort((a, b) =>
+      b.count - a.count || (a.lastSeen === b.lastSeen ? 0 : a.lastSeen < b.lastSeen ? 1 : -1)),
+  ]));
+};
+
+/**
+ * Finds customer IDs that appear under more than one name and have no preferred name yet.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Raw transactions.
+ * @param {CustomerIdentity} [identity] - Merges and preferred names.
+ * @returns {NameConflict[]} Conflicts ordered by customer ID.
+ */
+export const findNameConflicts = (transactions, identity = EMPTY_IDENTITY) =>
+  [...getCustomerNames(transactions, identity)]
+    .filter(([customerId, names]) => names.length > 1 && !identity.names[customerId])
+    .map(([customerId, names]) => ({ customerId, names }))
+    .sort((a, b) => a.customerId - b.customerId);
+
+/**
+ * Finds names shared by several customer IDs: likely duplicate records of one customer.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Raw transactions.
+ * @param {CustomerIdentity} [identity] - Merges and preferred names.
+ * @returns {DuplicateCandidate[]} Candidates ordered by name.
+ */
+export const findDuplicateCustomers = (transactions, identity = EMPTY_IDENTITY) => {
+  const byName = new Map();
+
+  getCustomerNames(transactions, identity).forEach((names, customerId) => {
+    const count = names.reduce((sum, usage) => sum + usage.count, 0);
+    const displayName = identity.names[customerId] || names[0].name;
+    const key = normalizeName(displayName);
+    const group = byName.get(key) || byName.set(key, { name: displayName, customers: [] }).get(key);
+    group.customers.push({ customerId, count });
+  });
+
+  return [...byName.values()]
+    .filter((group) => group.customers.length > 1)
+    .map(({ name, customers }) => ({
+      name,
+      customerIds: customers
+        .sort((a, b) => b.count - a.count || a.customerId - b.customerId)
+        .map((customer) => customer.customerId),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Merges one customer record into another: transactions, balances and tiers
+ * of `fromId` are counted for `intoId` from then on, under the name the
+ * operator chose, which is stored as the kept customer's preferred name.
+ * Merges are reversible with `unmergeCustomer`.
+ *
+ * @param {CustomerIdentity} identity - Current merges and preferred names.
+ * @param {number} fromId - The duplicate customer ID.
+ * @param {number} intoId - The customer ID to keep.
+ * @param {string} name - The name to show for the merged customer.
+ * @returns {CustomerIdentity} The updated identity.
+ * @throws {CustomerMergeError} If the IDs are invalid, equal, the merge would loop, or no name is given.
+ */
+export const mergeCustomers = (identity, fromId, intoId, name) => {
+  if (!Number.isInteger(fromId) || !Number.isInteger(intoId)) {
+    throw new CustomerMergeError("Customer IDs must be whole numbers");
+  }
+  if (!name || !name.trim()) {
+    throw new CustomerMergeError("Choose the name to keep for the merged customer");
+  }
+  const target = resolveCustomerId(intoId, identity);
+  if (fromId === intoId || target === fromId) {
+    throw new CustomerMergeError(`Customer ${fromId} cannot be merged into itself`);
+  }
+  if (identity.aliases[fromId] !== undefined) {
+    throw new CustomerMergeError(`Customer ${fromId} is already merged into ${identity.aliases[fromId]}`);
+  }
+
+  // Records already merged into `fromId` move along with it.
+  const aliases = {};
+  const moved = [];
+  Object.entries(identity.aliases).forEach(([alias, customerId]) => {
+    if (customerId === fromId) moved.push(Number(alias));
+    aliases[alias] = customerId === fromId ? target : customerId;
+  });
+  aliases[fromId] = target;
+  const movedAliases = { ...identity.movedAliases, [fromId]: moved };
+
+  const names = { ...identity.names, [target]: name.trim() };
+  delete names[fromId];
+
+  logger.info(`mergeCustomers: Merged customer ${fromId} into ${target} as "${name.trim()}"`);
+  return { aliases, names, movedAliases };
+};
+
+/**
+ * Reverses a merge, so the customer ID counts on its own again. Aliases the
+ * merge moved to the kept ID, and that still point there, return to it.
+ *
+ * @param {CustomerIdentity} identity - Current merges and preferred names.
+ * @param {number} customerId - The merged customer ID.
+ * @returns {CustomerIdentity} The updated identity.
+ */
+export const unmergeCustomer = (identity, customerId) => {
+  const mergedInto = identity.aliases[customerId];
+  const aliases = { ...identity.aliases };
+  delete aliases[customerId];
+
+  const movedAliases = { ...identity.movedAliases };
+  (movedAliases[customerId] || []).forEach((alias) => {
+    if (aliases[alias] === mergedInto) aliases[alias] = customerId;
+  });
+  delete movedAliases[customerId];
+
+  logger.info(`unmergeCustomer: Customer ${customerId} is separate again`);
+  return { ...identity, aliases, movedAliases };
+};
+
+/**
+ * Sets the name shown for a customer, or clears it when `name` is empty.
+ *
+ * @param {CustomerIdentity} identity - Current merges and preferred names.
+ * @param {number} customerId - The customer ID.
+ * @param {string} name - The preferred name.
+ * @returns {CustomerIdentity} The updated identity.
+ */
+export const setPreferredName = (identity, customerId, name) => {
+  const names = { ...identity.names };
+  if (name && name.trim()) {
+    names[customerId] = name.trim();
+  } else {
+    delete names[customerId];
+  }
+  return { ...identity, names };
+};
+
+/**
+ * Applies merges and display names to transactions before scoring. Only names
+ * an operator chose, when merging or resolving a name conflict, replace the
+ * recorded ones. Changed transactions keep the recorded values in
+ * `originalCustomerId` and `originalName`.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Raw transactions.
+ * @param {CustomerIdentity} [identity] - Merges and preferred names.
+ * @returns {import("./calculateRewards").Transaction[]}
+ */
+export const applyCustomerIdentity = (transactions, identity = EMPTY_IDENTITY) =>
+  transactions.map((transaction) => {
+    const customerId = resolveCustomerId(transaction.customerId, identity);
+    const name = identity.names[customerId] || transaction.name;
+    if (customerId === transaction.customerId && name === transaction.name) return transaction;
+
+    return {
+      ...transaction,
+      customerId,
+      name,
+      originalCustomerId: transaction.customerId,
+      originalName: transaction.name,
+    };
+  });
+
+/**
+ * Loads merges and preferred names from localStorage.
+ *
+ * @param {Storage} [storage] - Storage to read from.
+ * @returns {CustomerIdentity} The stored identity, or an empty one if none or unreadable.
+ */
+export const loadCustomerIdentity = (storage = window.localStorage) => {
+  try {
+    const raw = storage.getItem(IDENTITY_STORAGE_KEY);
+    const identity = raw ? JSON.parse(raw) : null;
+    return identity && typeof identity.aliases === "object" && typeof identity.names === "object"
+      ? identity
+      : { aliases: {}, names: {} };
+  } catch (error) {
+    logger.error("loadCustomerIdentity: Could not read customer identity:", error);
+    return { aliases: {}, names: {} };
+  }
+};
+
+/**
+ * Persists merges and preferred names to localStorage.
+ *
+ * @param {CustomerIdentity} identity - The identity to store.
+ * @param {Storage} [storage] - Storage to write to.
+ */
+export const saveCustomerIdentity = (identity, storage = window.localStorage) => {
+  try {
+    storage.setItem(IDENTITY_STORAGE_KEY, JSON.stringify(identity));
+  } catch (error) {
+    logger.error("saveCustomerIdentity: Could not write customer identity:", error);
+  }
+};
@@ -0,0 +1,101 @@
+import {
+  CustomerMergeError,
+  EMPTY_IDENTITY,
+  applyCustomerIdentity,
+  findDuplicateCustomers,
+  findNameConflicts,
+  loadCustomerIdentity,
+  mergeCustomers,
+  resolveCustomerId,
+  resolveCustomerIds,
+  saveCustomerIdentity,
+  setPreferredName,
+  unmergeCustomer,
+} from './customerIdentity';
+
+describe('customerIdentity', () => {
+  const transactions = [
+    { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-10', price: 120 },
+    { transactionId: 2, customerId: 101, name: 'Jon Doe', date: '2024-03-05', price: 70 },
+    { transactionId: 3, customerId: 101, name: 'John Doe', date: '2024-02-01', price: 60 },
+    { transactionId: 4, customerId: 205, name: 'john  doe', date: '2024-04-01', price: 90 },
+    { transactionId: 5, customerId: 102, name: 'Jane Smith', date: '2024-01-15', price: 75 },
+  ];
+
+  test('finds IDs used under several names, most used first', () => {
+    expect(findNameConflicts(transactions)).toEqual([{
+      customerId: 101,
+      names: [
+        { name: 'John Doe', count: 2, lastSeen: '2024-02-01' },
+        { name: 'Jon Doe', count: 1, lastSeen: '2024-03-05' },
+      ],
+    }]);
+    expect(findNameConflicts(transactions, setPreferredName(EMPTY_IDENTITY, 101, 'John Doe'))).toEqual([]);
+  });
+
+  test('finds names shared by several IDs', () => {
+    expect(findDuplicateCustomers(transactions)).toEqual([{ name: 'John Doe', customerIds: [101, 205] }]);
+  });
+
+  test('merging moves transactions to the kept ID and can be undone', () => {
+    const merged = mergeCustomers(EMPTY_IDENTITY, 205, 101, 'John Doe');
+    const resolved = applyCustomerIdentity(transactions, merged);
+
+    expect(resolved[3]).toEqual(expect.objectContaining({
+      customerId: 101, name: 'John Doe', originalCustomerId: 205, originalName: 'john  doe',
+    }));
+    expect(resolved[4]).toBe(transactions[4]);
+    expect(findDuplicateCustomers(transactions, merged)).toEqual([]);
+    expect(resolveCustomerId(205, unmergeCustomer(merged, 205))).toBe(205);
+  });
+
+  test('merges follow chains and reject loops', () => {
+    const identity = mergeCustomers(mergeCustomers(EMPTY_IDENTITY, 205, 101, 'John Doe'), 101, 300, 'John Doe');
+
+    expect(identity.aliases).toEqual({ 101: 300, 205: 300 });
+    expect(resolveCustomerIds([{ customerId: 205, points: 10 }], identity)).toEqual([{ customerId: 300, points: 10 }]);
+    expect(() => mergeCustomers(identity, 300, 205, 'John Doe')).toThrow(CustomerMergeError);
+    expect(() => mergeCustomers(identity, 205, 102, 'John Doe')).toThrow('already merged into 300');
+    expect(() => mergeCustomers(identity, 7, 7, 'John Doe')).toThrow('into itself');
+  });
+
+  test('unmerging points moved aliases back to the unmerged customer', () => {
+    const identity = mergeCustomers(mergeCustomers(EMPTY_IDENTITY, 205, 101, 'John Doe'), 101, 300, 'John Doe');
+    const unmerged = unmergeCustomer(identity, 101);
+
+    expect(identity.movedAliases).toEqual({ 205: [], 101: [205] });
+    expect(unmerged.aliases).toEqual({ 205: 101 });
+    expect(resolveCustomerId(205, unmerged)).toBe(101);
+    expect(unmergeCustomer(unmergeCustomer(identity, 205), 101).aliases).toEqual({});
+  });
+
+  test('shows a merged customer under the name chosen when merging', () => {
+    const merged = mergeCustomers(EMPTY_IDENTITY, 205, 101, ' Jon Doe ');
+
+    expect(merged.names).toEqual({ 101: 'Jon Doe' });
+    expect(applyCustomerIdentity(transactions, merged).slice(0, 4).map((t) => t.name))
+      .toEqual(['Jon Doe', 'Jon Doe', 'Jon Doe', 'Jon Doe']);
+    expect(applyCustomerIdentity(transactions)[1]).toBe(transactions[1]);
+    expect(() => mergeCustomers(EMPTY_IDENTITY, 205, 101, ' ')).toThrow('Choose the name to keep');
+  });
+
+  test('uses the preferred name for every transaction of the customer', () => {
+    const identity = setPreferredName(EMPTY_IDENTITY, 101, ' Johnny Doe ');
+
+    expect(applyCustomerIdentity(transactions, identity).slice(0, 3).map((t) => t.name))
+      .toEqual(['Johnny Doe', 'Johnny Doe', 'Johnny Doe']);
+  });
+
+  test('persists merges and names', () => {
+    const storage = new Map();
+    const fakeStorage = { getItem: (key) => storage.get(key) || null, setItem: (key, value) => storage.set(key, value) };
+    const identity = setPreferredName(mergeCustomers(EMPTY_IDENTITY, 205, 101, 'John Doe'), 101, 'John Doe');
+
+    saveCustomerIdentity(identity, fakeStorage);
+
+    expect(loadCustomerIdentity(fakeStorage)).toEqual({
+      aliases: { 205: 101 }, names: { 101: 'John Doe' }, movedAliases: { 205: [] },
+    });
+    expect(loadCustomerIdentity({ getItem: () => 'not json' })).toEqual({ aliases: {}, names: {} });
+  });
+});
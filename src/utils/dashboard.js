@@ -0,0 +1,110 @@
+import { DEFAULT_RULE_SET } from "./rewardRules";
+import { getBaseAmount } from "./currency";
+import { getPeriodName, toDateKey } from "./dateUtils";
+import { isRefund } from "./refunds";
+
+/**
+ * @typedef {object} TrendPoint
+ * @property {string} key - `year-month` of the month or period.
+ * @property {string} label - Display name, e.g. "March 2024".
+ * @property {number} points - Points issued in the month, campaign points included.
+ * @property {number} campaignPoints - The part of `points` issued by campaigns.
+ */
+
+/**
+ * @typedef {object} HistogramBucket
+ * @property {string} label - Price range of the bucket in whole base currency units, e.g. "50–100".
+ * @property {number} transactions - Purchases whose price falls in the bucket.
+ * @property {number} points - Points those purchases earned.
+ */
+
+/**
+ * Sums monthly rewards across customers into points issued per month (or
+ * store calendar period), oldest first.
+ *
+ * @param {import("./calculateRewards").UserReward[]} userRewards - Monthly rewards per customer.
+ * @returns {TrendPoint[]}
+ */
+export const getMonthlyTrend = (userRewards) => {
+  const months = new Map();
+
+  userRewards.forEach((reward) => {
+    const key = `${reward.year}-${String(reward.month).padStart(2, "0")}`;
+    const month = months.get(key) || months.set(key, {
+      key,
+      label: `${reward.periodName || getPeriodName(reward.month)} ${reward.year}`,
+      points: 0,
+      campaignPoints: 0,
+    }).get(key);
+    month.points += reward.totalPoints;
+    month.campaignPoints += reward.campaignPoints || 0;
+  });
+
+  return [...months.values()].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+};
+
+/**
+ * The customers with the most points.
+ *
+ * @param {import("./calculateRewards").TotalReward[]} totalRewards - Totals per customer.
+ * @param {number} count - How many customers to return.
+ * @returns {import("./calculateRewards").TotalReward[]} Most points first; ties by customer ID.
+ */
+export const getTopCustomers = (totalRewards, count) =>
+  [...totalRewards]
+    .sort((a, b) => b.totalPoints - a.totalPoints || a.customerId - b.customerId)
+    .slice(0, count);
+
+/**
+ * Groups purchases in a date range by the reward rule tier their price falls
+ * in (e.g. up to 50, 50–100, over 100) and counts them and the points they
+ * earned. Refunds are left out.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Scored transactions.
+ * @param {object} [options] - Histogram options.
+ * @param {Date|string|null} [options.start] - First day included.
+ * @param {Date|string|null} [options.end] - Last day included.
+ * @param {import("./rewardRules").RuleSet} [options.ruleSet] - Rule set whose tiers define the buckets.
+ * @returns {HistogramBucket[]}
+ */
+export const getPointsHistogram = (transactions, { start = null, end = null, ruleSet = DEFAULT_RULE_SET } = {}) => {
+  const edges = [...new Set([0, ...ruleSet.tiers.map((tier) => tier.min)])].sort((a, b) => a - b);
+  const buckets = edges.map((edge, index) => {
+    const next = edges[index + 1];
+    let label = `${edge}–${next}`;
+    if (next === undefined) label = index === 0 ? "Any price" : `Over ${edge}`;
+    else if (index === 0) label = `Up to ${next}`;
+    return { label, transactions: 0, points: 0 };
+  });
+  const startKey = start ? toDateKey(start) : null;
+  const endKey = end ? toDateKey(end) : null;
+
+  transactions.forEach((transaction) => {
+    if (isRefund(transaction)) return;
+    if ((startKey && transaction.date < startKey) || (endKey && transaction.date > endKey)) return;
+
+    // Tiers earn from the first whole unit above their minimum.
+    const wholeAmount = Math.floor(getBaseAmount(transaction));
+    let index = 0;
+    while (index + 1 < edges.length && wholeAmount > edges[index + 1]) index += 1;
+
+    buckets[index].transactions += 1;
+    buckets[index].points += transaction.rewardPoints || 0;
+  });
+
+  return buckets;
+};
+
+/**
+ * Rounds an axis maximum up to 1, 2 or 5 times a power of ten, so the axis
+ * ticks land on round numbers.
+ *
+ * @param {number} value - The largest value plotted.
+ * @returns {number} At least 1.
+ */
+export const getNiceMax = (value) => {
+  if (!(value > 1)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= value);
+  return step * magnitude;
+};
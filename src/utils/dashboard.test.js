@@ -0,0 +1,50 @@
+import { getMonthlyTrend, getNiceMax, getPointsHistogram, getTopCustomers } from './dashboard';
+
+describe('dashboard', () => {
+  test('sums monthly points across customers in date order', () => {
+    const userRewards = [
+      { customerId: 102, year: 2024, month: 2, totalPoints: 20, campaignPoints: 5 },
+      { customerId: 101, year: 2023, month: 12, totalPoints: 90, campaignPoints: 0 },
+      { customerId: 101, year: 2024, month: 2, totalPoints: 30, campaignPoints: 0, periodName: 'February' },
+    ];
+
+    expect(getMonthlyTrend(userRewards)).toEqual([
+      { key: '2023-12', label: 'December 2023', points: 90, campaignPoints: 0 },
+      { key: '2024-02', label: 'February 2024', points: 50, campaignPoints: 5 },
+    ]);
+  });
+
+  test('picks the customers with the most points', () => {
+    const totals = [
+      { customerId: 103, totalPoints: 10 },
+      { customerId: 102, totalPoints: 90 },
+      { customerId: 101, totalPoints: 90 },
+    ];
+
+    expect(getTopCustomers(totals, 2).map((reward) => reward.customerId)).toEqual([101, 102]);
+  });
+
+  test('buckets purchases in the range by reward tier', () => {
+    const transactions = [
+      { date: '2024-01-05', price: 50, rewardPoints: 0 },
+      { date: '2024-01-06', price: 51.99, rewardPoints: 1 },
+      { date: '2024-01-07', price: 100, baseAmount: 120, rewardPoints: 90 },
+      { date: '2024-01-08', price: 20, type: 'refund', rewardPoints: -10 },
+      { date: '2024-03-01', price: 200, rewardPoints: 250 },
+    ];
+
+    expect(getPointsHistogram(transactions, { start: '2024-01-01', end: '2024-01-31' })).toEqual([
+      { label: 'Up to 50', transactions: 1, points: 0 },
+      { label: '50–100', transactions: 1, points: 1 },
+      { label: 'Over 100', transactions: 1, points: 90 },
+    ]);
+  });
+
+  test('rounds axis maxima up to round numbers', () => {
+    expect(getNiceMax(0)).toBe(1);
+    expect(getNiceMax(7)).toBe(10);
+    expect(getNiceMax(120)).toBe(200);
+    expect(getNiceMax(450)).toBe(500);
+    expect(getNiceMax(1000)).toBe(1000);
+  });
+});
@@ -0,0 +1,505 @@
+import logger from "./logger";
+import defaultDataSourceConfig from "../config/dataSource.json";
+import { DEFAULT_RETRY_OPTIONS, fetchWithRetry } from "./fetchWithRetry";
+import { getComparator } from "./calculateRewards";
+import { FILTER_PARAMS, filterTransactions, getServerFilters } from "./tableFilters";
+import { toStoreDate } from "./dateUtils";
+
+/**
+ * @typedef {object} FetchOptions
+ * @property {string} [startDate] - Only return transactions on or after this date ('YYYY-MM-DD').
+ * @property {string} [endDate] - Only return transactions on or before this date ('YYYY-MM-DD').
+ * @property {AbortSignal} [signal] - Cancels the load.
+ */
+
+/**
+ * @typedef {object} ChangeOptions
+ * @property {string} [cursor] - Change cursor from the last sync: only transactions changed after it are needed.
+ * @property {string|null} [etag] - ETag of the last response, for a conditional request.
+ * @property {string|null} [lastModified] - Last-Modified of the last response, for a conditional request.
+ * @property {AbortSignal} [signal] - Cancels the load.
+ */
+
+/**
+ * @typedef {object} ChangeSet
+ * @property {boolean} notModified - True if nothing changed since the cached response.
+ * @property {boolean} [complete] - True if `transactions` is the whole dataset rather than only changes.
+ * @property {import("./calculateRewards").Transaction[]} [transactions] - Loaded transactions, sorted by date.
+ * @property {Array<number|string>} [deleted] - IDs of transactions deleted since the cursor, when not `complete`.
+ * @property {string|null} [cursor] - Change cursor to send next time, if the source supports incremental sync.
+ * @property {string|null} [etag] - ETag to send next time.
+ * @property {string|null} [lastModified] - Last-Modified to send next time.
+ */
+
+/**
+ * @typedef {object} PageQuery
+ * @property {number} page - The page to load, starting at 1.
+ * @property {number} pageSize - Transactions per page.
+ * @property {string} [sortBy] - Field to sort by; one of `SERVER_SORT_FIELDS`. Defaults to date.
+ * @property {"asc"|"desc"} [order] - Sort direction.
+ * @property {string} [startDate] - Only include transactions on or after this date ('YYYY-MM-DD').
+ * @property {string} [endDate] - Only include transactions on or before this date ('YYYY-MM-DD').
+ * @property {string} [search] - Free text matched against names, IDs, products and categories.
+ * @property {string} [customer] - Customer name (partial) or exact customer ID.
+ * @property {string} [product] - Product name (partial).
+ * @property {number} [minPrice] - Lowest price.
+ * @property {number} [maxPrice] - Highest price.
+ * @property {AbortSignal} [signal] - Cancels the load.
+ */
+
+/**
+ * @typedef {object} TransactionPage
+ * @property {import("./calculateRewards").Transaction[]} data - The page's transactions.
+ * @property {number} page - The page number, starting at 1.
+ * @property {number} pageSize - Transactions per page.
+ * @property {number} total - Matching transactions across all pages.
+ * @property {number} totalPages - Number of pages.
+ */
+
+/**
+ * @typedef {object} DataSource
+ * @property {string} type - The kind of source ("static", "rest" or "memory").
+ * @property {string} id - Identifies the source's dataset, e.g. for cache keys.
+ * @property {(options?: FetchOptions) => Promise<import("./calculateRewards").Transaction[]>} fetchTransactions
+ * Loads raw transactions sorted by date.
+ * @property {(options?: ChangeOptions) => Promise<ChangeSet>} fetchChanges
+ * Loads what changed since a previous load, for incremental sync.
+ * @property {(query: PageQuery) => Promise<TransactionPage>} [fetchPage]
+ * Loads one sorted, filtered page. Only present when the source does this itself (`serverPagination`).
+ */
+
+/**
+ * @typedef {object} RestSourceOptions
+ * @property {string} baseUrl - API root, e.g. "http://localhost:4000/api".
+ * @property {string} [path] - Transactions endpoint below `baseUrl`.
+ * @property {number} [pageSize] - Transactions requested per page.
+ * @property {Object<string, string>} [headers] - Extra request headers.
+ * @property {string} [authToken] - Sent as `Authorization: Bearer <token>`.
+ * @property {number} [maxPages] - Stops paging after this many pages as a guard against a misbehaving server.
+ * @property {boolean} [serverPagination] - The API sorts, filters and pages for the transaction table.
+ * @property {import("./fetchWithRetry").RetryOptions} [request] - Timeout and retry settings.
+ */
+
+/**
+ * @typedef {object} DataSourceConfig
+ * @property {"static"|"rest"|"memory"} type - The source to use.
+ * @property {import("./fetchWithRetry").RetryOptions} [request] - Timeout and retry settings shared by the HTTP sources.
+ * @property {{url: string}} [static] - Options for the static file source.
+ * @property {RestSourceOptions} [rest] - Options for the REST source.
+ * @property {{transactions: Array, serverPagination?: boolean}} [memory] - Options for the in-memory source.
+ */
+
+export const DATA_SOURCE_TYPES = ["static", "rest", "memory"];
+
+/**
+ * Raw transaction fields a paginating source can sort by. Points are worked out
+ * in the browser, so sources cannot sort by them.
+ */
+export const SERVER_SORT_FIELDS = ["customerId", "name", "date", "product", "price"];
+
+/**
+ * How often a REST load starts over when the dataset changes between pages.
+ */
+const MAX_PAGING_RESTARTS = 2;
+
+/**
+ * Error thrown when a data source configuration fails validation. `errors` lists every problem found.
+ */
+export class DataSourceConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid data source configuration: ${errors.join("; ")}`);
+    this.name = "DataSourceConfigValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Collects validation problems for a data source configuration without throwing.
+ *
+ * @param {DataSourceConfig} config - The configuration to check.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getDataSourceErrors = (config) => {
+  const errors = [];
+
+  if (!DATA_SOURCE_TYPES.includes(config.type)) {
+    errors.push(`type must be one of ${DATA_SOURCE_TYPES.join(", ")}`);
+    return errors;
+  }
+
+  if (config.type === "static" && !(config.static && config.static.url)) {
+    errors.push("static.url is required");
+  }
+  if (config.type === "rest") {
+    const rest = config.rest || {};
+    if (!rest.baseUrl) {
+      errors.push("rest.baseUrl is required");
+    }
+    if (rest.pageSize !== undefined && !(Number.isInteger(rest.pageSize) && rest.pageSize > 0)) {
+      errors.push("rest.pageSize must be a positive whole number");
+    }
+    if (rest.serverPagination !== undefined && typeof rest.serverPagination !== "boolean") {
+      errors.push("rest.serverPagination must be true or false");
+    }
+  }
+  if (config.request) {
+    ["timeoutMs", "retries", "backoffMs", "maxBackoffMs"].forEach((key) => {
+      const value = config.request[key];
+      if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+        errors.push(`request.${key} must be a non-negative whole number`);
+      }
+    });
+  }
+  if (config.type === "memory" && config.memory && !Array.isArray(config.memory.transactions)) {
+    errors.push("memory.transactions must be an array");
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a data source configuration and returns it unchanged.
+ *
+ * @param {DataSourceConfig} config - The configuration to validate.
+ * @returns {DataSourceConfig} The same configuration.
+ * @throws {DataSourceConfigValidationError} If the configuration is malformed.
+ */
+export const validateDataSourceConfig = (config) => {
+  const errors = getDataSourceErrors(config);
+  if (errors.length > 0) {
+    logger.error("validateDataSourceConfig: Rejected data source:", errors.join("; "));
+    throw new DataSourceConfigValidationError(errors);
+  }
+  return config;
+};
+
+/**
+ * Applies environment overrides to the configuration in `src/config/dataSource.json`:
+ * `REACT_APP_DATA_SOURCE` picks the source type, `REACT_APP_API_URL` sets the
+ * REST base URL and `REACT_APP_API_TOKEN` the REST bearer token, so secrets
+ * never need to be committed.
+ *
+ * @param {DataSourceConfig} config - The configuration from file.
+ * @param {Object<string, string|undefined>} [env] - Environment variables.
+ * @returns {DataSourceConfig}
+ */
+export const applyEnvironmentOverrides = (config, env = process.env) => ({
+  ...config,
+  type: env.REACT_APP_DATA_SOURCE || config.type,
+  rest: {
+    ...config.rest,
+    ...(env.REACT_APP_API_URL ? { baseUrl: env.REACT_APP_API_URL } : {}),
+    ...(env.REACT_APP_API_TOKEN ? { authToken: env.REACT_APP_API_TOKEN } : {}),
+  },
+});
+
+/**
+ * The data source configuration from `src/config/dataSource.json` with environment overrides applied.
+ * @type {DataSourceConfig}
+ */
+export const DEFAULT_DATA_SOURCE_CONFIG = validateDataSourceConfig(
+  applyEnvironmentOverrides(defaultDataSourceConfig)
+);
+
+/**
+ * Sorts transactions by date, oldest first, keeping the source order within a day.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Transactions to sort.
+ * @returns {import("./calculateRewards").Transaction[]} A sorted copy.
+ */
+export const sortByDate = (transactions) =>
+  [...transactions].sort((a, b) => (a.date === b.date ? 0 : a.date < b.date ? -1 : 1));
+
+/**
+ * Reads transaction dates sent as timestamps as the calendar day they fall on
+ * in the store's timezone, so every later comparison is on 'YYYY-MM-DD' strings.
+ *
+ * @param {Array} transactions - Transactions as received.
+ * @returns {Array}
+ */
+export const toStoreDates = (transactions) =>
+  transactions.map((transaction) => {
+    const date = toStoreDate(transaction.date);
+    return date === transaction.date ? transaction : { ...transaction, date };
+  });
+
+/**
+ * Keeps the transactions inside an optional date range.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Transactions to filter.
+ * @param {FetchOptions} [options] - The date range.
+ * @returns {import("./calculateRewards").Transaction[]}
+ */
+export const filterByDateRange = (transactions, { startDate, endDate } = {}) =>
+  transactions.filter((transaction) =>
+    (!startDate || transaction.date >= startDate) && (!endDate || transaction.date <= endDate));
+
+/**
+ * Sorts, filters and slices transactions into one page, the way a paginating
+ * API answers a `PageQuery`. Out-of-range pages come back empty.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - All transactions.
+ * @param {PageQuery} query - The page wanted.
+ * @returns {TransactionPage}
+ */
+export const paginateTransactions = (transactions, { page, pageSize, sortBy = "date", order = "asc", ...query }) => {
+  const matching = filterTransactions(filterByDateRange(transactions, query), getServerFilters(query))
+    .sort(getComparator(order, sortBy));
+  return {
+    data: matching.slice((page - 1) * pageSize, page * pageSize),
+    page,
+    pageSize,
+    total: matching.length,
+    totalPages: Math.max(1, Math.ceil(matching.length / pageSize)),
+  };
+};
+
+/**
+ * Reads a response header, tolerating responses without headers.
+ *
+ * @param {Response} response - The fetch response.
+ * @param {string} name - The header name.
+ * @returns {string|null}
+ */
+const getHeader = (response, name) =>
+  (response.headers && response.headers.get(name)) || null;
+
+/**
+ * Builds conditional request headers from the validators of a cached response.
+ *
+ * @param {ChangeOptions} options - The cached validators.
+ * @returns {Object<string, string>}
+ */
+const getConditionalHeaders = ({ etag, lastModified } = {}) => ({
+  ...(etag ? { "If-None-Match": etag } : {}),
+  ...(lastModified ? { "If-Modified-Since": lastModified } : {}),
+});
+
+/**
+ * Creates a source that loads a JSON array of transactions from a static file,
+ * such as the bundled `/transactions.json`. Date ranges are applied in the browser.
+ * Changes are detected with the file's ETag and Last-Modified headers; any
+ * change returns the whole file.
+ *
+ * @param {{url: string, request?: import("./fetchWithRetry").RetryOptions}} options - Source options.
+ * @returns {DataSource}
+ */
+export const createStaticFileSource = ({ url, request = DEFAULT_RETRY_OPTIONS }) => {
+  /**
+   * Loads the file, or reports that it has not changed.
+   *
+   * @param {ChangeOptions} [options] - Cached validators and cancellation.
+   * @returns {Promise<ChangeSet>}
+   */
+  const fetchChanges = async (options = {}) => {
+    const response = await fetchWithRetry(
+      url,
+      { headers: getConditionalHeaders(options), cache: "no-store" },
+      { ...request, signal: options.signal }
+    );
+    if (response.status === 304) return { notModified: true };
+
+    const data = await response.json();
+    if (!Array.isArray(data)) {
+      throw new Error(`${url} did not return an array of transactions`);
+    }
+    return {
+      notModified: false,
+      complete: true,
+      transactions: sortByDate(toStoreDates(data)),
+      etag: getHeader(response, "ETag"),
+      lastModified: getHeader(response, "Last-Modified"),
+    };
+  };
+
+  return {
+    type: "static",
+    id: `static:${url}`,
+    fetchChanges,
+    fetchTransactions: async (options = {}) => {
+      const { transactions } = await fetchChanges({ signal: options.signal });
+      return filterByDateRange(transactions, options);
+    },
+  };
+};
+
+/**
+ * Creates a source backed by a paginated REST API. Each page is requested as
+ * `GET {baseUrl}{path}?page=N&pageSize=M[&startDate=...&endDate=...][&changedSince=...]`
+ * and must answer `{ data: Transaction[], page: number, totalPages: number }`.
+ * An API that supports incremental sync adds a `cursor` to the answer; sent
+ * back as `changedSince`, it asks only for transactions changed since then,
+ * with the IDs of deleted ones in `deleted`. The ETag must cover the whole
+ * result set: the first page is sent with the cached ETag so an unchanged
+ * dataset costs one 304, and paging starts over if the ETag changes midway.
+ * With `serverPagination`, the source also offers `fetchPage`, which adds
+ * `sortBy`, `order` and the table filters (`q`, `customer`, `product`,
+ * `minPrice`, `maxPrice`) and expects `total` in the answer.
+ *
+ * @param {RestSourceOptions} options - Source options.
+ * @returns {DataSource}
+ */
+export const createRestSource = ({
+  baseUrl,
+  path = "/transactions",
+  pageSize = 100,
+  headers = {},
+  authToken,
+  maxPages = 1000,
+  serverPagination = false,
+  request = DEFAULT_RETRY_OPTIONS,
+}) => {
+  const requestHeaders = {
+    Accept: "application/json",
+    ...headers,
+    ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+  };
+
+  /**
+   * Requests every page for a query.
+   *
+   * @param {Object<string, string>} query - Extra query parameters.
+   * @param {AbortSignal} [signal] - Cancels the load.
+   * @param {Object<string, string>} [conditionalHeaders] - Sent with the first page only.
+   * @param {number} [restarts] - How often to start over if the ETag changes between pages.
+   * @returns {Promise<{transactions: Array, deleted: Array, cursor: string|null, response: Response}|null>}
+   * The transactions, deleted IDs, change cursor and first page response, or null if the first page was not modified.
+   */
+  const loadPages = async (query, signal, conditionalHeaders = {}, restarts = MAX_PAGING_RESTARTS) => {
+    const transactions = [];
+    const deleted = [];
+    let firstResponse = null;
+    let cursor = null;
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(pageSize), ...query });
+
+      const response = await fetchWithRetry(
+        `${baseUrl}${path}?${params}`,
+        page === 1
+          ? { headers: { ...requestHeaders, ...conditionalHeaders }, cache: "no-store" }
+          : { headers: requestHeaders },
+        { ...request, signal }
+      );
+      if (page === 1 && response.status === 304) return null;
+
+      const body = await response.json();
+      if (!body || !Array.isArray(body.data)) {
+        throw new Error(`Unexpected response from ${baseUrl}${path}: missing data array`);
+      }
+
+      if (firstResponse && getHeader(response, "ETag") !== getHeader(firstResponse, "ETag")) {
+        if (restarts === 0) throw new Error(`${baseUrl}${path} kept changing while its pages were loaded`);
+        logger.warn("createRestSource: Data changed while paging; starting over");
+        return loadPages(query, signal, conditionalHeaders, restarts - 1);
+      }
+
+      if (!firstResponse) {
+        firstResponse = response;
+        cursor = body.cursor || null;
+      }
+      transactions.push(...body.data);
+      if (Array.isArray(body.deleted)) deleted.push(...body.deleted);
+      totalPages = Number(body.totalPages) || 1;
+      logger.debug(`createRestSource: Loaded page ${page} of ${totalPages}`);
+      page += 1;
+    } while (page <= totalPages && page <= maxPages);
+
+    return { transactions: sortByDate(toStoreDates(transactions)), deleted, cursor, response: firstResponse };
+  };
+
+  /**
+   * Loads one page sorted and filtered by the API.
+   *
+   * @param {PageQuery} query - The page wanted.
+   * @returns {Promise<TransactionPage>}
+   */
+  const fetchPage = async ({ page, pageSize: size, sortBy = "date", order = "asc", startDate, endDate, signal, ...query }) => {
+    const params = new URLSearchParams({ page: String(page), pageSize: String(size), sortBy, order });
+    if (startDate) params.set("startDate", startDate);
+    if (endDate) params.set("endDate", endDate);
+    Object.entries(getServerFilters(query)).forEach(([key, value]) => {
+      params.set(FILTER_PARAMS[key], String(value));
+    });
+
+    const response = await fetchWithRetry(`${baseUrl}${path}?${params}`, { headers: requestHeaders }, {
+      ...request,
+      signal,
+    });
+    const body = await response.json();
+    if (!body || !Array.isArray(body.data)) {
+      throw new Error(`Unexpected response from ${baseUrl}${path}: missing data array`);
+    }
+    return {
+      data: toStoreDates(body.data),
+      page: Number(body.page) || page,
+      pageSize: size,
+      total: Number(body.total) || 0,
+      totalPages: Number(body.totalPages) || 1,
+    };
+  };
+
+  return {
+    type: "rest",
+    id: `rest:${baseUrl}${path}`,
+    ...(serverPagination ? { fetchPage } : {}),
+    fetchChanges: async ({ cursor, etag, lastModified, signal } = {}) => {
+      const result = await loadPages(
+        cursor ? { changedSince: cursor } : {},
+        signal,
+        getConditionalHeaders({ etag, lastModified })
+      );
+      if (!result) return { notModified: true };
+
+      return {
+        notModified: false,
+        complete: !cursor,
+        transactions: result.transactions,
+        deleted: result.deleted,
+        cursor: result.cursor,
+        etag: getHeader(result.response, "ETag"),
+        lastModified: getHeader(result.response, "Last-Modified"),
+      };
+    },
+    fetchTransactions: async ({ startDate, endDate, signal } = {}) => {
+      const query = {};
+      if (startDate) query.startDate = startDate;
+      if (endDate) query.endDate = endDate;
+      return (await loadPages(query, signal)).transactions;
+    },
+  };
+};
+
+/**
+ * Creates a source that serves transactions held in memory, for tests and demos.
+ * With `serverPagination` it pages like a paginating API would.
+ *
+ * @param {{transactions?: Array, serverPagination?: boolean}} [options] - Source options.
+ * @returns {DataSource}
+ */
+export const createInMemorySource = ({ transactions = [], serverPagination = false } = {}) => ({
+  type: "memory",
+  id: "memory",
+  ...(serverPagination ? { fetchPage: async (query) => paginateTransactions(transactions, query) } : {}),
+  fetchChanges: async () => ({ notModified: false, complete: true, transactions: sortByDate(transactions) }),
+  fetchTransactions: async (options) => sortByDate(filterByDateRange(transactions, options)),
+});
+
+/**
+ * Creates the data source selected by a configuration.
+ *
+ * @param {DataSourceConfig} [config] - The configuration.
+ * @returns {DataSource}
+ * @throws {DataSourceConfigValidationError} If the configuration is malformed.
+ */
+export const createDataSource = (config = DEFAULT_DATA_SOURCE_CONFIG) => {
+  validateDataSourceConfig(config);
+  logger.info(`createDataSource: Using ${config.type} data source`);
+
+  const request = { ...DEFAULT_RETRY_OPTIONS, ...config.request };
+  if (config.type === "rest") return createRestSource({ request, ...config.rest });
+  if (config.type === "memory") return createInMemorySource(config.memory);
+  return createStaticFileSource({ request, ...config.static });
+};
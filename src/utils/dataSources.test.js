@@ -0,0 +1,177 @@
+import {
+  DataSourceConfigValidationError,
+  applyEnvironmentOverrides,
+  createDataSource,
+  createInMemorySource,
+  createRestSource,
+  createStaticFileSource,
+  getDataSourceErrors,
+  paginateTransactions,
+} from './dataSources';
+
+describe('dataSources', () => {
+  const transactions = [
+    { transactionId: 2, customerId: 101, name: 'John Doe', date: '2024-02-10', price: 80.5 },
+    { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-15', price: 120 },
+    { transactionId: 3, customerId: 102, name: 'Jane Smith', date: '2024-03-05', price: 60.75 },
+  ];
+
+  const jsonResponse = (body, status = 200, headers = {}) => Promise.resolve({
+    ok: status < 400,
+    status,
+    headers: { get: (name) => headers[name] || null },
+    json: () => Promise.resolve(body),
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('static file source sorts by date and applies the date range', async () => {
+    global.fetch = jest.fn(() => jsonResponse(transactions));
+    const source = createStaticFileSource({ url: '/transactions.json' });
+
+    const result = await source.fetchTransactions({ startDate: '2024-02-01' });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/transactions.json',
+      expect.objectContaining({ signal: expect.anything() })
+    );
+    expect(result.map((transaction) => transaction.transactionId)).toEqual([2, 3]);
+  });
+
+  test('static file source reports HTTP errors', async () => {
+    global.fetch = jest.fn(() => jsonResponse(null, 404));
+    const source = createStaticFileSource({ url: '/missing.json', request: { retries: 0 } });
+
+    await expect(source.fetchTransactions()).rejects.toThrow('status: 404');
+  });
+
+  test('REST source follows pages and sends date range and auth headers', async () => {
+    global.fetch = jest.fn((url) => jsonResponse(
+      url.includes('page=1&')
+        ? { data: transactions.slice(0, 2), page: 1, totalPages: 2 }
+        : { data: transactions.slice(2), page: 2, totalPages: 2 }
+    ));
+    const source = createRestSource({
+      baseUrl: 'http://localhost:4000/api',
+      pageSize: 2,
+      headers: { 'X-Store': '7' },
+      authToken: 'secret',
+    });
+
+    const result = await source.fetchTransactions({ startDate: '2024-01-01', endDate: '2024-12-31' });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch).toHaveBeenNthCalledWith(
+      2,
+      'http://localhost:4000/api/transactions?page=2&pageSize=2&startDate=2024-01-01&endDate=2024-12-31',
+      expect.objectContaining({
+        headers: { Accept: 'application/json', 'X-Store': '7', Authorization: 'Bearer secret' },
+      })
+    );
+    expect(result.map((transaction) => transaction.transactionId)).toEqual([1, 2, 3]);
+  });
+
+  test('REST source rejects responses without a data array', async () => {
+    global.fetch = jest.fn(() => jsonResponse({ items: [] }));
+    const source = createRestSource({ baseUrl: 'http://localhost:4000/api' });
+
+    await expect(source.fetchTransactions()).rejects.toThrow('missing data array');
+  });
+
+  test('REST source asks for changes since the cursor, including older and deleted transactions', async () => {
+    const edited = { ...transactions[1], price: 95 };
+    global.fetch = jest.fn(() => jsonResponse(
+      { data: [edited], page: 1, totalPages: 1, cursor: 'c2', deleted: [3] },
+      200,
+      { ETag: '"v2"' }
+    ));
+    const source = createRestSource({ baseUrl: 'http://localhost:4000/api' });
+
+    const changes = await source.fetchChanges({ cursor: 'c1', etag: '"v1"' });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://localhost:4000/api/transactions?page=1&pageSize=100&changedSince=c1',
+      expect.objectContaining({ headers: expect.objectContaining({ 'If-None-Match': '"v1"' }) })
+    );
+    expect(changes).toEqual(expect.objectContaining({
+      complete: false, transactions: [edited], deleted: [3], cursor: 'c2', etag: '"v2"',
+    }));
+  });
+
+  test('REST source starts over when the data changes between pages', async () => {
+    const etags = ['"v1"', '"v2"', '"v2"', '"v2"'];
+    global.fetch = jest.fn((url) => jsonResponse(
+      url.includes('page=1&')
+        ? { data: transactions.slice(0, 2), page: 1, totalPages: 2, cursor: 'c1' }
+        : { data: transactions.slice(2), page: 2, totalPages: 2, cursor: 'c1' },
+      200,
+      { ETag: etags[global.fetch.mock.calls.length - 1] }
+    ));
+    const source = createRestSource({ baseUrl: 'http://localhost:4000/api', pageSize: 2 });
+
+    const changes = await source.fetchChanges();
+
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect(changes.etag).toBe('"v2"');
+    expect(changes.transactions.map((transaction) => transaction.transactionId)).toEqual([1, 2, 3]);
+  });
+
+  test('REST source with server pagination asks the API for one sorted page', async () => {
+    global.fetch = jest.fn(() => jsonResponse({ data: transactions.slice(0, 2), page: 2, totalPages: 3, total: 6 }));
+    const source = createRestSource({ baseUrl: 'http://localhost:4000/api', serverPagination: true });
+
+    const result = await source.fetchPage({
+      page: 2, pageSize: 2, sortBy: 'price', order: 'desc', startDate: '2024-01-01', search: 'doe', maxPrice: 100,
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://localhost:4000/api/transactions?page=2&pageSize=2&sortBy=price&order=desc&startDate=2024-01-01&q=doe&maxPrice=100',
+      expect.anything()
+    );
+    expect(result).toEqual({ data: transactions.slice(0, 2), page: 2, pageSize: 2, total: 6, totalPages: 3 });
+    expect(createRestSource({ baseUrl: 'http://localhost:4000/api' }).fetchPage).toBeUndefined();
+  });
+
+  test('paginates sorted, filtered transactions', () => {
+    const query = { page: 1, pageSize: 1, sortBy: 'price', order: 'desc', startDate: '2024-02-01' };
+
+    expect(paginateTransactions(transactions, query)).toEqual({
+      data: [transactions[0]], page: 1, pageSize: 1, total: 2, totalPages: 2,
+    });
+    expect(paginateTransactions(transactions, { ...query, page: 5 }).data).toEqual([]);
+    expect(paginateTransactions(transactions, { page: 1, pageSize: 10, customer: 'jane' }).data)
+      .toEqual([transactions[2]]);
+  });
+
+  test('in-memory source serves its transactions', async () => {
+    const source = createDataSource({ type: 'memory', memory: { transactions } });
+
+    expect(source.type).toBe('memory');
+    expect((await source.fetchTransactions({ endDate: '2024-01-31' })).map((t) => t.transactionId))
+      .toEqual([1]);
+    expect(await createInMemorySource().fetchTransactions()).toEqual([]);
+  });
+
+  test('environment variables override the configured source', () => {
+    const config = applyEnvironmentOverrides(
+      { type: 'static', static: { url: '/transactions.json' }, rest: { baseUrl: 'http://example.test' } },
+      { REACT_APP_DATA_SOURCE: 'rest', REACT_APP_API_TOKEN: 'secret' }
+    );
+
+    expect(config.type).toBe('rest');
+    expect(config.rest).toEqual({ baseUrl: 'http://example.test', authToken: 'secret' });
+  });
+
+  test('rejects invalid configurations', () => {
+    expect(getDataSourceErrors({ type: 'ftp' })).toEqual(['type must be one of static, rest, memory']);
+    expect(getDataSourceErrors({ type: 'rest', rest: { pageSize: 0 } })).toEqual([
+      'rest.baseUrl is required',
+      'rest.pageSize must be a positive whole number',
+    ]);
+    expect(getDataSourceErrors({ type: 'rest', rest: { baseUrl: 'http://x', serverPagination: 'yes' } }))
+      .toEqual(['rest.serverPagination must be true or false']);
+    expect(() => createDataSource({ type: 'static' })).toThrow(DataSourceConfigValidationError);
+  });
+});
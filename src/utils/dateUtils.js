@@ -0,0 +1,391 @@
+import logger from "./logger";
+import defaultCalendarConfig from "../config/calendar.json";
+
+/**
+ * Transaction dates are store-local calendar days ('YYYY-MM-DD'), never
+ * instants: they are compared as strings and only turned into Dates with UTC
+ * fields for arithmetic or display, so no browser timezone can shift them.
+ */
+
+/**
+ * @typedef {object} CalendarConfig
+ * @property {string|null} timeZone - IANA timezone of the store (e.g. "America/Chicago"); null for the browser's.
+ * @property {"calendar"|"fiscal"|"4-4-5"} periods - How rewards are grouped into monthly periods.
+ * @property {number} yearEndMonth - Last month (1-12) of the fiscal year, for "fiscal" and "4-4-5" periods.
+ * @property {number[]} weekPattern - Weeks in each period of a quarter for "4-4-5" periods, e.g. [4, 4, 5].
+ * @property {number} weekEndDay - Weekday (0 = Sunday ... 6 = Saturday) that ends every "4-4-5" week.
+ * @property {"last"|"nearest"} yearEndRule - Whether a "4-4-5" year ends on the last `weekEndDay` of
+ * `yearEndMonth` or the one nearest to the month's end.
+ */
+
+/**
+ * @typedef {object} Period
+ * @property {number} year - The (fiscal) year, named after the calendar year it ends in.
+ * @property {number} period - The period within the year (1-12); the calendar month for "calendar" periods.
+ * @property {string} start - First day of the period ('YYYY-MM-DD').
+ * @property {string} end - Last day of the period ('YYYY-MM-DD').
+ * @property {string} name - Display name, e.g. "March", "P6 (March)" or "P6".
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_TYPES = ["calendar", "fiscal", "4-4-5"];
+
+/**
+ * Error thrown when the calendar configuration fails validation. `errors` lists every problem found.
+ */
+export class CalendarConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid calendar configuration: ${errors.join("; ")}`);
+    this.name = "CalendarConfigValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks whether a timezone name is known to the browser.
+ *
+ * @param {string} timeZone - IANA timezone name.
+ * @returns {boolean}
+ */
+const isKnownTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Collects validation problems for a calendar configuration without throwing.
+ *
+ * @param {CalendarConfig} config - The configuration to check.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getCalendarConfigErrors = (config) => {
+  const errors = [];
+
+  if (config.timeZone !== null && (typeof config.timeZone !== "string" || !isKnownTimeZone(config.timeZone))) {
+    errors.push("timeZone must be null or a known IANA timezone");
+  }
+  if (!PERIOD_TYPES.includes(config.periods)) {
+    errors.push(`periods must be one of ${PERIOD_TYPES.map((type) => `"${type}"`).join(", ")}`);
+  }
+  if (!Number.isInteger(config.yearEndMonth) || config.yearEndMonth < 1 || config.yearEndMonth > 12) {
+    errors.push("yearEndMonth must be a whole number from 1 to 12");
+  }
+  if (
+    !Array.isArray(config.weekPattern) ||
+    config.weekPattern.length !== 3 ||
+    !config.weekPattern.every((weeks) => Number.isInteger(weeks) && weeks > 0) ||
+    config.weekPattern.reduce((sum, weeks) => sum + weeks, 0) !== 13
+  ) {
+    errors.push("weekPattern must be three positive whole numbers adding up to 13 weeks");
+  }
+  if (!Number.isInteger(config.weekEndDay) || config.weekEndDay < 0 || config.weekEndDay > 6) {
+    errors.push("weekEndDay must be a whole number from 0 (Sunday) to 6 (Saturday)");
+  }
+  if (!["last", "nearest"].includes(config.yearEndRule)) {
+    errors.push('yearEndRule must be "last" or "nearest"');
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a calendar configuration and returns it unchanged.
+ *
+ * @param {CalendarConfig} config - The configuration to validate.
+ * @returns {CalendarConfig} The same configuration.
+ * @throws {CalendarConfigValidationError} If the configuration is malformed.
+ */
+export const validateCalendarConfig = (config) => {
+  const errors = getCalendarConfigErrors(config);
+  if (errors.length > 0) {
+    logger.error("validateCalendarConfig: Rejected calendar:", errors.join("; "));
+    throw new CalendarConfigValidationError(errors);
+  }
+  return config;
+};
+
+/**
+ * The store calendar shipped in `src/config/calendar.json`.
+ * @type {CalendarConfig}
+ */
+export const DEFAULT_CALENDAR_CONFIG = validateCalendarConfig(defaultCalendarConfig);
+
+/**
+ * Checks if a value is a 'YYYY-MM-DD' string.
+ *
+ * @param {*} value - Value to check.
+ * @returns {boolean}
+ */
+export const isDateString = (value) => typeof value === "string" && DATE_PATTERN.test(value);
+
+/**
+ * Formats a Date as a local 'YYYY-MM-DD' string.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string}
+ */
+export const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parses a 'YYYY-MM-DD' string as a local calendar date.
+ *
+ * @param {string} date - The date string.
+ * @returns {Date}
+ */
+export const parseDateString = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Reads a date range bound, either a Date picked in the browser or a
+ * 'YYYY-MM-DD' string, as a 'YYYY-MM-DD' string.
+ *
+ * @param {Date|string} value - The bound.
+ * @returns {string}
+ */
+export const toDateKey = (value) => (isDateString(value) ? value : toDateString(new Date(value)));
+
+/**
+ * Adds calendar days to a 'YYYY-MM-DD' date.
+ *
+ * @param {string} date - The date string.
+ * @param {number} days - Days to add (may be negative).
+ * @returns {string}
+ */
+export const addDays = (date, days) => {
+  const result = parseDateString(date);
+  result.setDate(result.getDate() + days);
+  return toDateString(result);
+};
+
+/**
+ * Adds calendar months to a 'YYYY-MM-DD' date, clamping to the last day of
+ * shorter months (e.g. 2024-01-31 + 1 month is 2024-02-29).
+ *
+ * @param {string} date - The date string.
+ * @param {number} months - Months to add (may be negative).
+ * @returns {string}
+ */
+export const addMonths = (date, months) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const target = new Date(year, month - 1 + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(day, lastDay));
+  return toDateString(target);
+};
+
+/**
+ * Reads an instant as the calendar day it falls on in a timezone.
+ *
+ * @param {Date} date - The instant.
+ * @param {string|null} timeZone - IANA timezone, or null for the browser's.
+ * @returns {string}
+ */
+const toZonedDateString = (date, timeZone) => {
+  if (!timeZone) return toDateString(date);
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Today's date in the store's timezone.
+ *
+ * @param {string|null} [timeZone] - IANA timezone; the configured store timezone by default.
+ * @returns {string} 'YYYY-MM-DD'.
+ */
+export const today = (timeZone = DEFAULT_CALENDAR_CONFIG.timeZone) => toZonedDateString(new Date(), timeZone);
+
+/**
+ * Converts a transaction date to the store-local calendar day. Plain
+ * 'YYYY-MM-DD' dates are already calendar days and are kept as they are;
+ * timestamps (e.g. "2024-03-31T23:30:00Z") are read in the store's timezone.
+ * Values that cannot be parsed are returned unchanged for validation to report.
+ *
+ * @param {string|Date} value - The date or timestamp.
+ * @param {string|null} [timeZone] - IANA timezone; the configured store timezone by default.
+ * @returns {string|*}
+ */
+export const toStoreDate = (value, timeZone = DEFAULT_CALENDAR_CONFIG.timeZone) => {
+  if (isDateString(value)) return value;
+  if (typeof value !== "string" && !(value instanceof Date)) return value;
+  const date = new Date(value);
+  return isNaN(date) ? value : toZonedDateString(date, timeZone);
+};
+
+/**
+ * Days since 1970-01-01 for a 'YYYY-MM-DD' date.
+ *
+ * @param {string} date - The date string.
+ * @returns {number}
+ */
+const toDayNumber = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+};
+
+/**
+ * The 'YYYY-MM-DD' date of a day number.
+ *
+ * @param {number} dayNumber - Days since 1970-01-01.
+ * @returns {string}
+ */
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Number of days from one 'YYYY-MM-DD' date to another.
+ *
+ * @param {string} from - The earlier date.
+ * @param {string} to - The later date.
+ * @returns {number} Negative if `to` is before `from`.
+ */
+export const getDaysBetween = (from, to) => toDayNumber(to) - toDayNumber(from);
+
+/**
+ * Formats a 'YYYY-MM-DD' date for display without any timezone shift.
+ *
+ * @param {string} date - The date string.
+ * @param {string} [locale] - Locale to format in.
+ * @returns {string}
+ */
+export const formatDate = (date, locale = "en-GB") =>
+  new Date(toDayNumber(date) * DAY_MS).toLocaleDateString(locale, { timeZone: "UTC" });
+
+/**
+ * Weekday of a 'YYYY-MM-DD' date.
+ *
+ * @param {string} date - The date string.
+ * @returns {number} 0 for Sunday through 6 for Saturday.
+ */
+export const getDayOfWeek = (date) => (((toDayNumber(date) + 4) % 7) + 7) % 7;
+
+/**
+ * Full name of a calendar month.
+ *
+ * @param {number} month - The month (1-12).
+ * @param {string} [locale] - Locale of the name.
+ * @returns {string}
+ */
+export const getMonthName = (month, locale = "en-US") =>
+  new Date(Date.UTC(2000, month - 1, 1)).toLocaleString(locale, { month: "long", timeZone: "UTC" });
+
+/**
+ * Display name of a period number: the month name for "calendar" periods,
+ * "P7 (January)" for fiscal months and "P7" for 4-4-5 periods.
+ *
+ * @param {number} period - The period (1-12).
+ * @param {CalendarConfig} [calendar] - The store calendar.
+ * @returns {string}
+ */
+export const getPeriodName = (period, calendar = DEFAULT_CALENDAR_CONFIG) => {
+  if (calendar.periods === "calendar") return getMonthName(period);
+  if (calendar.periods === "fiscal") return `P${period} (${getMonthName(((period + calendar.yearEndMonth - 1) % 12) + 1)})`;
+  return `P${period}`;
+};
+
+/**
+ * First and last day of a calendar month.
+ *
+ * @param {number} year - The year.
+ * @param {number} month - The month (1-12).
+ * @returns {{start: string, end: string}}
+ */
+export const getMonthRange = (year, month) => {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const prefix = `${year}-${String(month).padStart(2, "0")}`;
+  return { start: `${prefix}-01`, end: `${prefix}-${String(lastDay).padStart(2, "0")}` };
+};
+
+/**
+ * Last day of a 4-4-5 fiscal year: the last (or nearest) `weekEndDay` of
+ * `yearEndMonth` in the given year.
+ *
+ * @param {number} year - The fiscal year.
+ * @param {CalendarConfig} calendar - The store calendar.
+ * @returns {number} Day number of the year end.
+ */
+const getWeekYearEnd = (year, calendar) => {
+  const monthEnd = toDayNumber(getMonthRange(year, calendar.yearEndMonth).end);
+  const daysPast = (((monthEnd + 4 - calendar.weekEndDay) % 7) + 7) % 7;
+  return calendar.yearEndRule === "nearest" && daysPast > 3 ? monthEnd + 7 - daysPast : monthEnd - daysPast;
+};
+
+/**
+ * Finds the 4-4-5 period of a date. Years have 52 weeks, or 53 when the year
+ * end drifts; the extra week is added to the last period.
+ *
+ * @param {string} date - The date string.
+ * @param {CalendarConfig} calendar - The store calendar.
+ * @returns {Period}
+ */
+const getWeekPeriod = (date, calendar) => {
+  const day = toDayNumber(date);
+  let year = Number(date.slice(0, 4));
+  while (day > getWeekYearEnd(year, calendar)) year += 1;
+  while (day <= getWeekYearEnd(year - 1, calendar)) year -= 1;
+
+  const yearStart = getWeekYearEnd(year - 1, calendar) + 1;
+  const yearEnd = getWeekYearEnd(year, calendar);
+  const week = Math.floor((day - yearStart) / 7);
+
+  let firstWeek = 0;
+  let period = 1;
+  for (; period < 12; period += 1) {
+    const weeks = calendar.weekPattern[(period - 1) % 3];
+    if (week < firstWeek + weeks) break;
+    firstWeek += weeks;
+  }
+  const lastWeek = period < 12 ? firstWeek + calendar.weekPattern[(period - 1) % 3] : null;
+
+  return {
+    year,
+    period,
+    start: fromDayNumber(yearStart + firstWeek * 7),
+    end: fromDayNumber(lastWeek === null ? yearEnd : yearStart + lastWeek * 7 - 1),
+    name: getPeriodName(period, calendar),
+  };
+};
+
+/**
+ * Finds the reward period a transaction date belongs to. "calendar" periods
+ * are calendar months. "fiscal" periods are calendar months numbered from
+ * the month after `yearEndMonth`. "4-4-5" periods are whole weeks following
+ * `weekPattern`. Fiscal years are named after the calendar year they end in.
+ *
+ * @param {string} date - The store-local date ('YYYY-MM-DD').
+ * @param {CalendarConfig} [calendar] - The store calendar.
+ * @returns {Period}
+ */
+export const getPeriod = (date, calendar = DEFAULT_CALENDAR_CONFIG) => {
+  if (calendar.periods === "4-4-5") return getWeekPeriod(date, calendar);
+
+  const year = Number(date.slice(0, 4));
+  const month = Number(date.slice(5, 7));
+  const { start, end } = getMonthRange(year, month);
+
+  if (calendar.periods === "fiscal") {
+    const period = ((month - calendar.yearEndMonth + 11) % 12) + 1;
+    return {
+      year: month > calendar.yearEndMonth ? year + 1 : year,
+      period,
+      start,
+      end,
+      name: getPeriodName(period, calendar),
+    };
+  }
+  return { year, period: month, start, end, name: getMonthName(month) };
+};
@@ -0,0 +1,96 @@
+import {
+  DEFAULT_CALENDAR_CONFIG,
+  CalendarConfigValidationError,
+  addMonths,
+  formatDate,
+  getCalendarConfigErrors,
+  getDayOfWeek,
+  getMonthRange,
+  getPeriod,
+  getPeriodName,
+  toDateKey,
+  toStoreDate,
+  validateCalendarConfig,
+} from './dateUtils';
+
+const fiscal = { ...DEFAULT_CALENDAR_CONFIG, periods: 'fiscal', yearEndMonth: 6 };
+const weeks445 = { ...DEFAULT_CALENDAR_CONFIG, periods: '4-4-5', yearEndMonth: 12, weekEndDay: 6, yearEndRule: 'last' };
+
+describe('store-local dates', () => {
+  test('reads timestamps as the calendar day in the store timezone', () => {
+    expect(toStoreDate('2024-03-31T23:30:00Z', 'America/New_York')).toBe('2024-03-31');
+    expect(toStoreDate('2024-04-01T02:00:00Z', 'America/New_York')).toBe('2024-03-31');
+    expect(toStoreDate('2024-03-31T23:30:00Z', 'Asia/Tokyo')).toBe('2024-04-01');
+  });
+
+  test('keeps plain dates and unparseable values as they are', () => {
+    expect(toStoreDate('2024-03-31', 'Asia/Tokyo')).toBe('2024-03-31');
+    expect(toStoreDate('not a date', 'Asia/Tokyo')).toBe('not a date');
+    expect(toStoreDate(20240331, 'Asia/Tokyo')).toBe(20240331);
+  });
+
+  test('formats and inspects dates without a timezone shift', () => {
+    expect(formatDate('2024-03-01')).toBe('01/03/2024');
+    expect(getDayOfWeek('2024-03-02')).toBe(6);
+    expect(getDayOfWeek('1969-12-28')).toBe(0);
+    expect(getMonthRange(2024, 2)).toEqual({ start: '2024-02-01', end: '2024-02-29' });
+    expect(toDateKey(new Date(2024, 2, 1))).toBe('2024-03-01');
+    expect(toDateKey('2024-03-01')).toBe('2024-03-01');
+    expect(addMonths('2024-01-31', 1)).toBe('2024-02-29');
+  });
+});
+
+describe('getPeriod', () => {
+  test('uses calendar months by default', () => {
+    expect(getPeriod('2024-03-15')).toEqual({
+      year: 2024, period: 3, start: '2024-03-01', end: '2024-03-31', name: 'March',
+    });
+  });
+
+  test('numbers fiscal months from the month after the year end', () => {
+    expect(getPeriod('2024-07-15', fiscal)).toMatchObject({ year: 2025, period: 1, name: 'P1 (July)' });
+    expect(getPeriod('2024-06-30', fiscal)).toMatchObject({ year: 2024, period: 12, start: '2024-06-01' });
+    expect(getPeriodName(12, fiscal)).toBe('P12 (June)');
+  });
+
+  test('splits a 52 week 4-4-5 year into whole-week periods', () => {
+    expect(getPeriod('2023-12-31', weeks445)).toEqual({
+      year: 2024, period: 1, start: '2023-12-31', end: '2024-01-27', name: 'P1',
+    });
+    expect(getPeriod('2024-03-30', weeks445)).toMatchObject({ period: 3, start: '2024-02-25', end: '2024-03-30' });
+    expect(getPeriod('2024-03-31', weeks445)).toMatchObject({ period: 4 });
+    expect(getPeriod('2024-12-28', weeks445)).toMatchObject({ year: 2024, period: 12, end: '2024-12-28' });
+    expect(getPeriod('2024-12-29', weeks445)).toMatchObject({ year: 2025, period: 1 });
+  });
+
+  test('adds the 53rd week to the last period', () => {
+    const period = getPeriod('2022-12-31', weeks445);
+    expect(period).toMatchObject({ year: 2022, period: 12, end: '2022-12-31' });
+    expect(period.start).toBe('2022-11-20');
+  });
+
+  test('can end 4-4-5 years on the nearest week end day', () => {
+    const nearest = { ...weeks445, yearEndRule: 'nearest' };
+    expect(getPeriod('2022-01-01', nearest)).toMatchObject({ year: 2021, period: 12 });
+    expect(getPeriod('2022-01-02', nearest)).toMatchObject({ year: 2022, period: 1, start: '2022-01-02' });
+  });
+});
+
+describe('calendar configuration', () => {
+  test('accepts the shipped calendar', () => {
+    expect(getCalendarConfigErrors(DEFAULT_CALENDAR_CONFIG)).toEqual([]);
+  });
+
+  test('reports every problem', () => {
+    const config = {
+      timeZone: 'Mars/Olympus',
+      periods: 'weekly',
+      yearEndMonth: 13,
+      weekPattern: [4, 4, 4],
+      weekEndDay: 7,
+      yearEndRule: 'first',
+    };
+    expect(getCalendarConfigErrors(config)).toHaveLength(6);
+    expect(() => validateCalendarConfig(config)).toThrow(CalendarConfigValidationError);
+  });
+});
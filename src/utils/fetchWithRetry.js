@@ -0,0 +1,181 @@
+import logger from "./logger";
+
+/**
+ * @typedef {object} RetryOptions
+ * @property {number} [timeoutMs] - Abort an attempt that takes longer than this (0 for no timeout).
+ * @property {number} [retries] - Extra attempts after the first one fails with a transient error.
+ * @property {number} [backoffMs] - Delay before the first retry; doubled for every further retry.
+ * @property {number} [maxBackoffMs] - Upper bound on the delay between retries.
+ * @property {AbortSignal} [signal] - Cancels the request and any pending retry.
+ */
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limiting and gateway or server hiccups.
+ */
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+export const DEFAULT_RETRY_OPTIONS = {
+  timeoutMs: 10000,
+  retries: 3,
+  backoffMs: 500,
+  maxBackoffMs: 8000,
+};
+
+/**
+ * Error thrown for a non-2xx response.
+ */
+export class HttpError extends Error {
+  constructor(status, url) {
+    super(`HTTP error! status: ${status}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/**
+ * Error thrown when an attempt exceeds its timeout.
+ */
+export class FetchTimeoutError extends Error {
+  constructor(url, timeoutMs) {
+    super(`Request to ${url} timed out after ${timeoutMs} ms`);
+    this.name = "FetchTimeoutError";
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Checks if an error came from the caller cancelling the request.
+ *
+ * @param {Error} error - The error.
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => Boolean(error) && error.name === "AbortError";
+
+/**
+ * Checks if a failed attempt is worth retrying. Network failures, timeouts and
+ * the statuses in `RETRYABLE_STATUSES` are transient; everything else,
+ * including cancellation, is not.
+ *
+ * @param {Error} error - The error from the attempt.
+ * @returns {boolean}
+ */
+export const isTransientError = (error) => {
+  if (error instanceof HttpError) return RETRYABLE_STATUSES.includes(error.status);
+  if (error instanceof FetchTimeoutError) return true;
+  return error instanceof TypeError;
+};
+
+/**
+ * Creates the error thrown when a request is cancelled.
+ * @returns {DOMException}
+ */
+const createAbortError = () => new DOMException("The request was cancelled", "AbortError");
+
+/**
+ * Waits for `ms`, rejecting early if the signal aborts.
+ *
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Reads a `Retry-After` header given in seconds.
+ *
+ * @param {Response} [response] - The failed response.
+ * @returns {number|null} The delay in milliseconds, or null if absent.
+ */
+const getRetryAfter = (response) => {
+  const header = response && response.headers && response.headers.get("Retry-After");
+  const seconds = Number(header);
+  return header && Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+/**
+ * Makes one attempt, aborting it when it times out or the caller cancels.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {RequestInit} init - Fetch options.
+ * @param {number} timeoutMs - Attempt timeout (0 for none).
+ * @param {AbortSignal} [signal] - The caller's signal.
+ * @returns {Promise<Response>}
+ */
+const attempt = async (url, init, timeoutMs, signal) => {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+  let timedOut = false;
+  const timer = timeoutMs > 0
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs)
+    : null;
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) throw new FetchTimeoutError(url, timeoutMs);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+};
+
+/**
+ * Fetches a URL with a per-attempt timeout, retrying transient failures with
+ * exponential backoff (`backoffMs`, then double each time; a `Retry-After`
+ * header takes precedence; capped at `maxBackoffMs`). Aborting `signal`
+ * cancels the request in flight and any pending retry with an `AbortError`.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {RequestInit} [init] - Fetch options; `signal` is managed here.
+ * @param {RetryOptions} [options] - Timeout, retry and cancellation options.
+ * @returns {Promise<Response>} The successful response.
+ * @throws {HttpError|FetchTimeoutError|TypeError|DOMException} The last failure, or an `AbortError`.
+ */
+export const fetchWithRetry = async (url, init = {}, options = {}) => {
+  const { timeoutMs, retries, backoffMs, maxBackoffMs, signal } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attemptNumber = 0; ; attemptNumber += 1) {
+    if (signal && signal.aborted) throw createAbortError();
+
+    let response;
+    let error;
+    try {
+      response = await attempt(url, init, timeoutMs, signal);
+      // 304 answers a conditional request and is handled by the caller.
+      if (response.ok || response.status === 304) return response;
+      error = new HttpError(response.status, url);
+    } catch (err) {
+      if (signal && signal.aborted) throw createAbortError();
+      error = err;
+    }
+
+    if (attemptNumber >= retries || !isTransientError(error)) throw error;
+
+    const delay = Math.min(getRetryAfter(response) ?? backoffMs * 2 ** attemptNumber, maxBackoffMs);
+    logger.warn(`fetchWithRetry: ${error.message}; retry ${attemptNumber + 1} of ${retries} in ${delay} ms`);
+    await sleep(delay, signal);
+  }
+};
@@ -0,0 +1,78 @@
+import {
+  FetchTimeoutError,
+  HttpError,
+  fetchWithRetry,
+  isAbortError,
+  isTransientError,
+} from './fetchWithRetry';
+
+describe('fetchWithRetry', () => {
+  const response = (status, headers = {}) => ({
+    ok: status < 400,
+    status,
+    headers: { get: (name) => headers[name] || null },
+  });
+  const fastRetries = { retries: 3, backoffMs: 1, maxBackoffMs: 4, timeoutMs: 0 };
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('retries transient failures until one succeeds', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(response(503))
+      .mockResolvedValueOnce(response(200));
+
+    const result = await fetchWithRetry('/transactions.json', {}, fastRetries);
+
+    expect(result.status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    global.fetch = jest.fn(() => Promise.resolve(response(500)));
+
+    await expect(fetchWithRetry('/transactions.json', {}, { ...fastRetries, retries: 2 }))
+      .rejects.toThrow(HttpError);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry client errors', async () => {
+    global.fetch = jest.fn(() => Promise.resolve(response(404)));
+
+    await expect(fetchWithRetry('/missing.json', {}, fastRetries)).rejects.toThrow('status: 404');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('times out slow attempts', async () => {
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    await expect(fetchWithRetry('/slow.json', {}, { ...fastRetries, retries: 1, timeoutMs: 5 }))
+      .rejects.toThrow(FetchTimeoutError);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('cancels a pending retry when the caller aborts', async () => {
+    const controller = new AbortController();
+    global.fetch = jest.fn(() => {
+      controller.abort();
+      return Promise.resolve(response(503));
+    });
+
+    const error = await fetchWithRetry('/transactions.json', {}, { ...fastRetries, signal: controller.signal })
+      .catch((err) => err);
+
+    expect(isAbortError(error)).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('classifies transient errors', () => {
+    expect(isTransientError(new HttpError(429, '/x'))).toBe(true);
+    expect(isTransientError(new HttpError(401, '/x'))).toBe(false);
+    expect(isTransientError(new FetchTimeoutError('/x', 10))).toBe(true);
+    expect(isTransientError(new Error('Unexpected token'))).toBe(false);
+  });
+});
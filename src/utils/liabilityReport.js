@@ -0,0 +1,239 @@
+import logger from "./logger";
+import defaultLiabilityConfig from "../config/liability.json";
+import { DEFAULT_CALENDAR_CONFIG, addDays, getPeriod, toDateKey } from "./dateUtils";
+import { DEFAULT_EXPIRATION_POLICY, getLedgerPositions } from "./pointsExpiration";
+
+/**
+ * @typedef {object} LiabilityConfig
+ * @property {number} pointValue - What one point is worth when redeemed, in the base currency.
+ * @property {number} breakageRate - Share of outstanding points expected never to be redeemed (0 to 1).
+ */
+
+/**
+ * @typedef {object} LiabilityRow
+ * @property {string} key - `year-month` of the month or period.
+ * @property {number} year - The (fiscal) year.
+ * @property {number} month - The month or period (1-12).
+ * @property {string} periodName - Display name of the month or period.
+ * @property {string} start - First day reported ('YYYY-MM-DD'), within the selected range.
+ * @property {string} end - Last day reported ('YYYY-MM-DD'), within the selected range.
+ * @property {number} issued - Points earned from transactions and campaigns, net of refund clawbacks.
+ * @property {number} redeemed - Points redeemed.
+ * @property {number} adjusted - Net manual adjustments.
+ * @property {number} expired - Points that expired unspent.
+ * @property {number} outstanding - Spendable points across all customers at the end of the month.
+ * @property {number} issuedValue - `issued` at the point value.
+ * @property {number} redeemedValue - `redeemed` at the point value.
+ * @property {number} expiredValue - `expired` at the point value.
+ * @property {number} outstandingValue - `outstanding` at the point value.
+ * @property {number} liability - `outstandingValue` less expected breakage.
+ */
+
+/**
+ * Error thrown when the liability configuration fails validation. `errors` lists every problem found.
+ */
+export class LiabilityConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid liability configuration: ${errors.join("; ")}`);
+    this.name = "LiabilityConfigValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Collects validation problems for a liability configuration without throwing.
+ *
+ * @param {LiabilityConfig} config - The configuration to check.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getLiabilityConfigErrors = (config) => {
+  const errors = [];
+
+  if (typeof config.pointValue !== "number" || !(config.pointValue >= 0)) {
+    errors.push("pointValue must be a non-negative number");
+  }
+  if (typeof config.breakageRate !== "number" || !(config.breakageRate >= 0 && config.breakageRate <= 1)) {
+    errors.push("breakageRate must be a number from 0 to 1");
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a liability configuration and returns it unchanged.
+ *
+ * @param {LiabilityConfig} config - The configuration to validate.
+ * @returns {LiabilityConfig} The same configuration.
+ * @throws {LiabilityConfigValidationError} If the configuration is malformed.
+ */
+export const validateLiabilityConfig = (config) => {
+  const errors = getLiabilityConfigErrors(config);
+  if (errors.length > 0) {
+    logger.error("validateLiabilityConfig: Rejected liability assumptions:", errors.join("; "));
+    throw new LiabilityConfigValidationError(errors);
+  }
+  return config;
+};
+
+/**
+ * The point value and breakage rate shipped in `src/config/liability.json`.
+ * @type {LiabilityConfig}
+ */
+export const DEFAULT_LIABILITY_CONFIG = validateLiabilityConfig(defaultLiabilityConfig);
+
+/**
+ * Rounds an amount to cents.
+ * @param {number} amount - The amount.
+ * @returns {number}
+ */
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Finds the row whose dates include a date, by binary search over row starts.
+ *
+ * @param {Array<{start: string}>} rows - Consecutive rows, oldest first.
+ * @param {string} date - A date within the rows ('YYYY-MM-DD').
+ * @returns {number} The row index.
+ */
+const findRowIndex = (rows, date) => {
+  let low = 0;
+  let high = rows.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (rows[middle].start <= date) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+};
+
+/**
+ * Works out the points side of the liability report: for every month (or
+ * store calendar period) of a date range, the points issued, redeemed,
+ * adjusted and expired, and the points outstanding at its end. The ledger is
+ * replayed once, recording the position at the end of each month.
+ *
+ * @param {import("./pointsLedger").LedgerEntry[]} entries - Earn, redeem and adjust entries.
+ * @param {Date|string} start - First day of the range.
+ * @param {Date|string} end - Last day of the range.
+ * @param {object} [options] - Report options.
+ * @param {import("./pointsExpiration").ExpirationPolicy} [options.policy] - The expiration policy.
+ * @param {import("./dateUtils").CalendarConfig} [options.calendar] - The store calendar that defines the months.
+ * @returns {Array<Omit<LiabilityRow, "issuedValue"|"redeemedValue"|"expiredValue"|"outstandingValue"|"liability">>}
+ * One row per month, oldest first.
+ */
+export const getLiabilityFlows = (
+  entries,
+  start,
+  end,
+  { policy = DEFAULT_EXPIRATION_POLICY, calendar = DEFAULT_CALENDAR_CONFIG } = {}
+) => {
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+  const rows = [];
+
+  for (let date = startKey; date <= endKey;) {
+    const period = getPeriod(date, calendar);
+    const rowEnd = period.end < endKey ? period.end : endKey;
+    rows.push({
+      key: `${period.year}-${String(period.period).padStart(2, "0")}`,
+      year: period.year,
+      month: period.period,
+      periodName: period.name,
+      start: date,
+      end: rowEnd,
+      issued: 0,
+      redeemed: 0,
+      adjusted: 0,
+      expired: 0,
+      outstanding: 0,
+    });
+    date = addDays(rowEnd, 1);
+  }
+
+  entries.forEach((entry) => {
+    if (entry.date < startKey || entry.date > endKey) return;
+    const row = rows[findRowIndex(rows, entry.date)];
+    if (entry.type === "earn") row.issued += entry.points;
+    if (entry.type === "redeem") row.redeemed += entry.points;
+    if (entry.type === "adjust") row.adjusted += entry.points;
+  });
+
+  const [opening, ...closings] = getLedgerPositions(
+    entries,
+    [addDays(startKey, -1), ...rows.map((row) => row.end)],
+    { policy }
+  );
+  rows.forEach((row, index) => {
+    const previous = index === 0 ? opening : closings[index - 1];
+    row.expired = closings[index].expired - previous.expired;
+    row.outstanding = closings[index].outstanding;
+  });
+
+  return rows;
+};
+
+/**
+ * Values the points of each report row. This is cheap, so trying other
+ * assumptions never replays the ledger.
+ *
+ * @param {Array<object>} rows - Rows from `getLiabilityFlows`.
+ * @param {LiabilityConfig} [config] - Point value and breakage rate.
+ * @returns {LiabilityRow[]}
+ */
+export const valueLiabilityRows = (rows, config = DEFAULT_LIABILITY_CONFIG) => {
+  const value = (points) => roundCents(points * config.pointValue);
+
+  return rows.map((row) => ({
+    ...row,
+    issuedValue: value(row.issued),
+    redeemedValue: value(row.redeemed),
+    expiredValue: value(row.expired),
+    outstandingValue: value(row.outstanding),
+    liability: roundCents(row.outstanding * config.pointValue * (1 - config.breakageRate)),
+  }));
+};
+
+/**
+ * Builds the reward liability report: for every month (or store calendar
+ * period) of a date range, the points issued, redeemed, adjusted and expired,
+ * the points outstanding at its end, and their value. The liability is the
+ * outstanding value less the share expected to go unredeemed (breakage).
+ * Earn entries are derived from the same scored transactions and campaigns as
+ * `calculateUserRewards`, so issued points match the reward tables.
+ *
+ * @param {import("./pointsLedger").LedgerEntry[]} entries - Earn, redeem and adjust entries.
+ * @param {Date|string} start - First day of the range.
+ * @param {Date|string} end - Last day of the range.
+ * @param {object} [options] - Report options.
+ * @param {LiabilityConfig} [options.config] - Point value and breakage rate.
+ * @param {import("./pointsExpiration").ExpirationPolicy} [options.policy] - The expiration policy.
+ * @param {import("./dateUtils").CalendarConfig} [options.calendar] - The store calendar that defines the months.
+ * @returns {LiabilityRow[]} One row per month, oldest first.
+ */
+export const buildLiabilityReport = (entries, start, end, { config, policy, calendar } = {}) =>
+  valueLiabilityRows(getLiabilityFlows(entries, start, end, { policy, calendar }), config);
+
+/**
+ * Sums the report over the whole range: flows are added up, and the
+ * outstanding points and liability are those at the end of the last month.
+ *
+ * @param {LiabilityRow[]} rows - Rows from `buildLiabilityReport`.
+ * @returns {Omit<LiabilityRow, "key"|"year"|"month"|"periodName"|"start"|"end">}
+ */
+export const getLiabilityTotals = (rows) => {
+  const last = rows[rows.length - 1];
+  const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+
+  return {
+    issued: sum("issued"),
+    redeemed: sum("redeemed"),
+    adjusted: sum("adjusted"),
+    expired: sum("expired"),
+    outstanding: last ? last.outstanding : 0,
+    issuedValue: roundCents(sum("issuedValue")),
+    redeemedValue: roundCents(sum("redeemedValue")),
+    expiredValue: roundCents(sum("expiredValue")),
+    outstandingValue: last ? last.outstandingValue : 0,
+    liability: last ? last.liability : 0,
+  };
+};
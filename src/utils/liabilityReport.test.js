@@ -0,0 +1,68 @@
+import {
+  LiabilityConfigValidationError,
+  buildLiabilityReport,
+  getLiabilityConfigErrors,
+  getLiabilityFlows,
+  getLiabilityTotals,
+  validateLiabilityConfig,
+  valueLiabilityRows,
+} from './liabilityReport';
+
+describe('liabilityReport', () => {
+  const policy = { expireAfterMonths: 12, expiringSoonWindows: [30, 60, 90] };
+  const config = { pointValue: 0.01, breakageRate: 0.2 };
+  const entries = [
+    { id: 'e1', customerId: 101, type: 'earn', points: 50, date: '2024-01-15' },
+    { id: 'e2', customerId: 101, type: 'earn', points: 30, date: '2024-03-10' },
+    { id: 'e3', customerId: 102, type: 'earn', points: 200, date: '2024-03-20' },
+    { id: 'r1', customerId: 101, type: 'redeem', points: 60, date: '2024-06-01' },
+    { id: 'a1', customerId: 102, type: 'adjust', points: -20, date: '2024-06-05' },
+  ];
+
+  test('rejects a negative point value and a breakage rate outside 0 to 1', () => {
+    expect(getLiabilityConfigErrors(config)).toEqual([]);
+    expect(getLiabilityConfigErrors({ pointValue: -1, breakageRate: 1.5 })).toHaveLength(2);
+    expect(() => validateLiabilityConfig({ pointValue: 0.01, breakageRate: '20%' }))
+      .toThrow(LiabilityConfigValidationError);
+  });
+
+  test('reports issued, redeemed, adjusted and outstanding points per month', () => {
+    const rows = buildLiabilityReport(entries, '2024-01-01', '2024-06-30', { config, policy });
+
+    expect(rows.map((row) => row.key)).toEqual(['2024-01', '2024-02', '2024-03', '2024-04', '2024-05', '2024-06']);
+    expect(rows[0]).toMatchObject({ periodName: 'January', start: '2024-01-01', end: '2024-01-31', issued: 50, outstanding: 50 });
+    expect(rows[2]).toMatchObject({ issued: 230, outstanding: 280, issuedValue: 2.3, outstandingValue: 2.8 });
+    expect(rows[5]).toMatchObject({ redeemed: 60, adjusted: -20, expired: 0, outstanding: 200, redeemedValue: 0.6 });
+    expect(rows[5].liability).toBe(1.6);
+  });
+
+  test('counts points in the month they expire and carries the opening balance in', () => {
+    const rows = buildLiabilityReport(entries, '2025-03-01', '2025-03-31', { config, policy });
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ issued: 0, expired: 200, outstanding: 0, liability: 0 });
+  });
+
+  test('clips the first and last month to the selected range', () => {
+    const rows = buildLiabilityReport(entries, '2024-01-20', '2024-03-15', { config, policy });
+
+    expect(rows[0]).toMatchObject({ start: '2024-01-20', issued: 0, outstanding: 50 });
+    expect(rows[2]).toMatchObject({ end: '2024-03-15', issued: 30, outstanding: 80 });
+  });
+
+  test('re-valuing the points keeps the flows', () => {
+    const flows = getLiabilityFlows(entries, '2024-01-01', '2024-06-30', { policy });
+
+    expect(valueLiabilityRows(flows, config))
+      .toEqual(buildLiabilityReport(entries, '2024-01-01', '2024-06-30', { config, policy }));
+    expect(valueLiabilityRows(flows, { pointValue: 0.02, breakageRate: 0 })[5])
+      .toMatchObject({ outstanding: 200, outstandingValue: 4, liability: 4 });
+  });
+
+  test('totals add up the flows and keep the closing position', () => {
+    const totals = getLiabilityTotals(buildLiabilityReport(entries, '2024-01-01', '2024-06-30', { config, policy }));
+
+    expect(totals).toMatchObject({ issued: 280, redeemed: 60, adjusted: -20, outstanding: 200, liability: 1.6 });
+    expect(getLiabilityTotals([])).toMatchObject({ issued: 0, outstanding: 0, liability: 0 });
+  });
+});
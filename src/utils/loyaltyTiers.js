@@ -0,0 +1,269 @@
+import logger from "./logger";
+import defaultLoyaltyConfig from "../config/loyaltyTiers.json";
+import { addMonths, today } from "./dateUtils";
+import { getClawback, isRefund } from "./refunds";
+import { formatAmount, getBaseAmount } from "./currency";
+
+/**
+ * @typedef {object} LoyaltyTier
+ * @property {string} id - Identifier of the tier.
+ * @property {string} name - Display name of the tier.
+ * @property {number} threshold - Rolling spend or points needed to reach the tier.
+ * @property {number} [multiplier] - Earn multiplier applied to the points of every purchase made in the tier.
+ * Defaults to 1, so tiers only change points when a multiplier is configured.
+ * @property {string} [color] - Badge colour.
+ */
+
+/**
+ * @typedef {object} LoyaltyConfig
+ * @property {"spend"|"points"} basis - Whether tiers are earned by rolling spend or rolling points.
+ * @property {number} windowMonths - Length of the rolling window in months.
+ * @property {LoyaltyTier[]} tiers - Tiers ordered by ascending threshold; the first must start at 0.
+ */
+
+/**
+ * @typedef {object} TierChange
+ * @property {string} date - The date of the change ('YYYY-MM-DD').
+ * @property {string} from - The previous tier ID.
+ * @property {string} to - The new tier ID.
+ * @property {number} rollingValue - Rolling spend or points after the change.
+ * @property {string} reason - Human readable explanation.
+ */
+
+/**
+ * Error thrown when a loyalty tier configuration fails validation. `errors` lists every problem found.
+ */
+export class LoyaltyConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid loyalty tier configuration: ${errors.join("; ")}`);
+    this.name = "LoyaltyConfigValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Collects validation problems for a loyalty tier configuration without throwing.
+ *
+ * @param {LoyaltyConfig} config - The configuration to check.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getLoyaltyConfigErrors = (config) => {
+  const errors = [];
+
+  if (!["spend", "points"].includes(config.basis)) {
+    errors.push('basis must be "spend" or "points"');
+  }
+  if (!Number.isInteger(config.windowMonths) || config.windowMonths <= 0) {
+    errors.push("windowMonths must be a positive whole number");
+  }
+  if (!Array.isArray(config.tiers) || config.tiers.length === 0) {
+    errors.push("tiers must be a non-empty array");
+    return errors;
+  }
+
+  config.tiers.forEach((tier, index) => {
+    const label = `tiers[${index}]`;
+
+    if (!tier.id || typeof tier.id !== "string") {
+      errors.push(`${label}.id must be a non-empty string`);
+    }
+    if (tier.multiplier !== undefined && (typeof tier.multiplier !== "number" || tier.multiplier < 1)) {
+      errors.push(`${label}.multiplier must be a number of at least 1`);
+    }
+    if (index === 0 && tier.threshold !== 0) {
+      errors.push(`${label}.threshold must be 0`);
+    }
+    if (index > 0 && !(tier.threshold > config.tiers[index - 1].threshold)) {
+      errors.push(`${label}.threshold must be greater than the previous tier's threshold`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates a loyalty tier configuration and returns it unchanged.
+ *
+ * @param {LoyaltyConfig} config - The configuration to validate.
+ * @returns {LoyaltyConfig} The same configuration.
+ * @throws {LoyaltyConfigValidationError} If the configuration is malformed.
+ */
+export const validateLoyaltyConfig = (config) => {
+  const errors = getLoyaltyConfigErrors(config);
+  if (errors.length > 0) {
+    logger.error("validateLoyaltyConfig: Rejected loyalty tiers:", errors.join("; "));
+    throw new LoyaltyConfigValidationError(errors);
+  }
+  return config;
+};
+
+/**
+ * The loyalty tiers shipped in `src/config/loyaltyTiers.json`.
+ * @type {LoyaltyConfig}
+ */
+export const DEFAULT_LOYALTY_CONFIG = validateLoyaltyConfig(defaultLoyaltyConfig);
+
+/**
+ * Returns the highest tier whose threshold a rolling value reaches.
+ *
+ * @param {LoyaltyTier[]} tiers - Tiers ordered by ascending threshold.
+ * @param {number} value - Rolling spend or points.
+ * @returns {LoyaltyTier}
+ */
+export const getTierForValue = (tiers, value) =>
+  tiers.reduce((current, tier) => (value >= tier.threshold ? tier : current), tiers[0]);
+
+/**
+ * Finds a tier by ID.
+ *
+ * @param {string} tierId - The tier ID.
+ * @param {LoyaltyConfig} [config] - The loyalty configuration.
+ * @returns {LoyaltyTier|undefined}
+ */
+export const findTier = (tierId, config = DEFAULT_LOYALTY_CONFIG) =>
+  config.tiers.find((tier) => tier.id === tierId);
+
+/**
+ * Formats a rolling value for a tier change reason.
+ * @param {LoyaltyConfig} config - The loyalty configuration.
+ * @param {number} value - Rolling spend or points.
+ * @returns {string}
+ */
+const formatValue = (config, value) =>
+  config.basis === "spend" ? formatAmount(value) : `${value} points`;
+
+/**
+ * Rounds a rolling value to cents to avoid floating point drift.
+ * @param {number} value - The value to round.
+ * @returns {number}
+ */
+const roundValue = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Replays each customer's scored transactions in date order to classify them
+ * into loyalty tiers by rolling spend or points. A purchase earns the multiplier
+ * of the tier the customer held before it, then counts toward the rolling total
+ * until it ages out of the window.
+ *
+ * Tier bonus points are derived from `basePoints + bonusPoints`, so re-applying
+ * tiers to already tiered transactions gives the same result. Refunds claw back
+ * the original's tier bonus proportionally and reduce the rolling total until
+ * the original purchase ages out.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Scored transactions.
+ * @param {object} [options] - Replay options.
+ * @param {LoyaltyConfig} [options.config] - The loyalty configuration.
+ * @param {string} [options.asOf] - Date the current tier is evaluated on ('YYYY-MM-DD'); defaults to today.
+ * @returns {{transactions: import("./calculateRewards").Transaction[], currentTiers: Object<number, string>, tierHistory: Object<number, TierChange[]>}}
+ * Transactions with `loyaltyTier` and `tierBonusPoints` set, each customer's current tier and their tier changes.
+ */
+export const applyLoyaltyTiers = (
+  transactions,
+  { config = DEFAULT_LOYALTY_CONFIG, asOf = today() } = {}
+) => {
+  const result = transactions.slice();
+  const currentTiers = {};
+  const tierHistory = {};
+  const basisLabel = `rolling ${config.windowMonths}-month ${config.basis}`;
+
+  const indexById = new Map();
+  const indexesByCustomer = {};
+  transactions.forEach((transaction, index) => {
+    if (!isRefund(transaction)) indexById.set(transaction.transactionId, index);
+    (indexesByCustomer[transaction.customerId] ||
+      (indexesByCustomer[transaction.customerId] = [])).push(index);
+  });
+
+  Object.entries(indexesByCustomer).forEach(([customerId, indexes]) => {
+    const ordered = [...indexes].sort((a, b) =>
+      transactions[a].date === transactions[b].date
+        ? a - b
+        : transactions[a].date < transactions[b].date ? -1 : 1
+    );
+
+    const history = [];
+    const rollingWindow = [];
+    let rolling = 0;
+    let tier = config.tiers[0];
+
+    const updateTier = (date) => {
+      const next = getTierForValue(config.tiers, rolling);
+      if (next.id === tier.id) return;
+
+      const promoted = next.threshold > tier.threshold;
+      const boundary = promoted ? next : tier;
+      history.push({
+        date,
+        from: tier.id,
+        to: next.id,
+        rollingValue: rolling,
+        reason: `${promoted ? "Promoted" : "Demoted"}: ${basisLabel} of ${formatValue(config, rolling)} ` +
+          `${promoted ? "reached" : "fell below"} the ${boundary.name} threshold (${formatValue(config, boundary.threshold)})`,
+      });
+      tier = next;
+    };
+
+    const ageOut = (date) => {
+      while (rollingWindow.length > 0 && rollingWindow[0].until <= date) {
+        const expired = rollingWindow.shift();
+        rolling = roundValue(rolling - expired.value);
+        updateTier(expired.until);
+      }
+    };
+
+    const addToWindow = (until, value) => {
+      let position = rollingWindow.length;
+      while (position > 0 && rollingWindow[position - 1].until > until) position -= 1;
+      rollingWindow.splice(position, 0, { until, value });
+    };
+
+    ordered.forEach((index) => {
+      const transaction = transactions[index];
+      ageOut(transaction.date);
+
+      const earnedPoints = (transaction.basePoints || 0) + (transaction.bonusPoints || 0);
+
+      if (isRefund(transaction)) {
+        const original = result[indexById.get(transaction.originalTransactionId)];
+        if (transaction.refundError || !original) return;
+
+        const tierBonusPoints = -getClawback(
+          original.tierBonusPoints || 0,
+          transaction.refundedBefore,
+          transaction.refundRatio
+        );
+        result[index] = {
+          ...transaction,
+          loyaltyTier: tier.id,
+          tierBonusPoints,
+          rewardPoints: earnedPoints + tierBonusPoints,
+        };
+
+        const value = config.basis === "spend" ? -Math.abs(getBaseAmount(transaction)) : earnedPoints;
+        rolling = roundValue(rolling + value);
+        addToWindow(addMonths(original.date, config.windowMonths), value);
+        updateTier(transaction.date);
+        return;
+      }
+
+      const tierBonusPoints = Math.floor(earnedPoints * ((tier.multiplier || 1) - 1));
+      result[index] = {
+        ...transaction,
+        loyaltyTier: tier.id,
+        tierBonusPoints,
+        rewardPoints: earnedPoints + tierBonusPoints,
+      };
+
+      const value = config.basis === "spend" ? getBaseAmount(transaction) : earnedPoints;
+      rolling = roundValue(rolling + value);
+      addToWindow(addMonths(transaction.date, config.windowMonths), value);
+      updateTier(transaction.date);
+    });
+
+    ageOut(asOf);
+    currentTiers[customerId] = tier.id;
+    tierHistory[customerId] = history;
+  });
+
+  return { transactions: result, currentTiers, tierHistory };
+};
@@ -0,0 +1,51 @@
+import { DEFAULT_LOYALTY_CONFIG, applyLoyaltyTiers, getLoyaltyConfigErrors } from './loyaltyTiers';
+
+describe('applyLoyaltyTiers', () => {
+  const config = {
+    basis: 'spend',
+    windowMonths: 12,
+    tiers: [
+      { id: 'bronze', name: 'Bronze', threshold: 0, multiplier: 1 },
+      { id: 'silver', name: 'Silver', threshold: 200, multiplier: 1.5 },
+    ],
+  };
+  const transactions = [
+    { customerId: 101, date: '2024-01-15', price: 150, basePoints: 150, bonusPoints: 0, rewardPoints: 150 },
+    { customerId: 101, date: '2024-02-15', price: 100, basePoints: 50, bonusPoints: 0, rewardPoints: 50 },
+    { customerId: 101, date: '2024-03-15', price: 120, basePoints: 90, bonusPoints: 0, rewardPoints: 90 },
+  ];
+
+  test('applies the tier held before each purchase as an earn multiplier', () => {
+    const { transactions: tiered } = applyLoyaltyTiers(transactions, { config, asOf: '2024-04-01' });
+
+    expect(tiered.map((txn) => txn.loyaltyTier)).toEqual(['bronze', 'bronze', 'silver']);
+    expect(tiered[2]).toMatchObject({ tierBonusPoints: 45, rewardPoints: 135 });
+  });
+
+  test('tiers without a multiplier classify customers but add no points', () => {
+    const { transactions: tiered } = applyLoyaltyTiers(transactions, { config: DEFAULT_LOYALTY_CONFIG, asOf: '2024-04-01' });
+
+    expect(tiered.map((txn) => txn.loyaltyTier)).toEqual(['bronze', 'bronze', 'silver']);
+    expect(tiered.map((txn) => txn.tierBonusPoints)).toEqual([0, 0, 0]);
+    expect(getLoyaltyConfigErrors({ ...config, tiers: [{ id: 'bronze', threshold: 0, multiplier: 0.5 }] }))
+      .toEqual(['tiers[0].multiplier must be a number of at least 1']);
+  });
+
+  test('records promotions and demotions as spend rolls out of the window', () => {
+    const { currentTiers, tierHistory } = applyLoyaltyTiers(transactions, { config, asOf: '2025-02-15' });
+
+    expect(currentTiers[101]).toBe('bronze');
+    expect(tierHistory[101].map(({ date, to }) => [date, to])).toEqual([
+      ['2024-02-15', 'silver'],
+      ['2025-02-15', 'bronze'],
+    ]);
+    expect(tierHistory[101][1].reason).toMatch(/fell below the Silver threshold/);
+  });
+
+  test('re-applying tiers gives the same result', () => {
+    const once = applyLoyaltyTiers(transactions, { config }).transactions;
+    const twice = applyLoyaltyTiers(once, { config }).transactions;
+
+    expect(twice).toEqual(once);
+  });
+});
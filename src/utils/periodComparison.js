@@ -0,0 +1,192 @@
+import {
+  DEFAULT_CALENDAR_CONFIG,
+  addDays,
+  addMonths,
+  getDaysBetween,
+  getMonthRange,
+  getPeriod,
+  getPeriodName,
+  toDateKey,
+} from "./dateUtils";
+
+/**
+ * @typedef {"new"|"lost"|"growing"|"declining"|"steady"} ComparisonStatus
+ */
+
+/**
+ * @typedef {object} ComparisonFields
+ * @property {number} previousPoints - Points in the comparison period.
+ * @property {number} delta - `totalPoints` minus `previousPoints`.
+ * @property {number|null} deltaPercent - `delta` as a percentage of `previousPoints`, one decimal; null when there were none.
+ * @property {ComparisonStatus} status - How the customer changed between the periods.
+ */
+
+/**
+ * @typedef {import("./calculateRewards").UserReward & ComparisonFields & {previousYear: number|null, previousMonth: number|null}} UserRewardComparison
+ */
+
+/**
+ * @typedef {import("./calculateRewards").TotalReward & ComparisonFields} TotalRewardComparison
+ */
+
+/**
+ * The period just before a date range, for "this quarter against last
+ * quarter". Ranges of whole months step back by the same number of months;
+ * other ranges step back by the same number of days.
+ *
+ * @param {Date|string} start - First day of the range.
+ * @param {Date|string} end - Last day of the range.
+ * @returns {{start: string, end: string}} The preceding range ('YYYY-MM-DD').
+ */
+export const getPreviousRange = (start, end) => {
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+  const previousEnd = addDays(startKey, -1);
+
+  const [endYear, endMonth] = endKey.split("-").map(Number);
+  if (startKey.endsWith("-01") && getMonthRange(endYear, endMonth).end === endKey) {
+    const [startYear, startMonth] = startKey.split("-").map(Number);
+    const months = (endYear - startYear) * 12 + endMonth - startMonth + 1;
+    return { start: addMonths(startKey, -months), end: previousEnd };
+  }
+
+  return { start: addDays(previousEnd, -getDaysBetween(startKey, endKey)), end: previousEnd };
+};
+
+/**
+ * Classifies a customer by their points in two periods.
+ *
+ * @param {number} current - Points in the selected period.
+ * @param {number} previous - Points in the comparison period.
+ * @returns {ComparisonStatus}
+ */
+export const getComparisonStatus = (current, previous) => {
+  if (previous <= 0 && current > 0) return "new";
+  if (previous > 0 && current <= 0) return "lost";
+  if (current > previous) return "growing";
+  if (current < previous) return "declining";
+  return "steady";
+};
+
+/**
+ * Works out the deltas between two point totals.
+ *
+ * @param {number} current - Points in the selected period.
+ * @param {number} previous - Points in the comparison period.
+ * @returns {ComparisonFields}
+ */
+const compare = (current, previous) => ({
+  previousPoints: previous,
+  delta: current - previous,
+  deltaPercent: previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null,
+  status: getComparisonStatus(current, previous),
+});
+
+/**
+ * Lines up each customer's totals in the selected and comparison periods.
+ * Customers with points in only one of them are included with 0 for the other.
+ *
+ * @param {import("./calculateRewards").TotalReward[]} current - Totals for the selected period.
+ * @param {import("./calculateRewards").TotalReward[]} previous - Totals for the comparison period.
+ * @returns {TotalRewardComparison[]}
+ */
+export const compareTotalRewards = (current, previous) => {
+  const previousById = new Map(previous.map((reward) => [reward.customerId, reward]));
+
+  const rows = current.map((reward) => {
+    const before = previousById.get(reward.customerId);
+    previousById.delete(reward.customerId);
+    return { ...reward, ...compare(reward.totalPoints, before ? before.totalPoints : 0) };
+  });
+
+  previousById.forEach((reward) => {
+    rows.push({ customerId: reward.customerId, name: reward.name, totalPoints: 0, spend: 0, ...compare(0, reward.totalPoints) });
+  });
+
+  return rows;
+};
+
+/**
+ * Index of a month or period counted across years.
+ *
+ * @param {number} year - The (fiscal) year.
+ * @param {number} month - The month or period (1-12).
+ * @returns {number}
+ */
+const toPeriodIndex = (year, month) => year * 12 + month - 1;
+
+/**
+ * Lines up each customer's monthly rewards in the selected and comparison
+ * periods by position: the first month of one is compared with the first
+ * month of the other, and so on. Months use the store calendar, so fiscal
+ * months and 4-4-5 periods line up the same way.
+ *
+ * @param {import("./calculateRewards").UserReward[]} current - Monthly rewards for the selected period.
+ * @param {import("./calculateRewards").UserReward[]} previous - Monthly rewards for the comparison period.
+ * @param {object} ranges - Where both periods start.
+ * @param {Date|string} ranges.currentStart - First day of the selected period.
+ * @param {Date|string} ranges.previousStart - First day of the comparison period.
+ * @param {import("./dateUtils").CalendarConfig} [ranges.calendar] - The store calendar.
+ * @returns {UserRewardComparison[]}
+ */
+export const compareUserRewards = (current, previous, { currentStart, previousStart, calendar = DEFAULT_CALENDAR_CONFIG }) => {
+  const currentFirst = getPeriod(toDateKey(currentStart), calendar);
+  const previousFirst = getPeriod(toDateKey(previousStart), calendar);
+  const currentBase = toPeriodIndex(currentFirst.year, currentFirst.period);
+  const previousBase = toPeriodIndex(previousFirst.year, previousFirst.period);
+
+  // Adjustment rows are compared with adjustment rows only.
+  const getKey = (reward, base) =>
+    `${reward.customerId}-${toPeriodIndex(reward.year, reward.month) - base}${reward.type ? `-${reward.type}` : ""}`;
+  const previousByKey = new Map(previous.map((reward) => [getKey(reward, previousBase), reward]));
+
+  const rows = current.map((reward) => {
+    const key = getKey(reward, currentBase);
+    const before = previousByKey.get(key);
+    previousByKey.delete(key);
+    return {
+      ...reward,
+      previousYear: before ? before.year : null,
+      previousMonth: before ? before.month : null,
+      ...compare(reward.totalPoints, before ? before.totalPoints : 0),
+    };
+  });
+
+  previousByKey.forEach((reward) => {
+    const index = currentBase + toPeriodIndex(reward.year, reward.month) - previousBase;
+    const month = (index % 12) + 1;
+    rows.push({
+      customerId: reward.customerId,
+      name: reward.name,
+      year: Math.floor(index / 12),
+      month,
+      periodName: getPeriodName(month, calendar),
+      ...(reward.type ? { type: reward.type } : {}),
+      campaignPoints: 0,
+      totalPoints: 0,
+      spend: 0,
+      previousYear: reward.year,
+      previousMonth: reward.month,
+      ...compare(0, reward.totalPoints),
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * Formats a points delta with its sign, e.g. "+12" or "-5".
+ *
+ * @param {number} delta - The delta.
+ * @returns {string}
+ */
+export const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+
+/**
+ * Formats a percentage delta with its sign, or a dash when there is no base.
+ *
+ * @param {number|null} percent - The percentage.
+ * @returns {string}
+ */
+export const formatDeltaPercent = (percent) =>
+  percent === null ? "—" : `${percent > 0 ? "+" : ""}${percent.toFixed(1)}%`;
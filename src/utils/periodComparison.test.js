@@ -0,0 +1,69 @@
+import {
+  compareTotalRewards,
+  compareUserRewards,
+  formatDelta,
+  formatDeltaPercent,
+  getComparisonStatus,
+  getPreviousRange,
+} from './periodComparison';
+
+describe('periodComparison', () => {
+  test('compares whole months with the same number of months before', () => {
+    expect(getPreviousRange('2024-04-01', '2024-06-30')).toEqual({ start: '2024-01-01', end: '2024-03-31' });
+    expect(getPreviousRange(new Date(2024, 0, 1), new Date(2024, 0, 31))).toEqual({ start: '2023-12-01', end: '2023-12-31' });
+  });
+
+  test('compares other ranges with the same number of days before', () => {
+    expect(getPreviousRange('2024-03-10', '2024-03-16')).toEqual({ start: '2024-03-03', end: '2024-03-09' });
+  });
+
+  test('flags new, lost, growing, declining and steady customers', () => {
+    expect(getComparisonStatus(10, 0)).toBe('new');
+    expect(getComparisonStatus(0, 10)).toBe('lost');
+    expect(getComparisonStatus(20, 10)).toBe('growing');
+    expect(getComparisonStatus(5, 10)).toBe('declining');
+    expect(getComparisonStatus(10, 10)).toBe('steady');
+  });
+
+  test('lines up customer totals with absolute and percentage deltas', () => {
+    const current = [
+      { customerId: 101, name: 'John Doe', totalPoints: 150, spend: 300 },
+      { customerId: 103, name: 'New Customer', totalPoints: 40, spend: 90 },
+    ];
+    const previous = [
+      { customerId: 101, name: 'John Doe', totalPoints: 120, spend: 250 },
+      { customerId: 102, name: 'Jane Smith', totalPoints: 25, spend: 75 },
+    ];
+
+    expect(compareTotalRewards(current, previous)).toEqual([
+      { customerId: 101, name: 'John Doe', totalPoints: 150, spend: 300, previousPoints: 120, delta: 30, deltaPercent: 25, status: 'growing' },
+      { customerId: 103, name: 'New Customer', totalPoints: 40, spend: 90, previousPoints: 0, delta: 40, deltaPercent: null, status: 'new' },
+      { customerId: 102, name: 'Jane Smith', totalPoints: 0, spend: 0, previousPoints: 25, delta: -25, deltaPercent: -100, status: 'lost' },
+    ]);
+  });
+
+  test('lines up months by their position in each range', () => {
+    const current = [
+      { customerId: 101, name: 'John Doe', year: 2024, month: 4, totalPoints: 30 },
+    ];
+    const previous = [
+      { customerId: 101, name: 'John Doe', year: 2024, month: 1, totalPoints: 20 },
+      { customerId: 101, name: 'John Doe', year: 2024, month: 2, totalPoints: 10 },
+    ];
+
+    const rows = compareUserRewards(current, previous, { currentStart: '2024-04-01', previousStart: '2024-01-01' });
+
+    expect(rows).toEqual([
+      expect.objectContaining({ year: 2024, month: 4, previousYear: 2024, previousMonth: 1, delta: 10, status: 'growing' }),
+      expect.objectContaining({ year: 2024, month: 5, periodName: 'May', totalPoints: 0, previousMonth: 2, status: 'lost' }),
+    ]);
+  });
+
+  test('formats deltas with their sign', () => {
+    expect(formatDelta(12)).toBe('+12');
+    expect(formatDelta(-5)).toBe('-5');
+    expect(formatDeltaPercent(25)).toBe('+25.0%');
+    expect(formatDeltaPercent(-100)).toBe('-100.0%');
+    expect(formatDeltaPercent(null)).toBe('—');
+  });
+});
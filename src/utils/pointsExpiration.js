@@ -0,0 +1,215 @@
+import defaultPolicyConfig from "../config/expirationPolicy.json";
+import { DEFAULT_CALENDAR_CONFIG, addDays, addMonths, getPeriod, today } from "./dateUtils";
+
+/**
+ * @typedef {object} ExpirationPolicy
+ * @property {number|null} expireAfterMonths - Months after which earned points expire (null to never expire).
+ * @property {number[]} expiringSoonWindows - Day windows reported as "expiring soon", e.g. [30, 60, 90].
+ */
+
+/**
+ * @typedef {object} PointLot
+ * @property {string} entryId - The ledger entry that credited the points.
+ * @property {string} date - The date the points were credited ('YYYY-MM-DD').
+ * @property {string|null} expiresOn - First day the points are no longer spendable, or null if they never expire.
+ * @property {number} points - Points originally credited.
+ * @property {number} remaining - Points still spendable.
+ * @property {number} expired - Points that expired unspent.
+ */
+
+/**
+ * @typedef {object} CustomerLots
+ * @property {PointLot[]} lots - Credited lots, oldest first.
+ * @property {number} expired - Total points that expired unspent.
+ * @property {number} deficit - Debits that could not be covered by any lot.
+ * @property {number} balance - Spendable points (`sum(remaining) - deficit`).
+ */
+
+/**
+ * The expiration policy shipped in `src/config/expirationPolicy.json`.
+ * @type {ExpirationPolicy}
+ */
+export const DEFAULT_EXPIRATION_POLICY = defaultPolicyConfig;
+
+/**
+ * Checks if a ledger entry adds points. Earn entries from refunds and negative
+ * adjustments carry negative points and are debits.
+ * @param {import("./pointsLedger").LedgerEntry} entry - The ledger entry.
+ * @returns {boolean}
+ */
+const isCredit = (entry) => entry.type !== "redeem" && entry.points > 0;
+
+/**
+ * Moves the remaining points of every lot that has expired by `date` into `expired`.
+ * @param {CustomerLots} state - The customer's lots.
+ * @param {string} date - The date to expire up to ('YYYY-MM-DD').
+ */
+const expireLots = (state, date) => {
+  state.lots.forEach((lot) => {
+    if (lot.remaining > 0 && lot.expiresOn && lot.expiresOn <= date) {
+      lot.expired += lot.remaining;
+      state.expired += lot.remaining;
+      lot.remaining = 0;
+    }
+  });
+};
+
+/**
+ * Consumes points from the oldest lots first.
+ * @param {CustomerLots} state - The customer's lots.
+ * @param {number} points - Points to consume.
+ */
+const consumeLots = (state, points) => {
+  let outstanding = points;
+  state.lots.forEach((lot) => {
+    if (outstanding === 0 || lot.remaining === 0) return;
+    const taken = Math.min(lot.remaining, outstanding);
+    lot.remaining -= taken;
+    outstanding -= taken;
+  });
+  state.deficit += outstanding;
+};
+
+/**
+ * Sorts ledger entries into replay order: by date, with credits before debits
+ * on the same day.
+ * @param {import("./pointsLedger").LedgerEntry[]} entries - Ledger entries.
+ * @returns {import("./pointsLedger").LedgerEntry[]} A sorted copy.
+ */
+const sortForReplay = (entries) =>
+  [...entries].sort((a, b) =>
+    a.date === b.date
+      ? Number(isCredit(b)) - Number(isCredit(a))
+      : a.date < b.date ? -1 : 1
+  );
+
+/**
+ * Applies one ledger entry to its customer's lots, expiring older lots first.
+ * @param {Object<number, CustomerLots>} customers - Lots keyed by customer ID; updated in place.
+ * @param {import("./pointsLedger").LedgerEntry} entry - The ledger entry.
+ * @param {ExpirationPolicy} policy - The expiration policy.
+ */
+const applyEntry = (customers, entry, policy) => {
+  const state = customers[entry.customerId] ||
+    (customers[entry.customerId] = { lots: [], expired: 0, deficit: 0, balance: 0 });
+
+  expireLots(state, entry.date);
+
+  if (isCredit(entry)) {
+    state.lots.push({
+      entryId: entry.id,
+      date: entry.date,
+      expiresOn: policy.expireAfterMonths ? addMonths(entry.date, policy.expireAfterMonths) : null,
+      points: entry.points,
+      remaining: entry.points,
+      expired: 0,
+    });
+  } else {
+    consumeLots(state, entry.type === "redeem" ? entry.points : -entry.points);
+  }
+};
+
+/**
+ * Expires a customer's lots up to a date and works out their spendable points.
+ * @param {CustomerLots} state - The customer's lots.
+ * @param {string} date - The date to evaluate on ('YYYY-MM-DD').
+ * @returns {number} The balance, also stored on `state`.
+ */
+const settleLots = (state, date) => {
+  expireLots(state, date);
+  state.balance = state.lots.reduce((sum, lot) => sum + lot.remaining, 0) - state.deficit;
+  return state.balance;
+};
+
+/**
+ * Replays a ledger in date order to work out which points are still spendable.
+ * Credits become lots that expire `expireAfterMonths` after they were earned,
+ * and redemptions, refund clawbacks and negative adjustments consume the oldest
+ * unexpired lots first.
+ * Entries dated after `asOf` are ignored.
+ *
+ * @param {import("./pointsLedger").LedgerEntry[]} entries - Ledger entries.
+ * @param {object} [options] - Replay options.
+ * @param {string} [options.asOf] - The date to evaluate balances on ('YYYY-MM-DD'); defaults to today.
+ * @param {ExpirationPolicy} [options.policy] - The expiration policy.
+ * @returns {Object<number, CustomerLots>} Lots keyed by customer ID.
+ */
+export const buildPointLots = (
+  entries,
+  { asOf = today(), policy = DEFAULT_EXPIRATION_POLICY } = {}
+) => {
+  const customers = {};
+
+  sortForReplay(entries.filter((entry) => entry.date <= asOf))
+    .forEach((entry) => applyEntry(customers, entry, policy));
+  Object.values(customers).forEach((state) => settleLots(state, asOf));
+
+  return customers;
+};
+
+/**
+ * Replays a ledger once and records the position over all customers at the end
+ * of each of several dates: the points expired so far and the points still
+ * spendable. Each position matches summing `buildPointLots` as of that date.
+ *
+ * @param {import("./pointsLedger").LedgerEntry[]} entries - Ledger entries.
+ * @param {string[]} dates - Dates to record ('YYYY-MM-DD'), oldest first.
+ * @param {object} [options] - Replay options.
+ * @param {ExpirationPolicy} [options.policy] - The expiration policy.
+ * @returns {Array<{date: string, expired: number, outstanding: number}>} One position per date.
+ */
+export const getLedgerPositions = (entries, dates, { policy = DEFAULT_EXPIRATION_POLICY } = {}) => {
+  const ordered = sortForReplay(entries);
+  const customers = {};
+  let next = 0;
+
+  return dates.map((date) => {
+    for (; next < ordered.length && ordered[next].date <= date; next += 1) {
+      applyEntry(customers, ordered[next], policy);
+    }
+    return Object.values(customers).reduce(
+      (position, state) => {
+        const balance = settleLots(state, date);
+        return { date, expired: position.expired + state.expired, outstanding: position.outstanding + balance };
+      },
+      { date, expired: 0, outstanding: 0 }
+    );
+  });
+};
+
+/**
+ * Reports unspent points that will expire within each "expiring soon" window,
+ * grouped by customer and by the month (or store calendar period) the points were earned.
+ * Windows are cumulative: the 60 day figure includes the 30 day figure.
+ *
+ * @param {Object<number, CustomerLots>} customerLots - Lots from `buildPointLots`.
+ * @param {object} [options] - Report options.
+ * @param {string} [options.asOf] - The date to measure windows from ('YYYY-MM-DD'); defaults to today.
+ * @param {ExpirationPolicy} [options.policy] - The expiration policy.
+ * @param {import("./dateUtils").CalendarConfig} [options.calendar] - The store calendar that defines the months.
+ * @returns {Object<string, Object<number, number>>} Points per window, keyed by `customerId-year-month`.
+ */
+export const getExpiringPoints = (
+  customerLots,
+  { asOf = today(), policy = DEFAULT_EXPIRATION_POLICY, calendar = DEFAULT_CALENDAR_CONFIG } = {}
+) => {
+  const expiring = {};
+
+  Object.entries(customerLots).forEach(([customerId, state]) => {
+    state.lots.forEach((lot) => {
+      if (lot.remaining === 0 || !lot.expiresOn || lot.expiresOn <= asOf) return;
+
+      const { year, period } = getPeriod(lot.date, calendar);
+      const key = `${customerId}-${year}-${period}`;
+
+      policy.expiringSoonWindows.forEach((days) => {
+        if (lot.expiresOn <= addDays(asOf, days)) {
+          const windows = expiring[key] || (expiring[key] = {});
+          windows[days] = (windows[days] || 0) + lot.remaining;
+        }
+      });
+    });
+  });
+
+  return expiring;
+};
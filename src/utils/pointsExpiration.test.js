@@ -0,0 +1,64 @@
+import { buildPointLots, getExpiringPoints, getLedgerPositions } from './pointsExpiration';
+
+describe('pointsExpiration', () => {
+  const policy = { expireAfterMonths: 12, expiringSoonWindows: [30, 60, 90] };
+  const entries = [
+    { id: 'e1', customerId: 101, type: 'earn', points: 50, date: '2024-01-15' },
+    { id: 'e2', customerId: 101, type: 'earn', points: 30, date: '2024-03-10' },
+    { id: 'r1', customerId: 101, type: 'redeem', points: 60, date: '2024-06-01' },
+  ];
+
+  test('redemptions consume the oldest points first', () => {
+    const { lots, balance } = buildPointLots(entries, { asOf: '2024-12-01', policy })[101];
+
+    expect(lots.map((lot) => lot.remaining)).toEqual([0, 20]);
+    expect(balance).toBe(20);
+  });
+
+  test('reports expired points separately from the balance', () => {
+    const state = buildPointLots(entries, { asOf: '2025-03-10', policy })[101];
+
+    expect(state.expired).toBe(20);
+    expect(state.balance).toBe(0);
+  });
+
+  test('points left unspent expire before a later redemption can use them', () => {
+    const late = [
+      { id: 'e1', customerId: 101, type: 'earn', points: 50, date: '2024-01-15' },
+      { id: 'e2', customerId: 101, type: 'earn', points: 30, date: '2024-12-01' },
+      { id: 'r1', customerId: 101, type: 'redeem', points: 40, date: '2025-02-01' },
+    ];
+    const state = buildPointLots(late, { asOf: '2025-02-01', policy })[101];
+
+    expect(state.expired).toBe(50);
+    expect(state.deficit).toBe(10);
+    expect(state.balance).toBe(-10);
+  });
+
+  test('one replay records the same positions as replaying up to each date', () => {
+    const ledger = [
+      ...entries,
+      { id: 'e3', customerId: 102, type: 'earn', points: 200, date: '2024-03-20' },
+      { id: 'a1', customerId: 102, type: 'adjust', points: -250, date: '2024-08-05' },
+    ];
+    const dates = ['2023-12-31', '2024-03-10', '2024-06-30', '2024-08-31', '2025-01-15', '2025-03-20'];
+    const sumLots = (asOf) => Object.values(buildPointLots(ledger, { asOf, policy })).reduce(
+      (position, state) => ({
+        date: asOf,
+        expired: position.expired + state.expired,
+        outstanding: position.outstanding + state.balance,
+      }),
+      { date: asOf, expired: 0, outstanding: 0 }
+    );
+
+    expect(getLedgerPositions(ledger, dates, { policy })).toEqual(dates.map(sumLots));
+  });
+
+  test('groups expiring points by customer, earn month and window', () => {
+    const lots = buildPointLots(entries, { asOf: '2025-01-01', policy });
+
+    expect(getExpiringPoints(lots, { asOf: '2025-01-01', policy })).toEqual({
+      '101-2024-3': { 90: 20 },
+    });
+  });
+});
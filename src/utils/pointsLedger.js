@@ -0,0 +1,206 @@
+import logger from "./logger";
+import { DEFAULT_CAMPAIGNS, DEFAULT_SEGMENTS, getCampaignAwards } from "./campaigns";
+import { today } from "./dateUtils";
+import { buildPointLots } from "./pointsExpiration";
+
+/**
+ * @typedef {"earn"|"redeem"|"adjust"} LedgerEntryType
+ */
+
+/**
+ * @typedef {object} LedgerEntry
+ * @property {string} id - Unique ID of the entry.
+ * @property {number} customerId - The customer the entry belongs to.
+ * @property {LedgerEntryType} type - Kind of movement.
+ * @property {number} points - Points moved; positive for redeem, signed for earn (refunds are negative) and adjust.
+ * @property {string} date - The date of the entry in 'YYYY-MM-DD' format.
+ * @property {string} [note] - Free text describing the entry.
+ * @property {number} [transactionId] - The transaction an earn entry came from.
+ * @property {string} [reasonCode] - Why a manual adjustment was made (see `src/config/adjustmentReasons.json`).
+ * @property {string} [operator] - Who made a manual adjustment.
+ * @property {string} [createdAt] - When a manual adjustment was recorded (ISO timestamp).
+ */
+
+/**
+ * @typedef {object} CustomerBalance
+ * @property {number} earned - Points earned from transactions and campaigns, net of refunds.
+ * @property {number} redeemed - Points redeemed.
+ * @property {number} adjusted - Net manual adjustments.
+ * @property {number} expired - Points that expired unspent.
+ * @property {number} balance - Spendable points (`earned - redeemed + adjusted - expired`).
+ */
+
+export const LEDGER_STORAGE_KEY = "retailer-reward-program.ledger";
+
+/**
+ * Error thrown when a redemption would take a customer's balance below zero.
+ */
+export class OverdraftError extends Error {
+  constructor(customerId, requested, available) {
+    super(`Customer ${customerId} cannot redeem ${requested} points; only ${available} available`);
+    this.name = "OverdraftError";
+    this.customerId = customerId;
+    this.requested = requested;
+    this.available = available;
+  }
+}
+
+/**
+ * Derives one earn entry per scored transaction, including the extra points
+ * from any campaigns the transaction qualified for.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Scored transactions.
+ * @param {object} [options] - Campaign configuration overrides.
+ * @param {import("./campaigns").Campaign[]} [options.campaigns] - Campaigns to apply.
+ * @param {Object<string, number[]>} [options.segments] - Segment name to customer IDs map.
+ * @returns {LedgerEntry[]} Earn entries in transaction order.
+ */
+export const buildEarnEntries = (
+  transactions,
+  { campaigns = DEFAULT_CAMPAIGNS, segments = DEFAULT_SEGMENTS } = {}
+) =>
+  transactions.map((transaction) => {
+    const campaignPoints = getCampaignAwards(transaction, campaigns, segments)
+      .reduce((sum, award) => sum + award.points, 0);
+
+    return {
+      id: `earn-${transaction.transactionId}`,
+      customerId: transaction.customerId,
+      type: "earn",
+      points: transaction.rewardPoints + campaignPoints,
+      date: transaction.date,
+      transactionId: transaction.transactionId,
+    };
+  });
+
+/**
+ * Computes balances for every customer in the ledger. Expired points are
+ * reported separately and excluded from the spendable balance.
+ *
+ * @param {LedgerEntry[]} entries - Ledger entries.
+ * @param {object} [options] - Passed to `buildPointLots` (`asOf`, `policy`).
+ * @returns {Object<number, CustomerBalance>} Balances keyed by customer ID.
+ */
+export const getBalances = (entries, options) => {
+  const lots = buildPointLots(entries, options);
+
+  return entries.reduce((balances, entry) => {
+    const balance = balances[entry.customerId] ||
+      (balances[entry.customerId] = {
+        earned: 0,
+        redeemed: 0,
+        adjusted: 0,
+        expired: lots[entry.customerId] ? lots[entry.customerId].expired : 0,
+        balance: lots[entry.customerId] ? lots[entry.customerId].balance : 0,
+      });
+
+    if (entry.type === "earn") balance.earned += entry.points;
+    if (entry.type === "redeem") balance.redeemed += entry.points;
+    if (entry.type === "adjust") balance.adjusted += entry.points;
+
+    return balances;
+  }, {});
+};
+
+/**
+ * Returns a customer's spendable balance.
+ *
+ * @param {LedgerEntry[]} entries - Ledger entries.
+ * @param {number} customerId - The customer ID.
+ * @param {object} [options] - Passed to `buildPointLots` (`asOf`, `policy`).
+ * @returns {number}
+ */
+export const getBalance = (entries, customerId, options) => {
+  const lots = buildPointLots(
+    entries.filter((entry) => entry.customerId === customerId),
+    options
+  );
+  return lots[customerId] ? lots[customerId].balance : 0;
+};
+
+/**
+ * Creates a ledger entry with a unique ID.
+ *
+ * @param {Omit<LedgerEntry, "id">} fields - Entry fields.
+ * @returns {LedgerEntry}
+ */
+const createEntry = (fields) => ({
+  id: `${fields.type}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  date: today(),
+  ...fields,
+});
+
+/**
+ * Records a redemption, rejecting it if it would overdraw the customer's
+ * spendable (unexpired) balance.
+ *
+ * @param {LedgerEntry[]} entries - All ledger entries, including earn entries.
+ * @param {{customerId: number, points: number, date?: string, note?: string}} redemption - The redemption request.
+ * @param {object} [options] - Passed to `buildPointLots` (`asOf`, `policy`).
+ * @returns {LedgerEntry} The new redeem entry.
+ * @throws {OverdraftError} If the customer does not have enough points.
+ */
+export const createRedemption = (entries, { customerId, points, date, note }, options) => {
+  if (!Number.isInteger(points) || points <= 0) {
+    throw new Error("Redemption points must be a positive whole number");
+  }
+
+  const available = getBalance(entries, customerId, options);
+  if (points > available) {
+    logger.warn("createRedemption: Overdraft rejected for customer", customerId);
+    throw new OverdraftError(customerId, points, available);
+  }
+
+  logger.info(`createRedemption: Customer ${customerId} redeemed ${points} points`);
+  return createEntry({ customerId, type: "redeem", points, date, note });
+};
+
+/**
+ * Records a manual adjustment of any sign.
+ *
+ * @param {{customerId: number, points: number, date?: string, note?: string}} adjustment - The adjustment request.
+ * @returns {LedgerEntry} The new adjust entry.
+ */
+export const createAdjustment = ({ customerId, points, date, note }) => {
+  if (!Number.isInteger(points) || points === 0) {
+    throw new Error("Adjustment points must be a non-zero whole number");
+  }
+
+  logger.info(`createAdjustment: Customer ${customerId} adjusted by ${points} points`);
+  return createEntry({ customerId, type: "adjust", points, date, note });
+};
+
+/**
+ * Loads persisted redeem and adjust entries from localStorage.
+ *
+ * @param {Storage} [storage] - Storage to read from.
+ * @returns {LedgerEntry[]} The stored entries, or an empty list if none or unreadable.
+ */
+export const loadLedgerEntries = (storage = window.localStorage) => {
+  try {
+    const raw = storage.getItem(LEDGER_STORAGE_KEY);
+    const entries = raw ? JSON.parse(raw) : [];
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    logger.error("loadLedgerEntries: Could not read ledger:", error);
+    return [];
+  }
+};
+
+/**
+ * Persists redeem and adjust entries to localStorage. Earn entries are derived
+ * from transactions on every load and are never stored.
+ *
+ * @param {LedgerEntry[]} entries - Entries to persist.
+ * @param {Storage} [storage] - Storage to write to.
+ */
+export const saveLedgerEntries = (entries, storage = window.localStorage) => {
+  try {
+    storage.setItem(
+      LEDGER_STORAGE_KEY,
+      JSON.stringify(entries.filter((entry) => entry.type !== "earn"))
+    );
+  } catch (error) {
+    logger.error("saveLedgerEntries: Could not write ledger:", error);
+  }
+};
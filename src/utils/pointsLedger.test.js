@@ -0,0 +1,59 @@
+import {
+  LEDGER_STORAGE_KEY,
+  OverdraftError,
+  buildEarnEntries,
+  createRedemption,
+  getBalances,
+  loadLedgerEntries,
+  saveLedgerEntries,
+} from './pointsLedger';
+
+describe('pointsLedger', () => {
+  const earnEntries = buildEarnEntries(
+    [
+      { transactionId: 1, customerId: 101, date: '2024-01-15', rewardPoints: 90 },
+      { transactionId: 2, customerId: 102, date: '2024-01-20', rewardPoints: 10 },
+    ],
+    { campaigns: [], segments: {} }
+  );
+
+  const options = { asOf: '2024-03-01' };
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('computes balances from earn, redeem and adjust entries', () => {
+    const entries = [
+      ...earnEntries,
+      { id: 'r1', customerId: 101, type: 'redeem', points: 40, date: '2024-02-01' },
+      { id: 'a1', customerId: 101, type: 'adjust', points: -5, date: '2024-02-02' },
+    ];
+
+    expect(getBalances(entries, options)[101]).toEqual({
+      earned: 90,
+      redeemed: 40,
+      adjusted: -5,
+      expired: 0,
+      balance: 45,
+    });
+    expect(getBalances(entries, options)[102].balance).toBe(10);
+  });
+
+  test('rejects redemptions that would overdraw the balance', () => {
+    expect(() => createRedemption(earnEntries, { customerId: 102, points: 11 }, options)).toThrow(OverdraftError);
+    expect(createRedemption(earnEntries, { customerId: 102, points: 10 }, options)).toMatchObject({
+      customerId: 102,
+      type: 'redeem',
+      points: 10,
+    });
+  });
+
+  test('persists only redeem and adjust entries', () => {
+    const redemption = createRedemption(earnEntries, { customerId: 101, points: 20 }, options);
+    saveLedgerEntries([...earnEntries, redemption]);
+
+    expect(JSON.parse(window.localStorage.getItem(LEDGER_STORAGE_KEY))).toHaveLength(1);
+    expect(loadLedgerEntries()).toEqual([redemption]);
+  });
+});
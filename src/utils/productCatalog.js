@@ -0,0 +1,22 @@
+import defaultCatalogConfig from "../config/productCatalog.json";
+
+/**
+ * Category assigned to products missing from the catalog.
+ */
+export const UNCATEGORIZED = "uncategorized";
+
+/**
+ * The product-to-category catalog shipped in `src/config/productCatalog.json`.
+ * @type {Object<string, string>}
+ */
+export const DEFAULT_PRODUCT_CATALOG = defaultCatalogConfig;
+
+/**
+ * Looks up the category of a product.
+ *
+ * @param {string} [product] - The product name as it appears on the transaction.
+ * @param {Object<string, string>} [catalog] - Product-to-category map.
+ * @returns {string} The product category, or `UNCATEGORIZED` when unknown.
+ */
+export const getProductCategory = (product, catalog = DEFAULT_PRODUCT_CATALOG) =>
+  (product && catalog[product.trim()]) || UNCATEGORIZED;
@@ -0,0 +1,123 @@
+import logger from "./logger";
+import { DEFAULT_CURRENCY_CONFIG, getTransactionCurrency } from "./currency";
+
+/**
+ * Transaction `type` marking a refund or return.
+ */
+export const REFUND_TYPE = "refund";
+
+/**
+ * Checks if a transaction is a refund.
+ *
+ * @param {import("./calculateRewards").Transaction} transaction - The transaction.
+ * @returns {boolean}
+ */
+export const isRefund = (transaction) => transaction.type === REFUND_TYPE;
+
+/**
+ * Returns the share of `points` to claw back for a refund, given the share of
+ * the original price refunded before it and by it. Working from cumulative
+ * shares means a series of partial refunds never claws back more than was awarded.
+ *
+ * @param {number} points - Points awarded on the original transaction.
+ * @param {number} refundedBefore - Share of the original price refunded earlier (0-1).
+ * @param {number} ratio - Share of the original price refunded by this refund (0-1).
+ * @returns {number} The points to claw back (non-negative).
+ */
+export const getClawback = (points, refundedBefore, ratio) =>
+  Math.round(points * (refundedBefore + ratio)) - Math.round(points * refundedBefore);
+
+/**
+ * Scores refunds against the purchases they reference. Each refund reverses the
+ * original's base and bonus points in proportion to the share of the price
+ * refunded, and is attributed to the original purchase date so the clawback
+ * lands in the month the points were earned.
+ *
+ * The share refunded is worked out on prices in the purchase's own currency,
+ * so exchange rate movements between the purchase and the refund don't change
+ * it. Refunds that reference an unknown transaction or another customer's
+ * purchase, are in a different currency from it, predate it, or exceed what is
+ * left to refund claw back nothing and carry a `refundError`.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Scored transactions, refunds included.
+ * @param {import("./currency").CurrencyConfig} [currencyConfig] - The base currency, for rows without a currency.
+ * @returns {import("./calculateRewards").Transaction[]} Copies of the transactions with refunds resolved.
+ */
+export const resolveRefunds = (transactions, currencyConfig = DEFAULT_CURRENCY_CONFIG) => {
+  const originals = new Map();
+  transactions.forEach((transaction) => {
+    if (!isRefund(transaction)) originals.set(transaction.transactionId, transaction);
+  });
+
+  const refundedShare = new Map();
+
+  const refundOrder = transactions
+    .map((transaction, index) => ({ transaction, index }))
+    .filter(({ transaction }) => isRefund(transaction))
+    .sort((a, b) => (a.transaction.date === b.transaction.date
+      ? a.index - b.index
+      : a.transaction.date < b.transaction.date ? -1 : 1));
+
+  const result = transactions.slice();
+
+  refundOrder.forEach(({ transaction: refund, index }) => {
+    const original = originals.get(refund.originalTransactionId);
+    const amount = Math.abs(Number(refund.price) || 0);
+    const rejected = (refundError) => {
+      logger.warn(`resolveRefunds: Refund ${refund.transactionId} rejected: ${refundError}`);
+      result[index] = {
+        ...refund,
+        basePoints: 0,
+        bonusPoints: 0,
+        rewardPoints: 0,
+        refundError,
+      };
+    };
+
+    if (!original) {
+      rejected(`original transaction ${refund.originalTransactionId} not found`);
+      return;
+    }
+    if (original.customerId !== refund.customerId) {
+      rejected(`original transaction ${original.transactionId} belongs to another customer`);
+      return;
+    }
+
+    const refundCurrency = getTransactionCurrency(refund, currencyConfig);
+    const originalCurrency = getTransactionCurrency(original, currencyConfig);
+    if (refundCurrency !== originalCurrency) {
+      rejected(`refund is in ${refundCurrency} but transaction ${original.transactionId} is in ${originalCurrency}`);
+      return;
+    }
+
+    if (refund.date < original.date) {
+      rejected(`refund is dated before transaction ${original.transactionId}`);
+      return;
+    }
+
+    const refundedBefore = refundedShare.get(original.transactionId) || 0;
+    const ratio = original.price > 0 ? amount / original.price : 0;
+    if (refundedBefore + ratio > 1 + 1e-9) {
+      rejected(`refunds exceed the price of transaction ${original.transactionId}`);
+      return;
+    }
+    refundedShare.set(original.transactionId, refundedBefore + ratio);
+
+    const basePoints = -getClawback(original.basePoints, refundedBefore, ratio);
+    const bonusPoints = -getClawback(original.bonusPoints, refundedBefore, ratio);
+
+    result[index] = {
+      ...refund,
+      category: original.category,
+      programVersion: original.programVersion,
+      attributedDate: original.date,
+      refundRatio: ratio,
+      refundedBefore,
+      basePoints,
+      bonusPoints,
+      rewardPoints: basePoints + bonusPoints,
+    };
+  });
+
+  return result;
+};
@@ -0,0 +1,80 @@
+import { resolveRefunds } from './refunds';
+import { calculateUserRewards, scoreTransactions } from './calculateRewards';
+
+describe('refunds', () => {
+  const purchase = {
+    transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-15', price: 120,
+    basePoints: 90, bonusPoints: 0, rewardPoints: 90,
+  };
+  const refund = (transactionId, date, price, originalTransactionId = 1) => ({
+    transactionId, customerId: 101, name: 'John Doe', date, price, type: 'refund', originalTransactionId,
+  });
+
+  test('reverses points in proportion to the amount refunded', () => {
+    const [, first, second] = resolveRefunds([
+      purchase,
+      refund(2, '2024-02-01', 40),
+      refund(3, '2024-02-02', 80),
+    ]);
+
+    expect(first).toMatchObject({ basePoints: -30, rewardPoints: -30, attributedDate: '2024-01-15' });
+    expect(second.rewardPoints).toBe(-60);
+  });
+
+  test('rejects refunds of unknown or over-refunded transactions', () => {
+    const [, unknown, over] = resolveRefunds([
+      purchase,
+      refund(2, '2024-02-01', 40, 99),
+      refund(3, '2024-02-02', 130),
+    ]);
+
+    expect(unknown).toMatchObject({ rewardPoints: 0, refundError: expect.stringMatching(/not found/) });
+    expect(over.refundError).toMatch(/exceed/);
+  });
+
+  test('measures the share refunded in the purchase currency', () => {
+    const eurPurchase = { ...purchase, currency: 'EUR', price: 100 };
+    const [, full, dollars] = resolveRefunds([
+      eurPurchase,
+      { ...refund(2, '2024-02-01', 100), currency: 'EUR' },
+      refund(3, '2024-02-02', 10),
+    ]);
+
+    expect(full).toMatchObject({ refundRatio: 1, rewardPoints: -90 });
+    expect(dollars).toMatchObject({ rewardPoints: 0, refundError: 'refund is in USD but transaction 1 is in EUR' });
+  });
+
+  test('attributes the clawback to the original month', () => {
+    const { userRewards } = calculateUserRewards(
+      scoreTransactions([
+        { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-15', product: 'Headphones', price: 120 },
+        refund(2, '2024-02-01', 60),
+      ]),
+      null,
+      null,
+      { campaigns: [] }
+    );
+
+    expect(userRewards).toEqual([
+      expect.objectContaining({ month: 1, year: 2024, totalPoints: 45 }),
+    ]);
+  });
+
+  test('leaves spend unchanged for rejected refunds', () => {
+    const { userRewards } = calculateUserRewards(
+      scoreTransactions([
+        { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-15', product: 'Headphones', price: 120 },
+        refund(2, '2024-02-01', 130),
+        refund(3, '2024-02-02', 40, 99),
+      ]),
+      null,
+      null,
+      { campaigns: [] }
+    );
+
+    expect(userRewards).toEqual([
+      expect.objectContaining({ month: 1, year: 2024, spend: 120 }),
+      expect.objectContaining({ month: 2, year: 2024, totalPoints: 0, spend: 0 }),
+    ]);
+  });
+});
@@ -0,0 +1,135 @@
+import logger from "./logger";
+import { DEFAULT_RULE_SET, getRuleSetErrors } from "./rewardRules";
+import defaultProgramConfig from "../config/rewardPrograms.json";
+
+/**
+ * @typedef {object} ProgramVersion
+ * @property {string} version - Identifier recorded on every transaction scored by this version.
+ * @property {string|null} effectiveFrom - First day the version applies ('YYYY-MM-DD'), or null for no lower bound.
+ * @property {string|null} effectiveTo - Last day the version applies ('YYYY-MM-DD'), or null for no upper bound.
+ * @property {import("./rewardRules").RuleSet} [ruleSet] - Rules in force; the default rule set when omitted.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error thrown when the program version list fails validation. `errors` lists every problem found.
+ */
+export class ProgramValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid reward program versions: ${errors.join("; ")}`);
+    this.name = "ProgramValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks if a value is null or a 'YYYY-MM-DD' date string.
+ * @param {*} value - Value to check.
+ * @returns {boolean}
+ */
+const isOptionalDate = (value) =>
+  value === null || (typeof value === "string" && DATE_PATTERN.test(value));
+
+/**
+ * Collects validation problems for a list of program versions without throwing.
+ * Versions must be ordered by `effectiveFrom` and their date windows must not overlap.
+ *
+ * @param {ProgramVersion[]} versions - The program versions to check.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getProgramErrors = (versions) => {
+  if (!Array.isArray(versions) || versions.length === 0) {
+    return ["program versions must be a non-empty array"];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  versions.forEach((program, index) => {
+    const label = `versions[${index}]`;
+
+    if (!program.version || typeof program.version !== "string") {
+      errors.push(`${label}.version must be a non-empty string`);
+    } else if (seen.has(program.version)) {
+      errors.push(`${label}.version "${program.version}" is duplicated`);
+    } else {
+      seen.add(program.version);
+    }
+
+    if (!isOptionalDate(program.effectiveFrom)) {
+      errors.push(`${label}.effectiveFrom must be a YYYY-MM-DD date or null`);
+    }
+    if (!isOptionalDate(program.effectiveTo)) {
+      errors.push(`${label}.effectiveTo must be a YYYY-MM-DD date or null`);
+    }
+    if (
+      program.effectiveFrom &&
+      program.effectiveTo &&
+      program.effectiveTo < program.effectiveFrom
+    ) {
+      errors.push(`${label}.effectiveTo must not be before effectiveFrom`);
+    }
+
+    if (program.ruleSet !== undefined) {
+      getRuleSetErrors(program.ruleSet).forEach((error) =>
+        errors.push(`${label}.ruleSet: ${error}`)
+      );
+    }
+
+    if (index === 0) return;
+
+    const previous = versions[index - 1];
+    if (program.effectiveFrom === null || (previous.effectiveFrom && program.effectiveFrom < previous.effectiveFrom)) {
+      errors.push(`${label} is out of order`);
+    } else if (previous.effectiveTo === null || program.effectiveFrom <= previous.effectiveTo) {
+      errors.push(`${label} overlaps versions[${index - 1}]`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates a list of program versions and returns it unchanged.
+ *
+ * @param {ProgramVersion[]} versions - The program versions to validate.
+ * @returns {ProgramVersion[]} The same list.
+ * @throws {ProgramValidationError} If any version is malformed or the windows overlap.
+ */
+export const validateProgramVersions = (versions) => {
+  const errors = getProgramErrors(versions);
+  if (errors.length > 0) {
+    logger.error("validateProgramVersions: Rejected program versions:", errors.join("; "));
+    throw new ProgramValidationError(errors);
+  }
+  return versions;
+};
+
+/**
+ * Finds the program version in force on a given date.
+ *
+ * @param {ProgramVersion[]} versions - Validated program versions.
+ * @param {string} date - The date in 'YYYY-MM-DD' format.
+ * @returns {ProgramVersion|null} The active version, or null if no version covers the date.
+ */
+export const resolveProgramVersion = (versions, date) =>
+  versions.find(
+    (program) =>
+      (!program.effectiveFrom || date >= program.effectiveFrom) &&
+      (!program.effectiveTo || date <= program.effectiveTo)
+  ) || null;
+
+/**
+ * Returns the rule set a program version applies.
+ *
+ * @param {ProgramVersion} program - The program version.
+ * @returns {import("./rewardRules").RuleSet}
+ */
+export const getProgramRuleSet = (program) => program.ruleSet || DEFAULT_RULE_SET;
+
+/**
+ * The program versions shipped in `src/config/rewardPrograms.json`.
+ * @type {ProgramVersion[]}
+ */
+export const DEFAULT_PROGRAM_VERSIONS = validateProgramVersions(defaultProgramConfig);
@@ -0,0 +1,54 @@
+import {
+  ProgramValidationError,
+  resolveProgramVersion,
+  validateProgramVersions,
+} from './rewardPrograms';
+import { calculateUserRewards, scoreTransaction } from './calculateRewards';
+
+describe('reward program versions', () => {
+  const versions = [
+    { version: 'v1', effectiveFrom: null, effectiveTo: '2024-03-31' },
+    {
+      version: 'v2',
+      effectiveFrom: '2024-04-01',
+      effectiveTo: null,
+      ruleSet: { id: 'flat', tiers: [{ min: 0, max: null, multiplier: 1 }] },
+    },
+  ];
+
+  test('resolves the version in force on a date', () => {
+    expect(resolveProgramVersion(versions, '2024-03-31').version).toBe('v1');
+    expect(resolveProgramVersion(versions, '2024-04-01').version).toBe('v2');
+  });
+
+  test('scores historical transactions with the rules in force at purchase time', () => {
+    const march = scoreTransaction({ customerId: 1, name: 'A', date: '2024-03-10', price: 120 }, versions);
+    const april = scoreTransaction({ customerId: 1, name: 'A', date: '2024-04-10', price: 120 }, versions);
+
+    expect(march).toMatchObject({ rewardPoints: 90, programVersion: 'v1' });
+    expect(april).toMatchObject({ rewardPoints: 120, programVersion: 'v2' });
+  });
+
+  test('calculateUserRewards scores unscored transactions by date', () => {
+    const { userRewards } = calculateUserRewards(
+      [
+        { customerId: 1, name: 'A', date: '2024-03-10', price: 120 },
+        { customerId: 1, name: 'A', date: '2024-04-10', price: 120 },
+      ],
+      null,
+      null,
+      { programVersions: versions, campaigns: [] }
+    );
+
+    expect(userRewards.map((reward) => reward.totalPoints)).toEqual([90, 120]);
+  });
+
+  test('rejects overlapping windows', () => {
+    const overlapping = [
+      { version: 'v1', effectiveFrom: null, effectiveTo: '2024-04-30' },
+      { version: 'v2', effectiveFrom: '2024-04-01', effectiveTo: null },
+    ];
+
+    expect(() => validateProgramVersions(overlapping)).toThrow(ProgramValidationError);
+  });
+});
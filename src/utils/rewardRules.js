@@ -0,0 +1,220 @@
+import logger from "./logger";
+import defaultRuleSetConfig from "../config/rewardRules.json";
+
+/**
+ * @typedef {object} RewardTier
+ * @property {number} min - Whole-dollar amount above which the tier starts earning.
+ * @property {number|null} max - Whole-dollar amount at which the tier stops earning (null for no upper bound).
+ * @property {number} multiplier - Points earned for every whole dollar spent inside the tier.
+ */
+
+/**
+ * @typedef {object} FlatBonus
+ * @property {number} minPrice - Whole-dollar price a transaction must reach to earn the bonus.
+ * @property {number} points - Points added on top of the tier points.
+ */
+
+/**
+ * @typedef {object} RuleSet
+ * @property {string} id - Identifier of the rule set.
+ * @property {string} [name] - Human readable name of the rule set.
+ * @property {RewardTier[]} tiers - Spend tiers, ordered by `min` and non-overlapping.
+ * @property {FlatBonus[]} [flatBonuses] - Fixed bonuses awarded once a price threshold is reached.
+ * @property {Object<string, number>} [categoryMultipliers] - Per-category multipliers applied on top of the base points.
+ * @property {string[]} [excludedCategories] - Product categories that earn no points.
+ * @property {number|null} [maxPointsPerTransaction] - Upper limit on points for a single transaction.
+ */
+
+/**
+ * @typedef {object} PointsBreakdown
+ * @property {number} basePoints - Points from tiers and flat bonuses.
+ * @property {number} bonusPoints - Extra points from the product category multiplier.
+ * @property {number} points - Total points earned (`basePoints + bonusPoints`).
+ */
+
+/**
+ * Error thrown when a rule set fails validation. `errors` lists every problem found.
+ */
+export class RuleSetValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid reward rule set: ${errors.join("; ")}`);
+    this.name = "RuleSetValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks if a value is a finite, non-negative number.
+ * @param {*} value - Value to check.
+ * @returns {boolean}
+ */
+const isNonNegativeNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+/**
+ * Collects validation problems for a rule set without throwing.
+ *
+ * @param {RuleSet} ruleSet - The rule set to check.
+ * @returns {string[]} A list of human readable problems (empty when valid).
+ */
+export const getRuleSetErrors = (ruleSet) => {
+  const errors = [];
+
+  if (!ruleSet || typeof ruleSet !== "object") {
+    return ["rule set must be an object"];
+  }
+
+  if (!ruleSet.id || typeof ruleSet.id !== "string") {
+    errors.push("id must be a non-empty string");
+  }
+
+  if (!Array.isArray(ruleSet.tiers) || ruleSet.tiers.length === 0) {
+    errors.push("tiers must be a non-empty array");
+  } else {
+    ruleSet.tiers.forEach((tier, index) => {
+      const label = `tiers[${index}]`;
+
+      if (!isNonNegativeNumber(tier.min)) {
+        errors.push(`${label}.min must be a non-negative number`);
+      }
+      if (tier.max !== null && !isNonNegativeNumber(tier.max)) {
+        errors.push(`${label}.max must be a non-negative number or null`);
+      }
+      if (!isNonNegativeNumber(tier.multiplier)) {
+        errors.push(`${label}.multiplier must be a non-negative number`);
+      }
+      if (isNonNegativeNumber(tier.max) && tier.max <= tier.min) {
+        errors.push(`${label}.max must be greater than min`);
+      }
+
+      if (index === 0) return;
+
+      const previous = ruleSet.tiers[index - 1];
+      if (tier.min < previous.min) {
+        errors.push(`${label} is out of order: min ${tier.min} is below previous min ${previous.min}`);
+      } else if (previous.max === null || tier.min < previous.max) {
+        errors.push(`${label} overlaps tiers[${index - 1}]`);
+      }
+    });
+  }
+
+  if (ruleSet.flatBonuses !== undefined) {
+    if (!Array.isArray(ruleSet.flatBonuses)) {
+      errors.push("flatBonuses must be an array");
+    } else {
+      ruleSet.flatBonuses.forEach((bonus, index) => {
+        if (!isNonNegativeNumber(bonus.minPrice)) {
+          errors.push(`flatBonuses[${index}].minPrice must be a non-negative number`);
+        }
+        if (!isNonNegativeNumber(bonus.points)) {
+          errors.push(`flatBonuses[${index}].points must be a non-negative number`);
+        }
+      });
+    }
+  }
+
+  if (ruleSet.categoryMultipliers !== undefined) {
+    if (!ruleSet.categoryMultipliers || typeof ruleSet.categoryMultipliers !== "object") {
+      errors.push("categoryMultipliers must be an object");
+    } else {
+      Object.entries(ruleSet.categoryMultipliers).forEach(([category, multiplier]) => {
+        if (!isNonNegativeNumber(multiplier) || multiplier < 1) {
+          errors.push(`categoryMultipliers.${category} must be a number of at least 1`);
+        }
+      });
+    }
+  }
+
+  if (
+    ruleSet.excludedCategories !== undefined &&
+    (!Array.isArray(ruleSet.excludedCategories) ||
+      ruleSet.excludedCategories.some((category) => typeof category !== "string"))
+  ) {
+    errors.push("excludedCategories must be an array of strings");
+  }
+
+  const cap = ruleSet.maxPointsPerTransaction;
+  if (cap !== undefined && cap !== null && !isNonNegativeNumber(cap)) {
+    errors.push("maxPointsPerTransaction must be a non-negative number or null");
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a rule set and returns it unchanged.
+ *
+ * @param {RuleSet} ruleSet - The rule set to validate.
+ * @returns {RuleSet} The same rule set.
+ * @throws {RuleSetValidationError} If the rule set is malformed.
+ */
+export const validateRuleSet = (ruleSet) => {
+  const errors = getRuleSetErrors(ruleSet);
+  if (errors.length > 0) {
+    logger.error("validateRuleSet: Rejected rule set:", errors.join("; "));
+    throw new RuleSetValidationError(errors);
+  }
+  return ruleSet;
+};
+
+/**
+ * Evaluates a rule set against a transaction price and product category.
+ * The price is floored to whole dollars and every tier pays its multiplier for
+ * the dollars that fall inside it; flat bonuses are added to form the base points.
+ * The category multiplier then adds bonus points on top, and the cap is applied
+ * last, trimming bonus points before base points. Excluded categories earn nothing.
+ *
+ * @param {RuleSet} ruleSet - A validated rule set.
+ * @param {number} price - The transaction price.
+ * @param {string} [category] - The product category of the transaction.
+ * @returns {PointsBreakdown} The base, bonus and total points earned.
+ */
+export const getPointsBreakdown = (ruleSet, price, category) => {
+  if (category && (ruleSet.excludedCategories || []).includes(category)) {
+    return { basePoints: 0, bonusPoints: 0, points: 0 };
+  }
+
+  const wholePrice = Math.floor(price);
+
+  let basePoints = ruleSet.tiers.reduce((sum, tier) => {
+    if (wholePrice <= tier.min) return sum;
+    const upper = tier.max === null ? wholePrice : Math.min(wholePrice, tier.max);
+    return sum + (upper - tier.min) * tier.multiplier;
+  }, 0);
+
+  (ruleSet.flatBonuses || []).forEach((bonus) => {
+    if (wholePrice >= bonus.minPrice) {
+      basePoints += bonus.points;
+    }
+  });
+
+  basePoints = Math.floor(basePoints);
+
+  const multiplier = (category && (ruleSet.categoryMultipliers || {})[category]) || 1;
+  let bonusPoints = Math.floor(basePoints * (multiplier - 1));
+
+  const cap = ruleSet.maxPointsPerTransaction;
+  if (cap !== undefined && cap !== null) {
+    bonusPoints = Math.max(0, Math.min(bonusPoints, cap - basePoints));
+    basePoints = Math.min(basePoints, cap);
+  }
+
+  return { basePoints, bonusPoints, points: basePoints + bonusPoints };
+};
+
+/**
+ * Evaluates a rule set against a transaction price.
+ *
+ * @param {RuleSet} ruleSet - A validated rule set.
+ * @param {number} price - The transaction price.
+ * @param {string} [category] - The product category of the transaction.
+ * @returns {number} The reward points earned.
+ */
+export const evaluateRuleSet = (ruleSet, price, category) =>
+  getPointsBreakdown(ruleSet, price, category).points;
+
+/**
+ * The rule set shipped in `src/config/rewardRules.json`.
+ * @type {RuleSet}
+ */
+export const DEFAULT_RULE_SET = validateRuleSet(defaultRuleSetConfig);
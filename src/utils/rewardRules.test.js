@@ -0,0 +1,94 @@
+import {
+  DEFAULT_RULE_SET,
+  RuleSetValidationError,
+  evaluateRuleSet,
+  getPointsBreakdown,
+  validateRuleSet,
+} from './rewardRules';
+
+describe('evaluateRuleSet', () => {
+  test('default rule set matches the original 50/100 tiers', () => {
+    expect(evaluateRuleSet(DEFAULT_RULE_SET, 40)).toBe(0);
+    expect(evaluateRuleSet(DEFAULT_RULE_SET, 80.5)).toBe(30);
+    expect(evaluateRuleSet(DEFAULT_RULE_SET, 120)).toBe(90);
+  });
+
+  test('applies flat bonuses and the per-transaction cap', () => {
+    const ruleSet = {
+      id: 'promo',
+      tiers: [{ min: 0, max: null, multiplier: 1 }],
+      flatBonuses: [{ minPrice: 100, points: 25 }],
+      maxPointsPerTransaction: 150,
+    };
+
+    expect(evaluateRuleSet(ruleSet, 99)).toBe(99);
+    expect(evaluateRuleSet(ruleSet, 100)).toBe(125);
+    expect(evaluateRuleSet(ruleSet, 500)).toBe(150);
+  });
+});
+
+describe('getPointsBreakdown', () => {
+  const electronicsRuleSet = { ...DEFAULT_RULE_SET, categoryMultipliers: { electronics: 2 } };
+
+  test('the default rule set gives no category bonus', () => {
+    expect(getPointsBreakdown(DEFAULT_RULE_SET, 120, 'electronics')).toEqual({
+      basePoints: 90,
+      bonusPoints: 0,
+      points: 90,
+    });
+  });
+
+  test('adds category bonus points on top of the base tier points', () => {
+    expect(getPointsBreakdown(electronicsRuleSet, 120, 'electronics')).toEqual({
+      basePoints: 90,
+      bonusPoints: 90,
+      points: 180,
+    });
+    expect(getPointsBreakdown(electronicsRuleSet, 120, 'audio')).toEqual({
+      basePoints: 90,
+      bonusPoints: 0,
+      points: 90,
+    });
+  });
+
+  test('excluded categories earn nothing', () => {
+    expect(getPointsBreakdown(DEFAULT_RULE_SET, 120, 'gift-cards').points).toBe(0);
+  });
+
+  test('the cap trims bonus points before base points', () => {
+    const ruleSet = { ...electronicsRuleSet, maxPointsPerTransaction: 100 };
+
+    expect(getPointsBreakdown(ruleSet, 120, 'electronics')).toEqual({
+      basePoints: 90,
+      bonusPoints: 10,
+      points: 100,
+    });
+  });
+});
+
+describe('validateRuleSet', () => {
+  test('rejects out-of-order tiers', () => {
+    const ruleSet = {
+      id: 'bad',
+      tiers: [
+        { min: 100, max: null, multiplier: 2 },
+        { min: 50, max: 100, multiplier: 1 },
+      ],
+    };
+
+    expect(() => validateRuleSet(ruleSet)).toThrow(RuleSetValidationError);
+    expect(() => validateRuleSet(ruleSet)).toThrow(/out of order/);
+  });
+
+  test('rejects overlapping tiers', () => {
+    const ruleSet = {
+      id: 'bad',
+      tiers: [
+        { min: 50, max: 120, multiplier: 1 },
+        { min: 100, max: null, multiplier: 2 },
+      ],
+    };
+
+    expect(() => validateRuleSet(ruleSet)).toThrow(/overlaps tiers\[0\]/);
+  });
+});
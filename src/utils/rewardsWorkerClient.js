@@ -0,0 +1,77 @@
+import logger from "./logger";
+import rewardsTasks from "../workers/rewardsTasks";
+
+let workerPromise = null;
+let nextId = 0;
+const pending = new Map();
+
+/**
+ * Rejects every task waiting on the worker and forgets it, so the next task
+ * starts a fresh one.
+ *
+ * @param {Error} error - Why the worker failed.
+ */
+const failPending = (error) => {
+  pending.forEach(({ reject }) => reject(error));
+  pending.clear();
+  workerPromise = null;
+};
+
+/**
+ * Starts the shared rewards worker on first use.
+ *
+ * @returns {Promise<Worker>}
+ */
+const getWorker = () =>
+  workerPromise ||
+  (workerPromise = import("../workers/createRewardsWorker").then(({ createRewardsWorker }) => {
+    const worker = createRewardsWorker();
+
+    worker.onmessage = ({ data: { id, result, error } }) => {
+      const task = pending.get(id);
+      if (!task) return;
+      pending.delete(id);
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+    };
+    worker.onerror = (event) => {
+      logger.error("rewardsWorkerClient: Worker failed:", event.message);
+      worker.terminate();
+      failPending(new Error(event.message || "Rewards worker failed"));
+    };
+
+    return worker;
+  }));
+
+/**
+ * Runs a rewards task (`scoreTransactions`, `reviewTransactions` or
+ * `calculateUserRewards`) in a Web Worker so large datasets do not block the
+ * UI. Where workers are not available, such as in Jest, or the worker cannot
+ * be started, the task runs on the main thread instead.
+ *
+ * @param {keyof typeof rewardsTasks} task - The task name.
+ * @param {Array} args - Arguments for the task; must be structured-cloneable.
+ * @returns {Promise<*>} The task's result.
+ */
+export const runRewardsTask = async (task, args) => {
+  if (typeof Worker === "undefined") return rewardsTasks[task](...args);
+
+  let worker;
+  try {
+    worker = await getWorker();
+  } catch (error) {
+    logger.warn("rewardsWorkerClient: Could not start worker, running on the main thread:", error);
+    workerPromise = null;
+    return rewardsTasks[task](...args);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextId;
+    nextId += 1;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, task, args });
+  });
+};
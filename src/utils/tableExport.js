@@ -0,0 +1,114 @@
+import ExcelJS from "exceljs";
+import logger from "./logger";
+
+/**
+ * @typedef {object} ExportColumn
+ * @property {string} header - Column heading in the exported file.
+ * @property {(row: object) => string|number|null|undefined} value - Reads the cell value from a row.
+ * Return numbers for numeric columns so spreadsheets can sum them.
+ * @property {string} [numberFormat] - Excel number format for numeric cells, e.g. "0.00" for money.
+ */
+
+/**
+ * @typedef {"csv"|"xlsx"} ExportFormat
+ */
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const MIME_TYPES = {
+  csv: "text/csv;charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * Escapes one CSV cell. Text is quoted when it contains a delimiter, quote or
+ * line break, and text that a spreadsheet would run as a formula is prefixed
+ * with an apostrophe. Numbers are written as plain, unformatted numbers.
+ *
+ * @param {string|number|null|undefined} value - The cell value.
+ * @returns {string}
+ */
+export const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return Number.isFinite(value) ? String(value) : "";
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document from rows, with a header line and CRLF line endings.
+ *
+ * @param {ExportColumn[]} columns - Columns to export.
+ * @param {object[]} rows - Rows in export order.
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCsvCell(column.header)),
+    ...rows.map((row) => columns.map((column) => escapeCsvCell(column.value(row)))),
+  ]
+    .map((cells) => cells.join(","))
+    .join("\r\n");
+
+/**
+ * Builds a single-sheet XLSX workbook from rows. Numeric values stay numeric
+ * cells, formatted with the column's `numberFormat` when one is given.
+ *
+ * @param {ExportColumn[]} columns - Columns to export.
+ * @param {object[]} rows - Rows in export order.
+ * @param {string} [sheetName] - Name of the worksheet.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const toXlsx = async (columns, rows, sheetName = "Export") => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+
+  sheet.addRow(columns.map((column) => column.header));
+  rows.forEach((row) => {
+    sheet.addRow(columns.map((column) => {
+      const value = column.value(row);
+      return value === undefined ? null : value;
+    }));
+  });
+
+  columns.forEach((column, columnIndex) => {
+    if (!column.numberFormat) return;
+    sheet.getColumn(columnIndex + 1).eachCell((cell, rowNumber) => {
+      if (rowNumber > 1 && typeof cell.value === "number") cell.numFmt = column.numberFormat;
+    });
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Exports rows as CSV or XLSX and starts a browser download.
+ *
+ * @param {object} options - Export options.
+ * @param {string} options.filename - File name without extension.
+ * @param {ExportFormat} options.format - File format.
+ * @param {ExportColumn[]} options.columns - Columns to export.
+ * @param {object[]} options.rows - Rows in export order.
+ * @returns {Promise<void>} Resolves once the download has started.
+ */
+export const downloadTable = async ({ filename, format, columns, rows }) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  // The BOM lets Excel detect UTF-8 when opening the CSV directly.
+  const content = format === "csv" ? ["\uFEFF", toCsv(columns, rows)] : [await toXlsx(columns, rows, filename)];
+  const url = URL.createObjectURL(new Blob(content, { type: MIME_TYPES[format] }));
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${filename}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  logger.info(`downloadTable: Exported ${rows.length} rows to ${link.download}`);
+};
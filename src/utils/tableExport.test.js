@@ -0,0 +1,48 @@
+import ExcelJS from 'exceljs';
+import { escapeCsvCell, toCsv, toXlsx } from './tableExport';
+
+describe('tableExport', () => {
+  const columns = [
+    { header: 'Name', value: (row) => row.name },
+    { header: 'Price', value: (row) => row.price, numberFormat: '0.00' },
+    { header: 'Note', value: (row) => row.note },
+  ];
+  const rows = [
+    { name: 'Doe, John', price: 120, note: 'said "hi"' },
+    { name: 'Jane Smith', price: -75.5, note: undefined },
+  ];
+
+  test('escapes delimiters, quotes and line breaks', () => {
+    expect(escapeCsvCell('plain')).toBe('plain');
+    expect(escapeCsvCell('a,b')).toBe('"a,b"');
+    expect(escapeCsvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvCell('two\nlines')).toBe('"two\nlines"');
+    expect(escapeCsvCell(null)).toBe('');
+  });
+
+  test('neutralises text that would run as a formula but keeps negative numbers', () => {
+    expect(escapeCsvCell('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(escapeCsvCell('-5')).toBe("'-5");
+    expect(escapeCsvCell(-5)).toBe('-5');
+  });
+
+  test('builds CSV with a header and unformatted numbers', () => {
+    expect(toCsv(columns, rows)).toBe(
+      'Name,Price,Note\r\n"Doe, John",120,"said ""hi"""\r\nJane Smith,-75.5,'
+    );
+  });
+
+  test('builds an XLSX sheet with numeric money cells', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx(columns, rows));
+    const sheet = workbook.worksheets[0];
+
+    expect(sheet.getSheetValues().slice(1).map((values) => values.slice(1))).toEqual([
+      ['Name', 'Price', 'Note'],
+      ['Doe, John', 120, 'said "hi"'],
+      ['Jane Smith', -75.5],
+    ]);
+    expect(sheet.getCell('B2').numFmt).toBe('0.00');
+    expect(sheet.getCell('A1').numFmt).toBeUndefined();
+  });
+});
@@ -0,0 +1,221 @@
+import { getBaseAmount } from "./currency";
+
+/**
+ * @typedef {object} TableFilters
+ * @property {string} search - Free text matched against names, IDs, products and categories.
+ * @property {string} customer - Customer name (partial, any case) or exact customer ID.
+ * @property {string} product - Product name (partial, any case).
+ * @property {number|null} minPrice - Lowest transaction price, in the base currency.
+ * @property {number|null} maxPrice - Highest transaction price, in the base currency.
+ * @property {number|null} minPoints - Fewest points (per transaction, month or customer total).
+ * @property {number|null} maxPoints - Most points (per transaction, month or customer total).
+ * @property {number|null} month - Calendar month (1-12) of monthly rewards.
+ * @property {number|null} year - Year of monthly rewards.
+ */
+
+/**
+ * Query string parameter used for each filter, next to the `start` and `end` date range.
+ */
+export const FILTER_PARAMS = {
+  search: "q",
+  customer: "customer",
+  product: "product",
+  minPrice: "minPrice",
+  maxPrice: "maxPrice",
+  minPoints: "minPoints",
+  maxPoints: "maxPoints",
+  month: "month",
+  year: "year",
+};
+
+const TEXT_FILTERS = ["search", "customer", "product"];
+
+/**
+ * Filters a paginating data source applies itself. Points are worked out in
+ * the browser and month/year only applies to monthly rewards, so those stay here.
+ */
+export const SERVER_FILTERS = ["search", "customer", "product", "minPrice", "maxPrice"];
+
+/**
+ * Filters that match everything.
+ * @type {TableFilters}
+ */
+export const EMPTY_FILTERS = Object.freeze({
+  search: "",
+  customer: "",
+  product: "",
+  minPrice: null,
+  maxPrice: null,
+  minPoints: null,
+  maxPoints: null,
+  month: null,
+  year: null,
+});
+
+/**
+ * Reads one numeric filter, ignoring values that are not numbers.
+ *
+ * @param {string|null} value - The raw parameter.
+ * @returns {number|null}
+ */
+const parseNumber = (value) => {
+  if (value === null || value.trim() === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Reads the filters from a query string. Unknown or malformed values are ignored.
+ *
+ * @param {URLSearchParams} searchParams - The current query string.
+ * @returns {TableFilters}
+ */
+export const parseFilters = (searchParams) => {
+  const filters = { ...EMPTY_FILTERS };
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    const value = searchParams.get(param);
+    filters[key] = TEXT_FILTERS.includes(key) ? value || "" : parseNumber(value);
+  });
+  if (filters.month !== null && !(Number.isInteger(filters.month) && filters.month >= 1 && filters.month <= 12)) {
+    filters.month = null;
+  }
+  return filters;
+};
+
+/**
+ * Writes filters into a copy of a query string, dropping empty ones and
+ * keeping every other parameter (such as the date range) as it is.
+ *
+ * @param {URLSearchParams} searchParams - The current query string.
+ * @param {TableFilters} filters - The filters to store.
+ * @returns {URLSearchParams}
+ */
+export const writeFilters = (searchParams, filters) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    const value = filters[key];
+    if (value === null || value === undefined || String(value).trim() === "") {
+      next.delete(param);
+    } else {
+      next.set(param, String(value));
+    }
+  });
+  return next;
+};
+
+/**
+ * Whether any filter is set.
+ *
+ * @param {TableFilters} filters - The filters.
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) =>
+  Object.keys(EMPTY_FILTERS).some((key) => filters[key] !== EMPTY_FILTERS[key]);
+
+/**
+ * Picks the filters a paginating data source applies, leaving out empty ones.
+ *
+ * @param {Partial<TableFilters>} filters - The filters, or a page query holding them.
+ * @returns {Partial<TableFilters>}
+ */
+export const getServerFilters = (filters) =>
+  SERVER_FILTERS.reduce((query, key) => {
+    const value = filters[key];
+    if (value !== undefined && value !== null && String(value).trim() !== "") query[key] = value;
+    return query;
+  }, {});
+
+/**
+ * Case-insensitive "contains" check.
+ *
+ * @param {*} value - The value to look in.
+ * @param {string} query - The text to look for.
+ * @returns {boolean}
+ */
+const includesText = (value, query) =>
+  value !== undefined && value !== null && String(value).toLowerCase().includes(query.toLowerCase());
+
+/**
+ * Checks a row against the free-text search.
+ *
+ * @param {object} row - The row.
+ * @param {string} search - The search text.
+ * @param {string[]} fields - Fields searched.
+ * @returns {boolean}
+ */
+const matchesSearch = (row, search, fields) =>
+  !search.trim() || fields.some((field) => includesText(row[field], search.trim()));
+
+/**
+ * Checks a row against the customer filter: an exact ID or part of the name.
+ *
+ * @param {{customerId: number, name: string}} row - The row.
+ * @param {string} customer - The customer filter.
+ * @returns {boolean}
+ */
+const matchesCustomer = (row, customer) => {
+  const query = customer.trim();
+  return !query || String(row.customerId) === query || includesText(row.name, query);
+};
+
+/**
+ * Checks a value against an optional inclusive range.
+ *
+ * @param {number} value - The value.
+ * @param {number|null} min - Lower bound.
+ * @param {number|null} max - Upper bound.
+ * @returns {boolean}
+ */
+const inRange = (value, min, max) =>
+  (min === null || value >= min) && (max === null || value <= max);
+
+/**
+ * Applies the search, customer, product, price and points filters to transactions.
+ * Prices are compared in the base currency, so one bound means the same amount
+ * whatever currency a transaction was made in.
+ *
+ * @param {import("./calculateRewards").Transaction[]} transactions - Transactions to filter.
+ * @param {Partial<TableFilters>} filters - The filters; missing ones match everything.
+ * @returns {import("./calculateRewards").Transaction[]}
+ */
+export const filterTransactions = (transactions, filters) => {
+  const { search, customer, product, minPrice, maxPrice, minPoints, maxPoints } = { ...EMPTY_FILTERS, ...filters };
+  return transactions.filter((transaction) =>
+    matchesSearch(transaction, search, ["name", "customerId", "product", "category", "transactionId"]) &&
+    matchesCustomer(transaction, customer) &&
+    (!product.trim() || includesText(transaction.product, product.trim())) &&
+    inRange(getBaseAmount(transaction), minPrice, maxPrice) &&
+    inRange(transaction.rewardPoints, minPoints, maxPoints));
+};
+
+/**
+ * Applies the search, customer, points, month and year filters to monthly rewards.
+ *
+ * @param {import("./calculateRewards").UserReward[]} userRewards - Monthly rewards to filter.
+ * @param {Partial<TableFilters>} filters - The filters; missing ones match everything.
+ * @returns {import("./calculateRewards").UserReward[]}
+ */
+export const filterUserRewards = (userRewards, filters) => {
+  const { search, customer, minPoints, maxPoints, month, year } = { ...EMPTY_FILTERS, ...filters };
+  return userRewards.filter((reward) =>
+    matchesSearch(reward, search, ["name", "customerId"]) &&
+    matchesCustomer(reward, customer) &&
+    inRange(reward.totalPoints, minPoints, maxPoints) &&
+    (month === null || reward.month === month) &&
+    (year === null || reward.year === year));
+};
+
+/**
+ * Applies the search, customer and points filters to customer totals.
+ *
+ * @param {import("./calculateRewards").TotalReward[]} totalRewards - Totals to filter.
+ * @param {Partial<TableFilters>} filters - The filters; missing ones match everything.
+ * @returns {import("./calculateRewards").TotalReward[]}
+ */
+export const filterTotalRewards = (totalRewards, filters) => {
+  const { search, customer, minPoints, maxPoints } = { ...EMPTY_FILTERS, ...filters };
+  return totalRewards.filter((reward) =>
+    matchesSearch(reward, search, ["name", "customerId"]) &&
+    matchesCustomer(reward, customer) &&
+    inRange(reward.totalPoints, minPoints, maxPoints));
+};
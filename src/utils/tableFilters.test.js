@@ -0,0 +1,84 @@
+import {
+  EMPTY_FILTERS,
+  filterTotalRewards,
+  filterTransactions,
+  filterUserRewards,
+  getServerFilters,
+  hasActiveFilters,
+  parseFilters,
+  writeFilters,
+} from './tableFilters';
+
+describe('tableFilters', () => {
+  const transactions = [
+    { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-10', product: 'Laptop', category: 'Electronics', price: 120, rewardPoints: 90 },
+    { transactionId: 2, customerId: 101, name: 'John Doe', date: '2024-02-05', product: 'Mouse', price: 70, rewardPoints: 20 },
+    { transactionId: 3, customerId: 102, name: 'Jane Smith', date: '2024-01-15', product: 'Desk Lamp', price: 45, rewardPoints: 0 },
+  ];
+  const userRewards = [
+    { year: 2024, month: 1, customerId: 101, name: 'John Doe', totalPoints: 90 },
+    { year: 2024, month: 2, customerId: 101, name: 'John Doe', totalPoints: 20 },
+    { year: 2023, month: 1, customerId: 102, name: 'Jane Smith', totalPoints: 25 },
+  ];
+  const ids = (rows) => rows.map((row) => row.transactionId);
+
+  test('reads filters from the query string, ignoring malformed numbers', () => {
+    const filters = parseFilters(new URLSearchParams('start=2024-01-01&q=lap&minPrice=50&maxPoints=abc&month=13&year=2024'));
+
+    expect(filters).toEqual({ ...EMPTY_FILTERS, search: 'lap', minPrice: 50, year: 2024 });
+    expect(hasActiveFilters(filters)).toBe(true);
+    expect(hasActiveFilters(parseFilters(new URLSearchParams('start=2024-01-01')))).toBe(false);
+  });
+
+  test('writes filters next to the date range and drops empty ones', () => {
+    const params = writeFilters(
+      new URLSearchParams('start=2024-01-01&product=desk'),
+      { ...EMPTY_FILTERS, customer: 'john', maxPrice: 100 }
+    );
+
+    expect(params.toString()).toBe('start=2024-01-01&customer=john&maxPrice=100');
+  });
+
+  test('searches names, IDs, products and categories', () => {
+    expect(ids(filterTransactions(transactions, { search: 'electro' }))).toEqual([1]);
+    expect(ids(filterTransactions(transactions, { search: 'JANE' }))).toEqual([3]);
+    expect(ids(filterTransactions(transactions, { search: '101' }))).toEqual([1, 2]);
+  });
+
+  test('filters prices in the base currency', () => {
+    const euros = [
+      { transactionId: 4, customerId: 103, price: 100, currency: 'EUR', baseAmount: 108 },
+      { transactionId: 5, customerId: 103, price: 104, baseAmount: 104 },
+    ];
+
+    expect(ids(filterTransactions(euros, { minPrice: 105 }))).toEqual([4]);
+    expect(ids(filterTransactions(euros, { maxPrice: 102 }))).toEqual([]);
+  });
+
+  test('combines customer, product, price and points filters', () => {
+    expect(ids(filterTransactions(transactions, { customer: '101', minPrice: 100 }))).toEqual([1]);
+    expect(ids(filterTransactions(transactions, { customer: 'doe', product: 'mouse' }))).toEqual([2]);
+    expect(ids(filterTransactions(transactions, { minPoints: 10, maxPoints: 50 }))).toEqual([2]);
+    expect(ids(filterTransactions(transactions, EMPTY_FILTERS))).toEqual([1, 2, 3]);
+  });
+
+  test('filters monthly rewards by month and year', () => {
+    expect(filterUserRewards(userRewards, { ...EMPTY_FILTERS, month: 1 })).toEqual([userRewards[0], userRewards[2]]);
+    expect(filterUserRewards(userRewards, { month: 1, year: 2024 })).toEqual([userRewards[0]]);
+  });
+
+  test('filters customer totals by search and points', () => {
+    const totals = [
+      { customerId: 101, name: 'John Doe', totalPoints: 110 },
+      { customerId: 102, name: 'Jane Smith', totalPoints: 25 },
+    ];
+
+    expect(filterTotalRewards(totals, { search: 'smith' })).toEqual([totals[1]]);
+    expect(filterTotalRewards(totals, { minPoints: 100 })).toEqual([totals[0]]);
+  });
+
+  test('passes only the filters a data source applies', () => {
+    expect(getServerFilters({ ...EMPTY_FILTERS, search: 'lap', minPrice: 0, minPoints: 10, month: 2 }))
+      .toEqual({ search: 'lap', minPrice: 0 });
+  });
+});
@@ -0,0 +1,203 @@
+import logger from "./logger";
+import { sortByDate } from "./dataSources";
+
+/**
+ * @typedef {object} CacheRecord
+ * @property {number} version - Cache format version.
+ * @property {import("./calculateRewards").Transaction[]} transactions - Raw transactions, sorted by date.
+ * @property {string|null} etag - ETag of the last full or incremental response.
+ * @property {string|null} lastModified - Last-Modified of the last response.
+ * @property {string|null} cursor - Change cursor from the source, or null if it only offers full loads.
+ * @property {string} syncedAt - When the cache was last synced (ISO timestamp).
+ */
+
+/**
+ * @typedef {object} CacheStore
+ * @property {(key: string) => Promise<CacheRecord|undefined>} load - Reads a record.
+ * @property {(key: string, record: CacheRecord) => Promise<void>} save - Writes a record.
+ * @property {(key: string) => Promise<void>} clear - Deletes a record.
+ */
+
+/**
+ * Bumped when the cached record format changes; older records are ignored.
+ */
+export const CACHE_VERSION = 2;
+
+export const CACHE_DB_NAME = "retailer-reward-program";
+export const CACHE_STORE_NAME = "transactionCache";
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest|IDBTransaction} request - The request or transaction.
+ * @param {() => *} getResult - Reads the result once it completes.
+ * @param {string} doneEvent - "onsuccess" for requests, "oncomplete" for transactions.
+ * @returns {Promise<*>}
+ */
+const promisify = (request, getResult, doneEvent) =>
+  new Promise((resolve, reject) => {
+    request[doneEvent] = () => resolve(getResult());
+    request.onerror = () => reject(request.error);
+    request.onabort = () => reject(request.error);
+  });
+
+/**
+ * Creates a cache store backed by IndexedDB.
+ *
+ * @param {object} [options] - Store options.
+ * @param {IDBFactory} [options.indexedDB] - The IndexedDB factory.
+ * @param {string} [options.dbName] - Database name.
+ * @param {string} [options.storeName] - Object store name.
+ * @returns {CacheStore}
+ */
+export const createIndexedDbStore = ({
+  indexedDB = window.indexedDB,
+  dbName = CACHE_DB_NAME,
+  storeName = CACHE_STORE_NAME,
+} = {}) => {
+  const open = () => {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+    return promisify(request, () => request.result, "onsuccess");
+  };
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    try {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      return await promisify(transaction, () => request.result, "oncomplete");
+    } finally {
+      db.close();
+    }
+  };
+
+  return {
+    load: (key) => run("readonly", (store) => store.get(key)),
+    save: async (key, record) => {
+      await run("readwrite", (store) => store.put(record, key));
+    },
+    clear: async (key) => {
+      await run("readwrite", (store) => store.delete(key));
+    },
+  };
+};
+
+/**
+ * Creates a cache store that lives only as long as the page, used where
+ * IndexedDB is unavailable (older browsers, some private modes, tests).
+ *
+ * @returns {CacheStore}
+ */
+export const createMemoryStore = () => {
+  const records = new Map();
+  return {
+    load: async (key) => records.get(key),
+    save: async (key, record) => {
+      records.set(key, record);
+    },
+    clear: async (key) => {
+      records.delete(key);
+    },
+  };
+};
+
+/**
+ * Returns an IndexedDB store when the browser supports it, else a memory store.
+ *
+ * @returns {CacheStore}
+ */
+export const createDefaultStore = () =>
+  typeof window !== "undefined" && window.indexedDB ? createIndexedDbStore() : createMemoryStore();
+
+/**
+ * Adds or replaces transactions by `transactionId`, and drops deleted ones.
+ *
+ * @param {import("./calculateRewards").Transaction[]} cached - Cached transactions.
+ * @param {import("./calculateRewards").Transaction[]} changes - Newly loaded transactions.
+ * @param {Array<number|string>} [deleted] - IDs of deleted transactions.
+ * @returns {import("./calculateRewards").Transaction[]} The merged list, sorted by date.
+ */
+export const upsertTransactions = (cached, changes, deleted = []) => {
+  const byId = new Map(cached.map((transaction) => [transaction.transactionId, transaction]));
+  changes.forEach((transaction) => byId.set(transaction.transactionId, transaction));
+  deleted.forEach((transactionId) => byId.delete(transactionId));
+  return sortByDate([...byId.values()]);
+};
+
+/**
+ * Reads a cache record, treating a broken or outdated store as empty.
+ *
+ * @param {CacheStore} store - The cache store.
+ * @param {string} key - The cache key.
+ * @returns {Promise<CacheRecord|null>}
+ */
+const readCache = async (store, key) => {
+  try {
+    const record = await store.load(key);
+    return record && record.version === CACHE_VERSION ? record : null;
+  } catch (error) {
+    logger.warn("syncTransactions: Could not read cache:", error);
+    return null;
+  }
+};
+
+/**
+ * Brings the cache for a data source up to date and returns its transactions.
+ *
+ * The first sync loads the whole dataset. Later syncs send the cached ETag and
+ * Last-Modified so an unchanged dataset is not downloaded again, and, when the
+ * source issued a change cursor, ask only for transactions changed since it.
+ * Those are merged into the cache by `transactionId` and deleted ones removed,
+ * so edits to old or backdated transactions are picked up too. The cursor
+ * comes from the source rather than transaction dates, which say nothing
+ * about when a row last changed.
+ *
+ * Cache read and write failures are logged and otherwise ignored, so a broken
+ * cache only costs a full download. Load failures are thrown.
+ * Date ranges are applied by the caller to the returned transactions.
+ *
+ * @param {import("./dataSources").DataSource} source - The data source.
+ * @param {CacheStore} store - The cache store.
+ * @param {{signal?: AbortSignal}} [options] - Cancellation.
+ * @returns {Promise<{transactions: import("./calculateRewards").Transaction[], fromCache: boolean}>}
+ * The cached transactions, and whether they were served without downloading any.
+ */
+export const syncTransactions = async (source, store, { signal } = {}) => {
+  const cached = await readCache(store, source.id);
+
+  const changes = await source.fetchChanges({
+    cursor: cached ? cached.cursor || undefined : undefined,
+    etag: cached ? cached.etag : null,
+    lastModified: cached ? cached.lastModified : null,
+    signal,
+  });
+
+  if (changes.notModified) {
+    if (!cached) throw new Error(`${source.id} answered "not modified" but nothing is cached`);
+    logger.info(`syncTransactions: ${source.id} not modified; using ${cached.transactions.length} cached transactions`);
+    return { transactions: cached.transactions, fromCache: true };
+  }
+
+  const transactions = changes.complete
+    ? changes.transactions
+    : upsertTransactions(cached.transactions, changes.transactions, changes.deleted);
+
+  logger.info(`syncTransactions: Loaded ${changes.transactions.length} transactions from ${source.id}` +
+    (changes.complete ? "" : ` since ${cached.cursor}`));
+
+  try {
+    await store.save(source.id, {
+      version: CACHE_VERSION,
+      transactions,
+      etag: changes.etag || null,
+      lastModified: changes.lastModified || null,
+      cursor: changes.cursor || null,
+      syncedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.warn("syncTransactions: Could not write cache:", error);
+  }
+
+  return { transactions, fromCache: false };
+};
@@ -0,0 +1,123 @@
+import {
+  CACHE_VERSION,
+  createMemoryStore,
+  syncTransactions,
+  upsertTransactions,
+} from './transactionCache';
+
+describe('transactionCache', () => {
+  const january = { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-15', price: 120 };
+  const february = { transactionId: 2, customerId: 101, name: 'John Doe', date: '2024-02-10', price: 80.5 };
+  const march = { transactionId: 3, customerId: 102, name: 'Jane Smith', date: '2024-03-05', price: 60.75 };
+
+  const createSource = (...changeSets) => {
+    const fetchChanges = jest.fn();
+    changeSets.forEach((changes) => fetchChanges.mockResolvedValueOnce(changes));
+    return { id: 'test:source', fetchChanges };
+  };
+
+  test('first sync loads everything and records validators and the cursor', async () => {
+    const store = createMemoryStore();
+    const source = createSource({
+      notModified: false, complete: true, transactions: [january, february], etag: '"v1"', lastModified: null, cursor: 'c1',
+    });
+
+    const result = await syncTransactions(source, store);
+
+    expect(result).toEqual({ transactions: [january, february], fromCache: false });
+    expect(source.fetchChanges).toHaveBeenCalledWith(expect.objectContaining({ cursor: undefined, etag: null }));
+    expect(await store.load('test:source')).toEqual(expect.objectContaining({
+      version: CACHE_VERSION, etag: '"v1"', cursor: 'c1',
+    }));
+  });
+
+  test('serves the cache when the source has not changed', async () => {
+    const store = createMemoryStore();
+    const source = createSource(
+      { notModified: false, complete: true, transactions: [january], etag: '"v1"', cursor: 'c1' },
+      { notModified: true }
+    );
+
+    await syncTransactions(source, store);
+    const result = await syncTransactions(source, store);
+
+    expect(source.fetchChanges).toHaveBeenLastCalledWith(expect.objectContaining({
+      cursor: 'c1', etag: '"v1"',
+    }));
+    expect(result).toEqual({ transactions: [january], fromCache: true });
+  });
+
+  test('merges incremental changes by transaction ID', async () => {
+    const store = createMemoryStore();
+    const corrected = { ...february, price: 90 };
+    const source = createSource(
+      { notModified: false, complete: true, transactions: [january, february], cursor: 'c1' },
+      { notModified: false, complete: false, transactions: [corrected, march], etag: '"v2"', cursor: 'c2' }
+    );
+
+    await syncTransactions(source, store);
+    const { transactions } = await syncTransactions(source, store);
+
+    expect(transactions).toEqual([january, corrected, march]);
+    expect((await store.load('test:source')).cursor).toBe('c2');
+  });
+
+  test('picks up edits to older transactions and drops deleted ones', async () => {
+    const store = createMemoryStore();
+    const corrected = { ...january, price: 60 };
+    const source = createSource(
+      { notModified: false, complete: true, transactions: [january, february, march], cursor: 'c1' },
+      { notModified: false, complete: false, transactions: [corrected], deleted: [2], cursor: 'c2' }
+    );
+
+    await syncTransactions(source, store);
+    const { transactions } = await syncTransactions(source, store);
+
+    expect(source.fetchChanges).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: 'c1' }));
+    expect(transactions).toEqual([corrected, march]);
+  });
+
+  test('loads everything again when the source issued no cursor', async () => {
+    const store = createMemoryStore();
+    const source = createSource(
+      { notModified: false, complete: true, transactions: [january] },
+      { notModified: false, complete: true, transactions: [january, march] }
+    );
+
+    await syncTransactions(source, store);
+    const { transactions } = await syncTransactions(source, store);
+
+    expect(source.fetchChanges).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: undefined }));
+    expect(transactions).toEqual([january, march]);
+  });
+
+  test('ignores records from an older cache format', async () => {
+    const store = createMemoryStore();
+    await store.save('test:source', { version: 1, transactions: [january], watermark: '2024-01-15' });
+    const source = createSource({ notModified: false, complete: true, transactions: [march] });
+
+    expect((await syncTransactions(source, store)).transactions).toEqual([march]);
+    expect(source.fetchChanges).toHaveBeenCalledWith(expect.objectContaining({ cursor: undefined }));
+  });
+
+  test('keeps working when the cache store fails', async () => {
+    const store = {
+      load: jest.fn().mockRejectedValue(new Error('blocked')),
+      save: jest.fn().mockRejectedValue(new Error('quota exceeded')),
+    };
+    const source = createSource({ notModified: false, complete: true, transactions: [january] });
+
+    expect((await syncTransactions(source, store)).transactions).toEqual([january]);
+  });
+
+  test('passes load failures on', async () => {
+    const source = { id: 'test:source', fetchChanges: jest.fn().mockRejectedValue(new Error('HTTP error! status: 503')) };
+
+    await expect(syncTransactions(source, createMemoryStore())).rejects.toThrow('503');
+  });
+
+  test('upserts keep date order', () => {
+    expect(upsertTransactions([march], [january])).toEqual([january, march]);
+    expect(upsertTransactions([january, march], [], [3])).toEqual([january]);
+  });
+});
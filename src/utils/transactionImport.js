@@ -0,0 +1,282 @@
+import logger from "./logger";
+import { parseDateString, toDateString } from "./dateUtils";
+import { REFUND_TYPE } from "./refunds";
+import { DEFAULT_CURRENCY_CONFIG, getExchangeRate, isCurrencyCode } from "./currency";
+import { sortByDate } from "./dataSources";
+
+/**
+ * @typedef {"csv"|"json"} ImportFormat
+ */
+
+/**
+ * @typedef {object} RejectedRow
+ * @property {number} row - 1-based position of the record in the file (CSV header excluded).
+ * @property {object} data - The record as read from the file.
+ * @property {string[]} errors - Why the record was rejected.
+ */
+
+/**
+ * @typedef {object} ImportResult
+ * @property {import("./calculateRewards").Transaction[]} accepted - Valid, unscored transactions ready to merge.
+ * @property {RejectedRow[]} rejected - Records that failed validation.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Works out the file format from a file name.
+ *
+ * @param {string} filename - The uploaded file's name.
+ * @returns {ImportFormat|null} The format, or null if the extension is not supported.
+ */
+export const getImportFormat = (filename) => {
+  const extension = filename.split(".").pop().toLowerCase();
+  return extension === "csv" || extension === "json" ? extension : null;
+};
+
+/**
+ * Parses CSV text into records keyed by the header row. Handles quoted fields
+ * with embedded delimiters, doubled quotes and line breaks, CRLF line endings
+ * and a leading byte order mark. Blank lines are skipped.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Object<string, string>[]}
+ */
+export const parseCsv = (text) => {
+  const lines = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      cells.push(cell);
+      lines.push(cells);
+      cells = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  lines.push(cells);
+
+  const [header = [], ...rows] = lines.filter((line) => line.some((value) => value.trim() !== ""));
+  const keys = header.map((key) => key.trim());
+
+  return rows.map((row) =>
+    keys.reduce((record, key, index) => {
+      record[key] = row[index] === undefined ? "" : row[index].trim();
+      return record;
+    }, {})
+  );
+};
+
+/**
+ * Parses an uploaded file into raw records.
+ *
+ * @param {string} text - The file contents.
+ * @param {ImportFormat} format - The file format.
+ * @returns {object[]}
+ * @throws {Error} If the file cannot be parsed or a JSON file is not an array of objects.
+ */
+export const parseImportFile = (text, format) => {
+  if (format === "csv") return parseCsv(text);
+
+  if (format === "json") {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new Error("JSON import must be an array of transactions");
+    }
+    return data;
+  }
+
+  throw new Error(`Unsupported import format: ${format}`);
+};
+
+/**
+ * Reads a number from a JSON value or CSV string. Empty values are missing.
+ *
+ * @param {*} value - The raw value.
+ * @returns {number|undefined} The number, NaN if it is not numeric, or undefined if missing.
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value === "number") return value;
+  return typeof value === "string" && value.trim() !== "" ? Number(value) : NaN;
+};
+
+/**
+ * Checks that a value is a real calendar date in 'YYYY-MM-DD' format.
+ *
+ * @param {*} value - The raw value.
+ * @returns {boolean}
+ */
+const isValidDate = (value) =>
+  typeof value === "string" &&
+  DATE_PATTERN.test(value) &&
+  toDateString(parseDateString(value)) === value;
+
+/**
+ * Validates one imported record against the `Transaction` typedef and converts
+ * it to a transaction. Scoring fields are never read from the file. A foreign
+ * currency needs an exchange rate in force on the row's date, since the row
+ * could not be scored otherwise.
+ *
+ * @param {object} record - The raw record.
+ * @param {import("./currency").CurrencyConfig} [currencyConfig] - Base currency and rates.
+ * @returns {{transaction: import("./calculateRewards").Transaction|null, errors: string[]}}
+ */
+export const validateImportRow = (record, currencyConfig = DEFAULT_CURRENCY_CONFIG) => {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return { transaction: null, errors: ["row must be an object"] };
+  }
+
+  const errors = [];
+  const transactionId = toNumber(record.transactionId);
+  const customerId = toNumber(record.customerId);
+  const price = toNumber(record.price);
+  const name = typeof record.name === "string" ? record.name.trim() : "";
+  const type = record.type === undefined || record.type === "" ? undefined : record.type;
+  const originalTransactionId = toNumber(record.originalTransactionId);
+  const currency = typeof record.currency === "string"
+    ? record.currency.trim().toUpperCase() || undefined
+    : record.currency;
+
+  if (transactionId !== undefined && !(Number.isInteger(transactionId) && transactionId > 0)) {
+    errors.push("transactionId must be a positive whole number");
+  }
+  if (customerId === undefined) {
+    errors.push("customerId is required");
+  } else if (!(Number.isInteger(customerId) && customerId > 0)) {
+    errors.push("customerId must be a positive whole number");
+  }
+  if (!name) {
+    errors.push("name is required");
+  }
+  if (!isValidDate(record.date)) {
+    errors.push("date must be a valid date in YYYY-MM-DD format");
+  }
+  if (price === undefined) {
+    errors.push("price is required");
+  } else if (!Number.isFinite(price) || price < 0) {
+    errors.push("price must be a non-negative number");
+  }
+  if (currency !== undefined && !isCurrencyCode(currency)) {
+    errors.push("currency must be a three-letter currency code such as EUR");
+  } else if (currency !== undefined && isValidDate(record.date) &&
+    getExchangeRate(currency, record.date, currencyConfig) === null) {
+    errors.push(`currency ${currency} has no exchange rate to ${currencyConfig.baseCurrency} on ${record.date}`);
+  }
+  if (type !== undefined && type !== "purchase" && type !== REFUND_TYPE) {
+    errors.push('type must be "purchase" or "refund"');
+  }
+  if (type === REFUND_TYPE && !(Number.isInteger(originalTransactionId) && originalTransactionId > 0)) {
+    errors.push("refunds need the originalTransactionId of the purchase they refund");
+  }
+
+  if (errors.length > 0) return { transaction: null, errors };
+
+  const transaction = { transactionId, customerId, name, date: record.date, price };
+  if (typeof record.product === "string" && record.product.trim() !== "") {
+    transaction.product = record.product.trim();
+  }
+  if (currency) transaction.currency = currency;
+  if (type) transaction.type = type;
+  if (type === REFUND_TYPE) transaction.originalTransactionId = originalTransactionId;
+
+  return { transaction, errors: [] };
+};
+
+/**
+ * Returns the ID after the highest of the given IDs, or 1 when there are none.
+ * Loops rather than calling `Math.max(...ids)`, which overflows the call stack
+ * when spread over a large dataset.
+ *
+ * @param {...Iterable<number>} idLists - Transaction IDs in use.
+ * @returns {number}
+ */
+export const getNextTransactionId = (...idLists) => {
+  let nextId = 1;
+  idLists.forEach((ids) => {
+    for (const id of ids) {
+      if (id >= nextId) nextId = id + 1;
+    }
+  });
+  return nextId;
+};
+
+/**
+ * Validates imported records against the existing dataset. Records whose
+ * `transactionId` is already in the dataset or appears earlier in the file are
+ * rejected as duplicates; records without one are given the next free ID.
+ *
+ * @param {object[]} records - Raw records from `parseImportFile`.
+ * @param {import("./calculateRewards").Transaction[]} existing - Transactions already loaded.
+ * @returns {ImportResult}
+ */
+export const validateImport = (records, existing) => {
+  const existingIds = new Set(existing.map((transaction) => transaction.transactionId));
+  const seenInFile = new Map();
+  const accepted = [];
+  const rejected = [];
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const { transaction, errors } = validateImportRow(record);
+
+    if (transaction && transaction.transactionId !== undefined) {
+      if (existingIds.has(transaction.transactionId)) {
+        errors.push(`duplicate transactionId ${transaction.transactionId} is already loaded`);
+      } else if (seenInFile.has(transaction.transactionId)) {
+        errors.push(`duplicate transactionId ${transaction.transactionId} also on row ${seenInFile.get(transaction.transactionId)}`);
+      } else {
+        seenInFile.set(transaction.transactionId, row);
+      }
+    }
+
+    if (errors.length > 0) {
+      rejected.push({ row, data: record, errors });
+    } else {
+      accepted.push(transaction);
+    }
+  });
+
+  let nextId = getNextTransactionId(existingIds, seenInFile.keys());
+  accepted.forEach((transaction) => {
+    if (transaction.transactionId === undefined) {
+      transaction.transactionId = nextId;
+      nextId += 1;
+    }
+  });
+
+  logger.info(`validateImport: Accepted ${accepted.length} rows, rejected ${rejected.length}`);
+  return { accepted, rejected };
+};
+
+/**
+ * Merges imported transactions into a dataset, keeping it in date order.
+ *
+ * @param {import("./calculateRewards").Transaction[]} existing - Transactions already loaded.
+ * @param {import("./calculateRewards").Transaction[]} imported - Accepted transactions.
+ * @returns {import("./calculateRewards").Transaction[]}
+ */
+export const mergeTransactions = (existing, imported) => sortByDate([...existing, ...imported]);
@@ -0,0 +1,123 @@
+import {
+  getImportFormat,
+  getNextTransactionId,
+  mergeTransactions,
+  parseCsv,
+  parseImportFile,
+  validateImport,
+  validateImportRow,
+} from './transactionImport';
+
+describe('transactionImport', () => {
+  const existing = [
+    { transactionId: 1, customerId: 101, name: 'John Doe', date: '2024-01-15', price: 120 },
+    { transactionId: 2, customerId: 101, name: 'John Doe', date: '2024-03-10', price: 80.5 },
+  ];
+
+  test('detects the format from the file extension', () => {
+    expect(getImportFormat('pos-export.CSV')).toBe('csv');
+    expect(getImportFormat('pos-export.json')).toBe('json');
+    expect(getImportFormat('pos-export.xlsx')).toBeNull();
+  });
+
+  test('parses quoted CSV fields, CRLF line endings and a byte order mark', () => {
+    const csv = '\uFEFFtransactionId,name,product\r\n3,"Doe, Jane","Say ""hi""\nthere"\r\n\r\n';
+
+    expect(parseCsv(csv)).toEqual([
+      { transactionId: '3', name: 'Doe, Jane', product: 'Say "hi"\nthere' },
+    ]);
+  });
+
+  test('converts a valid CSV row to a transaction', () => {
+    const [record] = parseImportFile(
+      'transactionId,customerId,name,date,product,price\n3,102,Jane Smith,2024-02-01,Desk,75.00',
+      'csv'
+    );
+
+    expect(validateImportRow(record)).toEqual({
+      transaction: {
+        transactionId: 3, customerId: 102, name: 'Jane Smith', date: '2024-02-01', product: 'Desk', price: 75,
+      },
+      errors: [],
+    });
+  });
+
+  test('reports every problem with a row', () => {
+    const { transaction, errors } = validateImportRow({
+      customerId: 'abc', name: ' ', date: '2024-02-30', price: '12,50',
+    });
+
+    expect(transaction).toBeNull();
+    expect(errors).toEqual([
+      'customerId must be a positive whole number',
+      'name is required',
+      'date must be a valid date in YYYY-MM-DD format',
+      'price must be a non-negative number',
+    ]);
+  });
+
+  test('keeps the currency of a row', () => {
+    expect(validateImportRow({
+      customerId: 101, name: 'John Doe', date: '2024-02-01', price: 20, currency: ' eur',
+    }).transaction).toMatchObject({ price: 20, currency: 'EUR' });
+    expect(validateImportRow({
+      customerId: 101, name: 'John Doe', date: '2024-02-01', price: 20, currency: 'euro',
+    }).errors).toEqual(['currency must be a three-letter currency code such as EUR']);
+  });
+
+  test('rejects currencies without an exchange rate on the row date', () => {
+    expect(validateImportRow({
+      customerId: 101, name: 'John Doe', date: '2024-02-01', price: 20, currency: 'JPY',
+    }).errors).toEqual(['currency JPY has no exchange rate to USD on 2024-02-01']);
+    expect(validateImportRow({
+      customerId: 101, name: 'John Doe', date: '2022-06-01', price: 20, currency: 'EUR',
+    }).errors).toEqual(['currency EUR has no exchange rate to USD on 2022-06-01']);
+    expect(validateImportRow({
+      customerId: 101, name: 'John Doe', date: '2022-06-01', price: 20, currency: 'usd',
+    }).errors).toEqual([]);
+  });
+
+  test('requires the original transaction for refunds', () => {
+    const { errors } = validateImportRow({
+      customerId: 101, name: 'John Doe', date: '2024-02-01', price: 20, type: 'refund',
+    });
+
+    expect(errors).toEqual(['refunds need the originalTransactionId of the purchase they refund']);
+  });
+
+  test('rejects duplicate transaction IDs and numbers rows without one', () => {
+    const records = parseImportFile(JSON.stringify([
+      { transactionId: 2, customerId: 101, name: 'John Doe', date: '2024-02-01', price: 20 },
+      { transactionId: 7, customerId: 103, name: 'Alice Brown', date: '2024-02-02', price: 60 },
+      { transactionId: 7, customerId: 103, name: 'Alice Brown', date: '2024-02-03', price: 65 },
+      { customerId: 104, name: 'Bob White', date: '2024-02-04', price: 110 },
+    ]), 'json');
+
+    const { accepted, rejected } = validateImport(records, existing);
+
+    expect(accepted.map((transaction) => transaction.transactionId)).toEqual([7, 8]);
+    expect(rejected).toEqual([
+      expect.objectContaining({ row: 1, errors: ['duplicate transactionId 2 is already loaded'] }),
+      expect.objectContaining({ row: 3, errors: ['duplicate transactionId 7 also on row 2'] }),
+    ]);
+  });
+
+  test('numbers new rows after the highest ID in use', () => {
+    expect(getNextTransactionId(new Set([3, 9, 4]), [12, 2].values())).toBe(13);
+    expect(getNextTransactionId(new Set())).toBe(1);
+
+    const records = [{ customerId: 104, name: 'Bob White', date: '2024-02-04', price: 110 }];
+    expect(validateImport(records, [{ transactionId: 5 }, { transactionId: 2 }]).accepted[0].transactionId).toBe(6);
+  });
+
+  test('rejects JSON that is not an array', () => {
+    expect(() => parseImportFile('{"transactionId": 1}', 'json')).toThrow('must be an array');
+  });
+
+  test('merges imported transactions in date order', () => {
+    const imported = [{ transactionId: 3, customerId: 102, name: 'Jane Smith', date: '2024-02-01', price: 75 }];
+
+    expect(mergeTransactions(existing, imported).map((transaction) => transaction.transactionId))
+      .toEqual([1, 3, 2]);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * @typedef {object} VirtualWindow
+ * @property {number} start - Index of the first row to render.
+ * @property {number} end - Index after the last row to render.
+ * @property {number} paddingTop - Height standing in for the rows above the window.
+ * @property {number} paddingBottom - Height standing in for the rows below the window.
+ */
+
+/**
+ * Works out which rows of a scrolling list are visible, so only those (plus a
+ * few either side to hide the swap while scrolling) need to be rendered.
+ * Rows are assumed to share one fixed height.
+ *
+ * @param {object} options - The list's geometry.
+ * @param {number} options.rowCount - Number of rows in the list.
+ * @param {number} options.rowHeight - Height of one row in pixels.
+ * @param {number} options.viewportHeight - Height of the scrolling area in pixels.
+ * @param {number} options.scrollTop - Current scroll offset in pixels.
+ * @param {number} [options.overscan] - Extra rows rendered above and below the visible ones.
+ * @returns {VirtualWindow}
+ */
+export const getVirtualWindow = ({ rowCount, rowHeight, viewportHeight, scrollTop, overscan = 5 }) => {
+  const firstVisible = Math.floor(Math.max(0, scrollTop) / rowHeight);
+  const start = Math.min(rowCount, Math.max(0, firstVisible - overscan));
+  const end = Math.min(rowCount, firstVisible + Math.ceil(viewportHeight / rowHeight) + overscan);
+
+  return {
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: (rowCount - end) * rowHeight,
+  };
+};
@@ -0,0 +1,30 @@
+import { getVirtualWindow } from './virtualization';
+
+describe('getVirtualWindow', () => {
+  const geometry = { rowCount: 1000, rowHeight: 50, viewportHeight: 500, overscan: 2 };
+
+  test('renders the first screen plus overscan at the top', () => {
+    expect(getVirtualWindow({ ...geometry, scrollTop: 0 })).toEqual({
+      start: 0, end: 12, paddingTop: 0, paddingBottom: 988 * 50,
+    });
+  });
+
+  test('follows the scroll position', () => {
+    expect(getVirtualWindow({ ...geometry, scrollTop: 5000 })).toEqual({
+      start: 98, end: 112, paddingTop: 98 * 50, paddingBottom: 888 * 50,
+    });
+  });
+
+  test('stops at the end of the list', () => {
+    const window = getVirtualWindow({ ...geometry, scrollTop: 49800 });
+
+    expect(window.end).toBe(1000);
+    expect(window.paddingBottom).toBe(0);
+  });
+
+  test('renders everything when the list fits', () => {
+    expect(getVirtualWindow({ ...geometry, rowCount: 3, scrollTop: 0 })).toEqual({
+      start: 0, end: 3, paddingTop: 0, paddingBottom: 0,
+    });
+  });
+});
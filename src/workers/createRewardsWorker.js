@@ -0,0 +1,8 @@
+/**
+ * Starts the rewards worker. Kept in its own module because `import.meta` is
+ * only understood by the webpack build, so it is loaded on demand and never in Jest.
+ *
+ * @returns {Worker}
+ */
+export const createRewardsWorker = () =>
+  new Worker(new URL("./rewards.worker.js", import.meta.url));
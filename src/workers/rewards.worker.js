@@ -0,0 +1,17 @@
+import rewardsTasks from "./rewardsTasks";
+
+// The worker's global scope, in place of `self`, which the lint rules reserve.
+const ctx = globalThis;
+
+/**
+ * Runs a rewards task off the main thread and posts back its result, or the
+ * error message if it throws. Messages are `{ id, task, args }`.
+ */
+ctx.onmessage = ({ data: { id, task, args } }) => {
+  try {
+    if (!rewardsTasks[task]) throw new Error(`Unknown rewards task: ${task}`);
+    ctx.postMessage({ id, result: rewardsTasks[task](...args) });
+  } catch (error) {
+    ctx.postMessage({ id, error: error.message });
+  }
+};
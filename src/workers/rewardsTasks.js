@@ -0,0 +1,14 @@
+import { calculateUserRewards, scoreTransactions } from "../utils/calculateRewards";
+import { reviewTransactions } from "../utils/anomalyDetection";
+
+/**
+ * Functions the rewards worker can run, by name. Arguments and results must be
+ * structured-cloneable, so configuration overrides have to be plain data.
+ */
+const rewardsTasks = {
+  scoreTransactions,
+  reviewTransactions,
+  calculateUserRewards,
+};
+
+export default rewardsTasks;